@@ -0,0 +1,378 @@
+/**
+ * Appels à l'API Referencime
+ * Nouvelles tentatives, annulation et progression des requêtes, validation des réponses et pagination
+ */
+
+import { createHash } from "node:crypto";
+import { setTimeout as sleep } from "node:timers/promises";
+import { recordFixture } from "./demo.js";
+import { getAccountId, getCacheKey, isCacheEnabled, readCache, stableStringify, writeCache } from "./cache.js";
+import { getRecordDir, isDemoMode } from "./config.js";
+import {
+  AuthenticationError,
+  CancelledError,
+  InvalidArgumentsError,
+  InvalidResponseError,
+  NetworkError,
+  NotFoundError,
+  PermissionError,
+  RateLimitError,
+  ReferencimeError,
+  ServerError,
+  TimeoutError,
+  UnknownToolError,
+} from "./errors.js";
+import { translate } from "./i18n.js";
+import { logEvent, redactSecrets } from "./logging.js";
+import { getTool } from "./registry.js";
+import { saveSnapshot } from "./snapshots.js";
+
+// Paramètres réseau, surchargeables par variables d'environnement
+export function getRetryOptions() {
+  const readInt = (name, defaultValue) => {
+    const value = Number.parseInt(process.env[name] ?? '', 10);
+    return Number.isFinite(value) && value >= 0 ? value : defaultValue;
+  };
+  return {
+    timeoutMs: readInt('REFERENCIME_TIMEOUT_MS', 30000),
+    maxRetries: readInt('REFERENCIME_MAX_RETRIES', 2),
+    baseDelayMs: readInt('REFERENCIME_RETRY_BASE_MS', 500),
+    maxDelayMs: 10000,
+    maxRetryAfterMs: 60000
+  };
+}
+
+// Retry-After : nombre de secondes ou date HTTP
+export function parseRetryAfter(header) {
+  if (!header) return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Backoff exponentiel avec jitter complet
+export function getBackoffDelay(attempt, { baseDelayMs, maxDelayMs }) {
+  return Math.round(Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt));
+}
+
+async function readErrorMessage(response) {
+  try {
+    const body = await response.json();
+    return body?.message || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Conversion d'une réponse HTTP en erreur typée
+async function toHttpError(response) {
+  const apiMessage = await readErrorMessage(response);
+  const messageKey = apiMessage ? 'errors.httpWithMessage' : 'errors.http';
+  const params = { status: response.status, statusText: response.statusText, message: apiMessage };
+  switch (response.status) {
+    case 401:
+      return new AuthenticationError(messageKey, params);
+    case 403:
+      return new PermissionError(messageKey, params);
+    case 404:
+      return new NotFoundError(messageKey, params);
+    case 429:
+      return new RateLimitError(messageKey, params, parseRetryAfter(response.headers.get('retry-after')));
+    default:
+      if (response.status >= 500) {
+        return new ServerError(messageKey, params, response.status);
+      }
+      return new ReferencimeError(messageKey, { params, code: 'API_ERROR', status: response.status });
+  }
+}
+
+// Intervalle des notifications de progression pendant qu'une requête est en attente
+const PROGRESS_INTERVAL_MS = 5000;
+
+// Les endpoints /ai/* sont en lecture seule : toute erreur transitoire peut être rejouée
+// context.signal annule la requête en cours (et l'attente avant une nouvelle tentative), context.progress suit son avancement
+export async function fetchWithRetry(url, init, toolName, { signal, progress } = {}) {
+  const options = getRetryOptions();
+
+  for (let attempt = 0; ; attempt++) {
+    if (signal?.aborted) {
+      throw new CancelledError();
+    }
+    let error;
+    const startedAt = Date.now();
+    // Une ligne de journal par tentative : durée, statut HTTP et taille de la réponse
+    const logCall = (level, details) => logEvent(level, {
+      event: 'api_call', tool: toolName, endpoint: getTool(toolName)?.endpoint ?? new URL(url).pathname, attempt: attempt + 1, duration_ms: Date.now() - startedAt, ...details
+    });
+    progress?.(attempt === 0 ? 'progress.request' : 'progress.retry', { tool: toolName, attempt: attempt + 1, max: options.maxRetries + 1 });
+
+    // Délai maximal et annulation interrompent tous deux le fetch en cours
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    const timeout = setTimeout(abort, options.timeoutMs);
+    signal?.addEventListener('abort', abort, { once: true });
+    const heartbeat = progress && setInterval(() => {
+      progress('progress.pending', { tool: toolName, seconds: Math.round((Date.now() - startedAt) / 1000) });
+    }, PROGRESS_INTERVAL_MS);
+    try {
+      const response = await fetch(url, { ...init, signal: controller.signal });
+      if (response.ok) {
+        const body = await response.text();
+        try {
+          const data = JSON.parse(body);
+          logCall('info', { status: response.status, response_bytes: Buffer.byteLength(body) });
+          return data;
+        } catch (parseError) {
+          throw new InvalidResponseError('errors.unreadableResponse', { details: parseError.message });
+        }
+      }
+      error = await toHttpError(response);
+    } catch (fetchError) {
+      if (fetchError instanceof ReferencimeError) {
+        error = fetchError;
+      } else if (signal?.aborted) {
+        error = new CancelledError();
+      } else if (fetchError.name === 'TimeoutError' || fetchError.name === 'AbortError') {
+        error = new TimeoutError('errors.timeout', { ms: options.timeoutMs });
+      } else {
+        error = new NetworkError('errors.network', { details: fetchError.cause?.message || fetchError.message });
+      }
+    } finally {
+      clearTimeout(timeout);
+      clearInterval(heartbeat);
+      signal?.removeEventListener('abort', abort);
+    }
+    logCall('error', { status: error.status ?? null, code: error.code, message: error.message });
+
+    if (!error.retryable || attempt >= options.maxRetries) {
+      throw error;
+    }
+    if (error.retryAfterMs !== null && error.retryAfterMs > options.maxRetryAfterMs) {
+      throw error;
+    }
+
+    const delayMs = error.retryAfterMs ?? getBackoffDelay(attempt, options);
+    console.error(`[Referencime MCP] ⏳ ${toolName}: ${error.code}, nouvelle tentative ${attempt + 1}/${options.maxRetries} dans ${delayMs} ms`);
+    progress?.('progress.retryWait', { tool: toolName, code: error.code, seconds: Math.ceil(delayMs / 1000) });
+    try {
+      await sleep(delayMs, undefined, { signal });
+    } catch (sleepError) {
+      throw new CancelledError();
+    }
+  }
+}
+
+// Appel à la vraie API Referencime WordPress
+export async function callReferencimeAPI(toolName, args, context) {
+  // Configuration de base pour tous les appels API
+  const { baseURL, apiKey } = context;
+  const headers = {
+    'Authorization': `Bearer ${apiKey}`,
+    'Content-Type': 'application/json'
+  };
+
+  try {
+    const { force_refresh: forceRefresh = false, profile, lang, ...requestData } = args;
+    // L'API WordPress attend les listes de mots-clés au format mot1||mot2
+    if (Array.isArray(requestData.keywords)) {
+      requestData.keywords = requestData.keywords.join('||');
+    }
+
+    // Endpoint WordPress et durée de cache déclarés dans le registre des outils
+    const tool = getTool(toolName);
+    if (!tool?.endpoint) {
+      throw new UnknownToolError(toolName);
+    }
+    const { endpoint, cacheTtl: ttlSeconds } = tool;
+    const cacheKey = isCacheEnabled() && ttlSeconds ? getCacheKey(toolName, requestData, context) : null;
+    if (cacheKey && !forceRefresh) {
+      const cached = await readCache(cacheKey);
+      if (cached !== undefined) {
+        logEvent('debug', { event: 'cache_hit', tool: toolName, endpoint });
+        return cached;
+      }
+    }
+    logEvent('debug', { event: 'api_request', tool: toolName, endpoint, account: getAccountId(apiKey), arguments: requestData });
+
+    // Appel HTTP vers l'API WordPress (timeout + nouvelles tentatives)
+    const result = await fetchWithRetry(`${baseURL}${endpoint}`, {
+      method: 'POST',
+      headers: headers,
+      body: JSON.stringify(requestData)
+    }, toolName, context);
+    
+    if (!result.success) {
+      throw new InvalidResponseError('errors.apiFailure', { message: result.message || translate('fr', 'errors.unknownApiFailure') });
+    }
+
+    const recordDir = getRecordDir();
+    if (recordDir && !isDemoMode()) {
+      try {
+        // Les clés API connues sont masquées avant l'écriture
+        const fixturePath = await recordFixture(recordDir, endpoint, requestData, JSON.parse(redactSecrets(JSON.stringify(result))));
+        console.error(`[Referencime MCP] 📼 Fixture enregistrée: ${fixturePath}`);
+      } catch (error) {
+        console.error(`[Referencime MCP] ⚠️ Enregistrement de la fixture impossible: ${error.message}`);
+      }
+    }
+
+    if (cacheKey) {
+      await writeCache(cacheKey, result.data, ttlSeconds);
+    }
+
+    return result.data;
+
+  } catch (error) {
+    console.error(`[Referencime MCP] Erreur API ${toolName}:`, error.message);
+    throw error;
+  }
+}
+
+// Validation de la réponse API contre le schéma de sortie de l'outil
+export function validateOutput(toolName, schema, data) {
+  if (!schema) return data;
+  const parsed = schema.safeParse(data);
+  if (!parsed.success) {
+    throw new InvalidResponseError('errors.unexpectedResponse', { tool: toolName, details: parsed.error.message });
+  }
+  return parsed.data;
+}
+
+// Curseur opaque encodant la position du prochain élément et l'empreinte du premier élément de la liste
+export function encodeCursor(offset, first) {
+  return Buffer.from(JSON.stringify({ offset, ...(first ? { first } : {}) })).toString('base64url');
+}
+
+export function decodeCursor(cursor) {
+  if (!cursor) return { offset: 0, first: null };
+  try {
+    const { offset, first } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (Number.isInteger(offset) && offset >= 0) return { offset, first: typeof first === 'string' ? first : null };
+  } catch (error) {
+    // Curseur mal formé : signalé ci-dessous
+  }
+  throw new InvalidArgumentsError('errors.invalidCursor', { cursor });
+}
+
+function getItemFingerprint(item) {
+  return item === undefined ? null : createHash('sha256').update(stableStringify(item)).digest('hex').slice(0, 12);
+}
+
+// Si l'API ignore offset/limit et renvoie plus d'éléments que demandé, la page est découpée localement
+// fromStart : les éléments commencent au début de la liste (offset ignoré par l'API), la page est toujours découpée localement
+export function paginate(items, offset, limit, reportedTotal = 0, { fromStart = false, first = null } = {}) {
+  const paginatedLocally = fromStart || items.length > limit;
+  const page = paginatedLocally ? items.slice(offset, offset + limit) : items;
+  let total = Math.max(reportedTotal, offset + page.length);
+  if (paginatedLocally) {
+    // Moins d'éléments que demandé depuis le début : la liste est complète
+    total = !fromStart || items.length < offset + limit ? items.length : Math.max(reportedTotal, items.length);
+  }
+  const nextOffset = offset + page.length;
+  const nextCursor = page.length > 0 && nextOffset < total ? encodeCursor(nextOffset, first) : null;
+  return {
+    items: page,
+    pagination: { offset, limit, returned: page.length, total, next_cursor: nextCursor }
+  };
+}
+
+// Mots-clés par catégories : pagination sur la liste aplatie des mots-clés, regroupés ensuite par catégorie
+export function getKeywordsByCategoriesItems(result) {
+  return result.categories.flatMap(category => category.keywords);
+}
+
+export function paginateKeywordsByCategories(result, offset, limit, options) {
+  const entries = result.categories.flatMap((category, index) =>
+    category.keywords.map(keyword => ({ index, keyword }))
+  );
+  const { items, pagination } = paginate(entries, offset, limit, result.summary.total_keywords, options);
+  const categories = result.categories
+    .map((category, index) => ({
+      ...category,
+      keywords: items.filter(entry => entry.index === index).map(entry => entry.keyword)
+    }))
+    .filter(category => entries.length === 0 || category.keywords.length > 0 || (offset === 0 && category.keywords_count === 0));
+  return { items: categories, pagination };
+}
+
+// Éléments renvoyés par l'API pour une liste : clé déclarée (list.key) ou liste aplatie (list.items)
+function getListItems(list, result) {
+  return list.items ? list.items(result) : result[list.key];
+}
+
+// Listes paginées : clé des éléments et total annoncé par l'API, déclarés par outil (list) dans le registre
+function paginateResult(toolName, result, offset, limit, options) {
+  const { list } = getTool(toolName);
+  const { items, pagination } = list.paginate
+    ? list.paginate(result, offset, limit, options)
+    : paginate(result[list.key], offset, limit, list.total(result), options);
+  return { ...result, [list.key]: items, pagination, next_cursor: pagination.next_cursor };
+}
+
+// Appel paginé : le curseur est converti en offset pour l'API
+// Une API qui ignore offset renvoie la première page à chaque curseur (même premier élément que la liste) :
+// la liste est alors redemandée depuis le début, jusqu'à la fin de la page voulue, puis découpée localement
+export async function callPaginatedTool(toolName, outputSchema, args, context) {
+  const { cursor, ...apiArgs } = args;
+  const { offset, first } = decodeCursor(cursor);
+  const { list } = getTool(toolName);
+  const result = validateOutput(toolName, outputSchema, await callReferencimeAPI(toolName, { ...apiArgs, offset }, context));
+  const firstItem = getItemFingerprint(getListItems(list, result)[0]);
+  if (offset === 0) {
+    return paginateResult(toolName, result, offset, apiArgs.limit, { first: firstItem });
+  }
+  if (!first || firstItem !== first) {
+    return paginateResult(toolName, result, offset, apiArgs.limit, { first });
+  }
+  // limit également ignoré : la liste complète est déjà là
+  if (getListItems(list, result).length > apiArgs.limit) {
+    return paginateResult(toolName, result, offset, apiArgs.limit, { fromStart: true, first });
+  }
+  const fromStart = validateOutput(toolName, outputSchema, await callReferencimeAPI(toolName, { ...apiArgs, offset: 0, limit: offset + apiArgs.limit }, context));
+  return paginateResult(toolName, fromStart, offset, apiArgs.limit, { fromStart: true, first });
+}
+
+// Parcourt toutes les pages d'une liste (ressources, exports)
+export const MAX_PAGES = 1000;
+
+export async function fetchAllPages(toolName, outputSchema, args, context) {
+  const { key } = getTool(toolName).list;
+  const items = [];
+  let firstPage = null;
+  let cursor;
+  for (let page = 0; page < MAX_PAGES; page++) {
+    const result = await callPaginatedTool(toolName, outputSchema, { ...args, cursor }, context);
+    firstPage = firstPage || result;
+    items.push(...result[key]);
+    cursor = result.next_cursor;
+    if (!cursor) break;
+  }
+  const { pagination, next_cursor, ...data } = firstPage;
+  return { ...data, [key]: items };
+}
+
+export function formatPagination(pagination, unit, i18n) {
+  if (pagination.total === 0 || (pagination.offset === 0 && !pagination.next_cursor)) return '';
+  const range = pagination.returned > 0
+    ? `${i18n.number(pagination.offset + 1)}-${i18n.number(pagination.offset + pagination.returned)}`
+    : i18n.t('pagination.none');
+  return `\n\n${i18n.t('pagination.line', { unit: i18n.t(`pagination.${unit}`), range, total: i18n.number(pagination.total) })}` +
+    (pagination.next_cursor ? i18n.t('pagination.next', { cursor: pagination.next_cursor }) : i18n.t('pagination.last'));
+}
+
+// Récupération par défaut : appel de l'endpoint, paginé si l'outil renvoie une liste
+export async function fetchToolResult(tool, args, context) {
+  let result;
+  if (tool.run) {
+    result = await tool.run(args, context);
+  } else if (tool.list) {
+    result = await callPaginatedTool(tool.name, tool.outputSchema, args, context);
+  } else {
+    result = validateOutput(tool.name, tool.outputSchema, await callReferencimeAPI(tool.name, args, context));
+  }
+  if (tool.snapshot) {
+    await saveSnapshot(tool.name, result, context);
+  }
+  return result;
+}
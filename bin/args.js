@@ -0,0 +1,54 @@
+/**
+ * Arguments des outils
+ * Période relative, site par défaut du profil et site désigné par son domaine
+ */
+
+import { getRangeDays, resolveDateRange } from "./dates.js";
+import { resolveWebsiteId } from "./websites.js";
+
+// Erreurs de validation lisibles : "champ : message" par problème détecté
+export function formatArgIssues(error) {
+  return error.issues.map(issue => `${issue.path.join('.') || 'arguments'} : ${issue.message}`).join(' ; ');
+}
+
+// Dates concrètes d'une période relative (date_range), transmises à l'outil à sa place
+export function applyDateRange({ date_range: expression, ...args }) {
+  if (!expression) {
+    return { args };
+  }
+  const range = resolveDateRange(expression);
+  return {
+    args: { ...args, ...range },
+    dateRange: { expression, ...range, days: getRangeDays(range.start_date, range.end_date) }
+  };
+}
+
+// Schéma objet sous-jacent, y compris derrière un superRefine
+export function getArgsShape(schema) {
+  let inner = schema;
+  while (typeof inner?.innerType === 'function') {
+    inner = inner.innerType();
+  }
+  return inner?.shape;
+}
+
+// Un site passé en argument (ID ou domaine) remplace le site par défaut du profil
+export function mergeDefaults(defaults = {}, args = {}) {
+  if (args.website_id === undefined && args.website === undefined) {
+    return { ...defaults, ...args };
+  }
+  const { website_id: defaultWebsiteId, website: defaultWebsite, ...otherDefaults } = defaults;
+  return { ...otherDefaults, ...args };
+}
+
+// website_id prioritaire ; sinon domaine ou site favori, pour les outils qui attendent un website_id
+export async function resolveWebsiteArgs(schema, { website, ...args }, context) {
+  if (!getArgsShape(schema)?.website_id || args.website_id !== undefined) {
+    return args;
+  }
+  if (website !== undefined && typeof website !== 'string') {
+    // Type invalide : signalé par la validation du schéma
+    return { ...args, website };
+  }
+  return { ...args, website_id: await resolveWebsiteId(website?.trim() || undefined, context) };
+}
@@ -0,0 +1,83 @@
+/**
+ * Cache des réponses API
+ * En mémoire et, avec REFERENCIME_CACHE_DIR, sur disque ; une empreinte de la clé API isole chaque compte
+ */
+
+import { createHash } from "node:crypto";
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+
+// Cache des réponses API : durée de vie (cacheTtl) déclarée par outil dans le registre
+const CACHE_MAX_ENTRIES = 500;
+const memoryCache = new Map();
+
+// REFERENCIME_CACHE=off désactive le cache, REFERENCIME_CACHE_DIR active le stockage disque
+export function isCacheEnabled() {
+  return !['off', 'false', '0'].includes((process.env.REFERENCIME_CACHE || '').toLowerCase());
+}
+
+// Sérialisation stable (clés triées) pour que l'ordre des arguments n'influe pas sur la clé
+export function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().filter(k => value[k] !== undefined)
+      .map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// Empreinte du compte : isole le cache et les instantanés de chaque clé API
+export function getAccountId(apiKey) {
+  return createHash('sha256').update(apiKey).digest('hex').slice(0, 16);
+}
+
+// La clé inclut une empreinte de la clé API : deux comptes ne partagent jamais d'entrée
+export function getCacheKey(toolName, args, { apiKey, baseURL }) {
+  const account = getAccountId(apiKey);
+  return createHash('sha256').update(`${account}:${baseURL}:${toolName}:${stableStringify(args)}`).digest('hex');
+}
+
+function setMemoryCache(key, entry) {
+  memoryCache.delete(key);
+  memoryCache.set(key, entry);
+  if (memoryCache.size > CACHE_MAX_ENTRIES) {
+    memoryCache.delete(memoryCache.keys().next().value);
+  }
+}
+
+export async function readCache(key) {
+  const memoryEntry = memoryCache.get(key);
+  if (memoryEntry && memoryEntry.expires_at > Date.now()) {
+    return memoryEntry.data;
+  }
+  memoryCache.delete(key);
+
+  const cacheDir = process.env.REFERENCIME_CACHE_DIR;
+  if (!cacheDir) return undefined;
+  try {
+    const diskEntry = JSON.parse(await readFile(path.join(cacheDir, `${key}.json`), 'utf8'));
+    if (diskEntry.expires_at > Date.now()) {
+      setMemoryCache(key, diskEntry);
+      return diskEntry.data;
+    }
+  } catch (error) {
+    // Entrée absente ou illisible : on interroge l'API
+  }
+  return undefined;
+}
+
+export async function writeCache(key, data, ttlSeconds) {
+  const entry = { expires_at: Date.now() + ttlSeconds * 1000, data };
+  setMemoryCache(key, entry);
+
+  const cacheDir = process.env.REFERENCIME_CACHE_DIR;
+  if (!cacheDir) return;
+  try {
+    await mkdir(cacheDir, { recursive: true });
+    await writeFile(path.join(cacheDir, `${key}.json`), JSON.stringify(entry));
+  } catch (error) {
+    console.error(`[Referencime MCP] ⚠️ Écriture du cache impossible: ${error.message}`);
+  }
+}
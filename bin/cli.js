@@ -0,0 +1,211 @@
+/**
+ * Ligne de commande
+ * Commandes doctor, list-tools et call, sans client MCP
+ */
+
+import { zodToJsonSchema } from "zod-to-json-schema";
+import { getCliOption, resolveContext } from "./config.js";
+import { InvalidArgumentsError, UnknownToolError, describeError } from "./errors.js";
+import { createTranslator, resolveLocale } from "./i18n.js";
+import { loadPlugins } from "./plugins.js";
+import { getTool } from "./registry.js";
+import { executeTool, handleListTools } from "./server.js";
+import { getVersions, runDiagnostics } from "./tools/diagnostics.js";
+
+// Commande doctor : diagnostic de l'outil referencime_diagnostics affiché dans le terminal (code de sortie 1 en cas d'échec)
+export async function runDoctor() {
+  const profileName = getCliOption('profile');
+  const lang = getCliOption('lang');
+  let i18n = createTranslator(resolveLocale(typeof lang === 'string' ? lang : undefined));
+  let context;
+  try {
+    context = await resolveContext(typeof profileName === 'string' ? profileName : undefined);
+  } catch (error) {
+    const versions = await getVersions();
+    const { code, message, hint } = describeError(error, i18n);
+    console.log(`${i18n.t('diagnostics.title')} - ${i18n.t('diagnostics.status.error')}\n`);
+    console.log(i18n.t('diagnostics.versions', { server: versions.server || i18n.t('common.na'), node: versions.node, sdk: versions.mcp_sdk || i18n.t('common.na') }));
+    console.log(`\n${i18n.t('common.error', { code, message })}${hint ? `\n\n${i18n.t('common.errorAction', { hint })}` : ''}`);
+    return 1;
+  }
+  i18n = createTranslator(resolveLocale(typeof lang === 'string' ? lang : undefined, context.locale));
+  const result = await runDiagnostics({ include_endpoints: !getCliOption('skip-endpoints', false) }, context);
+  console.log(getTool('referencime_diagnostics').format(result, i18n));
+  return result.status === 'error' ? 1 : 0;
+}
+
+// Commandes list-tools et call : outils appelés depuis le terminal, sans hôte MCP
+// Options propres à la CLI, jamais transmises à l'outil (un argument homonyme passe par --args).
+// --profile et --lang restent des arguments communs des outils, lus aussi par le serveur
+const CLI_OPTIONS = new Set(['format', 'args', 'demo', 'fixtures', 'plugins', 'config', 'record', 'help']);
+const CLI_FORMATS = ['markdown', 'json'];
+
+// Code de sortie de la commande call selon le type d'erreur (1 : erreur interne)
+const CLI_EXIT_CODES = {
+  INVALID_ARGUMENTS: 2,
+  UNKNOWN_TOOL: 2,
+  CONFIGURATION_ERROR: 3,
+  MISSING_API_KEY: 3,
+  UNKNOWN_PROFILE: 3,
+  SHORTLIST_ERROR: 3,
+  INVALID_API_KEY: 4,
+  FORBIDDEN: 4,
+  NOT_FOUND: 5,
+  RATE_LIMITED: 6,
+  TIMEOUT: 7,
+  NETWORK_ERROR: 7,
+  SERVER_ERROR: 8,
+  API_ERROR: 8,
+  INVALID_RESPONSE: 8
+};
+
+function parseCliJson(option, value) {
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new InvalidArgumentsError('errors.cliInvalidJson', { option, details: error.message });
+  }
+}
+
+// Valeur typée d'après le schéma JSON de l'argument ; la validation zod signale ensuite les valeurs incorrectes
+function parseCliValue(option, property, value) {
+  const type = property.type;
+  if (value === undefined) {
+    if (type === 'boolean') return true;
+    throw new InvalidArgumentsError('errors.cliMissingValue', { option });
+  }
+  if (type === 'boolean') {
+    if (['true', '1', 'yes', 'on'].includes(value.toLowerCase())) return true;
+    if (['false', '0', 'no', 'off'].includes(value.toLowerCase())) return false;
+    return value;
+  }
+  if (type === 'number' || type === 'integer') {
+    return value.trim() !== '' && Number.isFinite(Number(value)) ? Number(value) : value;
+  }
+  if (type === 'array') {
+    // Liste JSON, ou valeurs séparées par des virgules (--keywords "mot 1,mot 2")
+    if (value.trim().startsWith('[')) return parseCliJson(option, value);
+    return value.split(',').map(item => item.trim()).filter(Boolean)
+      .map(item => parseCliValue(option, property.items || {}, item));
+  }
+  if (type === 'object') {
+    return parseCliJson(option, value);
+  }
+  return value;
+}
+
+// --min-volume 500 ou --min-volume=500 devient { min_volume: 500 } ; --no-<option> pour un booléen à false
+function parseToolOptions(tool, argv) {
+  const { properties = {} } = zodToJsonSchema(tool.inputSchema);
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) {
+      throw new InvalidArgumentsError('errors.cliUnexpectedArgument', { argument: argv[i] });
+    }
+    const separator = argv[i].indexOf('=');
+    const option = separator === -1 ? argv[i].slice(2) : argv[i].slice(2, separator);
+    let value = separator === -1 ? undefined : argv[i].slice(separator + 1);
+    if (value === undefined && argv[i + 1] !== undefined && !argv[i + 1].startsWith('--')) {
+      value = argv[++i];
+    }
+    if (CLI_OPTIONS.has(option)) continue;
+
+    let field = option.replace(/-/g, '_');
+    if (!properties[field] && field.startsWith('no_') && properties[field.slice(3)]?.type === 'boolean' && value === undefined) {
+      args[field.slice(3)] = false;
+      continue;
+    }
+    const property = properties[field];
+    if (!property) {
+      throw new InvalidArgumentsError('errors.cliUnknownOption', { option: `--${option}`, tool: tool.name });
+    }
+    const parsed = parseCliValue(`--${option}`, property, value);
+    // Option répétée : les valeurs s'ajoutent à la liste (--keywords "mot 1" --keywords "mot 2")
+    args[field] = property.type === 'array' && Array.isArray(args[field]) && Array.isArray(parsed)
+      ? [...args[field], ...parsed]
+      : parsed;
+  }
+  return args;
+}
+
+function formatToolHelp(tool, i18n) {
+  const { properties = {}, required = [] } = zodToJsonSchema(tool.inputSchema);
+  const options = Object.entries(properties).map(([field, property]) => {
+    const type = property.enum ? property.enum.join('|') : (property.type === 'array' ? `${property.items?.type || 'string'}[]` : property.type || 'json');
+    const details = [
+      property.description,
+      required.includes(field) ? i18n.t('cli.required') : null,
+      // Défaut affiché s'il n'est pas déjà rappelé dans la description
+      property.default !== undefined && !/défaut|default/i.test(property.description || '') ? i18n.t('cli.default', { value: JSON.stringify(property.default) }) : null
+    ].filter(Boolean).join(' · ');
+    return `- \`--${field.replace(/_/g, '-')} <${type}>\`${details ? ` : ${details}` : ''}`;
+  });
+  return [
+    `🛠️ **${tool.name}**`,
+    '',
+    tool.description,
+    '',
+    i18n.t('cli.options'),
+    ...(options.length > 0 ? options : [i18n.t('cli.noOptions')]),
+    '',
+    i18n.t('cli.usage', { tool: tool.name })
+  ].join('\n');
+}
+
+// Commande list-tools : outils du registre (plugins compris), en liste ou au format MCP tools/list
+export async function runListTools() {
+  const format = getCliOption('format', 'markdown');
+  const lang = getCliOption('lang');
+  const i18n = createTranslator(resolveLocale(typeof lang === 'string' ? lang : undefined));
+  const { tools } = await handleListTools();
+  if (format === 'json') {
+    console.log(JSON.stringify(tools, null, 2));
+    return 0;
+  }
+  console.log([
+    i18n.t('cli.toolsTitle', { count: tools.length }),
+    '',
+    ...tools.map(tool => `- **${tool.name}** : ${tool.description.split('\n')[0]}`),
+    '',
+    i18n.t('cli.toolsHint')
+  ].join('\n'));
+  return 0;
+}
+
+// Commande call : même exécution que tools/call, résultat formaté (markdown) ou brut (json) sur la sortie standard
+export async function runCall() {
+  const name = process.argv[3];
+  const format = getCliOption('format', 'markdown');
+  const lang = getCliOption('lang');
+  const call = { i18n: createTranslator(resolveLocale(typeof lang === 'string' ? lang : undefined)) };
+  if (!name || name.startsWith('--') || !CLI_FORMATS.includes(format)) {
+    console.error('Usage: referencime-mcp call <outil> [--<argument> <valeur>...] [--args \'{...}\'] [--format markdown|json]');
+    return 2;
+  }
+  try {
+    await loadPlugins();
+    const tool = getTool(name);
+    if (!tool) {
+      throw new UnknownToolError(name);
+    }
+    if (getCliOption('help')) {
+      console.log(formatToolHelp(tool, call.i18n));
+      return 0;
+    }
+    const baseArgs = typeof getCliOption('args') === 'string' ? parseCliJson('--args', getCliOption('args')) : {};
+    if (!baseArgs || typeof baseArgs !== 'object' || Array.isArray(baseArgs)) {
+      throw new InvalidArgumentsError('errors.cliArgsObject');
+    }
+    const { result, text } = await executeTool(name, { ...baseArgs, ...parseToolOptions(tool, process.argv.slice(4)) }, undefined, call);
+    console.log(format === 'json' ? JSON.stringify(result, null, 2) : text);
+    return 0;
+  } catch (error) {
+    const { code, message, hint } = describeError(error, call.i18n);
+    if (format === 'json') {
+      console.error(JSON.stringify({ error: { code, message, hint } }, null, 2));
+    } else {
+      console.error(call.i18n.t('common.error', { code, message }) + (hint ? `\n\n${call.i18n.t('common.errorAction', { hint })}` : ''));
+    }
+    return CLI_EXIT_CODES[code] ?? 1;
+  }
+}
@@ -0,0 +1,278 @@
+/**
+ * Configuration
+ * Fichier de configuration et profils, clé API, mode démo et contexte d'exécution d'un appel
+ */
+
+import { exec } from "node:child_process";
+import { readFile } from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { promisify } from "node:util";
+import { z } from "zod";
+import { DEMO_API_KEY, startDemoServer } from "./demo.js";
+import { ConfigurationError } from "./errors.js";
+import { createTranslator, resolveLocale } from "./i18n.js";
+import { registerSecret } from "./logging.js";
+import { ChangeThresholdsSchema } from "./schemas.js";
+import { expandHome } from "./utils.js";
+
+// Fichier de configuration avec profils nommés
+export const DEFAULT_BASE_URL = 'https://referencime.fr/wp-json/easy-links/v1';
+const DEFAULT_PROFILE_NAME = 'default';
+
+const ApiKeySourceSchema = z.union([
+  z.object({ env: z.string() }).strict(),
+  z.object({ file: z.string() }).strict(),
+  z.object({ command: z.string() }).strict()
+]);
+
+const ProfileConfigSchema = z.object({
+  base_url: z.string().url().optional(),
+  api_key: ApiKeySourceSchema.optional(),
+  locale: z.string().optional(),
+  defaults: z.record(z.any()).optional().default({})
+});
+
+const ConfigFileSchema = z.object({
+  default_profile: z.string().optional(),
+  export_dir: z.string().optional(),
+  // Profils qu'un client du mode HTTP peut choisir avec l'argument profile (aucun par défaut)
+  serve_profiles: z.array(z.string()).optional().default([]),
+  snapshot_dir: z.string().optional(),
+  change_thresholds: ChangeThresholdsSchema.optional(),
+  plugins_dir: z.string().optional(),
+  portfolio_concurrency: z.number().int().min(1).max(20).optional(),
+  shortlist_dir: z.string().optional(),
+  // Habillage des rapports SEO : nom de l'agence et logo (fichier local ou URL)
+  report: z.object({
+    agency_name: z.string().optional(),
+    agency_logo: z.string().optional()
+  }).strict().optional(),
+  profiles: z.record(ProfileConfigSchema).optional().default({})
+});
+
+function getConfigPath() {
+  const explicitPath = getCliOption('config', process.env.REFERENCIME_CONFIG);
+  if (typeof explicitPath === 'string') {
+    return { path: expandHome(explicitPath), explicit: true };
+  }
+  const configHome = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  return { path: path.join(configHome, 'referencime', 'config.json'), explicit: false };
+}
+
+let configPromise = null;
+
+// Chargé une seule fois ; un fichier absent à l'emplacement par défaut n'est pas une erreur
+export function loadConfig() {
+  if (!configPromise) {
+    configPromise = (async () => {
+      const { path: configPath, explicit } = getConfigPath();
+      let raw;
+      try {
+        raw = await readFile(configPath, 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT' && !explicit) {
+          return ConfigFileSchema.parse({});
+        }
+        throw new ConfigurationError('errors.configRead', { path: configPath, details: error.message });
+      }
+      let json;
+      try {
+        json = JSON.parse(raw);
+      } catch (error) {
+        throw new ConfigurationError('errors.configJson', { path: configPath, details: error.message });
+      }
+      const parsed = ConfigFileSchema.safeParse(json);
+      if (!parsed.success) {
+        throw new ConfigurationError('errors.configInvalid', { path: configPath, details: parsed.error.message });
+      }
+      return parsed.data;
+    })();
+  }
+  return configPromise;
+}
+
+// Profil demandé : argument de l'outil, puis --profile, puis REFERENCIME_PROFILE, puis default_profile
+async function getProfile(requestedName) {
+  const config = await loadConfig();
+  const cliProfile = getCliOption('profile');
+  const name = requestedName ||
+    (typeof cliProfile === 'string' ? cliProfile : null) ||
+    process.env.REFERENCIME_PROFILE ||
+    config.default_profile ||
+    DEFAULT_PROFILE_NAME;
+
+  const profile = config.profiles[name];
+  if (!profile) {
+    if (name === DEFAULT_PROFILE_NAME) {
+      return { name, ...ProfileConfigSchema.parse({}) };
+    }
+    const available = Object.keys(config.profiles);
+    throw new ConfigurationError('errors.unknownProfile', { profile: name }, {
+      code: 'UNKNOWN_PROFILE',
+      hintKey: available.length > 0 ? 'hints.UNKNOWN_PROFILE' : 'hints.NO_PROFILES',
+      hintParams: { profiles: available.join(', ') }
+    });
+  }
+  return { name, ...profile };
+}
+
+const execAsync = promisify(exec);
+const resolvedApiKeys = new Map();
+
+async function readApiKeySource(source) {
+  if (source.env) {
+    return process.env[source.env];
+  }
+  if (source.file) {
+    try {
+      return (await readFile(expandHome(source.file), 'utf8')).trim();
+    } catch (error) {
+      throw new ConfigurationError('errors.apiKeyFile', { path: source.file, details: error.message });
+    }
+  }
+  try {
+    const { stdout } = await execAsync(source.command, { timeout: 10000 });
+    return stdout.trim();
+  } catch (error) {
+    throw new ConfigurationError('errors.apiKeyCommand', { details: error.message });
+  }
+}
+
+// Vérification de la clé API
+// En mode HTTP, la clé provient de l'en-tête Authorization de la session (authInfo)
+async function getApiKey(profile, authInfo) {
+  if (authInfo?.token) {
+    registerSecret(authInfo.token);
+    return authInfo.token;
+  }
+
+  const source = profile.api_key || { env: 'REFERENCIME_API_KEY' };
+  const cacheKey = JSON.stringify(source);
+  if (!resolvedApiKeys.has(cacheKey)) {
+    const apiKey = await readApiKeySource(source);
+    if (!apiKey) {
+      throw new ConfigurationError(
+        source.env ? 'errors.missingApiKey' : 'errors.emptyApiKey',
+        { env: source.env, profile: profile.name },
+        { code: 'MISSING_API_KEY' }
+      );
+    }
+    registerSecret(apiKey);
+    resolvedApiKeys.set(cacheKey, apiKey);
+  }
+  return resolvedApiKeys.get(cacheKey);
+}
+
+// Mode démo (--demo ou REFERENCIME_DEMO=1) : l'API est remplacée par le serveur de fixtures local
+export function isDemoMode() {
+  return getCliOption('demo') === true || ['1', 'true', 'on'].includes((process.env.REFERENCIME_DEMO || '').toLowerCase());
+}
+
+// Fixtures enregistrées à rejouer (--fixtures ou REFERENCIME_FIXTURES_DIR)
+export function getFixturesDir() {
+  const fixturesDir = getCliOption('fixtures', process.env.REFERENCIME_FIXTURES_DIR);
+  return typeof fixturesDir === 'string' ? expandHome(fixturesDir) : null;
+}
+
+// Enregistrement des réponses réelles comme fixtures (--record ou REFERENCIME_RECORD_DIR)
+export function getRecordDir() {
+  const recordDir = getCliOption('record', process.env.REFERENCIME_RECORD_DIR);
+  return typeof recordDir === 'string' ? expandHome(recordDir) : null;
+}
+
+let demoServerPromise = null;
+
+// Démarré une seule fois, sans empêcher le processus de se terminer
+function getDemoBaseURL() {
+  if (!demoServerPromise) {
+    demoServerPromise = startDemoServer({ fixturesDir: getFixturesDir() }).then(({ server, url }) => {
+      server.unref();
+      return url;
+    });
+  }
+  return demoServerPromise;
+}
+
+// URL de l'API : base_url du profil, sinon REFERENCIME_BASE_URL, sinon l'API de production
+// Un profil qui déclare son environnement le garde même si REFERENCIME_BASE_URL est défini
+const ignoredBaseURLWarnings = new Set();
+
+function getBaseURL(profile) {
+  const envBaseURL = process.env.REFERENCIME_BASE_URL;
+  if (profile.base_url && envBaseURL && !ignoredBaseURLWarnings.has(profile.name)) {
+    ignoredBaseURLWarnings.add(profile.name);
+    console.error(`[Referencime MCP] ⚠️ REFERENCIME_BASE_URL ignoré pour le profil ${profile.name}, qui déclare son propre base_url`);
+  }
+  return (profile.base_url || envBaseURL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+}
+
+// En mode HTTP (authInfo), un client distant ne choisit un profil que parmi serve_profiles :
+// sa clé ne doit pas partir vers un environnement que l'opérateur n'a pas exposé
+async function checkServeProfile(profileName) {
+  const { serve_profiles: allowed } = await loadConfig();
+  if (!allowed.includes(profileName)) {
+    throw new ConfigurationError('errors.profileNotAllowed', { profile: profileName }, {
+      code: 'PROFILE_NOT_ALLOWED',
+      hintKey: allowed.length > 0 ? 'hints.PROFILE_NOT_ALLOWED' : 'hints.NO_SERVE_PROFILES',
+      hintParams: { profiles: allowed.join(', ') }
+    });
+  }
+}
+
+// Contexte d'exécution d'un appel : profil, URL de base et clé API
+export async function resolveContext(profileName, authInfo) {
+  if (authInfo && profileName) {
+    await checkServeProfile(profileName);
+  }
+  const profile = await getProfile(profileName);
+  if (isDemoMode()) {
+    return {
+      profile: profile.name,
+      baseURL: await getDemoBaseURL(),
+      apiKey: authInfo?.token || DEMO_API_KEY,
+      locale: profile.locale,
+      defaults: profile.defaults
+    };
+  }
+  return {
+    profile: profile.name,
+    baseURL: getBaseURL(profile),
+    apiKey: await getApiKey(profile, authInfo),
+    locale: profile.locale,
+    defaults: profile.defaults
+  };
+}
+
+// Un traducteur par locale, réutilisé d'une requête HTTP à l'autre
+const serverTranslators = new Map();
+
+// Langue des ressources, des prompts et des erreurs du transport HTTP, qui n'ont pas d'argument lang d'outil :
+// lang explicite (prompts), puis locale du profil par défaut, puis REFERENCIME_LOCALE
+export async function getServerTranslator(lang) {
+  let profileLocale;
+  try {
+    ({ locale: profileLocale } = await getProfile());
+  } catch (error) {
+    // Configuration invalide : signalée par la requête elle-même, le message reste traduit via REFERENCIME_LOCALE
+  }
+  const locale = resolveLocale(lang, profileLocale);
+  if (!serverTranslators.has(locale)) {
+    serverTranslators.set(locale, createTranslator(locale));
+  }
+  return serverTranslators.get(locale);
+}
+
+// Lecture d'une option de la ligne de commande (--port 3000 ou --port=3000)
+export function getCliOption(name, defaultValue) {
+  const args = process.argv.slice(3);
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === `--${name}`) {
+      return args[i + 1] !== undefined && !args[i + 1].startsWith('--') ? args[i + 1] : true;
+    }
+    if (args[i].startsWith(`--${name}=`)) {
+      return args[i].slice(name.length + 3);
+    }
+  }
+  return defaultValue;
+}
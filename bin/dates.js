@@ -0,0 +1,92 @@
+/**
+ * Dates
+ * Jours au format YYYY-MM-DD, périodes relatives, semaines et mois des séries
+ */
+
+// Dates au format YYYY-MM-DD, refusées si elles n'existent pas au calendrier (ex. 2025-02-30)
+export function isIsoDate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+// Nombre de jours d'une plage, bornes incluses
+export function getRangeDays(startDate, endDate) {
+  return Math.round((Date.parse(endDate) - Date.parse(startDate)) / 86400000) + 1;
+}
+
+// Périodes relatives, résolues en dates concrètes jusqu'à hier au plus tard (données GSC de la veille)
+export const RELATIVE_DATE_RANGES = [
+  'yesterday', 'last_7_days', 'last_28_days', 'last_30_days', 'last_90_days',
+  'last_week', 'last_month', 'last_quarter', 'this_month', 'ytd', 'last_year'
+];
+
+export function resolveDateRange(expression, today = new Date().toISOString().slice(0, 10)) {
+  const yesterday = addDaysToDate(today, -1);
+  const [year, month] = today.split('-').map(Number);
+  // Premier jour d'un mois, mois hors 1-12 reportés sur l'année voisine
+  const monthStart = (y, m) => new Date(Date.UTC(y, m - 1, 1)).toISOString().slice(0, 10);
+  // Période en cours : jusqu'à hier, ou réduite à son premier jour si elle commence aujourd'hui
+  const untilYesterday = start => ({ start_date: start, end_date: yesterday < start ? start : yesterday });
+
+  switch (expression) {
+    case 'yesterday':
+      return { start_date: yesterday, end_date: yesterday };
+    case 'last_week': {
+      // Semaine précédente, du lundi au dimanche
+      const weekday = (new Date(`${today}T00:00:00Z`).getUTCDay() + 6) % 7;
+      const start = addDaysToDate(today, -weekday - 7);
+      return { start_date: start, end_date: addDaysToDate(start, 6) };
+    }
+    case 'last_month':
+      return { start_date: monthStart(year, month - 1), end_date: addDaysToDate(monthStart(year, month), -1) };
+    case 'last_quarter': {
+      const quarterMonth = Math.floor((month - 1) / 3) * 3 + 1;
+      return { start_date: monthStart(year, quarterMonth - 3), end_date: addDaysToDate(monthStart(year, quarterMonth), -1) };
+    }
+    case 'this_month':
+      return untilYesterday(monthStart(year, month));
+    case 'ytd':
+      return untilYesterday(`${year}-01-01`);
+    case 'last_year':
+      return { start_date: `${year - 1}-01-01`, end_date: `${year - 1}-12-31` };
+    default: {
+      // last_N_days : N jours complets jusqu'à hier
+      const days = Number(expression.match(/^last_(\d+)_days$/)[1]);
+      return { start_date: addDaysToDate(yesterday, 1 - days), end_date: yesterday };
+    }
+  }
+}
+
+// Historique des positions : série hebdomadaire (semaines ISO, datées du lundi) ou mensuelle (datée du 1er)
+export function getWeekStart(date) {
+  const day = new Date(`${date}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+  return day.toISOString().slice(0, 10);
+}
+
+export function getMonthStart(date) {
+  return `${date.slice(0, 7)}-01`;
+}
+
+export function getNextMonthStart(date) {
+  const day = new Date(`${getMonthStart(date)}T00:00:00Z`);
+  day.setUTCMonth(day.getUTCMonth() + 1);
+  return day.toISOString().slice(0, 10);
+}
+
+export function addDaysToDate(date, days) {
+  const result = new Date(`${date}T00:00:00Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().slice(0, 10);
+}
+
+// Dernier jour de données GSC : la veille
+export function getLatestDataDate() {
+  return addDaysToDate(new Date().toISOString().slice(0, 10), -1);
+}
+
+// Prompts MCP : workflows SEO récurrents
+export function formatIsoDate(date) {
+  return date.toISOString().slice(0, 10);
+}
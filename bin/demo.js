@@ -0,0 +1,498 @@
+/**
+ * Mode démo Referencime
+ * Serveur local émulant les endpoints /ai/* avec des données fictives déterministes,
+ * et enregistrement/rejeu de réponses réelles comme nouvelles fixtures
+ */
+
+import { createServer as createHttpServer } from "node:http";
+import { createHash } from "node:crypto";
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+
+export const DEMO_API_KEY = 'demo';
+
+// Date de référence fixe : les réponses ne dépendent pas du jour d'exécution
+const DEMO_TODAY = '2025-06-30';
+const DEMO_UPDATED_AT = '2025-06-30T06:00:00Z';
+
+// Site 1 : données complètes
+// Site 2 : sans Google Search Console ni spots (has_gsc_data: false, total_spots_found: 0)
+// Site 3 : ancien format de réponse (period_days, métriques sans évolution)
+const DEMO_WEBSITES = [
+  { id: 1, domain: 'atelier-menuiserie.fr', is_favorite: true, created_date: '2023-03-14', has_gsc: true },
+  { id: 2, domain: 'the-et-infusions.com', is_favorite: false, created_date: '2024-01-22', has_gsc: false },
+  { id: 3, domain: 'ancien-site-vitrine.fr', is_favorite: false, created_date: '2021-09-05', has_gsc: true, legacy: true }
+];
+
+const DEMO_CATEGORIES = {
+  1: [{ id: 11, name: 'Escaliers' }, { id: 12, name: 'Cuisines' }, { id: 13, name: 'Dressings' }],
+  2: [{ id: 21, name: 'Thés verts' }, { id: 22, name: 'Infusions' }],
+  3: [{ id: 31, name: 'Services' }]
+};
+
+// [mot-clé, catégorie, volume mensuel, position GSC (null : pas de données)]
+const DEMO_KEYWORDS = {
+  1: [
+    ['escalier bois sur mesure', 11, 2900, 6.4],
+    ['escaliers bois sur mesure', 11, 1000, 6.6],
+    ['escalier quart tournant', 11, 1600, 11.8],
+    ['rénovation escalier', 11, 1300, 4.2],
+    ['prix escalier chêne', 11, 720, 17.5],
+    ['cuisine bois massif', 12, 2400, 8.9],
+    ['menuisier cuisine sur mesure', 12, 880, 3.1],
+    ['plan de travail chêne', 12, 5400, 24.6],
+    ['dressing sur mesure', 13, 6600, 9.7],
+    ['placard sous escalier', 13, 1900, 5.5],
+    ['dressing sous pente', 13, 1000, null],
+    ['menuisier lyon', null, 1300, 2.4],
+    ['atelier menuiserie', null, 390, 1.2]
+  ],
+  2: [
+    ['thé vert bio', 21, 4400, null],
+    ['matcha cérémonie', 21, 1900, null],
+    ['infusion digestive', 22, 2900, null],
+    ['tisane sommeil', 22, 8100, null]
+  ],
+  3: [
+    ['agence web vitrine', 31, 1000, 14.2],
+    ['création site vitrine', 31, 2400, 7.8],
+    ['refonte site internet', 31, 1600, 22.1]
+  ]
+};
+
+const DEMO_PLATFORMS = {
+  1: 'Paper Club',
+  2: 'Rocket Links',
+  3: 'Getfluence'
+};
+
+// [domaine, proximité, couverture, trafic, position moyenne, mots-clés, [[plateforme, prix]]]
+const DEMO_SPOTS = [
+  ['maison-bois-magazine.fr', 91, 75, 48000, 4.8, 320, [[1, 180], [2, 210]]],
+  ['deco-interieur.net', 86, 58, 126000, 6.1, 940, [[2, 350], [3, 390]]],
+  ['blog-renovation.fr', 82, 67, 15500, 7.4, 210, [[1, 95]]],
+  ['artisans-de-france.com', 77, 42, 9200, 9.9, 130, [[3, 70], [1, 85]]],
+  ['conseils-travaux.fr', 71, 50, 31000, 8.2, 415, [[2, 140]]],
+  ['habitat-durable.org', 64, 33, 5400, 12.6, 75, [[1, 60]]]
+];
+
+const PERIOD_DAYS = { '7days': 7, '30days': 30, '90days': 90 };
+
+// Taux de clic approximatif selon la position
+function getExpectedCtr(position) {
+  if (position <= 1.5) return 0.3;
+  if (position <= 3) return 0.15;
+  if (position <= 5) return 0.08;
+  if (position <= 10) return 0.03;
+  if (position <= 20) return 0.01;
+  return 0.003;
+}
+
+function round(value, digits = 1) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function getVolumeCategory(volume) {
+  if (volume >= 5000) return 'very_high';
+  if (volume >= 1000) return 'high';
+  if (volume >= 300) return 'medium';
+  return 'low';
+}
+
+function addDays(date, days) {
+  const result = new Date(`${date}T00:00:00Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().slice(0, 10);
+}
+
+function getKeywords(websiteId) {
+  return DEMO_KEYWORDS[websiteId].map(([keyword, categoryId, searchVolume, position]) => ({
+    keyword, categoryId, searchVolume, position
+  }));
+}
+
+// Métriques GSC d'un mot-clé sur une période (la période de comparaison est légèrement moins bonne)
+function getMetrics(keyword, days, isComparePeriod = false) {
+  if (keyword.position === null) return null;
+  const position = isComparePeriod ? round(keyword.position * 1.12) : keyword.position;
+  const impressions = Math.round(keyword.searchVolume * (days / 30) * (position <= 10 ? 0.9 : 0.4) * (isComparePeriod ? 0.92 : 1));
+  const clicks = Math.round(impressions * getExpectedCtr(position));
+  return { position, clicks, impressions, ctr: impressions > 0 ? round(clicks / impressions, 4) : 0 };
+}
+
+function getPage(items, body, defaultLimit = 100) {
+  const offset = Number.isInteger(body.offset) ? body.offset : 0;
+  const limit = Number.isInteger(body.limit) ? body.limit : defaultLimit;
+  return items.slice(offset, offset + limit);
+}
+
+function getEvolution(current, compare, isPosition = false) {
+  const evolution = round(compare - current);
+  if (isPosition) {
+    return { current, compare, evolution, evolution_text: `${evolution >= 0 ? '+' : ''}${evolution}` };
+  }
+  const evolutionPercent = compare > 0 ? round(((current - compare) / compare) * 100) : null;
+  return {
+    current,
+    compare,
+    evolution: current - compare,
+    evolution_percent: evolutionPercent,
+    evolution_text: evolutionPercent === null ? null : `${evolutionPercent >= 0 ? '+' : ''}${evolutionPercent}%`
+  };
+}
+
+function summarize(keywords, days, isComparePeriod = false) {
+  const metrics = keywords.map(k => getMetrics(k, days, isComparePeriod)).filter(Boolean);
+  const clicks = metrics.reduce((sum, m) => sum + m.clicks, 0);
+  const impressions = metrics.reduce((sum, m) => sum + m.impressions, 0);
+  return {
+    clicks,
+    impressions,
+    position: metrics.length > 0 ? round(metrics.reduce((sum, m) => sum + m.position, 0) / metrics.length) : null,
+    ctr: impressions > 0 ? round(clicks / impressions, 4) : 0
+  };
+}
+
+function getSpots(websiteId) {
+  if (websiteId === 2) return [];
+  return DEMO_SPOTS.map(([domain, proximityScore, keywordsCoverage, trafficVolume, avgPosition, keywordsCount, platforms]) => ({
+    domain,
+    proximity_score: proximityScore,
+    keywords_coverage: keywordsCoverage,
+    min_price: Math.min(...platforms.map(([, price]) => price)),
+    metrics: { traffic_volume: trafficVolume, avg_position: avgPosition, keywords_count: keywordsCount },
+    platforms: platforms.map(([id, price]) => ({ id, name: DEMO_PLATFORMS[id], price }))
+  }));
+}
+
+const SPOT_SORTS = {
+  semantic_proximity: (a, b) => b.proximity_score - a.proximity_score,
+  traffic: (a, b) => b.metrics.traffic_volume - a.metrics.traffic_volume,
+  visibility: (a, b) => b.keywords_coverage - a.keywords_coverage,
+  keywords: (a, b) => b.metrics.keywords_count - a.metrics.keywords_count,
+  position: (a, b) => a.metrics.avg_position - b.metrics.avg_position,
+  price: (a, b) => a.min_price - b.min_price
+};
+
+function getMedian(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Réponses des endpoints, à partir du corps de la requête
+const DEMO_ENDPOINTS = {
+  '/ai/list-websites-by-user': (body) => ({
+    user_id: 42,
+    websites_count: DEMO_WEBSITES.length,
+    websites: getPage(DEMO_WEBSITES, body).map(({ id, domain, is_favorite, created_date }) => ({ id, domain, is_favorite, created_date }))
+  }),
+
+  '/ai/list-categories-by-website': (body, website) => {
+    const keywords = getKeywords(website.id);
+    const categories = DEMO_CATEGORIES[website.id].map(c => ({
+      ...c,
+      keywords_count: keywords.filter(k => k.categoryId === c.id).length
+    }));
+    return { website_id: website.id, categories_count: categories.length, categories: getPage(categories, body) };
+  },
+
+  '/ai/list-keywords-by-website': (body, website) => {
+    const categoryNames = Object.fromEntries(DEMO_CATEGORIES[website.id].map(c => [c.id, c.name]));
+    const keywords = getKeywords(website.id).map(k => ({
+      keyword: k.keyword,
+      category_name: categoryNames[k.categoryId] ?? null,
+      search_volume: body.include_metrics ? k.searchVolume : null
+    }));
+    return {
+      website_id: website.id,
+      keywords_count: keywords.length,
+      include_metrics: Boolean(body.include_metrics),
+      keywords: getPage(keywords, body)
+    };
+  },
+
+  // Pas de pagination côté serveur : le client découpe la liste localement
+  '/ai/list-keywords-by-categories-by-website': (body, website) => {
+    const days = body.days || 30;
+    const includePerformance = body.include_performance !== false;
+    const keywords = getKeywords(website.id);
+    const toKeyword = k => {
+      const metrics = website.has_gsc && includePerformance ? getMetrics(k, days) : null;
+      return {
+        keyword: k.keyword,
+        search_volume: k.searchVolume,
+        performance_metrics: website.has_gsc && includePerformance ? { has_data: metrics !== null, ...metrics } : null
+      };
+    };
+    const categories = DEMO_CATEGORIES[website.id].map(c => {
+      const categoryKeywords = keywords.filter(k => k.categoryId === c.id);
+      return { category_id: c.id, category_name: c.name, keywords_count: categoryKeywords.length, keywords: categoryKeywords.map(toKeyword) };
+    });
+    const uncategorized = keywords.filter(k => k.categoryId === null);
+    if (uncategorized.length > 0) {
+      categories.push({ category_id: null, category_name: null, keywords_count: uncategorized.length, keywords: uncategorized.map(toKeyword) });
+    }
+    return {
+      website_id: website.id,
+      has_gsc_data: website.has_gsc,
+      include_performance: includePerformance,
+      period_days: days,
+      summary: {
+        total_keywords: keywords.length,
+        total_categories: DEMO_CATEGORIES[website.id].length,
+        uncategorized_keywords: uncategorized.length
+      },
+      categories,
+      last_updated: DEMO_UPDATED_AT
+    };
+  },
+
+  '/ai/get-website-performance-summary': (body, website) => {
+    const days = PERIOD_DAYS[body.period] || 30;
+    const endDate = body.end_date || DEMO_TODAY;
+    const startDate = body.start_date || addDays(endDate, 1 - days);
+    const periodDays = Math.round((Date.parse(endDate) - Date.parse(startDate)) / 86400000) + 1;
+    const keywords = getKeywords(website.id);
+    const current = summarize(keywords, periodDays);
+    const distribution = { top3: 0, top10: 0, top20: 0, top50: 0, top100: 0 };
+    for (const k of keywords.filter(k => k.position !== null)) {
+      for (const top of [3, 10, 20, 50, 100]) {
+        if (k.position <= top) distribution[`top${top}`]++;
+      }
+    }
+    const topKeywords = keywords
+      .map(k => ({ keyword: k.keyword, ...getMetrics(k, periodDays) }))
+      .filter(k => k.position !== undefined)
+      .sort((a, b) => b.clicks - a.clicks)
+      .slice(0, 5)
+      .map(({ keyword, position, clicks }) => ({ keyword, position, clicks }));
+
+    if (!website.has_gsc) {
+      return {
+        website_id: website.id,
+        has_data: false,
+        period: { start_date: startDate, end_date: endDate, days: periodDays },
+        overall_metrics: { total_keywords: keywords.length }
+      };
+    }
+    if (website.legacy) {
+      return {
+        website_id: website.id,
+        has_data: true,
+        period_days: periodDays,
+        overall_metrics: {
+          total_keywords: keywords.length,
+          total_clicks: current.clicks,
+          total_impressions: current.impressions,
+          average_position: current.position,
+          average_ctr: current.ctr
+        },
+        performance_changes: { position_distribution: distribution },
+        top_performing_keywords: topKeywords
+      };
+    }
+
+    const compareEnd = body.compare_end_date || addDays(startDate, -1);
+    const compareStart = body.compare_start_date || addDays(compareEnd, 1 - periodDays);
+    const compare = summarize(keywords, periodDays, true);
+    return {
+      website_id: website.id,
+      has_data: true,
+      period: { start_date: startDate, end_date: endDate, days: periodDays },
+      compare_period: { start_date: compareStart, end_date: compareEnd, days: periodDays },
+      overall_metrics: {
+        total_keywords: keywords.length,
+        total_clicks: getEvolution(current.clicks, compare.clicks),
+        total_impressions: getEvolution(current.impressions, compare.impressions),
+        average_position: getEvolution(current.position, compare.position, true),
+        average_ctr: { ...getEvolution(current.ctr, compare.ctr), evolution_text: `${current.ctr >= compare.ctr ? '+' : ''}${round((current.ctr - compare.ctr) * 100, 2)}pt` }
+      },
+      performance_changes: { position_distribution: distribution },
+      top_performing_keywords: topKeywords,
+      categories: DEMO_CATEGORIES[website.id].map(c => {
+        const categoryKeywords = keywords.filter(k => k.categoryId === c.id);
+        const categoryCurrent = summarize(categoryKeywords, periodDays);
+        const categoryCompare = summarize(categoryKeywords, periodDays, true);
+        return {
+          category_name: c.name,
+          keywords_count: categoryKeywords.length,
+          metrics: {
+            position: {
+              current: categoryCurrent.position,
+              compare: categoryCompare.position,
+              evolution: categoryCurrent.position === null ? null : round(categoryCompare.position - categoryCurrent.position)
+            },
+            clicks: getEvolution(categoryCurrent.clicks, categoryCompare.clicks),
+            impressions: getEvolution(categoryCurrent.impressions, categoryCompare.impressions)
+          },
+          top_keywords: categoryKeywords
+            .filter(k => k.position !== null)
+            .sort((a, b) => a.position - b.position)
+            .slice(0, 3)
+            .map(k => ({ keyword: k.keyword, position: k.position }))
+        };
+      })
+    };
+  },
+
+  '/ai/get-netlinking-spots-ranking': (body, website) => {
+    const spots = getSpots(website.id)
+      .filter(s => body.min_price === undefined || s.min_price >= body.min_price)
+      .filter(s => body.max_price === undefined || s.min_price <= body.max_price)
+      .filter(s => body.platform_id === undefined || s.platforms.some(p => p.id === body.platform_id))
+      .sort(SPOT_SORTS[body.sort_by] || SPOT_SORTS.semantic_proximity)
+      .map((spot, index) => ({ rank: index + 1, ...spot }));
+    const page = getPage(spots, body, 20);
+    const prices = spots.map(s => s.min_price);
+    const filtersApplied = {};
+    if (body.category_id) filtersApplied.category = body.category_id;
+    if (body.min_price !== undefined || body.max_price !== undefined) {
+      filtersApplied.price_range = `${body.min_price ?? 0}-${body.max_price ?? '∞'}`;
+    }
+    if (body.platform_id) filtersApplied.platform_id = body.platform_id;
+    if (body.keywords) filtersApplied.keywords = body.keywords;
+    return {
+      website_id: website.id,
+      total_spots_found: spots.length,
+      spots_returned: page.length,
+      statistics: {
+        total_keywords_analyzed: getKeywords(website.id).length,
+        average_price: prices.length > 0 ? round(prices.reduce((sum, p) => sum + p, 0) / prices.length) : null,
+        median_price: getMedian(prices)
+      },
+      filters_applied: filtersApplied,
+      spots: page
+    };
+  },
+
+  '/ai/identify-netlinking-targets': (body, website) => {
+    const minPosition = body.min_position ?? 4;
+    const maxPosition = body.max_position ?? 10;
+    const minVolume = body.min_volume ?? 100;
+    const spots = getSpots(website.id);
+    const keywords = getKeywords(website.id)
+      .filter(k => k.position !== null && k.position >= minPosition && k.position <= maxPosition && k.searchVolume >= minVolume)
+      .sort((a, b) => b.searchVolume - a.searchVolume)
+      .map((k, index) => ({
+        keyword: k.keyword,
+        current_position: k.position,
+        search_volume: k.searchVolume,
+        volume_category: getVolumeCategory(k.searchVolume),
+        // Décalage par mot-clé pour varier les recommandations
+        recommended_spots: [...spots.slice(index % spots.length), ...spots.slice(0, index % spots.length)]
+          .slice(0, body.spots_per_keyword ?? 3)
+          .map(s => ({
+            domain: s.domain,
+            proximity_score: Math.max(0, s.proximity_score - index * 3),
+            min_price: s.min_price,
+            platform: s.platforms.find(p => p.price === s.min_price).name
+          }))
+      }));
+    return {
+      website_id: website.id,
+      keywords_count: keywords.length,
+      filters: { position_range: `${minPosition}-${maxPosition}`, min_volume: minVolume },
+      analysis_period: { start_date: addDays(DEMO_TODAY, -29), end_date: DEMO_TODAY, days: 30 },
+      keywords: getPage(keywords, body, 20)
+    };
+  }
+};
+
+export function getDemoResponse(endpoint, body = {}) {
+  const handler = DEMO_ENDPOINTS[endpoint];
+  if (!handler) {
+    return { status: 404, payload: { success: false, message: `Endpoint inconnu: ${endpoint}` } };
+  }
+  let website = null;
+  if (endpoint !== '/ai/list-websites-by-user') {
+    website = DEMO_WEBSITES.find(w => w.id === body.website_id);
+    if (!website) {
+      return { status: 404, payload: { success: false, message: `Site web introuvable: ${body.website_id}` } };
+    }
+  }
+  return { status: 200, payload: { success: true, data: handler(body, website) } };
+}
+
+// Fixtures enregistrées : <dossier>/<endpoint>/<empreinte de la requête>.json
+function getFixturePath(dir, endpoint, body) {
+  const request = JSON.stringify(body, Object.keys(body).sort());
+  const hash = createHash('sha256').update(request).digest('hex').slice(0, 16);
+  return path.join(dir, endpoint.replace(/^\/ai\//, ''), `${hash}.json`);
+}
+
+// Les champs sensibles sont masqués avant l'écriture sur disque
+const SENSITIVE_FIELD = /api[_-]?key|token|secret|password|authorization/i;
+
+function scrubFixture(value) {
+  if (Array.isArray(value)) {
+    return value.map(scrubFixture);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) =>
+      [key, SENSITIVE_FIELD.test(key) ? '***' : scrubFixture(item)]
+    ));
+  }
+  return value;
+}
+
+export async function recordFixture(dir, endpoint, body, response) {
+  const filePath = getFixturePath(dir, endpoint, body);
+  await mkdir(path.dirname(filePath), { recursive: true });
+  await writeFile(filePath, JSON.stringify(scrubFixture({ endpoint, request: body, response }), null, 2));
+  return filePath;
+}
+
+async function readFixture(dir, endpoint, body) {
+  try {
+    const fixture = JSON.parse(await readFile(getFixturePath(dir, endpoint, body), 'utf8'));
+    return { status: 200, payload: fixture.response };
+  } catch (error) {
+    return null;
+  }
+}
+
+// Serveur de fixtures : rejoue les réponses enregistrées, sinon les données de démo intégrées
+export function startDemoServer({ port = 0, host = '127.0.0.1', fixturesDir = null } = {}) {
+  const server = createHttpServer(async (req, res) => {
+    const send = (status, payload) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(payload));
+    };
+
+    if (!/^Bearer\s+\S+/i.test(req.headers.authorization || '')) {
+      send(401, { success: false, message: 'Clé API manquante' });
+      return;
+    }
+    if (req.method !== 'POST') {
+      send(405, { success: false, message: 'Méthode non autorisée' });
+      return;
+    }
+
+    const endpoint = new URL(req.url, 'http://localhost').pathname;
+    let body;
+    try {
+      const chunks = [];
+      for await (const chunk of req) {
+        chunks.push(chunk);
+      }
+      body = chunks.length > 0 ? JSON.parse(Buffer.concat(chunks).toString('utf8')) : {};
+    } catch (error) {
+      send(400, { success: false, message: 'Corps JSON invalide' });
+      return;
+    }
+
+    const { status, payload } = (fixturesDir && await readFixture(fixturesDir, endpoint, body)) || getDemoResponse(endpoint, body);
+    send(status, payload);
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      const address = server.address();
+      resolve({ server, url: `http://${host}:${address.port}` });
+    });
+  });
+}
@@ -0,0 +1,134 @@
+/**
+ * Erreurs typées
+ * Code stable et action suggérée par type d'erreur, conversion en erreurs JSON-RPC
+ */
+
+import { ErrorCode, McpError } from "@modelcontextprotocol/sdk/types.js";
+import { MESSAGES } from "./messages.js";
+import { translate } from "./i18n.js";
+
+// Erreurs typées : chaque classe porte un code stable et une action suggérée
+// Le message et l'action sont des clés du catalogue, rendues en français pour les journaux
+export class ReferencimeError extends Error {
+  constructor(messageKey, {
+    params = {},
+    code = 'UNKNOWN_ERROR',
+    hintKey = `hints.${code}`,
+    hintParams = {},
+    status = null,
+    retryable = false,
+    retryAfterMs = null
+  } = {}) {
+    super(translate('fr', messageKey, params));
+    this.name = this.constructor.name;
+    this.messageKey = messageKey;
+    this.params = params;
+    this.code = code;
+    this.hintKey = hintKey && MESSAGES.fr[hintKey] ? hintKey : null;
+    this.hintParams = hintParams;
+    this.hint = this.hintKey ? translate('fr', this.hintKey, hintParams) : null;
+    this.status = status;
+    this.retryable = retryable;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+export class ConfigurationError extends ReferencimeError {
+  constructor(messageKey, params, { code = 'CONFIGURATION_ERROR', hintKey, hintParams } = {}) {
+    super(messageKey, { params, code, hintKey, hintParams });
+  }
+}
+
+export class InvalidArgumentsError extends ReferencimeError {
+  constructor(messageKey, params) {
+    super(messageKey, { params, code: 'INVALID_ARGUMENTS' });
+  }
+}
+
+export class UnknownToolError extends ReferencimeError {
+  constructor(toolName) {
+    super('errors.unknownTool', { params: { tool: toolName }, code: 'UNKNOWN_TOOL' });
+  }
+}
+
+export class AuthenticationError extends ReferencimeError {
+  constructor(messageKey, params) {
+    super(messageKey, { params, code: 'INVALID_API_KEY', status: 401 });
+  }
+}
+
+export class PermissionError extends ReferencimeError {
+  constructor(messageKey, params) {
+    super(messageKey, { params, code: 'FORBIDDEN', status: 403 });
+  }
+}
+
+export class NotFoundError extends ReferencimeError {
+  constructor(messageKey, params) {
+    super(messageKey, { params, code: 'NOT_FOUND', status: 404 });
+  }
+}
+
+export class RateLimitError extends ReferencimeError {
+  constructor(messageKey, params, retryAfterMs) {
+    super(messageKey, {
+      params,
+      code: 'RATE_LIMITED',
+      status: 429,
+      retryable: true,
+      retryAfterMs,
+      hintKey: retryAfterMs ? 'hints.RATE_LIMITED_AFTER' : 'hints.RATE_LIMITED',
+      hintParams: { seconds: Math.ceil((retryAfterMs || 0) / 1000) }
+    });
+  }
+}
+
+export class ServerError extends ReferencimeError {
+  constructor(messageKey, params, status) {
+    super(messageKey, { params, code: 'SERVER_ERROR', status, retryable: true });
+  }
+}
+
+export class TimeoutError extends ReferencimeError {
+  constructor(messageKey, params) {
+    super(messageKey, { params, code: 'TIMEOUT', retryable: true });
+  }
+}
+
+export class NetworkError extends ReferencimeError {
+  constructor(messageKey, params) {
+    super(messageKey, { params, code: 'NETWORK_ERROR', retryable: true });
+  }
+}
+
+export class InvalidResponseError extends ReferencimeError {
+  constructor(messageKey, params) {
+    super(messageKey, { params, code: 'INVALID_RESPONSE' });
+  }
+}
+
+// Annulation demandée par le client MCP (notifications/cancelled)
+export class CancelledError extends ReferencimeError {
+  constructor() {
+    super('errors.cancelled', { code: 'CANCELLED' });
+  }
+}
+
+// Message et action d'une erreur dans la langue de l'appel
+export function describeError(error, i18n) {
+  if (!(error instanceof ReferencimeError)) {
+    return { code: 'INTERNAL_ERROR', message: error instanceof Error ? error.message : String(error), hint: null };
+  }
+  return {
+    code: error.code,
+    message: i18n.t(error.messageKey, error.params),
+    hint: error.hintKey ? i18n.t(error.hintKey, error.hintParams) : null
+  };
+}
+
+// Conversion des erreurs Referencime en erreurs JSON-RPC pour les ressources, dans la langue du serveur
+export function toMcpError(error, i18n) {
+  if (error instanceof McpError) return error;
+  const { code, message, hint } = describeError(error, i18n);
+  return new McpError(ErrorCode.InternalError, `[${code}] ${message}${hint ? ` - ${hint}` : ''}`, { code });
+}
@@ -0,0 +1,17 @@
+/**
+ * Export CSV
+ */
+
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n\r;]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(rows, columns) {
+  const lines = [columns.join(',')];
+  rows.forEach(row => {
+    lines.push(columns.map(column => escapeCsvValue(row[column])).join(','));
+  });
+  return lines.join('\n') + '\n';
+}
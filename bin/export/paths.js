@@ -0,0 +1,25 @@
+/**
+ * Fichiers exportés
+ * Chemins résolus dans le dossier d'export, jamais en dehors
+ */
+
+import path from "node:path";
+import { loadConfig } from "../config.js";
+import { InvalidArgumentsError } from "../errors.js";
+import { expandHome } from "../utils.js";
+
+// Dossier d'export : REFERENCIME_EXPORT_DIR, puis export_dir de la configuration
+async function getExportDir() {
+  const config = await loadConfig();
+  return path.resolve(expandHome(process.env.REFERENCIME_EXPORT_DIR || config.export_dir || '~/referencime-exports'));
+}
+
+export async function resolveExportPath(outputPath, format) {
+  const exportDir = await getExportDir();
+  const withExtension = path.extname(outputPath) ? outputPath : `${outputPath}.${format}`;
+  const filePath = path.resolve(exportDir, withExtension);
+  if (filePath !== exportDir && !filePath.startsWith(exportDir + path.sep)) {
+    throw new InvalidArgumentsError('errors.exportOutsideDir', { dir: exportDir, path: outputPath });
+  }
+  return filePath;
+}
@@ -0,0 +1,207 @@
+/**
+ * Historique des positions
+ * Fenêtres glissantes de list_keywords_by_categories_by_website, séries et statistiques
+ */
+
+import { fetchAllPages } from "./api.js";
+import {
+  addDaysToDate,
+  getLatestDataDate,
+  getMonthStart,
+  getNextMonthStart,
+  getRangeDays,
+  getWeekStart,
+} from "./dates.js";
+import { InvalidArgumentsError } from "./errors.js";
+import { ListKeywordsByCategoriesByWebsiteOutputSchema } from "./schemas.js";
+import { mapWithConcurrency, roundTo } from "./utils.js";
+
+// Tendance par régression linéaire, volatilité par écart type des positions
+// Les points approximatifs sont exclus des positions, de la tendance et de la volatilité
+export function getHistoryStats(series) {
+  const ranked = series.map((point, index) => ({ index, position: point.approximate ? null : point.position })).filter(p => p.position !== null);
+  const positions = ranked.map(p => p.position);
+  const stats = {
+    points: series.length,
+    min_position: null,
+    max_position: null,
+    first_position: null,
+    last_position: null,
+    average_position: null,
+    trend: 'unknown',
+    trend_change: null,
+    volatility: null,
+    total_clicks: series.reduce((sum, p) => sum + p.clicks, 0),
+    total_impressions: series.reduce((sum, p) => sum + p.impressions, 0)
+  };
+  if (ranked.length === 0) return stats;
+
+  const average = positions.reduce((sum, p) => sum + p, 0) / positions.length;
+  stats.min_position = Math.min(...positions);
+  stats.max_position = Math.max(...positions);
+  stats.first_position = positions[0];
+  stats.last_position = positions[positions.length - 1];
+  stats.average_position = roundTo(average);
+  stats.volatility = roundTo(Math.sqrt(positions.reduce((sum, p) => sum + (p - average) ** 2, 0) / positions.length));
+  if (ranked.length < 2) return stats;
+
+  const meanIndex = ranked.reduce((sum, p) => sum + p.index, 0) / ranked.length;
+  const covariance = ranked.reduce((sum, p) => sum + (p.index - meanIndex) * (p.position - average), 0);
+  const variance = ranked.reduce((sum, p) => sum + (p.index - meanIndex) ** 2, 0);
+  const slope = variance > 0 ? covariance / variance : 0;
+  stats.trend_change = roundTo(-slope * (ranked[ranked.length - 1].index - ranked[0].index));
+  stats.trend = Math.abs(stats.trend_change) < 0.5 ? 'stable' : stats.trend_change > 0 ? 'improving' : 'declining';
+  return stats;
+}
+
+// Sparkline : barre haute = meilleure position, · = pas de donnée, ~ = position approximative
+const SPARKLINE_BARS = '▁▂▃▄▅▆▇█';
+
+export function renderSparkline(series, { min_position: best, max_position: worst }) {
+  return series.map(({ position, approximate }) => {
+    if (position === null) return '·';
+    if (approximate) return '~';
+    if (worst === best) return SPARKLINE_BARS[3];
+    return SPARKLINE_BARS[Math.round(((worst - position) / (worst - best)) * (SPARKLINE_BARS.length - 1))];
+  }).join('');
+}
+
+// Métriques d'une plage de dates quelconque, sans endpoint d'historique : list_keywords_by_categories_by_website
+// ne renvoie que des cumuls sur les `days` derniers jours (480 au plus, jusqu'à hier). Les métriques du
+// start_date au end_date sont la différence entre la fenêtre qui commence à start_date et celle qui commence
+// le lendemain de end_date ; chaque borne coûte un appel, partagé entre plages contiguës et mis en cache.
+// Clics et impressions sont exacts ; la position ne l'est pas, l'API l'arrondissant au dixième dans chaque fenêtre.
+export const MAX_WINDOW_DAYS = 480;
+const WINDOW_CONCURRENCY = 4;
+// Chaque point de série coûte une fenêtre complète : au-delà, granularité mensuelle
+export const MAX_SERIES_POINTS = 26;
+// Arrondi des positions renvoyées par l'API (au dixième)
+export const POSITION_ROUNDING = 0.05;
+// Au-delà de cet écart possible, la position d'un point est signalée approximative
+const MAX_POSITION_ERROR = 0.5;
+
+// Cumul de chaque mot-clé suivi (clé en minuscules) sur les `days` derniers jours
+export async function fetchKeywordWindow(websiteId, days, forceRefresh, context) {
+  const metricsByKeyword = new Map();
+  if (days === 0) return metricsByKeyword;
+  const { categories } = await fetchAllPages('list_keywords_by_categories_by_website', ListKeywordsByCategoriesByWebsiteOutputSchema, {
+    website_id: websiteId, include_performance: true, days, limit: 500, force_refresh: forceRefresh
+  }, context);
+  for (const { keyword, performance_metrics: metrics } of categories.flatMap(category => category.keywords)) {
+    const hasData = Boolean(metrics?.has_data);
+    metricsByKeyword.set(keyword.toLowerCase(), {
+      keyword,
+      position: hasData ? metrics.position ?? null : null,
+      clicks: hasData ? metrics.clicks ?? 0 : 0,
+      impressions: hasData ? metrics.impressions ?? 0 : 0
+    });
+  }
+  return metricsByKeyword;
+}
+
+// Différence entre une fenêtre et la fenêtre plus courte qu'elle contient : clics et impressions se soustraient,
+// la position (moyenne pondérée par les impressions, comme dans Search Console) se déduit des sommes position × impressions.
+// L'arrondi de chaque fenêtre est multiplié par ses impressions : position_error borne l'écart qui en résulte,
+// d'autant plus grand que la plage pèse peu dans les fenêtres.
+function subtractWindow(longer, shorter) {
+  const weighted = metrics => (metrics && metrics.position !== null ? metrics.position * metrics.impressions : 0);
+  const clicks = Math.max(0, longer.clicks - (shorter?.clicks ?? 0));
+  const impressions = Math.max(0, longer.impressions - (shorter?.impressions ?? 0));
+  if (longer.position === null || impressions === 0) {
+    return { position: null, position_error: null, clicks, impressions, ctr: impressions > 0 ? roundTo(clicks / impressions, 4) : null };
+  }
+  const shorterImpressions = shorter?.position !== null ? shorter?.impressions ?? 0 : 0;
+  return {
+    position: roundTo((weighted(longer) - weighted(shorter)) / impressions),
+    position_error: roundTo(POSITION_ROUNDING * (longer.impressions + shorterImpressions) / impressions, 2),
+    clicks,
+    impressions,
+    ctr: roundTo(clicks / impressions, 4)
+  };
+}
+
+// Métriques par mot-clé (clé en minuscules) pour chaque plage { start_date, end_date }
+async function fetchRangeMetrics(websiteId, ranges, forceRefresh, context) {
+  const latest = getLatestDataDate();
+  const earliest = addDaysToDate(latest, 1 - MAX_WINDOW_DAYS);
+  const start = ranges.map(range => range.start_date).sort()[0];
+  const end = ranges.map(range => range.end_date).sort().pop();
+  if (start < earliest || end > latest) {
+    throw new InvalidArgumentsError('errors.periodOutOfWindow', { start, end, earliest, latest });
+  }
+  const bounds = ranges.map(range => ({ longer: getRangeDays(range.start_date, latest), shorter: getRangeDays(range.end_date, latest) - 1 }));
+  const lengths = [...new Set(bounds.flatMap(({ longer, shorter }) => [longer, shorter]))];
+  const windows = await mapWithConcurrency(lengths, WINDOW_CONCURRENCY, days => fetchKeywordWindow(websiteId, days, forceRefresh, context));
+  const windowByLength = new Map(lengths.map((days, index) => [days, windows[index]]));
+  return bounds.map(({ longer, shorter }) => {
+    const remainder = windowByLength.get(shorter);
+    return new Map([...windowByLength.get(longer)].map(([key, metrics]) => [
+      key,
+      { keyword: metrics.keyword, ...subtractWindow(metrics, remainder.get(key)) }
+    ]));
+  });
+}
+
+// Points de la série : un par semaine ISO ou par mois, bornés à la période
+export function getSeriesRanges({ start_date: start, end_date: end }, granularity) {
+  const ranges = [];
+  for (let date = start; date <= end;) {
+    const next = granularity === 'month' ? getNextMonthStart(date) : addDaysToDate(getWeekStart(date), 7);
+    const last = addDaysToDate(next, -1);
+    ranges.push({ date: granularity === 'month' ? getMonthStart(date) : getWeekStart(date), start_date: date, end_date: last < end ? last : end });
+    date = next;
+  }
+  return ranges;
+}
+
+// Séries de position, clics et impressions des mots-clés suivis (clé en minuscules)
+export async function fetchKeywordSeries(websiteId, period, granularity, forceRefresh, context) {
+  const ranges = getSeriesRanges(period, granularity);
+  const metrics = await fetchRangeMetrics(websiteId, ranges, forceRefresh, context);
+  const toPoint = (date, point) => ({
+    date,
+    position: point?.position ?? null,
+    position_error: point?.position_error ?? null,
+    approximate: (point?.position_error ?? 0) > MAX_POSITION_ERROR,
+    clicks: point?.clicks ?? 0,
+    impressions: point?.impressions ?? 0
+  });
+  const keys = new Set(metrics.flatMap(rangeMetrics => [...rangeMetrics.keys()]));
+  return {
+    dates: ranges.map(range => range.date),
+    keywords: new Map([...keys].map(key => [key, {
+      keyword: metrics.find(rangeMetrics => rangeMetrics.has(key)).get(key).keyword,
+      series: ranges.map((range, index) => toPoint(range.date, metrics[index].get(key)))
+    }]))
+  };
+}
+
+export function getMetricDeltas(current, compare) {
+  const difference = (a, b) => (a === null || b === null ? null : roundTo(a - b, 4));
+  return {
+    // Positif : positions gagnées
+    position: difference(compare.position, current.position),
+    clicks: current.clicks - compare.clicks,
+    impressions: current.impressions - compare.impressions,
+    ctr: difference(current.ctr, compare.ctr)
+  };
+}
+
+// Les `days` derniers jours jusqu'à hier et les `days` jours précédents, par mot-clé (clé en minuscules), en deux
+// fenêtres : la période courante est la fenêtre de days jours telle que l'API la renvoie, la précédente la différence
+// entre les fenêtres de 2 × days et days jours. Une seule soustraction de fenêtres de poids comparables : l'écart
+// de position reste de l'ordre du dixième, signalé par approximate s'il dépasse MAX_POSITION_ERROR.
+export async function fetchConsecutivePeriods(websiteId, days, forceRefresh, context) {
+  const latest = getLatestDataDate();
+  const [recent, double] = await mapWithConcurrency([days, 2 * days], 2, windowDays => fetchKeywordWindow(websiteId, windowDays, forceRefresh, context));
+  const toPeriodMetrics = (metrics, shorter) => {
+    const periodMetrics = subtractWindow(metrics, shorter);
+    return { keyword: metrics.keyword, ...periodMetrics, approximate: (periodMetrics.position_error ?? 0) > MAX_POSITION_ERROR };
+  };
+  return {
+    period: { start_date: addDaysToDate(latest, 1 - days), end_date: latest, days },
+    compare_period: { start_date: addDaysToDate(latest, 1 - 2 * days), end_date: addDaysToDate(latest, -days), days },
+    current: new Map([...recent].map(([key, metrics]) => [key, toPeriodMetrics(metrics)])),
+    previous: new Map([...double].map(([key, metrics]) => [key, toPeriodMetrics(metrics, recent.get(key))]))
+  };
+}
@@ -0,0 +1,185 @@
+/**
+ * Mode serveur HTTP
+ * Transport Streamable HTTP multi-sessions, une clé API par session
+ */
+
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { isInitializeRequest } from "@modelcontextprotocol/sdk/types.js";
+import { createServer as createHttpServer } from "node:http";
+import { randomUUID } from "node:crypto";
+import { getServerTranslator } from "./config.js";
+import { registerSecret } from "./logging.js";
+import { loadPlugins } from "./plugins.js";
+import { toolRegistry } from "./registry.js";
+import { createServer } from "./server.js";
+import { SERVER_VERSION } from "./version.js";
+
+// Extraction de la clé API depuis l'en-tête Authorization: Bearer <clé>
+function getBearerToken(req) {
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+  return match ? match[1].trim() : null;
+}
+
+function sendJsonRpcError(res, status, message, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify({ jsonrpc: '2.0', error: { code: -32000, message }, id: null }));
+}
+
+async function readJsonBody(req) {
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(chunk);
+  }
+  return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+}
+
+export const DEFAULT_SESSION_TIMEOUT_MINUTES = 30;
+
+// Sessions HTTP ouvertes : une session sans requête depuis idleTimeoutMs est fermée par sweep(),
+// sauf si une requête (flux SSE compris) est encore en cours
+export function createSessionStore({ idleTimeoutMs, now = Date.now }) {
+  const sessions = new Map();
+  return {
+    get size() {
+      return sessions.size;
+    },
+    add(id, transport, apiKey) {
+      sessions.set(id, { transport, apiKey, lastActivity: now(), activeRequests: 0 });
+    },
+    get(id) {
+      return sessions.get(id);
+    },
+    delete(id) {
+      return sessions.delete(id);
+    },
+    // Marque la session active jusqu'à la fin de la réponse
+    track(session, res) {
+      session.activeRequests++;
+      session.lastActivity = now();
+      res.once('close', () => {
+        session.activeRequests--;
+        session.lastActivity = now();
+      });
+    },
+    async sweep() {
+      const expired = [...sessions].filter(([, session]) => session.activeRequests === 0 && now() - session.lastActivity >= idleTimeoutMs);
+      for (const [id, session] of expired) {
+        sessions.delete(id);
+        console.error(`[Referencime MCP] 🔌 Session expirée: ${id} (${sessions.size} active(s))`);
+        await session.transport.close().catch(() => {});
+      }
+      return expired.length;
+    },
+    async closeAll() {
+      const transports = [...sessions.values()].map(session => session.transport);
+      sessions.clear();
+      await Promise.all(transports.map(transport => transport.close().catch(() => {})));
+    }
+  };
+}
+
+// Lancement du serveur en mode Streamable HTTP (multi-sessions, une clé API par session)
+export async function runHttpServer({ port, host, sessionTimeoutMinutes }) {
+  const idleTimeoutMs = sessionTimeoutMinutes * 60000;
+  const sessions = createSessionStore({ idleTimeoutMs });
+  // Vérification toutes les minutes au plus, sans retenir le processus à l'arrêt
+  setInterval(() => sessions.sweep(), Math.min(idleTimeoutMs, 60000)).unref();
+
+  const httpServer = createHttpServer(async (req, res) => {
+    const { t } = await getServerTranslator();
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (pathname !== '/mcp') {
+      sendJsonRpcError(res, 404, t('http.unknownEndpoint'));
+      return;
+    }
+
+    const apiKey = getBearerToken(req);
+    registerSecret(apiKey);
+    if (!apiKey) {
+      sendJsonRpcError(res, 401, t('http.missingApiKey'), {
+        'WWW-Authenticate': 'Bearer'
+      });
+      return;
+    }
+    // Transmis aux handlers via extra.authInfo
+    req.auth = { token: apiKey, clientId: 'referencime', scopes: [] };
+
+    try {
+      const sessionId = req.headers['mcp-session-id'];
+      if (sessionId) {
+        const session = sessions.get(sessionId);
+        if (!session) {
+          sendJsonRpcError(res, 404, t('http.unknownSession', { session: sessionId }));
+          return;
+        }
+        // Une session reste liée à la clé qui l'a ouverte
+        if (session.apiKey !== apiKey) {
+          sendJsonRpcError(res, 403, t('http.sessionKeyMismatch'));
+          return;
+        }
+        sessions.track(session, res);
+        await session.transport.handleRequest(req, res);
+        return;
+      }
+
+      if (req.method !== 'POST') {
+        sendJsonRpcError(res, 400, t('http.sessionIdRequired'));
+        return;
+      }
+
+      let body;
+      try {
+        body = await readJsonBody(req);
+      } catch (error) {
+        sendJsonRpcError(res, 400, t('http.invalidJson'));
+        return;
+      }
+      if (!isInitializeRequest(body)) {
+        sendJsonRpcError(res, 400, t('http.noSession'));
+        return;
+      }
+
+      const transport = new StreamableHTTPServerTransport({
+        sessionIdGenerator: () => randomUUID(),
+        onsessioninitialized: (id) => {
+          sessions.add(id, transport, apiKey);
+          console.error(`[Referencime MCP] 🔌 Session ouverte: ${id} (${sessions.size} active(s))`);
+        }
+      });
+      // Fermeture par le client (DELETE), par l'expiration ou à l'arrêt : la session et sa clé sont oubliées
+      transport.onclose = () => {
+        if (transport.sessionId && sessions.delete(transport.sessionId)) {
+          console.error(`[Referencime MCP] 🔌 Session fermée: ${transport.sessionId} (${sessions.size} active(s))`);
+        }
+      };
+
+      await createServer().connect(transport);
+      await transport.handleRequest(req, res, body);
+    } catch (error) {
+      console.error("[Referencime MCP] ❌ Erreur HTTP:", error.message);
+      if (!res.headersSent) {
+        sendJsonRpcError(res, 500, t('http.internalError'));
+      }
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(port, host, resolve);
+  });
+
+  console.error(`[Referencime MCP] 🚀 Serveur MCP Referencime v${SERVER_VERSION} (Streamable HTTP)`);
+  console.error(`[Referencime MCP] ✅ En écoute sur http://${host}:${port}/mcp`);
+  await loadPlugins();
+  console.error(`[Referencime MCP] 🛠️  ${toolRegistry.size} outils d'analyse SEO disponibles`);
+  console.error("[Referencime MCP] 🔑 Chaque session doit fournir sa clé API : Authorization: Bearer <clé>");
+  console.error(`[Referencime MCP] ⏱️  Sessions fermées après ${sessionTimeoutMinutes} min d'inactivité`);
+
+  const shutdown = async () => {
+    console.error("[Referencime MCP] 👋 Arrêt du serveur HTTP...");
+    await sessions.closeAll();
+    httpServer.close(() => process.exit(0));
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
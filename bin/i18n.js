@@ -0,0 +1,44 @@
+/**
+ * Localisation
+ * Catalogue de messages par langue (messages.js), formats de nombres et de dates selon la locale
+ */
+
+import { MESSAGES } from "./messages.js";
+
+const DEFAULT_LOCALE = 'fr-FR';
+const DEFAULT_REGIONS = { fr: 'fr-FR', en: 'en-US' };
+
+export function translate(language, key, params = {}) {
+  const template = MESSAGES[language]?.[key] ?? MESSAGES.fr[key] ?? key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] ?? match).toString());
+}
+
+// Locale : argument lang de l'outil, puis locale du profil, puis REFERENCIME_LOCALE
+export function resolveLocale(lang, profileLocale) {
+  const requested = lang || profileLocale || process.env.REFERENCIME_LOCALE || DEFAULT_LOCALE;
+  const language = requested.split(/[-_]/)[0].toLowerCase();
+  if (!MESSAGES[language]) return DEFAULT_LOCALE;
+  if (requested.length === language.length) return DEFAULT_REGIONS[language];
+  try {
+    return Intl.getCanonicalLocales(requested.replace('_', '-'))[0];
+  } catch (error) {
+    return DEFAULT_REGIONS[language];
+  }
+}
+
+export function createTranslator(locale = DEFAULT_LOCALE) {
+  const language = locale.split('-')[0];
+  const toDate = value => (value instanceof Date ? value : new Date(value));
+  return {
+    locale,
+    language,
+    t: (key, params) => translate(language, key, params),
+    number: value => Number(value).toLocaleString(locale),
+    decimal: (value, digits = 1) => Number(value).toLocaleString(locale, { minimumFractionDigits: digits, maximumFractionDigits: digits }),
+    percent: (ratio, digits = 1) => Number(ratio).toLocaleString(locale, { style: 'percent', minimumFractionDigits: digits, maximumFractionDigits: digits }),
+    currency: value => Number(value).toLocaleString(locale, { style: 'currency', currency: 'EUR', minimumFractionDigits: Number.isInteger(Number(value)) ? 0 : 2 }),
+    date: value => toDate(value).toLocaleDateString(locale, { dateStyle: 'medium', timeZone: 'UTC' }),
+    evolution: percentage => Number(percentage / 100).toLocaleString(locale, { style: 'percent', signDisplay: 'exceptZero', minimumFractionDigits: 1, maximumFractionDigits: 1 }),
+    dateTime: value => toDate(value).toLocaleString(locale, { dateStyle: 'medium', timeStyle: 'short' })
+  };
+}
@@ -0,0 +1,63 @@
+/**
+ * Journalisation
+ * Masquage des clés API dans console.error et journal structuré en lignes JSON
+ */
+
+import { appendFile, mkdir } from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { format } from "node:util";
+import { expandHome } from "./utils.js";
+
+// Masquage des secrets (clés API) dans toute la sortie console.error
+const knownSecrets = new Set();
+
+export function registerSecret(secret) {
+  if (secret && secret.length >= 4) {
+    knownSecrets.add(secret);
+  }
+}
+
+export function redactSecrets(text) {
+  let redacted = text;
+  for (const secret of knownSecrets) {
+    redacted = redacted.split(secret).join('***');
+  }
+  return redacted;
+}
+
+const writeConsoleError = console.error.bind(console);
+console.error = (...args) => writeConsoleError(redactSecrets(format(...args)));
+
+// Journal structuré (lignes JSON) : REFERENCIME_LOG=error|info|debug, fichier REFERENCIME_LOG_FILE
+const LOG_LEVELS = { error: 0, info: 1, debug: 2 };
+let logWrites = Promise.resolve();
+let logFailureReported = false;
+
+export function getLogLevel() {
+  const level = (process.env.REFERENCIME_LOG || '').toLowerCase();
+  return level in LOG_LEVELS ? level : null;
+}
+
+export function getLogFile() {
+  return expandHome(process.env.REFERENCIME_LOG_FILE || path.join(os.homedir(), '.referencime', 'referencime-mcp.log'));
+}
+
+// Écritures en file pour conserver l'ordre des lignes ; un journal inaccessible ne bloque jamais un appel
+export function logEvent(level, event) {
+  const currentLevel = getLogLevel();
+  if (!currentLevel || LOG_LEVELS[level] > LOG_LEVELS[currentLevel]) return;
+  const line = redactSecrets(JSON.stringify({ time: new Date().toISOString(), level, ...event })) + '\n';
+  const logFile = getLogFile();
+  logWrites = logWrites
+    .then(async () => {
+      await mkdir(path.dirname(logFile), { recursive: true });
+      await appendFile(logFile, line);
+    })
+    .catch(error => {
+      if (!logFailureReported) {
+        logFailureReported = true;
+        console.error(`[Referencime MCP] ⚠️ Écriture du journal impossible (${logFile}): ${error.message}`);
+      }
+    });
+}
@@ -0,0 +1,1100 @@
+/**
+ * Catalogue des messages du serveur MCP Referencime
+ * Une entrée par langue ; les paramètres sont notés {nom}
+ */
+
+export const MESSAGES = {
+  fr: {
+    // Commun
+    'common.na': 'N/A',
+    'common.none': 'Aucun',
+    'common.noneFeminine': 'Aucune',
+    'common.days': '{days} jours',
+    'common.keywordsCount': '{count} mots-clés',
+    'common.uncategorized': 'Non catégorisé',
+    'common.unnamed': 'Sans nom',
+    'common.error': '❌ **Erreur [{code}]**: {message}',
+    'common.errorAction': '💡 **Action :** {hint}',
+    'common.dateRange': '🗓️ **Période demandée :** {expression} → du {start} au {end} ({days} jours)',
+
+    // Erreurs
+    'errors.invalidArguments': 'Arguments invalides pour {tool}: {details}',
+    'errors.unknownTool': 'Outil inconnu: {tool}',
+    'errors.missingApiKey': '{env} non configuré. Ajoutez votre clé API dans la configuration Claude Desktop.',
+    'errors.emptyApiKey': 'Clé API vide pour le profil {profile}.',
+    'errors.configRead': 'Lecture de la configuration impossible ({path}): {details}',
+    'errors.configJson': 'Configuration JSON invalide ({path}): {details}',
+    'errors.configInvalid': 'Configuration invalide ({path}): {details}',
+    'errors.unknownProfile': 'Profil inconnu: {profile}',
+    'errors.profileNotAllowed': 'Profil non autorisé en mode serveur HTTP: {profile}',
+    'errors.apiKeyFile': 'Lecture du fichier de clé API impossible ({path}): {details}',
+    'errors.apiKeyCommand': 'La commande de clé API a échoué: {details}',
+    'errors.http': 'Erreur API WordPress: {status} {statusText}',
+    'errors.httpWithMessage': 'Erreur API WordPress: {status} {statusText} - {message}',
+    'errors.timeout': 'Délai dépassé après {ms} ms',
+    'errors.network': 'Erreur réseau: {details}',
+    'errors.unreadableResponse': 'Réponse API illisible: {details}',
+    'errors.apiFailure': 'Erreur dans la réponse API: {message}',
+    'errors.unknownApiFailure': 'Erreur inconnue',
+    'errors.unexpectedResponse': 'Réponse API inattendue pour {tool}: {details}',
+    'errors.invalidCursor': 'Curseur de pagination invalide: {cursor}',
+    'errors.periodOutOfWindow': 'Période du {start} au {end} hors des données disponibles : du {earliest} au {latest} (480 derniers jours jusqu\'à hier)',
+    'errors.seriesTooLong': 'Série limitée à {max} points ({points} demandés) : utilisez granularity="month" ou une période plus courte',
+    'errors.websiteNotFound': 'Aucun site ne correspond à "{website}" dans ce compte. Sites proches : {sites}',
+    'errors.websiteNotFoundNoMatch': 'Aucun site ne correspond à "{website}" dans ce compte. Sites disponibles : {sites}',
+    'errors.websiteRequired': 'Aucun site favori dans ce compte : précisez website_id ou website. Sites disponibles : {sites}',
+    'errors.cliUnknownOption': 'Option inconnue pour {tool}: {option} (voir referencime-mcp call {tool} --help)',
+    'errors.cliMissingValue': 'Valeur manquante pour {option}',
+    'errors.cliInvalidJson': 'JSON invalide pour {option}: {details}',
+    'errors.cliArgsObject': '--args doit être un objet JSON (ex. \'{"website_id": 1}\')',
+    'errors.cliUnexpectedArgument': 'Argument inattendu: {argument} (format attendu : --<argument> <valeur>)',
+    'errors.cancelled': 'Appel annulé par le client',
+    'errors.shortlistInvalid': 'Fichier de shortlist illisible ({path}) : {details}',
+    'errors.exportOutsideDir': 'Le chemin d\'export doit rester dans le dossier {dir}: {path}',
+    'errors.exportExists': 'Le fichier existe déjà: {path} (utilisez overwrite=true pour le remplacer)',
+    'errors.snapshotNotFound': 'Aucun instantané enregistré le {date} (disponibles : {available})',
+    'errors.notEnoughSnapshots': 'Au moins deux instantanés sont nécessaires pour le site {id} ({count} enregistré(s)) : appelez list_keywords_by_categories_by_website à des dates différentes ou utilisez source="periods"',
+
+    // Actions suggérées
+    'hints.CONFIGURATION_ERROR': 'Vérifiez le fichier de configuration Referencime (profils, source de la clé API).',
+    'hints.MISSING_API_KEY': 'Ajoutez REFERENCIME_API_KEY dans la configuration de votre client MCP (ou une source api_key dans votre profil) puis redémarrez-le.',
+    'hints.UNKNOWN_PROFILE': 'Profils disponibles : {profiles}.',
+    'hints.NO_PROFILES': 'Aucun profil n\'est défini dans le fichier de configuration.',
+    'hints.PROFILE_NOT_ALLOWED': 'Profils autorisés sur ce serveur : {profiles}. Retirez l\'argument profile pour utiliser le profil du serveur.',
+    'hints.NO_SERVE_PROFILES': 'Ce serveur n\'expose aucun profil : retirez l\'argument profile (l\'opérateur peut en autoriser avec serve_profiles dans le fichier de configuration).',
+    'hints.INVALID_ARGUMENTS': 'Corrigez les arguments de l\'outil en vous référant à son schéma puis relancez l\'appel.',
+    'hints.UNKNOWN_TOOL': 'Listez les outils disponibles et utilisez l\'un de leurs noms.',
+    'hints.INVALID_API_KEY': 'La clé API est refusée : vérifiez-la dans votre profil referencime.fr (section API) puis mettez à jour la configuration.',
+    'hints.FORBIDDEN': 'Ce compte n\'a pas accès à cette ressource : vérifiez le website_id avec list_websites_by_user.',
+    'hints.NOT_FOUND': 'Ressource introuvable : vérifiez le website_id avec list_websites_by_user.',
+    'hints.RATE_LIMITED': 'Trop de requêtes : patientez quelques instants avant de réessayer.',
+    'hints.RATE_LIMITED_AFTER': 'Trop de requêtes : réessayez dans {seconds} secondes.',
+    'hints.SERVER_ERROR': 'Le service Referencime rencontre un problème temporaire : réessayez plus tard.',
+    'hints.TIMEOUT': 'L\'API n\'a pas répondu à temps : réessayez, éventuellement avec des filtres plus restrictifs, ou augmentez REFERENCIME_TIMEOUT_MS.',
+    'hints.NETWORK_ERROR': 'Impossible de joindre referencime.fr : vérifiez la connexion réseau puis réessayez.',
+    'hints.INVALID_RESPONSE': 'La réponse de l\'API est inattendue : réessayez plus tard ou contactez le support si le problème persiste.',
+    'hints.SHORTLIST_ERROR': 'Corrigez le fichier de shortlist (JSON valide, champs attendus) ou supprimez-le pour repartir d\'une liste vide.',
+
+    // Pagination
+    'pagination.line': '📄 **Pagination :** {unit} {range} sur {total}',
+    'pagination.next': ' - page suivante : cursor="{cursor}"',
+    'pagination.last': ' - dernière page',
+    'pagination.none': 'aucun',
+    'pagination.websites': 'sites',
+    'pagination.categories': 'catégories',
+    'pagination.keywords': 'mots-clés',
+    'pagination.spots': 'spots',
+
+    // list_websites_by_user
+    'websites.title': '🌐 **VOS SITES WEB REFERENCIME**',
+    'websites.userId': '👤 **Utilisateur ID :** {id}',
+    'websites.count': '📊 **Nombre de sites :** {count}',
+    'websites.list': '📋 **Liste des sites :**',
+    'websites.item': '• **{domain}** (ID: {id}){favorite} - Créé le {date}',
+    'websites.usage': '💡 **Utilisation :** Utilisez l\'ID du site dans les autres outils d\'analyse SEO.',
+
+    // list_categories_by_website
+    'categories.title': '🗂️ **CATÉGORIES DE MOTS-CLÉS - SITE #{id}**',
+    'categories.count': '📊 **Nombre de catégories :** {count}',
+    'categories.list': '📋 **Liste des catégories :**',
+    'categories.item': '• **{name}** ({count} mots-clés)',
+    'categories.tip': '💡 **Organisation :** Catégorisez vos mots-clés par thème pour une meilleure stratégie SEO.',
+
+    // list_keywords_by_website
+    'keywords.title': '🔤 **MOTS-CLÉS - SITE #{id}**',
+    'keywords.total': '📊 **Total mots-clés :** {count}',
+    'keywords.volumes': '📈 **Volumes de recherche :** {status}',
+    'keywords.included': 'Inclus',
+    'keywords.notIncluded': 'Non inclus',
+    'keywords.group': '**{category}** ({count} mots-clés):',
+    'keywords.volume': ' (Vol: {volume})',
+    'keywords.tip': '💡 **Astuce :** Utilisez list_keywords_by_categories_by_website pour des métriques de performance détaillées.',
+
+    // list_keywords_by_categories_by_website
+    'keywordsByCategories.title': '📂 **MOTS-CLÉS PAR CATÉGORIES - SITE #{id}**',
+    'keywordsByCategories.noGsc': '⚠️ **Données GSC non disponibles**',
+    'keywordsByCategories.period': '📊 **Période :** {days} jours',
+    'keywordsByCategories.totalKeywords': '📈 **Total mots-clés :** {count}',
+    'keywordsByCategories.totalCategories': '🗂️ **Catégories :** {count}',
+    'keywordsByCategories.noGscCause': '💡 **Cause :** Pas de propriété Google Search Console associée.',
+    'keywordsByCategories.structure': '📋 **Structure :**',
+    'keywordsByCategories.structureItem': '• **{name}**: {count} mots-clés',
+    'keywordsByCategories.categoryHeader': '🗂️ **{name}** ({count} mots-clés)',
+    'keywordsByCategories.noKeyword': '   • Aucun mot-clé',
+    'keywordsByCategories.metrics': ' | #{position} | {clicks} clics | {impressions} impr',
+    'keywordsByCategories.ctr': ' | CTR: {ctr}',
+    'keywordsByCategories.noGscData': ' | Pas de données GSC',
+    'keywordsByCategories.volume': ' | Vol: {volume}',
+    'keywordsByCategories.periodHeader': '📅 **Période :** {days} jours',
+    'keywordsByCategories.gscMetrics': '📊 **Métriques GSC :** {status}',
+    'keywordsByCategories.included': 'Incluses',
+    'keywordsByCategories.disabled': 'Désactivées',
+    'keywordsByCategories.summary': '📈 **Résumé :**',
+    'keywordsByCategories.summaryTotal': '• Total mots-clés : {count}',
+    'keywordsByCategories.summaryCategories': '• Catégories : {count}',
+    'keywordsByCategories.summaryUncategorized': '• Non catégorisés : {count}',
+    'keywordsByCategories.summaryWithPosition': '• Avec position GSC : {count}',
+    'keywordsByCategories.summaryAvgPosition': '• Position moyenne : #{position}',
+    'keywordsByCategories.updated': '📅 **MAJ :** {date}',
+    'keywordsByCategories.tip': '💡 **Astuce :** Identifiez vos thématiques SEO les plus performantes !',
+
+    // get_netlinking_spots_ranking
+    'spots.title': '🎯 **CLASSEMENT DES SPOTS DE NETLINKING - SITE #{id}**',
+    'spots.none': '⚠️ **Aucun spot trouvé**',
+    'spots.keywordsAnalyzed': '📊 **Mots-clés analysés :** {count}',
+    'spots.noneSuggestion': '💡 **Suggestion :** Ajustez les filtres ou attendez que plus de données SERP soient collectées.',
+    'spots.platform': '{name} ({price})',
+    'spots.proximity': '   • 🎯 Proximité sémantique : {score}%',
+    'spots.coverage': '   • 📊 Couverture mots-clés : {coverage}%',
+    'spots.traffic': '   • 🚀 Trafic potentiel : {traffic} visites/mois',
+    'spots.minPrice': '   • 💰 Prix minimum : {price}',
+    'spots.avgPosition': '   • 📍 Position moyenne : #{position}',
+    'spots.keywordsCount': '   • 🔑 Mots-clés positionnés : {count}',
+    'spots.platforms': '   • 🏪 Plateformes : {platforms}',
+    'spots.filterCategory': 'Catégorie: {value}',
+    'spots.filterPrice': 'Prix: {value}€',
+    'spots.filterPlatform': 'Plateforme ID: {value}',
+    'spots.filterKeywords': 'Mots-clés: {value}',
+    'spots.filters': '🔍 **Filtres appliqués :** {filters}',
+    'spots.summary': '📊 **Résumé :**',
+    'spots.found': '• Spots trouvés : {count}',
+    'spots.shown': '• Spots affichés : {count}',
+    'spots.averagePrice': '• Prix moyen : {price}',
+    'spots.medianPrice': '• Prix médian : {price}',
+    'spots.analyzed': '• Mots-clés analysés : {count}',
+    'spots.top': '🏆 **Top spots par proximité sémantique :**',
+    'spots.tip': '💡 **Conseil :** Ces spots sont les plus pertinents pour votre stratégie de netlinking basée sur la proximité thématique avec vos mots-clés !',
+
+    // identify_netlinking_targets
+    'targets.title': '🎯 **MOTS-CLÉS À CONSOLIDER - SITE #{id}**',
+    'targets.none': '⚠️ **Aucun mot-clé trouvé**',
+    'targets.filters': '📊 **Filtres :** Position {range}, Volume min: {volume}',
+    'targets.period': '📅 **Période analysée :** {start} → {end}',
+    'targets.periodWithDays': '📅 **Période analysée :** {start} → {end} ({days} jours)',
+    'targets.noneSuggestion': '💡 **Suggestion :** Ajustez les filtres (position ou volume minimum).',
+    'targets.volume.very_high': 'Très élevé',
+    'targets.volume.high': 'Élevé',
+    'targets.volume.medium': 'Moyen',
+    'targets.volume.low': 'Faible',
+    'targets.position': '   📍 Position actuelle : #{position}',
+    'targets.searchVolume': '   🔍 Volume de recherche : {volume}/mois ({label})',
+    'targets.spotsHeader': '   📌 Spots pertinents disponibles :',
+    'targets.spotRelevance': ' ({score}% pertinence)',
+    'targets.spotPrice': ' - {price} sur {platform}',
+    'targets.noSpot': '   ⚠️ Aucun spot pertinent identifié',
+    'targets.identified': '📈 **{count} mots-clés identifiés**',
+    'targets.intro': '💡 Ces keywords sont déjà bien positionnés. Des backlinks de qualité \n   pourraient aider à consolider ou améliorer ces positions.',
+    'targets.byVolume': '🔍 **KEYWORDS PAR VOLUME :**',
+    'targets.note': '💡 **Note :** Les positions SEO dépendent de nombreux facteurs. \nCes recommandations identifient des opportunités de netlinking \npertinentes pour vos keywords les mieux positionnés.',
+
+    // get_website_performance_summary
+    'summary.title': '🌐 **TABLEAU DE BORD SEO - SITE #{id}**',
+    'summary.noData': '⚠️ **Aucune donnée disponible**',
+    'summary.noDataPeriod': '📊 **Période :** {days} jours',
+    'summary.noDataKeywords': '📈 **Mots-clés :** {count}',
+    'summary.noDataCause': '💡 **Cause :** Pas de propriété GSC ou données non disponibles.',
+    'summary.topKeyword': '• {keyword} (#{position}, {clicks} clics)',
+    'summary.period': '📅 **Période :** du {start} au {end} ({days} jours)',
+    'summary.comparePeriod': '📅 **Comparaison :** du {start} au {end}',
+    'summary.periodDays': '📅 **Période :** {days} jours',
+    'summary.categoriesHeader': '📂 **PERFORMANCES PAR CATÉGORIE :**',
+    'summary.categoryTitle': '**{index}. {name}** ({count} mots-clés)',
+    'summary.categoryPosition': '   • Position moyenne : {position}',
+    'summary.categoryPositionEvolution': ' ({evolution} vs période précédente)',
+    'summary.categoryClicks': '   • Clics : {clicks}',
+    'summary.categoryImpressions': '   • Impressions : {impressions}',
+    'summary.categoryTopKeywords': '   🏆 Top mots-clés : {keywords}',
+    'summary.globalMetrics': '📊 **Métriques globales :**',
+    'summary.trackedKeywords': '• Mots-clés suivis : {count}',
+    'summary.totalClicks': '• Total clics : {value}',
+    'summary.totalImpressions': '• Total impressions : {value}',
+    'summary.averagePosition': '• Position moyenne : {value}',
+    'summary.averageCtr': '• CTR moyen : {value}',
+    'summary.distribution': '📈 **Distribution des positions :**',
+    'summary.distributionItem': '• Top {top} : {count} mots-clés',
+    'summary.topPerformers': '🏆 **Top performeurs :**',
+
+    // get_keyword_position_history
+    'history.title': '📈 **HISTORIQUE DES POSITIONS - SITE #{id}**',
+    'history.period': '📅 **Période :** du {start} au {end} · série {granularity}',
+    'history.granularity.week': 'hebdomadaire',
+    'history.granularity.month': 'mensuelle',
+    'history.noData': '   ⚠️ Aucune donnée GSC sur la période',
+    'history.position': '   📍 Position : {first} → {last}',
+    'history.trend.improving': ' (📈 tendance : +{change} positions)',
+    'history.trend.declining': ' (📉 tendance : -{change} positions)',
+    'history.trend.stable': ' (➡️ tendance stable)',
+    'history.range': '   • Meilleure : {min} | Moins bonne : {max} | Moyenne : {average} | Volatilité : ±{volatility}',
+    'history.traffic': '   • Clics : {clicks} | Impressions : {impressions}',
+    'history.allApproximate': '   ⚠️ Positions trop imprécises sur la période pour en tirer une tendance',
+    'history.tableHeader.week': '| Semaine du | Position | Clics | Impressions |',
+    'history.tableHeader.month': '| Mois | Position | Clics | Impressions |',
+    'history.legend': '💡 **Lecture :** barre haute = meilleure position, · = aucune impression, ~ = position approximative (reconstituée à partir de cumuls arrondis, exclue des statistiques).',
+
+    // compare_keywords
+    'compare.title': '⚖️ **COMPARAISON DE MOTS-CLÉS - SITE #{id}**',
+    'compare.period': '📅 **Période :** du {start} au {end}',
+    'compare.comparePeriod': '📅 **Comparaison :** du {start} au {end}',
+    'compare.tableHeader': '| Mot-clé | Catégorie | Volume | Position | Clics | Impressions | CTR |',
+    'compare.untracked': '⚠️ non suivi',
+    'compare.untrackedWarning': '⚠️ **Mots-clés non suivis :** {keywords}. Ajoutez-les au suivi Referencime pour obtenir leurs métriques.',
+    'compare.legend': '💡 **Lecture :** ▲ amélioration / ▼ recul par rapport à la période de comparaison (positions gagnées pour la position). La position de la période de comparaison est reconstituée à partir de cumuls arrondis : ~ = écart approximatif.',
+
+    // detect_changes
+    'changes.title': '🔄 **CHANGEMENTS SIGNIFICATIFS - SITE #{id}**',
+    'changes.snapshots': '📸 **Instantanés comparés :** {from} → {to}',
+    'changes.periods': '📅 **Périodes comparées :** du {fromStart} au {fromEnd} → du {toStart} au {toEnd}',
+    'changes.compared': '🔍 **Mots-clés comparés :** {count}',
+    'changes.summary': '📊 **Site :** {clicks} clics ({clicksChange}) · {impressions} impressions ({impressionsChange})',
+    'changes.warning.PERIOD_MISMATCH': '⚠️ Les deux instantanés ne couvrent pas la même durée (paramètre days) : les clics ne sont pas directement comparables.',
+    'changes.warning.APPROXIMATE_POSITIONS': '⚠️ Positions de la période précédente reconstituées à partir de cumuls arrondis : seuls les changements plus grands que l\'écart possible sont signalés. Les instantanés locaux donnent une comparaison exacte.',
+    'changes.section.entered_top': '🚀 **Entrées dans le top ({count}) :**',
+    'changes.section.left_top': '🔻 **Sorties du top ({count}) :**',
+    'changes.section.position_gains': '📈 **Fortes hausses ({count}) :**',
+    'changes.section.position_losses': '📉 **Fortes baisses ({count}) :**',
+    'changes.section.click_drops': '🖱️ **Chutes de clics ({count}) :**',
+    'changes.section.new_rankings': '🆕 **Nouveaux classements ({count}) :**',
+    'changes.section.lost_rankings': '❌ **Classements perdus ({count}) :**',
+    'changes.tierItem': '• **{keyword}** - top {tier} : {previous} → {position}',
+    'changes.positionItem': '• **{keyword}** : {previous} → {position} ({change} positions)',
+    'changes.clickDropItem': '• **{keyword}** : {previous} → {clicks} clics ({change})',
+    'changes.rankingItem': '• **{keyword}** ({position})',
+    'changes.none': '✅ Aucun changement significatif selon les seuils actuels.',
+    'changes.thresholds': '⚙️ **Seuils :** top {tiers} · ±{position} positions · baisse de clics ≥ {clicks} % (à partir de {minClicks} clics)',
+
+    // plan_netlinking_budget
+    'budget.title': '💰 **PLAN DE NETLINKING - SITE #{id}**',
+    'budget.summary': '💶 **Budget :** {cost} engagés sur {budget} · reliquat {remaining}',
+    'budget.constraints': '⚙️ **Contraintes :** {constraints}',
+    'budget.domainCap': '{price} maximum par domaine',
+    'budget.keywordCap': '{count} lien(s) maximum par mot-clé',
+    'budget.tableHeader': '| Domaine | Plateforme | Prix | Proximité | Mots-clés ciblés |',
+    'budget.empty': '⚠️ **Aucun spot ne rentre dans ce budget.**',
+    'budget.platforms': '🏪 **Coût par plateforme :**',
+    'budget.platformItem': '• {platform} : {count} spot(s), {cost}',
+    'budget.covered': '✅ **Mots-clés couverts ({count}) :**',
+    'budget.coveredItem': '• **{keyword}** (#{position}, {volume} recherches/mois) - {links} lien(s)',
+    'budget.uncovered': '⚠️ **Mots-clés non couverts ({count}) :**',
+    'budget.uncoveredItem': '• **{keyword}** (#{position}) - {reason}',
+    'budget.excluded': '🚫 **Spots écartés ({count}) :**',
+    'budget.excludedItem': '• {domain} ({price}) - {reason}',
+    'budget.reason.no_spot': 'aucun spot recommandé',
+    'budget.reason.over_domain_cap': 'au-dessus du plafond par domaine',
+    'budget.reason.over_budget': 'spots trop chers pour le budget',
+    'budget.reason.budget_exhausted': 'budget épuisé',
+    'budget.reason.keyword_cap_reached': 'mots-clés déjà assez ciblés',
+    'budget.tip': '💡 **Conseil :** Vérifiez la disponibilité de chaque domaine sur sa plateforme avant l\'achat ; les spots écartés pour budget épuisé sont de bonnes alternatives.',
+
+    // analyze_category_health
+    'health.title': '🩺 **SANTÉ DES CATÉGORIES - SITE #{id}**',
+    'health.noGsc': '⚠️ **Pas de données Google Search Console** : l\'analyse nécessite les positions et les clics GSC du site.',
+    'health.period': '📅 **Période :** {days} jours',
+    'health.ranking': '📉 **Catégories, de la plus fragile à la plus solide :**',
+    'health.category': '**{rank}. {name}** - score {score}/100 ({count} mots-clés)',
+    'health.top10': '   • Mots-clés dans le top 10 : {share}',
+    'health.ctr': '   • CTR réel / CTR attendu pour la position : {ratio}',
+    'health.visibility': '   • Visibilité pondérée par le volume : {visibility}',
+    'health.weakKeywords': '   • À travailler : {keywords}',
+    'health.cannibalization': '⚔️ **Cannibalisation probable ({count}) :**',
+    'health.pair': '• **{first}** (#{firstPosition}) / **{second}** (#{secondPosition}) - {category} : {signals}',
+    'health.signal.split_clicks': 'clics partagés ({first} / {second})',
+    'health.signal.position_swing': 'positions alternées ({count} inversions)',
+    'health.cannibalizationTip': '💡 Regroupez ces requêtes sur une seule page cible ou différenciez clairement leurs intentions.',
+    'health.noCannibalization': '✅ Aucune cannibalisation détectée.',
+    'health.swing.snapshots': '🔁 Alternance de positions vérifiée sur {count} relevés (instantanés locaux de {days} jours).',
+    'health.swing.windows': '🔁 Alternance de positions vérifiée entre les fenêtres de {days} et {longer} jours.',
+    'health.warning.POSITION_SWING_UNAVAILABLE': '⚠️ Positions antérieures indisponibles : l\'alternance de positions n\'a pas été vérifiée, seuls les clics partagés sont signalés.',
+    'health.warning.POSITION_SWING_PERIOD_TOO_LONG': '⚠️ Période trop longue pour comparer à la fenêtre double (480 jours au plus) et aucun instantané local : l\'alternance de positions n\'a pas été vérifiée.',
+    'health.legend': '💡 **Lecture :** score sur 100 = 40 % part du top 10 + 30 % CTR réel par rapport au CTR attendu + 30 % visibilité pondérée par le volume (100 % = tous les mots-clés en 1re position).',
+
+    // get_portfolio_overview
+    'portfolio.title': '🗂️ **VUE D\'ENSEMBLE DU PORTEFEUILLE** ({count} sites)',
+    'portfolio.empty': '⚠️ Aucun site dans ce compte.',
+    'portfolio.period': '📅 **Période :** du {start} au {end} ({days} jours)',
+    'portfolio.totals': '📊 **Totaux du portefeuille :**',
+    'portfolio.totalClicks': '• Clics : {clicks}{change}',
+    'portfolio.totalImpressions': '• Impressions : {impressions}{change}',
+    'portfolio.totalPosition': '• Position moyenne (pondérée par les impressions) : {position}',
+    'portfolio.totalTop10': '• Mots-clés dans le top 10 : {count}',
+    'portfolio.coverage': '• Sites analysés : {ok} · sans données GSC : {noData} · en échec : {failed}',
+    'portfolio.ranking': '🏆 **Classement des sites {sortBy} :**',
+    'portfolio.sort.clicks': 'par clics',
+    'portfolio.sort.clicks_change': 'par évolution des clics',
+    'portfolio.sort.impressions': 'par impressions',
+    'portfolio.sort.position': 'par position moyenne',
+    'portfolio.sort.top10': 'par mots-clés dans le top 10',
+    'portfolio.tableHeader': '| # | Site | Clics | Impressions | Position | Top 10 |',
+    'portfolio.noData': 'pas de données GSC',
+    'portfolio.failed': '⚠️ échec ({code})',
+    'portfolio.winners': '📈 **Plus fortes progressions :**',
+    'portfolio.losers': '📉 **Plus forts reculs :**',
+    'portfolio.moverItem': '• **{domain}** (#{id}) : {change} clics ({percent})',
+    'portfolio.failures': '⚠️ **Sites en échec ({count}) :**',
+    'portfolio.failureItem': '• {domain} (#{id}) : {message}',
+    'portfolio.legend': '💡 **Lecture :** ▲ hausse / ▼ baisse par rapport à la période de comparaison (positions gagnées pour la position). Détail d\'un site : get_website_performance_summary.',
+
+    // generate_seo_report
+    'report.title': 'Rapport SEO : {site}',
+    'report.meta.agency': 'Réalisé par :',
+    'report.meta.period': 'Période analysée :',
+    'report.meta.comparePeriod': 'Période de comparaison :',
+    'report.meta.range': 'du {start} au {end}',
+    'report.meta.generated': 'Généré le :',
+    'report.section.summary': 'Synthèse',
+    'report.section.kpis': 'Indicateurs clés',
+    'report.section.distribution': 'Distribution des positions',
+    'report.section.categories': 'Performances par catégorie',
+    'report.section.netlinking': 'Recommandations de netlinking',
+    'report.exec.noData': 'Aucune donnée Google Search Console sur la période : le rapport se limite aux {count} mots-clés suivis.',
+    'report.exec.traffic': '{clicks} clics et {impressions} impressions sur la période',
+    'report.exec.trafficChange': ', clics {change} par rapport à la période précédente',
+    'report.exec.position': 'Position moyenne {position}',
+    'report.exec.positionGained': ', en hausse de {value} place(s)',
+    'report.exec.positionLost': ', en baisse de {value} place(s)',
+    'report.exec.top10': '{count} mots-clés dans le top 10 sur {total} suivis',
+    'report.exec.bestCategory': 'Catégorie la plus performante : {name} ({clicks} clics)',
+    'report.exec.netlinking': '{count} mot(s)-clé(s) en position {range} à consolider par le netlinking, en priorité « {keyword} » ({volume} recherches/mois)',
+    'report.exec.noNetlinking': 'Aucun mot-clé en position {range} avec un volume suffisant pour une action de netlinking.',
+    'report.col.metric': 'Indicateur',
+    'report.col.current': 'Période',
+    'report.col.previous': 'Période précédente',
+    'report.col.change': 'Évolution',
+    'report.col.category': 'Catégorie',
+    'report.col.keywords': 'Mots-clés',
+    'report.col.top10': 'Top 10',
+    'report.col.position': 'Position',
+    'report.col.clicks': 'Clics',
+    'report.col.impressions': 'Impressions',
+    'report.col.topKeyword': 'Meilleur mot-clé',
+    'report.col.keyword': 'Mot-clé',
+    'report.col.volume': 'Volume',
+    'report.col.spots': 'Spots recommandés',
+    'report.kpi.clicks': 'Clics',
+    'report.kpi.impressions': 'Impressions',
+    'report.kpi.position': 'Position moyenne',
+    'report.kpi.ctr': 'CTR moyen',
+    'report.points': '{value} pt',
+    'report.chartTitle': 'Nombre de mots-clés par tranche de positions',
+    'report.chartLabel': 'Top {top}',
+    'report.noCategories': 'Aucune catégorie de mots-clés pour ce site.',
+    'report.netlinkingIntro': 'Mots-clés en position {range} avec au moins {volume} recherches mensuelles : des backlinks depuis les spots recommandés peuvent aider à consolider ou améliorer ces positions, sans garantie de gain.',
+    'report.footer': 'Rapport généré à partir des données Referencime et Google Search Console.',
+    'report.footerAgency': 'Rapport réalisé par {agency} à partir des données Referencime et Google Search Console.',
+    'report.done': '📄 **RAPPORT SEO GÉNÉRÉ - {site}**',
+    'report.fileFormat': '📝 **Format :** {format} ({size} Ko)',
+    'report.agency': '🏢 **Agence :** {agency}',
+    'report.kpisLine': '📈 **Indicateurs :** clics {clicks} · impressions {impressions} · position moyenne {position}',
+    'report.contents': '🗂️ **Contenu :** {sections}',
+    'report.openHtml': '💡 Ouvrez le fichier dans un navigateur pour le consulter ou l\'imprimer en PDF.',
+    'report.openMarkdown': '💡 Le fichier Markdown s\'ouvre dans tout éditeur compatible (graphique et logo intégrés en images).',
+
+    // shortlist_add, shortlist_remove, shortlist_list, shortlist_refresh
+    'shortlist.title': '📌 **SHORTLIST - SITE #{id}**',
+    'shortlist.listTitle': '📌 **SHORTLIST NETLINKING - SITE #{id}**',
+    'shortlist.refreshTitle': '🔄 **SHORTLIST ACTUALISÉE - SITE #{id}**',
+    'shortlist.status.to_contact': '📞 à contacter',
+    'shortlist.status.ordered': '🛒 commandé',
+    'shortlist.status.published': '✅ publié',
+    'shortlist.added': '✅ **Ajoutés ({count}) :**',
+    'shortlist.addedItem': '• **{domain}** - {price} ({platforms}) · proximité {score} · {status}',
+    'shortlist.keywords': '🎯 Mots-clés : {keywords}',
+    'shortlist.updated': '✏️ **Mis à jour ({count}) :**',
+    'shortlist.updatedItem': '• **{domain}** - {status}',
+    'shortlist.notes': '📝 {notes}',
+    'shortlist.notFound': '❓ **Introuvables dans le classement des spots ({count}) :** {domains}',
+    'shortlist.notFoundHint': '💡 Vérifiez les domaines avec get_netlinking_spots_ranking (avec les mêmes keywords pour chercher dans le classement filtré).',
+    'shortlist.removed': '🗑️ **Retirés ({count}) :** {domains}',
+    'shortlist.notInShortlist': '❓ **Absents de la shortlist ({count}) :** {domains}',
+    'shortlist.total': '📋 **Spots en shortlist :** {count}',
+    'shortlist.empty': 'Aucun spot en shortlist. Ajoutez-en avec shortlist_add à partir des résultats de get_netlinking_spots_ranking.',
+    'shortlist.emptyStatus': 'Aucun spot avec le statut {status}.',
+    'shortlist.summary': '📊 **{count} spot(s)** · {to_contact} à contacter · {ordered} commandé(s) · {published} publié(s) · budget {price}',
+    'shortlist.tableHeader': '| Spot | Statut | Prix | Proximité | Mots-clés | Notes |',
+    'shortlist.priceSinceAdd': '{price} (ajouté à {added})',
+    'shortlist.unavailable': '⚠️ indisponible',
+    'shortlist.lastChecked': '🔄 **Dernière vérification des prix :** {date}',
+    'shortlist.refreshHint': '💡 shortlist_refresh met à jour les prix et la disponibilité des spots.',
+    'shortlist.checked': '🔍 **Spots vérifiés :** {count} ({date})',
+    'shortlist.priceChanges': '💶 **Changements de prix ({count}) :**',
+    'shortlist.priceChange': '{icon} **{domain}** : {previous} → {price} ({change})',
+    'shortlist.sinceAdd': ' · {price} à l\'ajout',
+    'shortlist.noPriceChange': '💶 Aucun changement de prix.',
+    'shortlist.unavailableList': '⚠️ **Plus disponibles ({count}) :** {domains}',
+    'shortlist.availableAgain': '🔁 **De nouveau disponibles ({count}) :** {domains}',
+    'shortlist.unchanged': '✅ **Prix inchangés :** {count}',
+
+    // export_data
+    'export.title': '📤 **EXPORT {format} TERMINÉ**',
+    'export.file': '📁 **Fichier :** {path}',
+    'export.source': '🔧 **Source :** {source}',
+    'export.rows': '📊 **Lignes exportées :** {count}',
+    'export.truncated': ' (limitées par max_rows)',
+    'export.columns': '🗂️ **Colonnes :** {count}',
+
+    // Ressources et prompts MCP
+    'resources.websites.title': 'Sites web Referencime',
+    'resources.websites.description': 'Liste des sites web du compte (format=json ou csv)',
+    'resources.websites.count': '{count} site(s) du compte',
+    'resources.categories.title': 'Catégories de mots-clés d\'un site',
+    'resources.categories.description': 'Catégories de mots-clés du site avec leur nombre de mots-clés (format=json ou csv)',
+    'resources.categories.siteTitle': '{domain} - Catégories de mots-clés',
+    'resources.categories.siteDescription': 'Catégories de mots-clés du site {domain} (ID: {id})',
+    'resources.keywords.title': 'Mots-clés d\'un site',
+    'resources.keywords.description': 'Mots-clés suivis du site avec catégorie et volume de recherche (format=json ou csv)',
+    'resources.keywords.siteTitle': '{domain} - Mots-clés suivis',
+    'resources.keywords.siteDescription': 'Mots-clés suivis du site {domain} (ID: {id})',
+    'resources.unknown': 'Ressource inconnue: {uri}',
+    'prompts.unknown': 'Prompt inconnu: {name}',
+    'prompts.invalidMonth': 'Mois invalide: {month} (format attendu: YYYY-MM)',
+    'prompts.invalidNumber': 'Argument {name} invalide: {value} (nombre positif attendu)',
+    'prompts.missingValue': '(manquant)',
+    'prompts.arg.website_id': 'ID du site web dans Referencime',
+    'prompts.arg.lang': 'Langue du prompt : fr ou en (par défaut : locale du profil)',
+    'prompts.monthly_seo_review.title': 'Revue SEO mensuelle',
+    'prompts.monthly_seo_review.description': 'Bilan SEO d\'un mois pour un site : KPIs comparés au mois précédent, catégories, opportunités de netlinking et plan d\'action.',
+    'prompts.monthly_seo_review.arg.month': 'Mois analysé au format YYYY-MM (par défaut : dernier mois complet)',
+    'prompts.monthly_seo_review.text': 'Réalise la revue SEO mensuelle du site #{websiteId} pour le mois {month}.\n\n' +
+      'Étapes :\n' +
+      '1. Appelle get_website_performance_summary avec website_id={websiteId}, start_date={start}, end_date={end}, ' +
+      'compare_start_date={compareStart} et compare_end_date={compareEnd}.\n' +
+      '2. Appelle list_keywords_by_categories_by_website avec website_id={websiteId} et include_performance=true pour le détail par catégorie.\n' +
+      '3. Appelle identify_netlinking_targets avec website_id={websiteId} pour repérer les mots-clés en positions 4-10 à consolider.\n\n' +
+      'Présentation attendue :\n' +
+      '- **Synthèse** : 3 à 5 phrases sur l\'évolution du mois.\n' +
+      '- **KPIs** : tableau clics, impressions, position moyenne et CTR avec la valeur du mois, celle du mois précédent et l\'évolution.\n' +
+      '- **Distribution des positions** : top 3 / top 10 / top 20.\n' +
+      '- **Catégories** : les catégories en progression et en recul.\n' +
+      '- **Opportunités netlinking** : les 5 mots-clés prioritaires avec leurs spots recommandés et leur prix.\n' +
+      '- **Plan d\'action** : 3 à 5 actions concrètes pour le mois suivant.\n\n' +
+      'Reste factuel : ne promets aucun gain de position chiffré.',
+    'prompts.netlinking_plan.title': 'Plan de netlinking',
+    'prompts.netlinking_plan.description': 'Plan d\'achat de liens pour un site dans la limite d\'un budget, basé sur les mots-clés à consolider et les spots les plus pertinents.',
+    'prompts.netlinking_plan.arg.budget': 'Budget total en euros',
+    'prompts.netlinking_plan.arg.category_id': 'Limiter le plan à une catégorie de mots-clés',
+    'prompts.netlinking_plan.text': 'Construis un plan de netlinking pour le site #{websiteId} avec un budget total de {budget}€.\n\n' +
+      'Étapes :\n' +
+      '1. Appelle plan_netlinking_budget avec website_id={websiteId} et budget={budget}{categoryFilter} pour obtenir une sélection de spots ' +
+      'qui ne dépasse pas {budget}€ au total et n\'achète jamais deux fois le même domaine.\n' +
+      '2. Appelle get_netlinking_spots_ranking avec website_id={websiteId}, max_price={budget}{categoryFilter} et sort_by="semantic_proximity" ' +
+      'pour proposer des alternatives parmi les spots non retenus.\n\n' +
+      'Présentation attendue :\n' +
+      '- **Tableau du plan** : domaine, plateforme, prix, proximité sémantique, mots-clés ciblés.\n' +
+      '- **Budget** : total engagé et reliquat.\n' +
+      '- **Mots-clés couverts et non couverts**, avec la raison pour ces derniers.\n' +
+      '- **Alternatives** : 2 ou 3 spots de remplacement si un domaine n\'est plus disponible.\n\n' +
+      'Reste factuel : ne promets aucun gain de position chiffré.',
+    'prompts.underperforming_categories.title': 'Catégories en sous-performance',
+    'prompts.underperforming_categories.description': 'Identifie les catégories de mots-clés d\'un site qui reculent ou sous-performent et propose des pistes d\'amélioration.',
+    'prompts.underperforming_categories.arg.days': 'Période analysée en jours (par défaut : 30)',
+    'prompts.underperforming_categories.text': 'Identifie les catégories de mots-clés en sous-performance pour le site #{websiteId} sur les {days} derniers jours.\n\n' +
+      'Étapes :\n' +
+      '1. Appelle get_website_performance_summary avec website_id={websiteId}, start_date={start}, end_date={end}, ' +
+      'compare_start_date={compareStart} et compare_end_date={compareEnd}.\n' +
+      '2. Appelle list_keywords_by_categories_by_website avec website_id={websiteId}, include_performance=true et days={days}.\n\n' +
+      'Présentation attendue :\n' +
+      '- **Classement** des catégories de la plus faible à la plus forte : position moyenne, clics, impressions et leur évolution.\n' +
+      '- Pour chaque catégorie en recul : les mots-clés responsables et leur CTR.\n' +
+      '- **Pistes** : contenu, maillage interne ou netlinking (identify_netlinking_targets) selon le cas.\n\n' +
+      'Reste factuel : ne promets aucun gain de position chiffré.',
+
+    // Transport HTTP
+    'http.unknownEndpoint': 'Endpoint inconnu, utilisez /mcp',
+    'http.missingApiKey': 'Clé API Referencime manquante (en-tête Authorization: Bearer <clé>)',
+    'http.unknownSession': 'Session inconnue ou expirée: {session}',
+    'http.sessionKeyMismatch': 'La clé API ne correspond pas à cette session',
+    'http.sessionIdRequired': 'En-tête Mcp-Session-Id requis',
+    'http.invalidJson': 'Corps JSON invalide',
+    'http.noSession': 'Aucune session active : envoyez d\'abord une requête initialize',
+    'http.internalError': 'Erreur interne du serveur',
+
+    // Notifications de progression (requêtes longues)
+    'progress.request': '📡 Interrogation de l\'API Referencime ({tool})…',
+    'progress.pending': '⏳ {tool} : analyse en cours depuis {seconds} s…',
+    'progress.retryWait': '⏳ {tool} : échec ({code}), nouvelle tentative dans {seconds} s',
+    'progress.retry': '🔁 {tool} : tentative {attempt}/{max}…',
+
+    // Commandes list-tools et call
+    'cli.toolsTitle': '🛠️ **{count} outils disponibles**',
+    'cli.toolsHint': '💡 Détail des arguments : referencime-mcp call <outil> --help',
+    'cli.options': '⚙️ **Arguments :**',
+    'cli.noOptions': '- aucun',
+    'cli.required': 'obligatoire',
+    'cli.default': 'par défaut : {value}',
+    'cli.usage': '💡 **Exemple :** referencime-mcp call {tool} --format json',
+
+    // referencime_diagnostics
+    'diagnostics.title': '🩺 **DIAGNOSTIC REFERENCIME MCP**',
+    'diagnostics.status.ok': '✅ tout fonctionne',
+    'diagnostics.status.warning': '⚠️ certains endpoints échouent',
+    'diagnostics.status.error': '❌ problème de connexion',
+    'diagnostics.versions': '🧩 **Versions :** serveur {server} · Node.js {node} · SDK MCP {sdk}',
+    'diagnostics.profile': '👤 **Profil :** {profile} · compte {account}',
+    'diagnostics.demo': '(mode démo)',
+    'diagnostics.baseUrl': '🔗 **API :** {url}',
+    'diagnostics.checks': '🔍 **Vérifications :**',
+    'diagnostics.check.base_url.ok': 'API joignable (HTTP {status}, {duration})',
+    'diagnostics.check.base_url.error': 'API injoignable [{code}] : {message} ({duration})',
+    'diagnostics.check.api_key.ok': 'Clé API acceptée : {count} site(s) accessible(s) ({duration})',
+    'diagnostics.check.api_key.error': 'Clé API refusée ou inutilisable [{code}] : {message} ({duration})',
+    'diagnostics.endpoints': '⏱️ **Temps de réponse des endpoints :**',
+    'diagnostics.tableHeader': '| Outil | Endpoint | Statut | Durée | Taille |',
+    'diagnostics.endpointStatus.ok': 'OK',
+    'diagnostics.endpointStatus.skipped': 'non testé',
+    'diagnostics.duration': '{ms} ms',
+    'diagnostics.size': '{kb} Ko',
+    'diagnostics.settings': '⚙️ **Réglages :** {cache} · {log} · {tools} outils',
+    'diagnostics.cacheOn': 'cache activé',
+    'diagnostics.cacheOff': 'cache désactivé',
+    'diagnostics.logOn': 'journal {level} dans {file}',
+    'diagnostics.logOff': 'journal désactivé (REFERENCIME_LOG)',
+    'diagnostics.tip.base_url': '💡 **Action :** vérifiez la connexion réseau, le proxy éventuel et REFERENCIME_BASE_URL (ou base_url du profil).',
+    'diagnostics.tip.api_key': '💡 **Action :** vérifiez la clé API dans votre profil referencime.fr (section API) puis mettez à jour REFERENCIME_API_KEY ou la source api_key du profil.'
+  },
+
+  en: {
+    // Common
+    'common.na': 'N/A',
+    'common.none': 'None',
+    'common.noneFeminine': 'None',
+    'common.days': '{days} days',
+    'common.keywordsCount': '{count} keywords',
+    'common.uncategorized': 'Uncategorized',
+    'common.unnamed': 'Unnamed',
+    'common.error': '❌ **Error [{code}]**: {message}',
+    'common.errorAction': '💡 **Action:** {hint}',
+    'common.dateRange': '🗓️ **Requested period:** {expression} → {start} to {end} ({days} days)',
+
+    // Errors
+    'errors.invalidArguments': 'Invalid arguments for {tool}: {details}',
+    'errors.unknownTool': 'Unknown tool: {tool}',
+    'errors.missingApiKey': '{env} is not set. Add your API key to the Claude Desktop configuration.',
+    'errors.emptyApiKey': 'Empty API key for profile {profile}.',
+    'errors.configRead': 'Unable to read the configuration ({path}): {details}',
+    'errors.configJson': 'Invalid configuration JSON ({path}): {details}',
+    'errors.configInvalid': 'Invalid configuration ({path}): {details}',
+    'errors.unknownProfile': 'Unknown profile: {profile}',
+    'errors.profileNotAllowed': 'Profile not allowed in HTTP server mode: {profile}',
+    'errors.apiKeyFile': 'Unable to read the API key file ({path}): {details}',
+    'errors.apiKeyCommand': 'The API key command failed: {details}',
+    'errors.http': 'WordPress API error: {status} {statusText}',
+    'errors.httpWithMessage': 'WordPress API error: {status} {statusText} - {message}',
+    'errors.timeout': 'Timed out after {ms} ms',
+    'errors.network': 'Network error: {details}',
+    'errors.unreadableResponse': 'Unreadable API response: {details}',
+    'errors.apiFailure': 'API response error: {message}',
+    'errors.unknownApiFailure': 'Unknown error',
+    'errors.unexpectedResponse': 'Unexpected API response for {tool}: {details}',
+    'errors.invalidCursor': 'Invalid pagination cursor: {cursor}',
+    'errors.periodOutOfWindow': 'Period from {start} to {end} is outside the available data: {earliest} to {latest} (last 480 days up to yesterday)',
+    'errors.seriesTooLong': 'Series are limited to {max} points ({points} requested): use granularity="month" or a shorter period',
+    'errors.websiteNotFound': 'No website matches "{website}" in this account. Close matches: {sites}',
+    'errors.websiteNotFoundNoMatch': 'No website matches "{website}" in this account. Available websites: {sites}',
+    'errors.websiteRequired': 'No favorite website in this account: specify website_id or website. Available websites: {sites}',
+    'errors.cliUnknownOption': 'Unknown option for {tool}: {option} (see referencime-mcp call {tool} --help)',
+    'errors.cliMissingValue': 'Missing value for {option}',
+    'errors.cliInvalidJson': 'Invalid JSON for {option}: {details}',
+    'errors.cliArgsObject': '--args must be a JSON object (e.g. \'{"website_id": 1}\')',
+    'errors.cliUnexpectedArgument': 'Unexpected argument: {argument} (expected format: --<argument> <value>)',
+    'errors.cancelled': 'Call cancelled by the client',
+    'errors.shortlistInvalid': 'Unreadable shortlist file ({path}): {details}',
+    'errors.exportOutsideDir': 'The export path must stay inside {dir}: {path}',
+    'errors.exportExists': 'The file already exists: {path} (use overwrite=true to replace it)',
+    'errors.snapshotNotFound': 'No snapshot saved on {date} (available: {available})',
+    'errors.notEnoughSnapshots': 'At least two snapshots are needed for website {id} ({count} saved): call list_keywords_by_categories_by_website on different dates or use source="periods"',
+
+    // Suggested actions
+    'hints.CONFIGURATION_ERROR': 'Check the Referencime configuration file (profiles, API key source).',
+    'hints.MISSING_API_KEY': 'Add REFERENCIME_API_KEY to your MCP client configuration (or an api_key source to your profile) and restart it.',
+    'hints.UNKNOWN_PROFILE': 'Available profiles: {profiles}.',
+    'hints.NO_PROFILES': 'No profile is defined in the configuration file.',
+    'hints.PROFILE_NOT_ALLOWED': 'Profiles allowed on this server: {profiles}. Remove the profile argument to use the server profile.',
+    'hints.NO_SERVE_PROFILES': 'This server exposes no profile: remove the profile argument (the operator can allow some with serve_profiles in the configuration file).',
+    'hints.INVALID_ARGUMENTS': 'Fix the tool arguments according to its schema and call it again.',
+    'hints.UNKNOWN_TOOL': 'List the available tools and use one of their names.',
+    'hints.INVALID_API_KEY': 'The API key was rejected: check it in your referencime.fr profile (API section) and update the configuration.',
+    'hints.FORBIDDEN': 'This account cannot access this resource: check the website_id with list_websites_by_user.',
+    'hints.NOT_FOUND': 'Resource not found: check the website_id with list_websites_by_user.',
+    'hints.RATE_LIMITED': 'Too many requests: wait a moment before trying again.',
+    'hints.RATE_LIMITED_AFTER': 'Too many requests: try again in {seconds} seconds.',
+    'hints.SERVER_ERROR': 'The Referencime service has a temporary problem: try again later.',
+    'hints.TIMEOUT': 'The API did not answer in time: try again, possibly with narrower filters, or increase REFERENCIME_TIMEOUT_MS.',
+    'hints.NETWORK_ERROR': 'Unable to reach referencime.fr: check the network connection and try again.',
+    'hints.INVALID_RESPONSE': 'The API response is unexpected: try again later or contact support if the problem persists.',
+    'hints.SHORTLIST_ERROR': 'Fix the shortlist file (valid JSON, expected fields) or delete it to start again from an empty list.',
+
+    // Pagination
+    'pagination.line': '📄 **Pagination:** {unit} {range} of {total}',
+    'pagination.next': ' - next page: cursor="{cursor}"',
+    'pagination.last': ' - last page',
+    'pagination.none': 'none',
+    'pagination.websites': 'websites',
+    'pagination.categories': 'categories',
+    'pagination.keywords': 'keywords',
+    'pagination.spots': 'spots',
+
+    // list_websites_by_user
+    'websites.title': '🌐 **YOUR REFERENCIME WEBSITES**',
+    'websites.userId': '👤 **User ID:** {id}',
+    'websites.count': '📊 **Number of websites:** {count}',
+    'websites.list': '📋 **Websites:**',
+    'websites.item': '• **{domain}** (ID: {id}){favorite} - Created on {date}',
+    'websites.usage': '💡 **Usage:** Use the website ID in the other SEO analysis tools.',
+
+    // list_categories_by_website
+    'categories.title': '🗂️ **KEYWORD CATEGORIES - WEBSITE #{id}**',
+    'categories.count': '📊 **Number of categories:** {count}',
+    'categories.list': '📋 **Categories:**',
+    'categories.item': '• **{name}** ({count} keywords)',
+    'categories.tip': '💡 **Organization:** Group your keywords by topic for a better SEO strategy.',
+
+    // list_keywords_by_website
+    'keywords.title': '🔤 **KEYWORDS - WEBSITE #{id}**',
+    'keywords.total': '📊 **Total keywords:** {count}',
+    'keywords.volumes': '📈 **Search volumes:** {status}',
+    'keywords.included': 'Included',
+    'keywords.notIncluded': 'Not included',
+    'keywords.group': '**{category}** ({count} keywords):',
+    'keywords.volume': ' (Vol: {volume})',
+    'keywords.tip': '💡 **Tip:** Use list_keywords_by_categories_by_website for detailed performance metrics.',
+
+    // list_keywords_by_categories_by_website
+    'keywordsByCategories.title': '📂 **KEYWORDS BY CATEGORY - WEBSITE #{id}**',
+    'keywordsByCategories.noGsc': '⚠️ **GSC data not available**',
+    'keywordsByCategories.period': '📊 **Period:** {days} days',
+    'keywordsByCategories.totalKeywords': '📈 **Total keywords:** {count}',
+    'keywordsByCategories.totalCategories': '🗂️ **Categories:** {count}',
+    'keywordsByCategories.noGscCause': '💡 **Cause:** No Google Search Console property is linked.',
+    'keywordsByCategories.structure': '📋 **Structure:**',
+    'keywordsByCategories.structureItem': '• **{name}**: {count} keywords',
+    'keywordsByCategories.categoryHeader': '🗂️ **{name}** ({count} keywords)',
+    'keywordsByCategories.noKeyword': '   • No keywords',
+    'keywordsByCategories.metrics': ' | #{position} | {clicks} clicks | {impressions} impr',
+    'keywordsByCategories.ctr': ' | CTR: {ctr}',
+    'keywordsByCategories.noGscData': ' | No GSC data',
+    'keywordsByCategories.volume': ' | Vol: {volume}',
+    'keywordsByCategories.periodHeader': '📅 **Period:** {days} days',
+    'keywordsByCategories.gscMetrics': '📊 **GSC metrics:** {status}',
+    'keywordsByCategories.included': 'Included',
+    'keywordsByCategories.disabled': 'Disabled',
+    'keywordsByCategories.summary': '📈 **Summary:**',
+    'keywordsByCategories.summaryTotal': '• Total keywords: {count}',
+    'keywordsByCategories.summaryCategories': '• Categories: {count}',
+    'keywordsByCategories.summaryUncategorized': '• Uncategorized: {count}',
+    'keywordsByCategories.summaryWithPosition': '• With a GSC position: {count}',
+    'keywordsByCategories.summaryAvgPosition': '• Average position: #{position}',
+    'keywordsByCategories.updated': '📅 **Updated:** {date}',
+    'keywordsByCategories.tip': '💡 **Tip:** Find your best-performing SEO topics!',
+
+    // get_netlinking_spots_ranking
+    'spots.title': '🎯 **NETLINKING SPOTS RANKING - WEBSITE #{id}**',
+    'spots.none': '⚠️ **No spots found**',
+    'spots.keywordsAnalyzed': '📊 **Keywords analyzed:** {count}',
+    'spots.noneSuggestion': '💡 **Suggestion:** Adjust the filters or wait until more SERP data has been collected.',
+    'spots.platform': '{name} ({price})',
+    'spots.proximity': '   • 🎯 Semantic proximity: {score}%',
+    'spots.coverage': '   • 📊 Keyword coverage: {coverage}%',
+    'spots.traffic': '   • 🚀 Potential traffic: {traffic} visits/month',
+    'spots.minPrice': '   • 💰 Minimum price: {price}',
+    'spots.avgPosition': '   • 📍 Average position: #{position}',
+    'spots.keywordsCount': '   • 🔑 Ranking keywords: {count}',
+    'spots.platforms': '   • 🏪 Platforms: {platforms}',
+    'spots.filterCategory': 'Category: {value}',
+    'spots.filterPrice': 'Price: €{value}',
+    'spots.filterPlatform': 'Platform ID: {value}',
+    'spots.filterKeywords': 'Keywords: {value}',
+    'spots.filters': '🔍 **Applied filters:** {filters}',
+    'spots.summary': '📊 **Summary:**',
+    'spots.found': '• Spots found: {count}',
+    'spots.shown': '• Spots shown: {count}',
+    'spots.averagePrice': '• Average price: {price}',
+    'spots.medianPrice': '• Median price: {price}',
+    'spots.analyzed': '• Keywords analyzed: {count}',
+    'spots.top': '🏆 **Top spots by semantic proximity:**',
+    'spots.tip': '💡 **Advice:** These spots are the most relevant for a netlinking strategy based on topical proximity with your keywords!',
+
+    // identify_netlinking_targets
+    'targets.title': '🎯 **KEYWORDS TO CONSOLIDATE - WEBSITE #{id}**',
+    'targets.none': '⚠️ **No keywords found**',
+    'targets.filters': '📊 **Filters:** Position {range}, Min volume: {volume}',
+    'targets.period': '📅 **Analyzed period:** {start} → {end}',
+    'targets.periodWithDays': '📅 **Analyzed period:** {start} → {end} ({days} days)',
+    'targets.noneSuggestion': '💡 **Suggestion:** Adjust the filters (position or minimum volume).',
+    'targets.volume.very_high': 'Very high',
+    'targets.volume.high': 'High',
+    'targets.volume.medium': 'Medium',
+    'targets.volume.low': 'Low',
+    'targets.position': '   📍 Current position: #{position}',
+    'targets.searchVolume': '   🔍 Search volume: {volume}/month ({label})',
+    'targets.spotsHeader': '   📌 Relevant spots available:',
+    'targets.spotRelevance': ' ({score}% relevance)',
+    'targets.spotPrice': ' - {price} on {platform}',
+    'targets.noSpot': '   ⚠️ No relevant spot identified',
+    'targets.identified': '📈 **{count} keywords identified**',
+    'targets.intro': '💡 These keywords already rank well. Quality backlinks \n   could help consolidate or improve these positions.',
+    'targets.byVolume': '🔍 **KEYWORDS BY VOLUME:**',
+    'targets.note': '💡 **Note:** SEO positions depend on many factors. \nThese recommendations point out relevant netlinking \nopportunities for your best-ranking keywords.',
+
+    // get_website_performance_summary
+    'summary.title': '🌐 **SEO DASHBOARD - WEBSITE #{id}**',
+    'summary.noData': '⚠️ **No data available**',
+    'summary.noDataPeriod': '📊 **Period:** {days} days',
+    'summary.noDataKeywords': '📈 **Keywords:** {count}',
+    'summary.noDataCause': '💡 **Cause:** No GSC property or data not available.',
+    'summary.topKeyword': '• {keyword} (#{position}, {clicks} clicks)',
+    'summary.period': '📅 **Period:** {start} to {end} ({days} days)',
+    'summary.comparePeriod': '📅 **Comparison:** {start} to {end}',
+    'summary.periodDays': '📅 **Period:** {days} days',
+    'summary.categoriesHeader': '📂 **PERFORMANCE BY CATEGORY:**',
+    'summary.categoryTitle': '**{index}. {name}** ({count} keywords)',
+    'summary.categoryPosition': '   • Average position: {position}',
+    'summary.categoryPositionEvolution': ' ({evolution} vs previous period)',
+    'summary.categoryClicks': '   • Clicks: {clicks}',
+    'summary.categoryImpressions': '   • Impressions: {impressions}',
+    'summary.categoryTopKeywords': '   🏆 Top keywords: {keywords}',
+    'summary.globalMetrics': '📊 **Overall metrics:**',
+    'summary.trackedKeywords': '• Tracked keywords: {count}',
+    'summary.totalClicks': '• Total clicks: {value}',
+    'summary.totalImpressions': '• Total impressions: {value}',
+    'summary.averagePosition': '• Average position: {value}',
+    'summary.averageCtr': '• Average CTR: {value}',
+    'summary.distribution': '📈 **Position distribution:**',
+    'summary.distributionItem': '• Top {top}: {count} keywords',
+    'summary.topPerformers': '🏆 **Top performers:**',
+
+    // get_keyword_position_history
+    'history.title': '📈 **POSITION HISTORY - WEBSITE #{id}**',
+    'history.period': '📅 **Period:** {start} to {end} · {granularity} series',
+    'history.granularity.week': 'weekly',
+    'history.granularity.month': 'monthly',
+    'history.noData': '   ⚠️ No GSC data for this period',
+    'history.position': '   📍 Position: {first} → {last}',
+    'history.trend.improving': ' (📈 trend: +{change} positions)',
+    'history.trend.declining': ' (📉 trend: -{change} positions)',
+    'history.trend.stable': ' (➡️ stable trend)',
+    'history.range': '   • Best: {min} | Worst: {max} | Average: {average} | Volatility: ±{volatility}',
+    'history.traffic': '   • Clicks: {clicks} | Impressions: {impressions}',
+    'history.allApproximate': '   ⚠️ Positions too imprecise over the period to derive a trend',
+    'history.tableHeader.week': '| Week of | Position | Clicks | Impressions |',
+    'history.tableHeader.month': '| Month | Position | Clicks | Impressions |',
+    'history.legend': '💡 **How to read:** a higher bar means a better position, · = no impressions, ~ = approximate position (rebuilt from rounded totals, left out of the statistics).',
+
+    // compare_keywords
+    'compare.title': '⚖️ **KEYWORD COMPARISON - WEBSITE #{id}**',
+    'compare.period': '📅 **Period:** {start} to {end}',
+    'compare.comparePeriod': '📅 **Comparison:** {start} to {end}',
+    'compare.tableHeader': '| Keyword | Category | Volume | Position | Clicks | Impressions | CTR |',
+    'compare.untracked': '⚠️ not tracked',
+    'compare.untrackedWarning': '⚠️ **Untracked keywords:** {keywords}. Add them to Referencime tracking to get their metrics.',
+    'compare.legend': '💡 **How to read:** ▲ increase / ▼ decrease versus the comparison period (positions gained for the position column). The comparison period position is rebuilt from rounded totals: ~ = approximate change.',
+
+    // detect_changes
+    'changes.title': '🔄 **SIGNIFICANT CHANGES - WEBSITE #{id}**',
+    'changes.snapshots': '📸 **Snapshots compared:** {from} → {to}',
+    'changes.periods': '📅 **Periods compared:** {fromStart} to {fromEnd} → {toStart} to {toEnd}',
+    'changes.compared': '🔍 **Keywords compared:** {count}',
+    'changes.summary': '📊 **Website:** {clicks} clicks ({clicksChange}) · {impressions} impressions ({impressionsChange})',
+    'changes.warning.PERIOD_MISMATCH': '⚠️ The two snapshots do not cover the same duration (days parameter): clicks are not directly comparable.',
+    'changes.warning.APPROXIMATE_POSITIONS': '⚠️ Previous period positions are rebuilt from rounded totals: only changes larger than the possible error are reported. Local snapshots give an exact comparison.',
+    'changes.section.entered_top': '🚀 **Entered the top ({count}):**',
+    'changes.section.left_top': '🔻 **Left the top ({count}):**',
+    'changes.section.position_gains': '📈 **Big gains ({count}):**',
+    'changes.section.position_losses': '📉 **Big losses ({count}):**',
+    'changes.section.click_drops': '🖱️ **Click drops ({count}):**',
+    'changes.section.new_rankings': '🆕 **New rankings ({count}):**',
+    'changes.section.lost_rankings': '❌ **Lost rankings ({count}):**',
+    'changes.tierItem': '• **{keyword}** - top {tier}: {previous} → {position}',
+    'changes.positionItem': '• **{keyword}**: {previous} → {position} ({change} positions)',
+    'changes.clickDropItem': '• **{keyword}**: {previous} → {clicks} clicks ({change})',
+    'changes.rankingItem': '• **{keyword}** ({position})',
+    'changes.none': '✅ No significant change with the current thresholds.',
+    'changes.thresholds': '⚙️ **Thresholds:** top {tiers} · ±{position} positions · click drop ≥ {clicks}% (from {minClicks} clicks)',
+
+    // plan_netlinking_budget
+    'budget.title': '💰 **NETLINKING PLAN - WEBSITE #{id}**',
+    'budget.summary': '💶 **Budget:** {cost} spent out of {budget} · {remaining} left',
+    'budget.constraints': '⚙️ **Constraints:** {constraints}',
+    'budget.domainCap': '{price} maximum per domain',
+    'budget.keywordCap': '{count} link(s) maximum per keyword',
+    'budget.tableHeader': '| Domain | Platform | Price | Proximity | Targeted keywords |',
+    'budget.empty': '⚠️ **No spot fits this budget.**',
+    'budget.platforms': '🏪 **Cost per platform:**',
+    'budget.platformItem': '• {platform}: {count} spot(s), {cost}',
+    'budget.covered': '✅ **Keywords covered ({count}):**',
+    'budget.coveredItem': '• **{keyword}** (#{position}, {volume} searches/month) - {links} link(s)',
+    'budget.uncovered': '⚠️ **Keywords not covered ({count}):**',
+    'budget.uncoveredItem': '• **{keyword}** (#{position}) - {reason}',
+    'budget.excluded': '🚫 **Spots left out ({count}):**',
+    'budget.excludedItem': '• {domain} ({price}) - {reason}',
+    'budget.reason.no_spot': 'no recommended spot',
+    'budget.reason.over_domain_cap': 'above the per-domain cap',
+    'budget.reason.over_budget': 'spots too expensive for the budget',
+    'budget.reason.budget_exhausted': 'budget exhausted',
+    'budget.reason.keyword_cap_reached': 'keywords already targeted enough',
+    'budget.tip': '💡 **Tip:** Check each domain\'s availability on its platform before buying; spots left out because the budget ran out are good alternatives.',
+
+    // analyze_category_health
+    'health.title': '🩺 **CATEGORY HEALTH - WEBSITE #{id}**',
+    'health.noGsc': '⚠️ **No Google Search Console data**: the analysis needs the website\'s GSC positions and clicks.',
+    'health.period': '📅 **Period:** {days} days',
+    'health.ranking': '📉 **Categories, weakest first:**',
+    'health.category': '**{rank}. {name}** - score {score}/100 ({count} keywords)',
+    'health.top10': '   • Keywords in the top 10: {share}',
+    'health.ctr': '   • Actual CTR / expected CTR for the position: {ratio}',
+    'health.visibility': '   • Volume-weighted visibility: {visibility}',
+    'health.weakKeywords': '   • To work on: {keywords}',
+    'health.cannibalization': '⚔️ **Likely cannibalization ({count}):**',
+    'health.pair': '• **{first}** (#{firstPosition}) / **{second}** (#{secondPosition}) - {category}: {signals}',
+    'health.signal.split_clicks': 'split clicks ({first} / {second})',
+    'health.signal.position_swing': 'swinging positions ({count} swaps)',
+    'health.cannibalizationTip': '💡 Consolidate these queries on a single target page or clearly differentiate their intents.',
+    'health.noCannibalization': '✅ No cannibalization detected.',
+    'health.swing.snapshots': '🔁 Swinging positions checked over {count} readings (local {days}-day snapshots).',
+    'health.swing.windows': '🔁 Swinging positions checked between the {days}-day and {longer}-day windows.',
+    'health.warning.POSITION_SWING_UNAVAILABLE': '⚠️ Earlier positions unavailable: swinging positions were not checked, only split clicks are reported.',
+    'health.warning.POSITION_SWING_PERIOD_TOO_LONG': '⚠️ Period too long to compare with the double window (480 days max) and no local snapshot: swinging positions were not checked.',
+    'health.legend': '💡 **How to read:** score out of 100 = 40% top-10 share + 30% actual vs expected CTR + 30% volume-weighted visibility (100% = every keyword ranking first).',
+
+    // get_portfolio_overview
+    'portfolio.title': '🗂️ **PORTFOLIO OVERVIEW** ({count} websites)',
+    'portfolio.empty': '⚠️ No website in this account.',
+    'portfolio.period': '📅 **Period:** {start} to {end} ({days} days)',
+    'portfolio.totals': '📊 **Portfolio totals:**',
+    'portfolio.totalClicks': '• Clicks: {clicks}{change}',
+    'portfolio.totalImpressions': '• Impressions: {impressions}{change}',
+    'portfolio.totalPosition': '• Average position (weighted by impressions): {position}',
+    'portfolio.totalTop10': '• Keywords in the top 10: {count}',
+    'portfolio.coverage': '• Websites analyzed: {ok} · without GSC data: {noData} · failed: {failed}',
+    'portfolio.ranking': '🏆 **Websites ranked {sortBy}:**',
+    'portfolio.sort.clicks': 'by clicks',
+    'portfolio.sort.clicks_change': 'by click change',
+    'portfolio.sort.impressions': 'by impressions',
+    'portfolio.sort.position': 'by average position',
+    'portfolio.sort.top10': 'by keywords in the top 10',
+    'portfolio.tableHeader': '| # | Website | Clicks | Impressions | Position | Top 10 |',
+    'portfolio.noData': 'no GSC data',
+    'portfolio.failed': '⚠️ failed ({code})',
+    'portfolio.winners': '📈 **Biggest gains:**',
+    'portfolio.losers': '📉 **Biggest losses:**',
+    'portfolio.moverItem': '• **{domain}** (#{id}): {change} clicks ({percent})',
+    'portfolio.failures': '⚠️ **Failed websites ({count}):**',
+    'portfolio.failureItem': '• {domain} (#{id}): {message}',
+    'portfolio.legend': '💡 **How to read:** ▲ increase / ▼ decrease against the comparison period (positions gained for the position). Website details: get_website_performance_summary.',
+
+    // generate_seo_report
+    'report.title': 'SEO report: {site}',
+    'report.meta.agency': 'Prepared by:',
+    'report.meta.period': 'Period:',
+    'report.meta.comparePeriod': 'Compared with:',
+    'report.meta.range': '{start} to {end}',
+    'report.meta.generated': 'Generated on:',
+    'report.section.summary': 'Executive summary',
+    'report.section.kpis': 'Key metrics',
+    'report.section.distribution': 'Position distribution',
+    'report.section.categories': 'Performance by category',
+    'report.section.netlinking': 'Netlinking recommendations',
+    'report.exec.noData': 'No Google Search Console data for this period: the report only covers the {count} tracked keywords.',
+    'report.exec.traffic': '{clicks} clicks and {impressions} impressions over the period',
+    'report.exec.trafficChange': ', clicks {change} versus the previous period',
+    'report.exec.position': 'Average position {position}',
+    'report.exec.positionGained': ', up {value} place(s)',
+    'report.exec.positionLost': ', down {value} place(s)',
+    'report.exec.top10': '{count} keywords in the top 10 out of {total} tracked',
+    'report.exec.bestCategory': 'Best performing category: {name} ({clicks} clicks)',
+    'report.exec.netlinking': '{count} keyword(s) in positions {range} to strengthen with netlinking, starting with "{keyword}" ({volume} searches/month)',
+    'report.exec.noNetlinking': 'No keyword in positions {range} with enough search volume for a netlinking action.',
+    'report.col.metric': 'Metric',
+    'report.col.current': 'Period',
+    'report.col.previous': 'Previous period',
+    'report.col.change': 'Change',
+    'report.col.category': 'Category',
+    'report.col.keywords': 'Keywords',
+    'report.col.top10': 'Top 10',
+    'report.col.position': 'Position',
+    'report.col.clicks': 'Clicks',
+    'report.col.impressions': 'Impressions',
+    'report.col.topKeyword': 'Top keyword',
+    'report.col.keyword': 'Keyword',
+    'report.col.volume': 'Volume',
+    'report.col.spots': 'Recommended spots',
+    'report.kpi.clicks': 'Clicks',
+    'report.kpi.impressions': 'Impressions',
+    'report.kpi.position': 'Average position',
+    'report.kpi.ctr': 'Average CTR',
+    'report.points': '{value} pt',
+    'report.chartTitle': 'Number of keywords per position range',
+    'report.chartLabel': 'Top {top}',
+    'report.noCategories': 'No keyword category for this website.',
+    'report.netlinkingIntro': 'Keywords in positions {range} with at least {volume} monthly searches: backlinks from the recommended spots can help strengthen or improve these positions, with no guaranteed gain.',
+    'report.footer': 'Report generated from Referencime and Google Search Console data.',
+    'report.footerAgency': 'Report prepared by {agency} from Referencime and Google Search Console data.',
+    'report.done': '📄 **SEO REPORT GENERATED - {site}**',
+    'report.fileFormat': '📝 **Format:** {format} ({size} KB)',
+    'report.agency': '🏢 **Agency:** {agency}',
+    'report.kpisLine': '📈 **Metrics:** clicks {clicks} · impressions {impressions} · average position {position}',
+    'report.contents': '🗂️ **Contents:** {sections}',
+    'report.openHtml': '💡 Open the file in a browser to read it or print it to PDF.',
+    'report.openMarkdown': '💡 The Markdown file opens in any compatible editor (chart and logo embedded as images).',
+
+    // shortlist_add, shortlist_remove, shortlist_list, shortlist_refresh
+    'shortlist.title': '📌 **SHORTLIST - SITE #{id}**',
+    'shortlist.listTitle': '📌 **NETLINKING SHORTLIST - SITE #{id}**',
+    'shortlist.refreshTitle': '🔄 **SHORTLIST REFRESHED - SITE #{id}**',
+    'shortlist.status.to_contact': '📞 to contact',
+    'shortlist.status.ordered': '🛒 ordered',
+    'shortlist.status.published': '✅ published',
+    'shortlist.added': '✅ **Added ({count}):**',
+    'shortlist.addedItem': '• **{domain}** - {price} ({platforms}) · proximity {score} · {status}',
+    'shortlist.keywords': '🎯 Keywords: {keywords}',
+    'shortlist.updated': '✏️ **Updated ({count}):**',
+    'shortlist.updatedItem': '• **{domain}** - {status}',
+    'shortlist.notes': '📝 {notes}',
+    'shortlist.notFound': '❓ **Not found in the spots ranking ({count}):** {domains}',
+    'shortlist.notFoundHint': '💡 Check the domains with get_netlinking_spots_ranking (with the same keywords to search the filtered ranking).',
+    'shortlist.removed': '🗑️ **Removed ({count}):** {domains}',
+    'shortlist.notInShortlist': '❓ **Not in the shortlist ({count}):** {domains}',
+    'shortlist.total': '📋 **Spots in the shortlist:** {count}',
+    'shortlist.empty': 'No spot in the shortlist. Add some with shortlist_add from the get_netlinking_spots_ranking results.',
+    'shortlist.emptyStatus': 'No spot with the status {status}.',
+    'shortlist.summary': '📊 **{count} spot(s)** · {to_contact} to contact · {ordered} ordered · {published} published · budget {price}',
+    'shortlist.tableHeader': '| Spot | Status | Price | Proximity | Keywords | Notes |',
+    'shortlist.priceSinceAdd': '{price} (added at {added})',
+    'shortlist.unavailable': '⚠️ unavailable',
+    'shortlist.lastChecked': '🔄 **Last price check:** {date}',
+    'shortlist.refreshHint': '💡 shortlist_refresh updates the prices and availability of the spots.',
+    'shortlist.checked': '🔍 **Spots checked:** {count} ({date})',
+    'shortlist.priceChanges': '💶 **Price changes ({count}):**',
+    'shortlist.priceChange': '{icon} **{domain}**: {previous} → {price} ({change})',
+    'shortlist.sinceAdd': ' · {price} when added',
+    'shortlist.noPriceChange': '💶 No price change.',
+    'shortlist.unavailableList': '⚠️ **No longer available ({count}):** {domains}',
+    'shortlist.availableAgain': '🔁 **Available again ({count}):** {domains}',
+    'shortlist.unchanged': '✅ **Unchanged prices:** {count}',
+
+    // export_data
+    'export.title': '📤 **{format} EXPORT COMPLETE**',
+    'export.file': '📁 **File:** {path}',
+    'export.source': '🔧 **Source:** {source}',
+    'export.rows': '📊 **Exported rows:** {count}',
+    'export.truncated': ' (limited by max_rows)',
+    'export.columns': '🗂️ **Columns:** {count}',
+
+    // MCP resources and prompts
+    'resources.websites.title': 'Referencime websites',
+    'resources.websites.description': 'Websites of the account (format=json or csv)',
+    'resources.websites.count': '{count} website(s) in the account',
+    'resources.categories.title': 'Keyword categories of a website',
+    'resources.categories.description': 'Keyword categories of the website with their keyword count (format=json or csv)',
+    'resources.categories.siteTitle': '{domain} - Keyword categories',
+    'resources.categories.siteDescription': 'Keyword categories of {domain} (ID: {id})',
+    'resources.keywords.title': 'Keywords of a website',
+    'resources.keywords.description': 'Tracked keywords of the website with category and search volume (format=json or csv)',
+    'resources.keywords.siteTitle': '{domain} - Tracked keywords',
+    'resources.keywords.siteDescription': 'Tracked keywords of {domain} (ID: {id})',
+    'resources.unknown': 'Unknown resource: {uri}',
+    'prompts.unknown': 'Unknown prompt: {name}',
+    'prompts.invalidMonth': 'Invalid month: {month} (expected format: YYYY-MM)',
+    'prompts.invalidNumber': 'Invalid {name} argument: {value} (positive number expected)',
+    'prompts.missingValue': '(missing)',
+    'prompts.arg.website_id': 'Website ID in Referencime',
+    'prompts.arg.lang': 'Prompt language: fr or en (default: profile locale)',
+    'prompts.monthly_seo_review.title': 'Monthly SEO review',
+    'prompts.monthly_seo_review.description': 'Monthly SEO review of a website: KPIs compared with the previous month, categories, netlinking opportunities and action plan.',
+    'prompts.monthly_seo_review.arg.month': 'Month to review, formatted YYYY-MM (default: last full month)',
+    'prompts.monthly_seo_review.text': 'Write the monthly SEO review of website #{websiteId} for {month}.\n\n' +
+      'Steps:\n' +
+      '1. Call get_website_performance_summary with website_id={websiteId}, start_date={start}, end_date={end}, ' +
+      'compare_start_date={compareStart} and compare_end_date={compareEnd}.\n' +
+      '2. Call list_keywords_by_categories_by_website with website_id={websiteId} and include_performance=true for the per-category breakdown.\n' +
+      '3. Call identify_netlinking_targets with website_id={websiteId} to find the keywords in positions 4-10 worth consolidating.\n\n' +
+      'Expected layout:\n' +
+      '- **Summary**: 3 to 5 sentences on how the month went.\n' +
+      '- **KPIs**: table of clicks, impressions, average position and CTR with the month value, the previous month value and the change.\n' +
+      '- **Position distribution**: top 3 / top 10 / top 20.\n' +
+      '- **Categories**: the categories moving up and down.\n' +
+      '- **Netlinking opportunities**: the 5 priority keywords with their recommended spots and price.\n' +
+      '- **Action plan**: 3 to 5 concrete actions for next month.\n\n' +
+      'Stick to the facts: do not promise any specific ranking gain.',
+    'prompts.netlinking_plan.title': 'Netlinking plan',
+    'prompts.netlinking_plan.description': 'Link buying plan for a website within a budget, based on the keywords to consolidate and the most relevant spots.',
+    'prompts.netlinking_plan.arg.budget': 'Total budget in euros',
+    'prompts.netlinking_plan.arg.category_id': 'Restrict the plan to one keyword category',
+    'prompts.netlinking_plan.text': 'Build a netlinking plan for website #{websiteId} with a total budget of €{budget}.\n\n' +
+      'Steps:\n' +
+      '1. Call plan_netlinking_budget with website_id={websiteId} and budget={budget}{categoryFilter} to get a selection of spots ' +
+      'that stays within €{budget} in total and never buys the same domain twice.\n' +
+      '2. Call get_netlinking_spots_ranking with website_id={websiteId}, max_price={budget}{categoryFilter} and sort_by="semantic_proximity" ' +
+      'to suggest alternatives among the spots left out.\n\n' +
+      'Expected layout:\n' +
+      '- **Plan table**: domain, platform, price, semantic proximity, targeted keywords.\n' +
+      '- **Budget**: amount committed and remainder.\n' +
+      '- **Covered and uncovered keywords**, with the reason for the latter.\n' +
+      '- **Alternatives**: 2 or 3 replacement spots in case a domain is no longer available.\n\n' +
+      'Stick to the facts: do not promise any specific ranking gain.',
+    'prompts.underperforming_categories.title': 'Underperforming categories',
+    'prompts.underperforming_categories.description': 'Finds the keyword categories of a website that are declining or underperforming and suggests improvements.',
+    'prompts.underperforming_categories.arg.days': 'Period analysed in days (default: 30)',
+    'prompts.underperforming_categories.text': 'Find the underperforming keyword categories of website #{websiteId} over the last {days} days.\n\n' +
+      'Steps:\n' +
+      '1. Call get_website_performance_summary with website_id={websiteId}, start_date={start}, end_date={end}, ' +
+      'compare_start_date={compareStart} and compare_end_date={compareEnd}.\n' +
+      '2. Call list_keywords_by_categories_by_website with website_id={websiteId}, include_performance=true and days={days}.\n\n' +
+      'Expected layout:\n' +
+      '- **Ranking** of the categories from weakest to strongest: average position, clicks, impressions and their change.\n' +
+      '- For each declining category: the keywords responsible and their CTR.\n' +
+      '- **Next steps**: content, internal linking or netlinking (identify_netlinking_targets) as appropriate.\n\n' +
+      'Stick to the facts: do not promise any specific ranking gain.',
+
+    // HTTP transport
+    'http.unknownEndpoint': 'Unknown endpoint, use /mcp',
+    'http.missingApiKey': 'Missing Referencime API key (Authorization: Bearer <key> header)',
+    'http.unknownSession': 'Unknown or expired session: {session}',
+    'http.sessionKeyMismatch': 'The API key does not match this session',
+    'http.sessionIdRequired': 'Mcp-Session-Id header required',
+    'http.invalidJson': 'Invalid JSON body',
+    'http.noSession': 'No active session: send an initialize request first',
+    'http.internalError': 'Internal server error',
+
+    // Progress notifications (long-running requests)
+    'progress.request': '📡 Querying the Referencime API ({tool})…',
+    'progress.pending': '⏳ {tool}: analysis running for {seconds}s…',
+    'progress.retryWait': '⏳ {tool}: failed ({code}), retrying in {seconds}s',
+    'progress.retry': '🔁 {tool}: attempt {attempt}/{max}…',
+
+    // list-tools and call commands
+    'cli.toolsTitle': '🛠️ **{count} tools available**',
+    'cli.toolsHint': '💡 Argument details: referencime-mcp call <tool> --help',
+    'cli.options': '⚙️ **Arguments:**',
+    'cli.noOptions': '- none',
+    'cli.required': 'required',
+    'cli.default': 'default: {value}',
+    'cli.usage': '💡 **Example:** referencime-mcp call {tool} --format json',
+
+    // referencime_diagnostics
+    'diagnostics.title': '🩺 **REFERENCIME MCP DIAGNOSTICS**',
+    'diagnostics.status.ok': '✅ everything works',
+    'diagnostics.status.warning': '⚠️ some endpoints fail',
+    'diagnostics.status.error': '❌ connection problem',
+    'diagnostics.versions': '🧩 **Versions:** server {server} · Node.js {node} · MCP SDK {sdk}',
+    'diagnostics.profile': '👤 **Profile:** {profile} · account {account}',
+    'diagnostics.demo': '(demo mode)',
+    'diagnostics.baseUrl': '🔗 **API:** {url}',
+    'diagnostics.checks': '🔍 **Checks:**',
+    'diagnostics.check.base_url.ok': 'API reachable (HTTP {status}, {duration})',
+    'diagnostics.check.base_url.error': 'API unreachable [{code}]: {message} ({duration})',
+    'diagnostics.check.api_key.ok': 'API key accepted: {count} accessible website(s) ({duration})',
+    'diagnostics.check.api_key.error': 'API key rejected or unusable [{code}]: {message} ({duration})',
+    'diagnostics.endpoints': '⏱️ **Endpoint response times:**',
+    'diagnostics.tableHeader': '| Tool | Endpoint | Status | Duration | Size |',
+    'diagnostics.endpointStatus.ok': 'OK',
+    'diagnostics.endpointStatus.skipped': 'not tested',
+    'diagnostics.duration': '{ms} ms',
+    'diagnostics.size': '{kb} KB',
+    'diagnostics.settings': '⚙️ **Settings:** {cache} · {log} · {tools} tools',
+    'diagnostics.cacheOn': 'cache enabled',
+    'diagnostics.cacheOff': 'cache disabled',
+    'diagnostics.logOn': '{level} log in {file}',
+    'diagnostics.logOff': 'log disabled (REFERENCIME_LOG)',
+    'diagnostics.tip.base_url': '💡 **Action:** check the network connection, any proxy and REFERENCIME_BASE_URL (or the profile base_url).',
+    'diagnostics.tip.api_key': '💡 **Action:** check the API key in your referencime.fr profile (API section), then update REFERENCIME_API_KEY or the profile api_key source.'
+  }
+};
@@ -0,0 +1,67 @@
+/**
+ * Plugins
+ * Modules d'outils maison chargés depuis --plugins, REFERENCIME_PLUGINS_DIR ou plugins_dir,
+ * enregistrés comme les outils intégrés
+ */
+
+import { readdir } from "node:fs/promises";
+import path from "node:path";
+import { pathToFileURL } from "node:url";
+import { z } from "zod";
+import { callPaginatedTool, callReferencimeAPI, fetchAllPages, formatPagination, validateOutput } from "./api.js";
+import { getCliOption, loadConfig } from "./config.js";
+import { InvalidArgumentsError, ReferencimeError } from "./errors.js";
+import { registerToolModule } from "./registry.js";
+import { expandHome } from "./utils.js";
+
+// Utilitaires reçus par les plugins qui exportent une fonction (api) => définition(s)
+const PLUGIN_API = {
+  z,
+  callReferencimeAPI,
+  callPaginatedTool,
+  fetchAllPages,
+  validateOutput,
+  formatPagination,
+  InvalidArgumentsError,
+  ReferencimeError
+};
+
+function getPluginsDir(config) {
+  const pluginsDir = getCliOption('plugins', process.env.REFERENCIME_PLUGINS_DIR || config.plugins_dir);
+  return typeof pluginsDir === 'string' ? path.resolve(expandHome(pluginsDir)) : null;
+}
+
+async function importPlugins() {
+  const pluginsDir = getPluginsDir(await loadConfig());
+  if (!pluginsDir) return;
+
+  let files;
+  try {
+    files = (await readdir(pluginsDir)).filter(file => /\.m?js$/.test(file)).sort();
+  } catch (error) {
+    console.error(`[Referencime MCP] ⚠️ Dossier de plugins illisible (${pluginsDir}): ${error.message}`);
+    return;
+  }
+
+  for (const file of files) {
+    const filePath = path.join(pluginsDir, file);
+    try {
+      const module = await import(pathToFileURL(filePath).href);
+      // Un plugin est chargé entièrement ou pas du tout
+      const definitions = await registerToolModule(module.default ?? module.tools, filePath, PLUGIN_API);
+      console.error(`[Referencime MCP] 🧩 Plugin chargé: ${file} (${definitions.map(d => d.name).join(', ')})`);
+    } catch (error) {
+      console.error(`[Referencime MCP] ⚠️ Plugin ignoré (${file}): ${error.message}`);
+    }
+  }
+}
+
+let pluginsPromise = null;
+
+// Chargés une seule fois, au premier besoin (démarrage, liste ou appel d'outil)
+export function loadPlugins() {
+  if (!pluginsPromise) {
+    pluginsPromise = importPlugins();
+  }
+  return pluginsPromise;
+}
@@ -0,0 +1,144 @@
+/**
+ * Prompts MCP
+ * Demandes prêtes à l'emploi, traduites à la demande
+ */
+
+import { ErrorCode, McpError } from "@modelcontextprotocol/sdk/types.js";
+import { getServerTranslator } from "./config.js";
+import { formatIsoDate } from "./dates.js";
+
+// Bornes d'un mois (YYYY-MM) et du mois précédent ; par défaut le dernier mois complet
+function getMonthRanges(month, i18n) {
+  let year;
+  let monthIndex;
+  if (month) {
+    const match = /^(\d{4})-(\d{2})$/.exec(month);
+    if (!match || Number(match[2]) < 1 || Number(match[2]) > 12) {
+      throw new McpError(ErrorCode.InvalidParams, i18n.t('prompts.invalidMonth', { month }));
+    }
+    year = Number(match[1]);
+    monthIndex = Number(match[2]) - 1;
+  } else {
+    const now = new Date();
+    year = now.getUTCFullYear();
+    monthIndex = now.getUTCMonth() - 1;
+  }
+  const start = new Date(Date.UTC(year, monthIndex, 1));
+  const end = new Date(Date.UTC(year, monthIndex + 1, 0));
+  const compareStart = new Date(Date.UTC(year, monthIndex - 1, 1));
+  const compareEnd = new Date(Date.UTC(year, monthIndex, 0));
+  return {
+    label: formatIsoDate(start).slice(0, 7),
+    start_date: formatIsoDate(start),
+    end_date: formatIsoDate(end),
+    compare_start_date: formatIsoDate(compareStart),
+    compare_end_date: formatIsoDate(compareEnd)
+  };
+}
+
+function parsePromptNumber(value, name, i18n) {
+  const number = Number(value);
+  if (value === undefined || value === '' || !Number.isFinite(number) || number <= 0) {
+    throw new McpError(ErrorCode.InvalidParams, i18n.t('prompts.invalidNumber', { name, value: value ?? i18n.t('prompts.missingValue') }));
+  }
+  return number;
+}
+
+// Titre, description, arguments et texte traduits à la demande (prompts.<name>.*)
+const PROMPTS = [
+  {
+    name: 'monthly_seo_review',
+    arguments: [
+      { name: 'website_id', messageKey: 'prompts.arg.website_id', required: true },
+      { name: 'month', messageKey: 'prompts.monthly_seo_review.arg.month', required: false },
+      { name: 'lang', messageKey: 'prompts.arg.lang', required: false }
+    ],
+    build: (args, i18n) => {
+      const websiteId = parsePromptNumber(args.website_id, 'website_id', i18n);
+      const range = getMonthRanges(args.month, i18n);
+      return i18n.t('prompts.monthly_seo_review.text', {
+        websiteId,
+        month: range.label,
+        start: range.start_date,
+        end: range.end_date,
+        compareStart: range.compare_start_date,
+        compareEnd: range.compare_end_date
+      });
+    }
+  },
+  {
+    name: 'netlinking_plan',
+    arguments: [
+      { name: 'website_id', messageKey: 'prompts.arg.website_id', required: true },
+      { name: 'budget', messageKey: 'prompts.netlinking_plan.arg.budget', required: true },
+      { name: 'category_id', messageKey: 'prompts.netlinking_plan.arg.category_id', required: false },
+      { name: 'lang', messageKey: 'prompts.arg.lang', required: false }
+    ],
+    build: (args, i18n) => {
+      const websiteId = parsePromptNumber(args.website_id, 'website_id', i18n);
+      const budget = parsePromptNumber(args.budget, 'budget', i18n);
+      const categoryFilter = args.category_id ? `, category_id="${args.category_id}"` : '';
+      return i18n.t('prompts.netlinking_plan.text', { websiteId, budget, categoryFilter });
+    }
+  },
+  {
+    name: 'underperforming_categories',
+    arguments: [
+      { name: 'website_id', messageKey: 'prompts.arg.website_id', required: true },
+      { name: 'days', messageKey: 'prompts.underperforming_categories.arg.days', required: false },
+      { name: 'lang', messageKey: 'prompts.arg.lang', required: false }
+    ],
+    build: (args, i18n) => {
+      const websiteId = parsePromptNumber(args.website_id, 'website_id', i18n);
+      const days = args.days ? parsePromptNumber(args.days, 'days', i18n) : 30;
+      const end = new Date();
+      const start = new Date(end.getTime() - (days - 1) * 86400000);
+      const compareEnd = new Date(start.getTime() - 86400000);
+      const compareStart = new Date(compareEnd.getTime() - (days - 1) * 86400000);
+      return i18n.t('prompts.underperforming_categories.text', {
+        websiteId,
+        days,
+        start: formatIsoDate(start),
+        end: formatIsoDate(end),
+        compareStart: formatIsoDate(compareStart),
+        compareEnd: formatIsoDate(compareEnd)
+      });
+    }
+  }
+];
+
+// Handler pour lister les prompts disponibles
+export async function handleListPrompts() {
+  const { t } = await getServerTranslator();
+  return {
+    prompts: PROMPTS.map(({ name, arguments: promptArgs }) => ({
+      name,
+      title: t(`prompts.${name}.title`),
+      description: t(`prompts.${name}.description`),
+      arguments: promptArgs.map(({ messageKey, ...arg }) => ({ ...arg, description: t(messageKey) }))
+    }))
+  };
+}
+
+// Handler pour générer un prompt
+export async function handleGetPrompt(request) {
+  const { name, arguments: args = {} } = request.params;
+  const i18n = await getServerTranslator(args.lang);
+  const prompt = PROMPTS.find(p => p.name === name);
+  if (!prompt) {
+    throw new McpError(ErrorCode.InvalidParams, i18n.t('prompts.unknown', { name }));
+  }
+
+  return {
+    description: i18n.t(`prompts.${name}.description`),
+    messages: [
+      {
+        role: 'user',
+        content: {
+          type: 'text',
+          text: prompt.build(args, i18n)
+        }
+      }
+    ]
+  };
+}
@@ -0,0 +1,69 @@
+/**
+ * Registre des outils
+ * Chaque outil est déclaré une seule fois (schémas, endpoint, cache, pagination, formatage).
+ * Il alimente la liste des outils, la validation des arguments, l'appel à l'API et le rendu texte.
+ * - endpoint / cacheTtl : endpoint WordPress et durée de cache (secondes) des outils adossés à l'API
+ * - list : clé de la liste paginée et total annoncé (ou fonction de pagination dédiée)
+ * - run : récupération personnalisée (args, context) ; par défaut, appel de l'endpoint
+ * - snapshot : enregistre un instantané local du résultat (detect_changes)
+ * - format : texte de la réponse (result, i18n, args)
+ * Outils intégrés (tools/index.js) et plugins (plugins.js) y entrent de la même façon, par registerToolModule
+ */
+
+import { z } from "zod";
+import { MESSAGES } from "./messages.js";
+
+export const toolRegistry = new Map();
+
+export function getTool(name) {
+  return toolRegistry.get(name);
+}
+
+const isFunction = value => typeof value === 'function';
+
+const ToolDefinitionSchema = z.object({
+  name: z.string().regex(/^[a-z][a-z0-9_]*$/, 'lettres minuscules, chiffres et _ uniquement'),
+  description: z.string().min(1),
+  inputSchema: z.custom(schema => isFunction(schema?.safeParse), 'schéma zod attendu'),
+  outputSchema: z.custom(schema => isFunction(schema?.safeParse), 'schéma zod attendu').optional(),
+  endpoint: z.string().startsWith('/').optional(),
+  cacheTtl: z.number().int().positive().optional(),
+  list: z.object({ key: z.string() }).passthrough().optional(),
+  run: z.custom(isFunction, 'fonction attendue').optional(),
+  format: z.custom(isFunction, 'fonction attendue'),
+  messages: z.record(z.record(z.string())).optional()
+}).refine(tool => tool.endpoint || tool.run, 'endpoint ou run requis');
+
+function checkToolDefinition(definition, names) {
+  const parsed = ToolDefinitionSchema.safeParse(definition);
+  if (!parsed.success) {
+    const details = parsed.error.issues.map(issue => `${issue.path.join('.') || 'outil'}: ${issue.message}`).join(', ');
+    throw new Error(`définition invalide (${definition?.name || 'sans nom'}) - ${details}`);
+  }
+  if (toolRegistry.has(definition.name) || names.has(definition.name)) {
+    throw new Error(`l'outil ${definition.name} existe déjà`);
+  }
+  names.add(definition.name);
+}
+
+function registerTool(definition, source) {
+  // Messages propres au module, fusionnés dans le catalogue (clés préfixées par le nom de l'outil conseillées)
+  for (const [language, messages] of Object.entries(definition.messages || {})) {
+    if (MESSAGES[language]) Object.assign(MESSAGES[language], messages);
+  }
+  toolRegistry.set(definition.name, { ...definition, source });
+}
+
+// Un module d'outils exporte par défaut une définition, un tableau de définitions,
+// ou une fonction (api) => définition(s) qui reçoit les utilitaires du serveur.
+// Ses outils sont enregistrés entièrement ou pas du tout
+export async function registerToolModule(exported, source, api) {
+  const definitions = [await (isFunction(exported) ? exported(api) : exported)].flat().filter(Boolean);
+  if (definitions.length === 0) {
+    throw new Error('aucun outil exporté');
+  }
+  const names = new Set();
+  definitions.forEach(definition => checkToolDefinition(definition, names));
+  for (const definition of definitions) registerTool(definition, source);
+  return definitions;
+}
@@ -0,0 +1,172 @@
+/**
+ * Ressources MCP
+ */
+
+import { ErrorCode, McpError } from "@modelcontextprotocol/sdk/types.js";
+import { fetchAllPages } from "./api.js";
+import { getServerTranslator, resolveContext } from "./config.js";
+import { toMcpError } from "./errors.js";
+import { toCsv } from "./export/csv.js";
+import {
+  ListCategoriesByWebsiteArgsSchema,
+  ListCategoriesByWebsiteOutputSchema,
+  ListKeywordsByWebsiteArgsSchema,
+  ListKeywordsByWebsiteOutputSchema,
+} from "./schemas.js";
+import { listWebsites } from "./websites.js";
+
+// Ressources MCP : données de référence à joindre à une conversation (JSON ou CSV)
+// Titres et descriptions traduits à la demande (resources.<messages>.*)
+const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: 'referencime://websites{?format}',
+    name: 'websites',
+    messages: 'websites',
+    mimeType: 'application/json'
+  },
+  {
+    uriTemplate: 'referencime://website/{id}/categories{?format}',
+    name: 'website-categories',
+    messages: 'categories',
+    mimeType: 'application/json'
+  },
+  {
+    uriTemplate: 'referencime://website/{id}/keywords{?format}',
+    name: 'website-keywords',
+    messages: 'keywords',
+    mimeType: 'application/json'
+  }
+];
+
+const RESOURCE_MIME_TYPES = {
+  json: 'application/json',
+  csv: 'text/csv'
+};
+
+// referencime://websites, referencime://website/{id}/categories|keywords, avec ?format=json|csv
+function parseResourceUri(uri) {
+  let url;
+  try {
+    url = new URL(uri);
+  } catch (error) {
+    return null;
+  }
+  if (url.protocol !== 'referencime:') return null;
+
+  const format = (url.searchParams.get('format') || 'json').toLowerCase();
+  if (!RESOURCE_MIME_TYPES[format]) return null;
+
+  if (url.host === 'websites' && (url.pathname === '' || url.pathname === '/')) {
+    return { kind: 'websites', format };
+  }
+  const match = /^\/(\d+)\/(categories|keywords)\/?$/.exec(url.pathname);
+  if (url.host === 'website' && match) {
+    return { kind: match[2], websiteId: Number(match[1]), format };
+  }
+  return null;
+}
+
+// Handler pour lister les ressources (une entrée par site et par type de données)
+export async function handleListResources(request, extra) {
+  const i18n = await getServerTranslator();
+  const { t } = i18n;
+  try {
+    const context = await resolveContext(undefined, extra?.authInfo);
+    const { websites } = await listWebsites(context);
+
+    return {
+      resources: [
+        {
+          uri: 'referencime://websites',
+          name: 'websites',
+          title: t('resources.websites.title'),
+          description: t('resources.websites.count', { count: websites.length }),
+          mimeType: 'application/json'
+        },
+        ...websites.flatMap(website => [
+          {
+            uri: `referencime://website/${website.id}/categories`,
+            name: `${website.domain}-categories`,
+            title: t('resources.categories.siteTitle', { domain: website.domain }),
+            description: t('resources.categories.siteDescription', { domain: website.domain, id: website.id }),
+            mimeType: 'application/json'
+          },
+          {
+            uri: `referencime://website/${website.id}/keywords`,
+            name: `${website.domain}-keywords`,
+            title: t('resources.keywords.siteTitle', { domain: website.domain }),
+            description: t('resources.keywords.siteDescription', { domain: website.domain, id: website.id }),
+            mimeType: 'application/json'
+          }
+        ])
+      ]
+    };
+  } catch (error) {
+    console.error(`[Referencime MCP] Erreur ressources: ${error.message}`);
+    throw toMcpError(error, i18n);
+  }
+}
+
+export async function handleListResourceTemplates() {
+  const { t } = await getServerTranslator();
+  return {
+    resourceTemplates: RESOURCE_TEMPLATES.map(({ messages, ...template }) => ({
+      ...template,
+      title: t(`resources.${messages}.title`),
+      description: t(`resources.${messages}.description`)
+    }))
+  };
+}
+
+// Handler pour lire une ressource
+export async function handleReadResource(request, extra) {
+  const { uri } = request.params;
+  const i18n = await getServerTranslator();
+  const resource = parseResourceUri(uri);
+  if (!resource) {
+    throw new McpError(ErrorCode.InvalidParams, i18n.t('resources.unknown', { uri }));
+  }
+
+  try {
+    const context = await resolveContext(undefined, extra?.authInfo);
+    let data;
+    let rows;
+    let columns;
+
+    switch (resource.kind) {
+      case 'websites': {
+        data = await listWebsites(context);
+        rows = data.websites;
+        columns = ['id', 'domain', 'is_favorite', 'created_date'];
+        break;
+      }
+      case 'categories': {
+        const args = ListCategoriesByWebsiteArgsSchema.parse({ website_id: resource.websiteId, limit: 500 });
+        data = await fetchAllPages('list_categories_by_website', ListCategoriesByWebsiteOutputSchema, args, context);
+        rows = data.categories;
+        columns = ['id', 'name', 'keywords_count'];
+        break;
+      }
+      case 'keywords': {
+        const args = ListKeywordsByWebsiteArgsSchema.parse({ website_id: resource.websiteId, include_metrics: true, limit: 500 });
+        data = await fetchAllPages('list_keywords_by_website', ListKeywordsByWebsiteOutputSchema, args, context);
+        rows = data.keywords;
+        columns = ['keyword', 'category_name', 'search_volume'];
+        break;
+      }
+    }
+
+    return {
+      contents: [
+        {
+          uri,
+          mimeType: RESOURCE_MIME_TYPES[resource.format],
+          text: resource.format === 'csv' ? toCsv(rows, columns) : JSON.stringify(data, null, 2)
+        }
+      ]
+    };
+  } catch (error) {
+    console.error(`[Referencime MCP] Erreur ressource ${uri}: ${error.message}`);
+    throw toMcpError(error, i18n);
+  }
+}
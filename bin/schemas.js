@@ -0,0 +1,897 @@
+/**
+ * Schémas des outils
+ * Arguments validés avant l'appel et schémas de sortie des réponses de l'API
+ */
+
+import { z } from "zod";
+import { RELATIVE_DATE_RANGES, getRangeDays, isIsoDate, resolveDateRange } from "./dates.js";
+
+// Arguments communs à tous les outils, retirés avant l'appel à l'API
+const CommonArgsShape = {
+  force_refresh: z.boolean().optional().default(false).describe('Ignorer le cache et interroger directement l\'API Referencime'),
+  profile: z.string().optional().describe('Profil de configuration à utiliser (compte client, environnement)'),
+  lang: z.string().optional().describe('Langue de la réponse : fr, en ou locale complète (en-GB, fr-CA...)')
+};
+
+// Pagination : offset/limit transmis à l'API, curseur opaque renvoyé dans next_cursor
+const CursorArgSchema = z.string().optional().describe('Curseur de pagination : valeur next_cursor de la réponse précédente');
+const PageLimitArgSchema = z.number().int().min(1).max(500).optional().default(100).describe('Nombre d\'éléments par page (max 500)');
+
+// Site ciblé : ID, domaine résolu via list_websites_by_user ou, à défaut, site favori du compte
+const WebsiteArgsShape = {
+  website_id: z.number().int().positive().optional().describe('ID du site web dans Referencime (par défaut : site favori du compte)'),
+  website: z.string().trim().min(1).optional().describe('Domaine du site, à la place de website_id (ex. "example.fr", "https://www.example.fr")')
+};
+
+const IsoDateSchema = z.string().refine(isIsoDate, { message: 'Date invalide : format attendu YYYY-MM-DD' });
+
+const DateRangeArgSchema = z.enum(RELATIVE_DATE_RANGES).optional().describe('Période relative, convertie en dates rappelées dans la réponse : last_week (semaine précédente, du lundi au dimanche), last_month (mois précédent), last_quarter, this_month, ytd (depuis le 1er janvier), last_year, yesterday, last_7_days, last_28_days, last_30_days, last_90_days. Incompatible avec start_date/end_date');
+
+// Liste de mots-clés, transmise à l'API au format mot1||mot2
+const KeywordListArgSchema = z.array(z.string().trim().min(1)).min(1).max(100);
+
+// Vérifications croisées des arguments (superRefine)
+function addArgIssue(ctx, field, message) {
+  ctx.addIssue({ code: z.ZodIssueCode.custom, path: [field], message });
+}
+
+function checkMinMax(args, ctx, minField, maxField) {
+  if (args[minField] !== undefined && args[maxField] !== undefined && args[minField] > args[maxField]) {
+    addArgIssue(ctx, minField, `${minField} (${args[minField]}) doit être inférieur ou égal à ${maxField} (${args[maxField]})`);
+  }
+}
+
+// Plage analysée : période relative exclusive des dates explicites, début avant fin
+function checkDateRange(args, ctx, startField = 'start_date', endField = 'end_date') {
+  if (args.date_range && (args[startField] || args[endField])) {
+    addArgIssue(ctx, 'date_range', `date_range ne peut pas être combiné avec ${startField}/${endField}`);
+  }
+  if (isIsoDate(args[startField]) && isIsoDate(args[endField]) && args[startField] > args[endField]) {
+    addArgIssue(ctx, endField, `${endField} (${args[endField]}) doit être postérieure ou égale à ${startField} (${args[startField]})`);
+  }
+}
+
+// Période de comparaison : début avant fin et même durée que la période analysée (days, si elle est connue)
+function checkCompareRange(args, ctx, days) {
+  const { compare_start_date: start, compare_end_date: end } = args;
+  if (!isIsoDate(start) || !isIsoDate(end)) return;
+  if (start > end) {
+    addArgIssue(ctx, 'compare_end_date', `compare_end_date (${end}) doit être postérieure ou égale à compare_start_date (${start})`);
+  } else if (days && getRangeDays(start, end) !== days) {
+    addArgIssue(ctx, 'compare_start_date', `La période de comparaison doit durer ${days} jours comme la période analysée (${getRangeDays(start, end)} jours fournis)`);
+  }
+}
+
+export const ListWebsitesByUserArgsSchema = z.object({
+  // Aucun paramètre requis - utilise la clé API pour identifier l'utilisateur
+  limit: PageLimitArgSchema,
+  cursor: CursorArgSchema,
+  ...CommonArgsShape
+});
+
+export const ListCategoriesByWebsiteArgsSchema = z.object({
+  ...WebsiteArgsShape,
+  limit: PageLimitArgSchema,
+  cursor: CursorArgSchema,
+  ...CommonArgsShape
+});
+
+export const ListKeywordsByWebsiteArgsSchema = z.object({
+  ...WebsiteArgsShape,
+  include_metrics: z.boolean().optional().default(false).describe('Inclure les volumes de recherche Google Ads'),
+  limit: PageLimitArgSchema,
+  cursor: CursorArgSchema,
+  ...CommonArgsShape
+});
+
+export const ListKeywordsByCategoriesByWebsiteArgsSchema = z.object({
+  ...WebsiteArgsShape,
+  include_performance: z.boolean().optional().default(true).describe('Inclure les métriques de performance GSC'),
+  days: z.number().int().min(1).max(480).optional().default(30).describe('Période pour les métriques GSC (en jours)'),
+  limit: PageLimitArgSchema.describe('Nombre de mots-clés par page, toutes catégories confondues (max 500)'),
+  cursor: CursorArgSchema,
+  ...CommonArgsShape
+});
+
+export const SUMMARY_PERIOD_DAYS = { '7days': 7, '30days': 30, '90days': 90 };
+
+// Période analysée et période de comparaison (résumé de performance, rapport SEO)
+const SummaryPeriodArgsShape = {
+  period: z.enum(['7days', '30days', '90days']).optional().default('30days').describe('Période d\'analyse (7days, 30days, 90days), ignorée si des dates sont fournies'),
+  date_range: DateRangeArgSchema,
+  start_date: IsoDateSchema.optional().describe('Date de début au format YYYY-MM-DD'),
+  end_date: IsoDateSchema.optional().describe('Date de fin au format YYYY-MM-DD'),
+  compare_start_date: IsoDateSchema.optional().describe('Date de début de comparaison au format YYYY-MM-DD (même durée que la période analysée)'),
+  compare_end_date: IsoDateSchema.optional().describe('Date de fin de comparaison au format YYYY-MM-DD')
+};
+
+function checkSummaryPeriod(args, ctx) {
+  checkDateRange(args, ctx);
+  // Durée analysée : période relative, dates explicites ou période prédéfinie (inconnue si une seule date est fournie)
+  const range = args.date_range ? resolveDateRange(args.date_range) : args;
+  let days = null;
+  if (isIsoDate(range.start_date) && isIsoDate(range.end_date)) {
+    days = getRangeDays(range.start_date, range.end_date);
+  } else if (!range.start_date && !range.end_date) {
+    days = SUMMARY_PERIOD_DAYS[args.period];
+  }
+  checkCompareRange(args, ctx, days);
+}
+
+export const WebsiteSummaryArgsSchema = z.object({
+  ...WebsiteArgsShape,
+  ...SummaryPeriodArgsShape,
+  ...CommonArgsShape
+}).superRefine(checkSummaryPeriod);
+
+export const GetNetlinkingSpotsRankingArgsSchema = z.object({
+  ...WebsiteArgsShape,
+  category_id: z.string().optional().describe('Filtrer par catégorie de mots-clés'),
+  min_price: z.number().min(0).optional().describe('Prix minimum'),
+  max_price: z.number().positive().optional().describe('Prix maximum'),
+  platform_id: z.number().int().positive().optional().describe('Filtrer par plateforme'),
+  keywords: KeywordListArgSchema.optional().describe('Filtrer par mots-clés (ex. ["mot 1", "mot 2"])'),
+  limit: z.number().int().min(1).max(100).optional().default(20).describe('Nombre de spots à retourner (max 100)'),
+  sort_by: z.enum(['semantic_proximity', 'traffic', 'visibility', 'keywords', 'position', 'price']).optional().default('semantic_proximity').describe('Champ de tri (semantic_proximity, traffic, visibility, keywords, position, price)'),
+  cursor: CursorArgSchema,
+  ...CommonArgsShape
+}).superRefine((args, ctx) => checkMinMax(args, ctx, 'min_price', 'max_price'));
+
+export const IdentifyNetlinkingTargetsArgsSchema = z.object({
+  ...WebsiteArgsShape,
+  min_position: z.number().int().min(1).max(100).optional().default(4).describe('Position minimale (par défaut: 4)'),
+  max_position: z.number().int().min(1).max(100).optional().default(10).describe('Position maximale (par défaut: 10)'),
+  min_volume: z.number().min(0).optional().default(100).describe('Volume de recherche minimum'),
+  limit: z.number().int().min(1).max(100).optional().default(20).describe('Nombre de keywords à retourner (max 100)'),
+  spots_per_keyword: z.number().int().min(1).max(20).optional().default(3).describe('Nombre de spots recommandés par keyword'),
+  cursor: CursorArgSchema,
+  ...CommonArgsShape
+}).superRefine((args, ctx) => checkMinMax(args, ctx, 'min_position', 'max_position'));
+
+export const KeywordPositionHistoryArgsSchema = z.object({
+  ...WebsiteArgsShape,
+  keywords: KeywordListArgSchema.describe('Mot(s)-clé(s) à suivre (ex. ["mot 1", "mot 2"])'),
+  days: z.number().int().min(1).max(480).optional().default(30).describe('Nombre de jours analysés (ignoré si start_date ou date_range est fourni)'),
+  date_range: DateRangeArgSchema,
+  start_date: IsoDateSchema.optional().describe('Date de début au format YYYY-MM-DD'),
+  end_date: IsoDateSchema.optional().describe('Date de fin au format YYYY-MM-DD'),
+  granularity: z.enum(['week', 'month']).optional().default('week').describe('Granularité de la série : week (hebdomadaire, 26 semaines au plus) ou month (mensuelle)'),
+  ...CommonArgsShape
+}).superRefine((args, ctx) => checkDateRange(args, ctx));
+
+export const CompareKeywordsArgsSchema = z.object({
+  ...WebsiteArgsShape,
+  keywords: KeywordListArgSchema.describe('Mots-clés à comparer (ex. ["mot 1", "mot 2"])'),
+  days: z.number().int().min(1).max(240).optional().default(30).describe('Durée des périodes comparées en jours : les days derniers jours jusqu\'à hier, face aux days jours précédents'),
+  ...CommonArgsShape
+});
+
+// Seuils de détection des changements (detect_changes)
+export const ChangeThresholdsSchema = z.object({
+  tiers: z.array(z.number().int().positive()).min(1).optional().describe('Paliers de classement surveillés (par défaut : 3, 10, 20)'),
+  position_change: z.number().positive().optional().describe('Variation de position considérée comme significative (par défaut : 5)'),
+  click_drop_percent: z.number().positive().max(100).optional().describe('Baisse de clics significative, en % (par défaut : 30)'),
+  min_clicks: z.number().min(0).optional().describe('Clics minimum sur la période de référence pour signaler une baisse (par défaut : 10)')
+});
+
+export const DEFAULT_CHANGE_THRESHOLDS = { tiers: [3, 10, 20], position_change: 5, click_drop_percent: 30, min_clicks: 10 };
+
+export const DetectChangesArgsSchema = z.object({
+  ...WebsiteArgsShape,
+  source: z.enum(['auto', 'snapshots', 'periods']).optional().default('auto').describe('snapshots : compare deux instantanés locaux, periods : compare deux périodes via l\'API, auto : instantanés si au moins deux existent'),
+  from_date: IsoDateSchema.optional().describe('Instantané de référence (YYYY-MM-DD, par défaut : le plus récent datant d\'au moins days jours avant to_date)'),
+  to_date: IsoDateSchema.optional().describe('Instantané comparé (YYYY-MM-DD, par défaut : le plus récent)'),
+  days: z.number().int().min(1).max(240).optional().default(7).describe('Durée des périodes comparées en mode periods, écart minimum entre instantanés sinon'),
+  thresholds: ChangeThresholdsSchema.optional().describe('Seuils de détection, prioritaires sur change_thresholds du fichier de configuration'),
+  ...CommonArgsShape
+}).superRefine((args, ctx) => checkDateRange(args, ctx, 'from_date', 'to_date'));
+
+export const PlanNetlinkingBudgetArgsSchema = z.object({
+  ...WebsiteArgsShape,
+  budget: z.number().positive().describe('Budget total en euros'),
+  max_price_per_domain: z.number().positive().optional().describe('Prix maximum accepté pour un domaine'),
+  max_links_per_keyword: z.number().int().min(1).optional().describe('Nombre maximum de liens ciblant un même mot-clé'),
+  category_id: z.string().optional().describe('Limiter les spots du classement à une catégorie de mots-clés'),
+  min_position: z.number().int().min(1).max(100).optional().default(4).describe('Position minimale des mots-clés à consolider (par défaut: 4)'),
+  max_position: z.number().int().min(1).max(100).optional().default(10).describe('Position maximale des mots-clés à consolider (par défaut: 10)'),
+  min_volume: z.number().min(0).optional().default(100).describe('Volume de recherche minimum des mots-clés à consolider'),
+  spots_per_keyword: z.number().int().min(1).max(20).optional().default(5).describe('Nombre de spots recommandés étudiés par mot-clé'),
+  ...CommonArgsShape
+}).superRefine((args, ctx) => checkMinMax(args, ctx, 'min_position', 'max_position'));
+
+export const AnalyzeCategoryHealthArgsSchema = z.object({
+  ...WebsiteArgsShape,
+  days: z.number().int().min(1).max(480).optional().default(30).describe('Période analysée en jours'),
+  min_similarity: z.number().min(0.5).max(1).optional().default(0.75).describe('Similarité minimale (0.5 à 1) entre deux mots-clés d\'une catégorie pour les considérer comme quasi-doublons'),
+  ...CommonArgsShape
+});
+
+export const GetPortfolioOverviewArgsSchema = z.object({
+  period: z.enum(['7days', '30days', '90days']).optional().default('30days').describe('Période d\'analyse (7days, 30days, 90days), ignorée si des dates sont fournies'),
+  date_range: DateRangeArgSchema,
+  start_date: IsoDateSchema.optional().describe('Date de début au format YYYY-MM-DD'),
+  end_date: IsoDateSchema.optional().describe('Date de fin au format YYYY-MM-DD'),
+  sort_by: z.enum(['clicks', 'clicks_change', 'impressions', 'position', 'top10']).optional().default('clicks').describe('Classement des sites : clics, évolution des clics, impressions, position moyenne ou mots-clés dans le top 10'),
+  concurrency: z.number().int().min(1).max(20).optional().describe('Nombre de sites interrogés simultanément (par défaut : portfolio_concurrency du fichier de configuration, sinon 4)'),
+  ...CommonArgsShape
+}).superRefine((args, ctx) => checkDateRange(args, ctx));
+
+export const GenerateSeoReportArgsSchema = z.object({
+  ...WebsiteArgsShape,
+  ...SummaryPeriodArgsShape,
+  format: z.enum(['html', 'markdown']).optional().default('html').describe('Format du rapport : html (page autonome, à ouvrir dans un navigateur) ou markdown'),
+  output_path: z.string().min(1).optional().describe('Chemin du fichier, relatif au dossier d\'export (par défaut : rapport-seo-<domaine>-<date>)'),
+  netlinking_limit: z.number().int().min(1).max(50).optional().default(10).describe('Nombre de mots-clés recommandés pour le netlinking (max 50)'),
+  overwrite: z.boolean().optional().default(false).describe('Remplacer le fichier s\'il existe déjà'),
+  ...CommonArgsShape
+}).superRefine(checkSummaryPeriod);
+
+// Shortlist locale de spots de netlinking, par site
+export const SHORTLIST_STATUSES = ['to_contact', 'ordered', 'published'];
+const SpotDomainsArgSchema = z.array(z.string().trim().min(1)).min(1).max(50);
+
+export const ShortlistAddArgsSchema = z.object({
+  ...WebsiteArgsShape,
+  domains: SpotDomainsArgSchema.describe('Domaine(s) des spots, tels que renvoyés par get_netlinking_spots_ranking (ex. ["blog-deco.fr"])'),
+  status: z.enum(SHORTLIST_STATUSES).optional().describe('Statut de suivi : to_contact (à contacter, par défaut), ordered (commandé), published (publié)'),
+  notes: z.string().max(2000).optional().describe('Notes libres (contact, négociation, URL de l\'article...)'),
+  keywords: KeywordListArgSchema.optional().describe('Mots-clés visés par ces spots (par défaut : déduits des recommandations de identify_netlinking_targets)'),
+  ...CommonArgsShape
+});
+
+export const ShortlistRemoveArgsSchema = z.object({
+  ...WebsiteArgsShape,
+  domains: SpotDomainsArgSchema.describe('Domaine(s) des spots à retirer de la shortlist'),
+  ...CommonArgsShape
+});
+
+export const ShortlistListArgsSchema = z.object({
+  ...WebsiteArgsShape,
+  status: z.enum(SHORTLIST_STATUSES).optional().describe('Filtrer par statut : to_contact, ordered, published'),
+  ...CommonArgsShape
+});
+
+export const ShortlistRefreshArgsSchema = z.object({
+  ...WebsiteArgsShape,
+  ...CommonArgsShape
+});
+
+export const ReferencimeDiagnosticsArgsSchema = z.object({
+  include_endpoints: z.boolean().optional().default(true).describe('Mesurer le temps de réponse de chaque endpoint de l\'API (appels réels, sans cache)'),
+  ...CommonArgsShape
+});
+
+export const ExportDataArgsSchema = z.object({
+  source: z.enum([
+    'list_keywords_by_categories_by_website',
+    'get_netlinking_spots_ranking',
+    'identify_netlinking_targets',
+    'list_keywords_by_website',
+    'list_categories_by_website',
+    'list_websites_by_user'
+  ]).describe('Outil dont les données sont exportées'),
+  arguments: z.record(z.any()).optional().default({}).describe('Arguments de l\'outil source (ex. { "website_id": 1 } ou { "website": "example.fr" })'),
+  format: z.enum(['csv', 'xlsx', 'json']).optional().default('csv').describe('Format du fichier (csv, xlsx, json)'),
+  output_path: z.string().min(1).describe('Chemin du fichier, relatif au dossier d\'export'),
+  max_rows: z.number().int().positive().optional().describe('Nombre maximum de lignes exportées (par défaut : toutes)'),
+  overwrite: z.boolean().optional().default(false).describe('Remplacer le fichier s\'il existe déjà'),
+  ...CommonArgsShape
+});
+
+// Schémas de sortie (structuredContent) - champs supplémentaires de l'API conservés
+const PaginationOutputShape = {
+  pagination: z.object({
+    offset: z.number(),
+    limit: z.number(),
+    returned: z.number(),
+    total: z.number(),
+    next_cursor: z.string().nullable()
+  }).optional(),
+  next_cursor: z.string().nullable().optional()
+};
+
+const WebsiteOutputSchema = z.object({
+  id: z.number(),
+  domain: z.string(),
+  is_favorite: z.union([z.boolean(), z.number()]).optional(),
+  created_date: z.string().nullable().optional()
+}).passthrough();
+
+export const ListWebsitesByUserOutputSchema = z.object({
+  user_id: z.number(),
+  websites_count: z.number(),
+  websites: z.array(WebsiteOutputSchema),
+  ...PaginationOutputShape
+}).passthrough();
+
+export const ListCategoriesByWebsiteOutputSchema = z.object({
+  website_id: z.number(),
+  categories_count: z.number(),
+  categories: z.array(z.object({
+    id: z.union([z.number(), z.string()]).optional(),
+    name: z.string(),
+    keywords_count: z.number()
+  }).passthrough()),
+  ...PaginationOutputShape
+}).passthrough();
+
+export const ListKeywordsByWebsiteOutputSchema = z.object({
+  website_id: z.number(),
+  keywords_count: z.number(),
+  include_metrics: z.boolean(),
+  keywords: z.array(z.object({
+    keyword: z.string(),
+    category_name: z.string().nullable().optional(),
+    search_volume: z.number().nullable().optional()
+  }).passthrough()),
+  ...PaginationOutputShape
+}).passthrough();
+
+const PerformanceMetricsOutputSchema = z.object({
+  has_data: z.boolean(),
+  position: z.number().nullable().optional(),
+  clicks: z.number().optional(),
+  impressions: z.number().optional(),
+  ctr: z.number().optional()
+}).passthrough();
+
+export const ListKeywordsByCategoriesByWebsiteOutputSchema = z.object({
+  website_id: z.number(),
+  has_gsc_data: z.boolean(),
+  include_performance: z.boolean().optional(),
+  period_days: z.number().optional(),
+  summary: z.object({
+    total_keywords: z.number(),
+    total_categories: z.number(),
+    uncategorized_keywords: z.number().optional()
+  }).passthrough(),
+  categories: z.array(z.object({
+    category_id: z.union([z.number(), z.string()]).nullable().optional(),
+    category_name: z.string().nullable(),
+    keywords_count: z.number(),
+    keywords: z.array(z.object({
+      keyword: z.string(),
+      search_volume: z.number().nullable().optional(),
+      performance_metrics: PerformanceMetricsOutputSchema.nullable().optional()
+    }).passthrough()).optional().default([])
+  }).passthrough()),
+  last_updated: z.string().optional(),
+  ...PaginationOutputShape
+}).passthrough();
+
+export const ExportDataOutputSchema = z.object({
+  source: z.string(),
+  format: z.string(),
+  file_path: z.string(),
+  row_count: z.number(),
+  columns: z.array(z.string()),
+  truncated: z.boolean()
+});
+
+// Une métrique est soit une valeur brute, soit un objet avec son évolution
+const EvolutionMetricOutputSchema = z.union([
+  z.number(),
+  z.object({
+    current: z.number(),
+    compare: z.number().nullable().optional(),
+    evolution: z.number().nullable().optional(),
+    evolution_percent: z.number().nullable().optional(),
+    evolution_text: z.string().nullable().optional()
+  }).passthrough()
+]);
+
+const PeriodOutputSchema = z.object({
+  start_date: z.string(),
+  end_date: z.string(),
+  days: z.number().optional()
+}).passthrough();
+
+// Période relative demandée (date_range) et dates concrètes correspondantes
+const ResolvedDateRangeOutputSchema = z.object({
+  expression: z.enum(RELATIVE_DATE_RANGES),
+  start_date: z.string(),
+  end_date: z.string(),
+  days: z.number()
+});
+
+export const WebsiteSummaryOutputSchema = z.object({
+  website_id: z.number(),
+  has_data: z.boolean(),
+  date_range: ResolvedDateRangeOutputSchema.optional(),
+  period_days: z.number().optional(),
+  period: PeriodOutputSchema.optional(),
+  compare_period: PeriodOutputSchema.nullable().optional(),
+  overall_metrics: z.object({
+    total_keywords: z.number(),
+    total_clicks: EvolutionMetricOutputSchema.optional(),
+    total_impressions: EvolutionMetricOutputSchema.optional(),
+    average_position: EvolutionMetricOutputSchema.nullable().optional(),
+    average_ctr: EvolutionMetricOutputSchema.nullable().optional()
+  }).passthrough(),
+  performance_changes: z.object({
+    position_distribution: z.object({
+      top3: z.number(),
+      top10: z.number(),
+      top20: z.number(),
+      top50: z.number(),
+      top100: z.number()
+    }).passthrough()
+  }).passthrough().optional(),
+  top_performing_keywords: z.array(z.object({
+    keyword: z.string(),
+    position: z.number(),
+    clicks: z.number()
+  }).passthrough()).optional(),
+  categories: z.array(z.object({
+    category_name: z.string().nullable(),
+    keywords_count: z.number(),
+    metrics: z.object({
+      position: z.object({
+        current: z.number().nullable(),
+        compare: z.number().nullable().optional(),
+        evolution: z.number().nullable().optional()
+      }).passthrough(),
+      clicks: z.object({
+        current: z.number(),
+        evolution_percent: z.number().nullable().optional()
+      }).passthrough(),
+      impressions: z.object({
+        current: z.number(),
+        evolution_percent: z.number().nullable().optional()
+      }).passthrough()
+    }).passthrough(),
+    top_keywords: z.array(z.object({ keyword: z.string() }).passthrough()).optional()
+  }).passthrough()).optional()
+}).passthrough();
+
+export const GetNetlinkingSpotsRankingOutputSchema = z.object({
+  website_id: z.number(),
+  total_spots_found: z.number(),
+  spots_returned: z.number().optional(),
+  statistics: z.object({
+    total_keywords_analyzed: z.number(),
+    average_price: z.number().nullable().optional(),
+    median_price: z.number().nullable().optional()
+  }).passthrough(),
+  filters_applied: z.record(z.any()).nullable().optional(),
+  spots: z.array(z.object({
+    rank: z.number(),
+    domain: z.string(),
+    proximity_score: z.number(),
+    keywords_coverage: z.number(),
+    min_price: z.number(),
+    metrics: z.object({
+      traffic_volume: z.number(),
+      avg_position: z.number().nullable(),
+      keywords_count: z.number()
+    }).passthrough(),
+    platforms: z.array(z.object({
+      id: z.union([z.number(), z.string()]).optional(),
+      name: z.string(),
+      price: z.number()
+    }).passthrough())
+  }).passthrough()).optional().default([]),
+  ...PaginationOutputShape
+}).passthrough();
+
+export const IdentifyNetlinkingTargetsOutputSchema = z.object({
+  website_id: z.number(),
+  keywords_count: z.number(),
+  filters: z.object({
+    position_range: z.string(),
+    min_volume: z.number()
+  }).passthrough(),
+  analysis_period: PeriodOutputSchema,
+  keywords: z.array(z.object({
+    keyword: z.string(),
+    current_position: z.number(),
+    search_volume: z.number(),
+    volume_category: z.string().nullable().optional(),
+    recommended_spots: z.array(z.object({
+      domain: z.string(),
+      proximity_score: z.number(),
+      min_price: z.number(),
+      platform: z.string()
+    }).passthrough()).optional().default([])
+  }).passthrough()).optional().default([]),
+  ...PaginationOutputShape
+}).passthrough();
+
+const PositionHistoryPointOutputSchema = z.object({
+  date: z.string(),
+  position: z.number().nullable(),
+  // Écart maximal dû aux positions arrondies par l'API ; approximate : écart supérieur à MAX_POSITION_ERROR
+  position_error: z.number().nullable().optional(),
+  approximate: z.boolean().optional(),
+  clicks: z.number(),
+  impressions: z.number()
+}).passthrough();
+
+// Statistiques calculées localement : trend_change > 0 signifie des positions gagnées
+const PositionHistoryStatsOutputSchema = z.object({
+  points: z.number(),
+  min_position: z.number().nullable(),
+  max_position: z.number().nullable(),
+  first_position: z.number().nullable(),
+  last_position: z.number().nullable(),
+  average_position: z.number().nullable(),
+  trend: z.enum(['improving', 'declining', 'stable', 'unknown']),
+  trend_change: z.number().nullable(),
+  volatility: z.number().nullable(),
+  total_clicks: z.number(),
+  total_impressions: z.number()
+});
+
+export const KeywordPositionHistoryOutputSchema = z.object({
+  website_id: z.number(),
+  granularity: z.enum(['week', 'month']).optional(),
+  date_range: ResolvedDateRangeOutputSchema.optional(),
+  period: PeriodOutputSchema,
+  keywords: z.array(z.object({
+    keyword: z.string(),
+    series: z.array(PositionHistoryPointOutputSchema),
+    stats: PositionHistoryStatsOutputSchema.optional()
+  }).passthrough())
+}).passthrough();
+
+const KeywordMetricsOutputSchema = z.object({
+  position: z.number().nullable(),
+  // Écart maximal dû aux positions arrondies par l'API (voir subtractWindow)
+  position_error: z.number().nullable().optional(),
+  approximate: z.boolean().optional(),
+  clicks: z.number(),
+  impressions: z.number(),
+  ctr: z.number().nullable()
+});
+
+export const CompareKeywordsOutputSchema = z.object({
+  website_id: z.number(),
+  period: PeriodOutputSchema,
+  compare_period: PeriodOutputSchema,
+  keywords: z.array(z.object({
+    keyword: z.string(),
+    tracked: z.boolean(),
+    category_name: z.string().nullable(),
+    search_volume: z.number().nullable(),
+    current: KeywordMetricsOutputSchema.nullable(),
+    compare: KeywordMetricsOutputSchema.nullable(),
+    deltas: z.object({
+      position: z.number().nullable(),
+      clicks: z.number(),
+      impressions: z.number(),
+      ctr: z.number().nullable()
+    }).nullable()
+  })),
+  untracked_keywords: z.array(z.string())
+});
+
+const KeywordChangeOutputSchema = z.object({
+  keyword: z.string(),
+  tier: z.number().optional(),
+  previous_position: z.number().nullable().optional(),
+  position: z.number().nullable().optional(),
+  change: z.number().optional(),
+  previous_clicks: z.number().optional(),
+  clicks: z.number().optional(),
+  change_percent: z.number().optional()
+});
+
+const ChangeBoundOutputSchema = z.object({
+  snapshot_date: z.string().optional(),
+  start_date: z.string().optional(),
+  end_date: z.string().optional(),
+  period_days: z.number().nullable().optional()
+});
+
+const SummaryChangeOutputSchema = z.object({
+  previous: z.number().nullable(),
+  current: z.number().nullable(),
+  change: z.number().nullable().optional(),
+  change_percent: z.number().nullable().optional()
+});
+
+export const DetectChangesOutputSchema = z.object({
+  website_id: z.number(),
+  source: z.enum(['snapshots', 'periods']),
+  from: ChangeBoundOutputSchema,
+  to: ChangeBoundOutputSchema,
+  thresholds: ChangeThresholdsSchema.required(),
+  keywords_compared: z.number(),
+  changes_count: z.number(),
+  changes: z.object({
+    entered_top: z.array(KeywordChangeOutputSchema),
+    left_top: z.array(KeywordChangeOutputSchema),
+    position_gains: z.array(KeywordChangeOutputSchema),
+    position_losses: z.array(KeywordChangeOutputSchema),
+    click_drops: z.array(KeywordChangeOutputSchema),
+    new_rankings: z.array(KeywordChangeOutputSchema),
+    lost_rankings: z.array(KeywordChangeOutputSchema)
+  }),
+  summary_changes: z.object({
+    clicks: SummaryChangeOutputSchema,
+    impressions: SummaryChangeOutputSchema,
+    position: SummaryChangeOutputSchema
+  }).nullable(),
+  warnings: z.array(z.string())
+});
+
+const CategoryHealthOutputSchema = z.object({
+  rank: z.number(),
+  category_id: z.union([z.number(), z.string()]).nullable(),
+  category_name: z.string().nullable(),
+  keywords_count: z.number(),
+  keywords_with_data: z.number(),
+  top10_share: z.number(),
+  ctr_ratio: z.number().nullable(),
+  visibility: z.number().nullable(),
+  score: z.number(),
+  weak_keywords: z.array(z.object({
+    keyword: z.string(),
+    position: z.number().nullable(),
+    search_volume: z.number().nullable()
+  }))
+});
+
+export const AnalyzeCategoryHealthOutputSchema = z.object({
+  website_id: z.number(),
+  has_gsc_data: z.boolean(),
+  period_days: z.number(),
+  min_similarity: z.number(),
+  categories: z.array(CategoryHealthOutputSchema),
+  cannibalization: z.array(z.object({
+    category_name: z.string().nullable(),
+    keywords: z.array(z.string()),
+    similarity: z.number(),
+    positions: z.array(z.number().nullable()),
+    clicks: z.array(z.number()),
+    lead_changes: z.number().nullable(),
+    signals: z.array(z.enum(['split_clicks', 'position_swing']))
+  })),
+  // Vérification de l'alternance de positions : relevés comparés, ou raison pour laquelle elle n'a pas eu lieu
+  position_swing: z.object({
+    status: z.enum(['checked', 'skipped']),
+    source: z.enum(['snapshots', 'windows']).nullable(),
+    readings: z.number(),
+    skipped_reason: z.enum(['NO_GSC_DATA', 'NO_CANDIDATE_PAIRS', 'PERIOD_TOO_LONG', 'UNAVAILABLE']).nullable()
+  }),
+  warnings: z.array(z.string())
+});
+
+const PortfolioWebsiteOutputSchema = z.object({
+  rank: z.number().nullable(),
+  website_id: z.number(),
+  domain: z.string(),
+  status: z.enum(['ok', 'no_data', 'error']),
+  keywords: z.number().nullable(),
+  clicks: z.number().nullable(),
+  clicks_change: z.number().nullable(),
+  clicks_change_percent: z.number().nullable(),
+  impressions: z.number().nullable(),
+  impressions_change: z.number().nullable(),
+  impressions_change_percent: z.number().nullable(),
+  average_position: z.number().nullable(),
+  position_change: z.number().nullable(),
+  top10: z.number().nullable(),
+  error: z.object({ code: z.string(), message: z.string() }).optional()
+});
+
+const PortfolioMoverOutputSchema = z.object({
+  website_id: z.number(),
+  domain: z.string(),
+  clicks: z.number(),
+  clicks_change: z.number(),
+  clicks_change_percent: z.number().nullable()
+});
+
+export const GetPortfolioOverviewOutputSchema = z.object({
+  date_range: ResolvedDateRangeOutputSchema.optional(),
+  period: PeriodOutputSchema.nullable(),
+  sort_by: z.enum(['clicks', 'clicks_change', 'impressions', 'position', 'top10']),
+  concurrency: z.number(),
+  websites_count: z.number(),
+  totals: z.object({
+    websites_ok: z.number(),
+    websites_no_data: z.number(),
+    websites_failed: z.number(),
+    clicks: z.number(),
+    clicks_change_percent: z.number().nullable(),
+    impressions: z.number(),
+    impressions_change_percent: z.number().nullable(),
+    average_position: z.number().nullable(),
+    top10: z.number()
+  }),
+  websites: z.array(PortfolioWebsiteOutputSchema),
+  winners: z.array(PortfolioMoverOutputSchema),
+  losers: z.array(PortfolioMoverOutputSchema)
+});
+
+const ReportKpiOutputSchema = z.object({
+  metric: z.enum(['clicks', 'impressions', 'position', 'ctr']),
+  current: z.number().nullable(),
+  previous: z.number().nullable(),
+  change: z.number().nullable(),
+  change_percent: z.number().nullable()
+});
+
+const ReportCategoryOutputSchema = z.object({
+  category_name: z.string().nullable(),
+  keywords_count: z.number(),
+  top10: z.number(),
+  average_position: z.number().nullable(),
+  clicks: z.number(),
+  clicks_change_percent: z.number().nullable(),
+  impressions: z.number(),
+  top_keyword: z.string().nullable()
+});
+
+export const GenerateSeoReportOutputSchema = z.object({
+  website_id: z.number(),
+  domain: z.string().nullable(),
+  format: z.enum(['html', 'markdown']),
+  file_path: z.string(),
+  bytes: z.number(),
+  agency_name: z.string().nullable(),
+  date_range: ResolvedDateRangeOutputSchema.optional(),
+  has_data: z.boolean(),
+  period: PeriodOutputSchema.nullable(),
+  compare_period: PeriodOutputSchema.nullable(),
+  keywords_count: z.number(),
+  kpis: z.array(ReportKpiOutputSchema),
+  position_distribution: z.object({
+    top3: z.number(),
+    top10: z.number(),
+    top20: z.number(),
+    top50: z.number(),
+    top100: z.number()
+  }).nullable(),
+  categories: z.array(ReportCategoryOutputSchema),
+  netlinking: z.object({
+    position_range: z.string(),
+    min_volume: z.number(),
+    total: z.number(),
+    keywords: z.array(z.object({
+      keyword: z.string(),
+      current_position: z.number(),
+      search_volume: z.number(),
+      spots: z.array(z.string())
+    }))
+  })
+});
+
+export const ShortlistSpotOutputSchema = z.object({
+  domain: z.string(),
+  platforms: z.array(z.object({ name: z.string(), price: z.number() })),
+  price: z.number(),
+  proximity_score: z.number(),
+  keywords: z.array(z.string()),
+  status: z.enum(SHORTLIST_STATUSES),
+  notes: z.string(),
+  added_at: z.string(),
+  updated_at: z.string(),
+  last_price: z.number().nullable(),
+  last_checked_at: z.string().nullable(),
+  available: z.boolean()
+});
+
+export const ShortlistAddOutputSchema = z.object({
+  website_id: z.number(),
+  added: z.array(ShortlistSpotOutputSchema),
+  updated: z.array(ShortlistSpotOutputSchema),
+  not_found: z.array(z.string()),
+  total: z.number()
+});
+
+export const ShortlistRemoveOutputSchema = z.object({
+  website_id: z.number(),
+  removed: z.array(z.string()),
+  not_found: z.array(z.string()),
+  total: z.number()
+});
+
+export const ShortlistListOutputSchema = z.object({
+  website_id: z.number(),
+  status: z.enum(SHORTLIST_STATUSES).nullable(),
+  total: z.number(),
+  by_status: z.object(Object.fromEntries(SHORTLIST_STATUSES.map(status => [status, z.number()]))),
+  total_price: z.number(),
+  last_checked_at: z.string().nullable(),
+  spots: z.array(ShortlistSpotOutputSchema)
+});
+
+export const ShortlistRefreshOutputSchema = z.object({
+  website_id: z.number(),
+  checked_at: z.string(),
+  checked: z.number(),
+  price_changes: z.array(z.object({
+    domain: z.string(),
+    previous_price: z.number(),
+    price: z.number(),
+    change: z.number(),
+    change_percent: z.number().nullable(),
+    price_at_add: z.number()
+  })),
+  unavailable: z.array(z.string()),
+  available_again: z.array(z.string()),
+  unchanged: z.number()
+});
+
+const DiagnosticErrorOutputSchema = z.object({
+  code: z.string(),
+  message: z.string()
+});
+
+export const ReferencimeDiagnosticsOutputSchema = z.object({
+  status: z.enum(['ok', 'warning', 'error']),
+  versions: z.object({
+    server: z.string().nullable(),
+    node: z.string(),
+    mcp_sdk: z.string().nullable()
+  }),
+  profile: z.string(),
+  base_url: z.string(),
+  demo: z.boolean(),
+  account_id: z.string(),
+  checks: z.array(z.object({
+    name: z.enum(['base_url', 'api_key']),
+    status: z.enum(['ok', 'error']),
+    duration_ms: z.number(),
+    http_status: z.number().optional(),
+    websites_count: z.number().optional(),
+    error: DiagnosticErrorOutputSchema.optional()
+  })),
+  endpoints: z.array(z.object({
+    tool: z.string(),
+    endpoint: z.string(),
+    status: z.enum(['ok', 'error', 'skipped']),
+    duration_ms: z.number().nullable(),
+    response_bytes: z.number().nullable(),
+    error: DiagnosticErrorOutputSchema.optional()
+  })),
+  settings: z.object({
+    cache: z.boolean(),
+    log_level: z.string().nullable(),
+    log_file: z.string().nullable(),
+    tools: z.number()
+  })
+});
+
+export const PlanNetlinkingBudgetOutputSchema = z.object({
+  website_id: z.number(),
+  budget: z.number(),
+  total_cost: z.number(),
+  remaining_budget: z.number(),
+  constraints: z.object({
+    max_price_per_domain: z.number().nullable(),
+    max_links_per_keyword: z.number().nullable()
+  }),
+  spots: z.array(z.object({
+    domain: z.string(),
+    platform: z.string(),
+    price: z.number(),
+    proximity_score: z.number(),
+    score: z.number(),
+    keywords: z.array(z.string())
+  })),
+  platforms: z.array(z.object({
+    platform: z.string(),
+    spots: z.number(),
+    cost: z.number()
+  })),
+  keywords_covered: z.array(z.object({
+    keyword: z.string(),
+    current_position: z.number(),
+    search_volume: z.number(),
+    links: z.number()
+  })),
+  keywords_uncovered: z.array(z.object({
+    keyword: z.string(),
+    current_position: z.number(),
+    search_volume: z.number(),
+    reason: z.enum(['no_spot', 'budget_exhausted', 'keyword_cap_reached', 'over_domain_cap', 'over_budget'])
+  })),
+  excluded_spots: z.array(z.object({
+    domain: z.string(),
+    price: z.number(),
+    reason: z.enum(['over_domain_cap', 'over_budget', 'budget_exhausted', 'keyword_cap_reached'])
+  }))
+});
@@ -0,0 +1,223 @@
+/**
+ * Serveur MCP
+ * Handlers des outils, ressources et prompts ; une instance par transport (stdio ou session HTTP)
+ */
+
+import { Server } from "@modelcontextprotocol/sdk/server/index.js";
+import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
+import {
+  CallToolRequestSchema,
+  GetPromptRequestSchema,
+  ListPromptsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ListToolsRequestSchema,
+  ReadResourceRequestSchema,
+} from "@modelcontextprotocol/sdk/types.js";
+import { zodToJsonSchema } from "zod-to-json-schema";
+import { fetchAllPages, fetchToolResult } from "./api.js";
+import { applyDateRange, formatArgIssues, mergeDefaults, resolveWebsiteArgs } from "./args.js";
+import { DEFAULT_BASE_URL, isDemoMode, resolveContext } from "./config.js";
+import { InvalidArgumentsError, UnknownToolError, describeError } from "./errors.js";
+import { createTranslator, resolveLocale } from "./i18n.js";
+import { logEvent } from "./logging.js";
+import { loadPlugins } from "./plugins.js";
+import { handleGetPrompt, handleListPrompts } from "./prompts.js";
+import { getTool, toolRegistry } from "./registry.js";
+import { handleListResourceTemplates, handleListResources, handleReadResource } from "./resources.js";
+import { ListWebsitesByUserOutputSchema } from "./schemas.js";
+import "./tools/index.js";
+import { SERVER_VERSION } from "./version.js";
+
+// Handler pour lister les outils disponibles
+export async function handleListTools() {
+  await loadPlugins();
+  return {
+    tools: [...toolRegistry.values()].map(tool => ({
+      name: tool.name,
+      description: tool.description,
+      inputSchema: zodToJsonSchema(tool.inputSchema),
+      ...(tool.outputSchema ? { outputSchema: zodToJsonSchema(tool.outputSchema) } : {})
+    }))
+  };
+}
+
+// Notifications de progression (notifications/progress) d'un appel muni d'un progressToken, dans la langue de l'appel
+function createProgressReporter(call, progressToken, sendNotification) {
+  if (progressToken === undefined || !sendNotification) {
+    return undefined;
+  }
+  let progress = 0;
+  return (messageKey, params) => {
+    progress += 1;
+    sendNotification({
+      method: 'notifications/progress',
+      params: { progressToken, progress, message: call.i18n.t(messageKey, params) }
+    }).catch(error => console.error(`[Referencime MCP] ⚠️ Notification de progression impossible: ${error.message}`));
+  };
+}
+
+// Exécution d'un outil : site et période résolus, arguments validés, résultat et texte formaté
+// La langue retenue (argument lang ou locale du profil) est reportée dans call.i18n pour le rendu des erreurs ;
+// call.signal (annulation) et call.progress (progression) suivent l'appel jusqu'aux requêtes HTTP via le contexte
+export async function executeTool(name, rawArgs, authInfo, call) {
+  await loadPlugins();
+  const tool = getTool(name);
+  if (!tool) {
+    throw new UnknownToolError(name);
+  }
+  const context = { ...await resolveContext(rawArgs?.profile, authInfo), signal: call.signal, progress: call.progress };
+  // Les valeurs par défaut du profil (ex. website_id) complètent les arguments fournis
+  const args = await resolveWebsiteArgs(tool.inputSchema, mergeDefaults(context.defaults, rawArgs), context);
+  const i18n = createTranslator(resolveLocale(args.lang, context.locale));
+  call.i18n = i18n;
+
+  const parsed = tool.inputSchema.safeParse(args);
+  if (!parsed.success) {
+    throw new InvalidArgumentsError('errors.invalidArguments', { tool: name, details: formatArgIssues(parsed.error) });
+  }
+
+  // Période relative (last_month, ytd...) remplacée par ses dates, rappelées dans la réponse
+  const { args: toolArgs, dateRange } = applyDateRange(parsed.data);
+  const toolResult = await fetchToolResult(tool, toolArgs, context);
+  const result = dateRange ? { ...toolResult, date_range: dateRange } : toolResult;
+  let text = tool.format(result, i18n, toolArgs);
+  if (dateRange) {
+    text = `${text.trimEnd()}\n\n${i18n.t('common.dateRange', {
+      expression: dateRange.expression,
+      start: i18n.date(dateRange.start_date),
+      end: i18n.date(dateRange.end_date),
+      days: dateRange.days
+    })}`;
+  }
+  return { tool, result, text };
+}
+
+// Handler pour exécuter les outils
+async function handleCallTool(request, extra) {
+  const { name } = request.params;
+  const startedAt = Date.now();
+  // Langue de la réponse, affinée ensuite par la locale du profil
+  const call = { i18n: createTranslator(resolveLocale(request.params.arguments?.lang)), signal: extra?.signal };
+  call.progress = createProgressReporter(call, request.params._meta?.progressToken, extra?.sendNotification);
+  try {
+    const { tool, result, text } = await executeTool(name, request.params.arguments, extra?.authInfo, call);
+    logEvent('info', { event: 'tool_call', tool: name, status: 'ok', duration_ms: Date.now() - startedAt });
+    return {
+      content: [
+        {
+          type: "text",
+          text
+        }
+      ],
+      // Sans schéma de sortie (plugins), le résultat n'est transmis qu'en texte
+      ...(tool.outputSchema ? { structuredContent: result } : {})
+    };
+  } catch (error) {
+    const { i18n } = call;
+    const { code, message, hint } = describeError(error, i18n);
+    if (code === 'CANCELLED') {
+      // Le SDK n'envoie pas de réponse à une requête annulée
+      console.error(`[Referencime MCP] 🛑 ${name}: appel annulé par le client`);
+    } else {
+      console.error(`[Referencime MCP] Erreur [${code}] ${name}: ${error instanceof Error ? error.message : String(error)}`);
+    }
+    logEvent('error', { event: 'tool_call', tool: name, status: code === 'CANCELLED' ? 'cancelled' : 'error', code, duration_ms: Date.now() - startedAt });
+    
+    return {
+      content: [
+        {
+          type: "text",
+          text: i18n.t('common.error', { code, message }) +
+                (hint ? `\n\n${i18n.t('common.errorAction', { hint })}` : '')
+        }
+      ],
+      isError: true,
+      _meta: {
+        'referencime/error': {
+          code,
+          status: error.status ?? null,
+          retryable: error.retryable ?? false,
+          retry_after_ms: error.retryAfterMs ?? null
+        }
+      }
+    };
+  }
+}
+
+// Configuration du serveur
+// Une instance par transport : le mode HTTP en crée une par session
+export function createServer() {
+  const server = new Server(
+    {
+      name: "referencime-mcp-server",
+      version: SERVER_VERSION ?? "0.0.0",
+    },
+    {
+      capabilities: {
+        tools: {},
+        resources: {},
+        prompts: {},
+      },
+    }
+  );
+
+  server.setRequestHandler(ListToolsRequestSchema, handleListTools);
+  server.setRequestHandler(CallToolRequestSchema, handleCallTool);
+  server.setRequestHandler(ListResourcesRequestSchema, handleListResources);
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, handleListResourceTemplates);
+  server.setRequestHandler(ReadResourceRequestSchema, handleReadResource);
+  server.setRequestHandler(ListPromptsRequestSchema, handleListPrompts);
+  server.setRequestHandler(GetPromptRequestSchema, handleGetPrompt);
+
+  return server;
+}
+
+// Lancement du serveur
+export async function runServer() {
+  console.error(`[Referencime MCP] 🚀 Démarrage du serveur MCP Referencime v${SERVER_VERSION}...`);
+  
+  // Vérification de la configuration et de la clé API au démarrage
+  try {
+    const context = await resolveContext();
+    if (isDemoMode()) {
+      console.error(`[Referencime MCP] 🧪 Mode démo : données fictives servies par ${context.baseURL}`);
+    } else {
+      console.error(`[Referencime MCP] ✅ Clé API Referencime détectée (profil: ${context.profile})`);
+    }
+    if (context.baseURL !== DEFAULT_BASE_URL && !isDemoMode()) {
+      console.error(`[Referencime MCP] 🔀 URL de l'API: ${context.baseURL}`);
+    }
+  } catch (error) {
+    if (error.code !== 'MISSING_API_KEY') {
+      console.error(`[Referencime MCP] ❌ ${error.message}`);
+      if (error.hint) console.error(`[Referencime MCP] 💡 ${error.hint}`);
+      process.exit(1);
+    }
+    console.error("[Referencime MCP] ❌ REFERENCIME_API_KEY manquant !");
+    console.error("[Referencime MCP] 💡 Ajoutez votre clé API dans la configuration Claude Desktop :");
+    console.error('[Referencime MCP]    "env": { "REFERENCIME_API_KEY": "votre_cle_api" }');
+    process.exit(1);
+  }
+
+  await loadPlugins();
+  const transport = new StdioServerTransport();
+  await createServer().connect(transport);
+  
+  console.error("[Referencime MCP] ✅ Serveur MCP Referencime prêt");
+  console.error(`[Referencime MCP] 🛠️  ${toolRegistry.size} outils d'analyse SEO disponibles`);
+  console.error("[Referencime MCP] 🔗 Connecté aux APIs WordPress Referencime");
+  checkApiKey().catch(() => {});
+}
+
+// Vérification de la clé en arrière-plan : le serveur répond déjà, le résultat n'apparaît que dans les logs
+async function checkApiKey() {
+  try {
+    const context = await resolveContext();
+    const { websites } = await fetchAllPages('list_websites_by_user', ListWebsitesByUserOutputSchema, { limit: 500 }, context);
+    console.error(`[Referencime MCP] 🔑 Clé API acceptée (${websites.length} site(s) accessible(s))`);
+  } catch (error) {
+    console.error(`[Referencime MCP] ❌ Vérification de la clé API impossible [${error.code || 'INTERNAL_ERROR'}]: ${error.message}`);
+    console.error("[Referencime MCP] 💡 Lancez `referencime-mcp doctor` pour un diagnostic complet");
+  }
+}
@@ -0,0 +1,90 @@
+/**
+ * Instantanés locaux
+ * Résultats de detect_changes et des résumés conservés par site et par jour
+ */
+
+import { mkdir, readdir, readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { getAccountId } from "./cache.js";
+import { loadConfig } from "./config.js";
+import { expandHome } from "./utils.js";
+
+// Instantanés locaux : un fichier par site et par jour, complété par chaque appel du jour
+// REFERENCIME_SNAPSHOTS=off désactive l'enregistrement
+function isSnapshotEnabled() {
+  return !['off', 'false', '0'].includes((process.env.REFERENCIME_SNAPSHOTS || '').toLowerCase());
+}
+
+export async function getSnapshotDir(context) {
+  const config = await loadConfig();
+  const baseDir = path.resolve(expandHome(process.env.REFERENCIME_SNAPSHOT_DIR || config.snapshot_dir || '~/.referencime/snapshots'));
+  return path.join(baseDir, getAccountId(context.apiKey));
+}
+
+function getSnapshotPath(snapshotDir, websiteId, date) {
+  return path.join(snapshotDir, `website-${websiteId}`, `${date}.json`);
+}
+
+export async function readSnapshot(snapshotDir, websiteId, date) {
+  try {
+    return JSON.parse(await readFile(getSnapshotPath(snapshotDir, websiteId, date), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+export async function listSnapshotDates(snapshotDir, websiteId) {
+  try {
+    const files = await readdir(path.join(snapshotDir, `website-${websiteId}`));
+    return files.filter(file => /^\d{4}-\d{2}-\d{2}\.json$/.test(file)).map(file => file.slice(0, 10)).sort();
+  } catch (error) {
+    return [];
+  }
+}
+
+// Les pages successives d'une même liste complètent l'instantané du jour au lieu de l'écraser
+export async function saveSnapshot(toolName, result, context) {
+  if (!isSnapshotEnabled()) return;
+  try {
+    const snapshotDir = await getSnapshotDir(context);
+    const date = new Date().toISOString().slice(0, 10);
+    const snapshot = await readSnapshot(snapshotDir, result.website_id, date) ||
+      { website_id: result.website_id, date, keywords: {} };
+
+    if (toolName === 'list_keywords_by_categories_by_website') {
+      if (!result.has_gsc_data || result.include_performance === false) return;
+      snapshot.period_days = result.period_days ?? null;
+      for (const category of result.categories) {
+        for (const keyword of category.keywords) {
+          const metrics = keyword.performance_metrics;
+          snapshot.keywords[keyword.keyword] = {
+            category_name: category.category_name ?? null,
+            search_volume: keyword.search_volume ?? null,
+            position: metrics?.has_data && metrics.position > 0 ? metrics.position : null,
+            clicks: metrics?.clicks ?? 0,
+            impressions: metrics?.impressions ?? 0
+          };
+        }
+      }
+    } else {
+      if (!result.has_data) return;
+      const metrics = result.overall_metrics;
+      const current = metric => (metric && typeof metric === 'object' ? metric.current : metric ?? null);
+      snapshot.summary = {
+        period_days: result.period?.days ?? result.period_days ?? null,
+        clicks: current(metrics.total_clicks),
+        impressions: current(metrics.total_impressions),
+        position: current(metrics.average_position),
+        ctr: current(metrics.average_ctr)
+      };
+    }
+
+    snapshot.taken_at = new Date().toISOString();
+    const filePath = getSnapshotPath(snapshotDir, result.website_id, date);
+    await mkdir(path.dirname(filePath), { recursive: true });
+    await writeFile(filePath, JSON.stringify(snapshot));
+  } catch (error) {
+    console.error(`[Referencime MCP] ⚠️ Enregistrement de l'instantané impossible: ${error.message}`);
+  }
+}
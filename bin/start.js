@@ -1,716 +1,116 @@
 #!/usr/bin/env node
 
-import { Server } from "@modelcontextprotocol/sdk/server/index.js";
-import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
-import {
-  CallToolRequestSchema,
-  ListToolsRequestSchema,
-} from "@modelcontextprotocol/sdk/types.js";
-import { z } from "zod";
-import { zodToJsonSchema } from "zod-to-json-schema";
+import { realpathSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+import { DEMO_API_KEY, startDemoServer } from "./demo.js";
+import { runCall, runDoctor, runListTools } from "./cli.js";
+import { getCliOption, getFixturesDir } from "./config.js";
+import { DEFAULT_SESSION_TIMEOUT_MINUTES, runHttpServer } from "./http.js";
+import { runServer } from "./server.js";
 
 /**
  * Referencime MCP Server - Version refactorisée
  * Compatible avec Claude Desktop
- * Architecture simplifiée avec 5 endpoints essentiels
+ * Point d'entrée : commandes start, serve, demo-server, doctor, list-tools et call.
+ * Les outils intégrés (bin/tools/*.js) et les plugins (--plugins, REFERENCIME_PLUGINS_DIR ou plugins_dir)
+ * alimentent le même registre (bin/registry.js), servi en stdio (bin/server.js), en HTTP (bin/http.js)
+ * ou par la ligne de commande (bin/cli.js)
  */
 
-// Schema definitions pour nos outils SEO
-const ListWebsitesByUserArgsSchema = z.object({
-  // Aucun paramètre requis - utilise la clé API pour identifier l'utilisateur
-});
-
-const ListCategoriesByWebsiteArgsSchema = z.object({
-  website_id: z.number().describe('ID du site web dans Referencime')
-});
-
-const ListKeywordsByWebsiteArgsSchema = z.object({
-  website_id: z.number().describe('ID du site web dans Referencime'),
-  include_metrics: z.boolean().optional().default(false).describe('Inclure les volumes de recherche Google Ads')
-});
-
-const ListKeywordsByCategoriesByWebsiteArgsSchema = z.object({
-  website_id: z.number().describe('ID du site web dans Referencime'),
-  include_performance: z.boolean().optional().default(true).describe('Inclure les métriques de performance GSC'),
-  days: z.number().optional().default(30).describe('Période pour les métriques GSC (en jours)')
-});
-
-const WebsiteSummaryArgsSchema = z.object({
-  website_id: z.number().describe('ID du site web dans Referencime'),
-  period: z.string().optional().default('30days').describe('Période d\'analyse (7days, 30days, 90days)'),
-  start_date: z.string().optional().describe('Date de début au format YYYY-MM-DD'),
-  end_date: z.string().optional().describe('Date de fin au format YYYY-MM-DD'),
-  compare_start_date: z.string().optional().describe('Date de début de comparaison au format YYYY-MM-DD'),
-  compare_end_date: z.string().optional().describe('Date de fin de comparaison au format YYYY-MM-DD')
-});
-
-const GetNetlinkingSpotsRankingArgsSchema = z.object({
-  website_id: z.number().describe('ID du site web dans Referencime'),
-  category_id: z.string().optional().describe('Filtrer par catégorie de mots-clés'),
-  min_price: z.number().optional().describe('Prix minimum'),
-  max_price: z.number().optional().describe('Prix maximum'),
-  platform_id: z.number().optional().describe('Filtrer par plateforme'),
-  keywords: z.string().optional().describe('Filtrer par mots-clés (format: mot1||mot2||...)'),
-  limit: z.number().optional().default(20).describe('Nombre de spots à retourner'),
-  sort_by: z.string().optional().default('semantic_proximity').describe('Champ de tri (semantic_proximity, traffic, visibility, keywords, position, price)')
-});
-
-const IdentifyNetlinkingTargetsArgsSchema = z.object({
-  website_id: z.number().describe('ID du site web dans Referencime'),
-  min_position: z.number().optional().default(4).describe('Position minimale (par défaut: 4)'),
-  max_position: z.number().optional().default(10).describe('Position maximale (par défaut: 10)'),
-  min_volume: z.number().optional().default(100).describe('Volume de recherche minimum'),
-  limit: z.number().optional().default(20).describe('Nombre de keywords à retourner'),
-  spots_per_keyword: z.number().optional().default(3).describe('Nombre de spots recommandés par keyword')
-});
-
-// Configuration du serveur
-const server = new Server(
-  {
-    name: "referencime-mcp-server",
-    version: "2.0.0",
-  },
-  {
-    capabilities: {
-      tools: {},
-    },
-  }
-);
-
-// Vérification de la clé API
-function getApiKey() {
-  const apiKey = process.env.REFERENCIME_API_KEY;
-  if (!apiKey) {
-    throw new Error('REFERENCIME_API_KEY non configuré. Ajoutez votre clé API dans la configuration Claude Desktop.');
-  }
-  return apiKey;
-}
-
-// Appel à la vraie API Referencime WordPress
-async function callReferencimeAPI(toolName, args) {
-  const apiKey = getApiKey();
-  
-  // Configuration de base pour tous les appels API
-  const baseURL = 'https://referencime.fr/wp-json/easy-links/v1';
-  const headers = {
-    'Authorization': `Bearer ${apiKey}`,
-    'Content-Type': 'application/json'
-  };
-
-  try {
-    let endpoint = '';
-    let requestData = args;
-
-    // Mappage des outils MCP vers les endpoints WordPress
-    switch (toolName) {
-      case 'list_websites_by_user':
-        endpoint = '/ai/list-websites-by-user';
-        break;
-      case 'list_categories_by_website':
-        endpoint = '/ai/list-categories-by-website';
-        break;
-      case 'list_keywords_by_website':
-        endpoint = '/ai/list-keywords-by-website';
-        break;
-      case 'list_keywords_by_categories_by_website':
-        endpoint = '/ai/list-keywords-by-categories-by-website';
-        break;
-      case 'get_website_performance_summary':
-        endpoint = '/ai/get-website-performance-summary';
-        break;
-      case 'get_netlinking_spots_ranking':
-        endpoint = '/ai/get-netlinking-spots-ranking';
-        break;
-      case 'identify_netlinking_targets':
-        endpoint = '/ai/identify-netlinking-targets';
-        break;
-      default:
-        throw new Error(`Outil inconnu: ${toolName}`);
-    }
-
-    // Appel HTTP vers l'API WordPress
-    const response = await fetch(`${baseURL}${endpoint}`, {
-      method: 'POST',
-      headers: headers,
-      body: JSON.stringify(requestData)
+// Point d'entrée : la commande n'est lancée que si le fichier est exécuté, pas importé (tests)
+function main(command) {
+  if (command === 'start' || (command === 'serve' && !getCliOption('http'))) {
+    runServer().catch((error) => {
+      console.error("[Referencime MCP] ❌ Erreur fatale:", error);
+      process.exit(1);
     });
-
-    if (!response.ok) {
-      throw new Error(`Erreur API WordPress: ${response.status} ${response.statusText}`);
+  } else if (command === 'serve') {
+    const port = Number(getCliOption('port', process.env.PORT || 3000));
+    const host = getCliOption('host', '127.0.0.1');
+    const sessionTimeoutMinutes = Number(getCliOption('session-timeout', DEFAULT_SESSION_TIMEOUT_MINUTES));
+    if (!Number.isInteger(port) || port <= 0 || port > 65535) {
+      console.error(`[Referencime MCP] ❌ Port invalide: ${getCliOption('port')}`);
+      process.exit(1);
     }
-
-    const result = await response.json();
-    
-    if (!result.success) {
-      throw new Error(`Erreur dans la réponse API: ${result.message || 'Erreur inconnue'}`);
+    if (!(sessionTimeoutMinutes > 0)) {
+      console.error(`[Referencime MCP] ❌ Délai d'inactivité invalide: ${getCliOption('session-timeout')}`);
+      process.exit(1);
     }
-
-    return result.data;
-
-  } catch (error) {
-    console.error(`[Referencime MCP] Erreur API ${toolName}:`, error.message);
-    throw error;
-  }
-}
-
-// Handler pour lister les outils disponibles
-server.setRequestHandler(ListToolsRequestSchema, async () => {
-  return {
-    tools: [
-      {
-        name: "list_websites_by_user",
-        description: "Liste tous les sites web auxquels l'utilisateur a accès dans son compte Referencime avec leurs IDs, noms de domaine et dates de création.",
-        inputSchema: zodToJsonSchema(ListWebsitesByUserArgsSchema),
-      },
-      {
-        name: "list_categories_by_website",
-        description: "Liste toutes les catégories de mots-clés d'un site web avec le nombre de mots-clés dans chaque catégorie pour une organisation thématique SEO.",
-        inputSchema: zodToJsonSchema(ListCategoriesByWebsiteArgsSchema),
-      },
-      {
-        name: "list_keywords_by_website",
-        description: "Liste tous les mots-clés suivis pour un site web avec leur catégorie et optionnellement leurs volumes de recherche Google Ads.",
-        inputSchema: zodToJsonSchema(ListKeywordsByWebsiteArgsSchema),
-      },
-      {
-        name: "list_keywords_by_categories_by_website",
-        description: "Récupère tous les mots-clés d'un site web organisés par catégories avec métriques de performance GSC (positions, clics, impressions, CTR) et analyse thématique SEO complète.",
-        inputSchema: zodToJsonSchema(ListKeywordsByCategoriesByWebsiteArgsSchema),
-      },
-      {
-        name: "get_website_performance_summary",
-        description: "Tableau de bord complet des performances SEO d'un site web : métriques globales GSC, distribution des positions et mots-clés les plus performants.",
-        inputSchema: zodToJsonSchema(WebsiteSummaryArgsSchema),
-      },
-      {
-        name: "identify_netlinking_targets",
-        description: "🎯 OUTIL PRIORITAIRE pour stratégie netlinking : Identifie automatiquement vos mots-clés en position 4-10 avec fort volume et leurs spots pertinents. À utiliser quand l'utilisateur demande d'améliorer son netlinking, d'optimiser ses backlinks, de trouver des opportunités SEO rapides, ou de cibler des mots-clés pour des backlinks. Retourne keywords + positions + volumes + spots recommandés sans projections spéculatives. Approche factuelle sans garantie de gain.",
-        inputSchema: zodToJsonSchema(IdentifyNetlinkingTargetsArgsSchema),
-      },
-      {
-        name: "get_netlinking_spots_ranking",
-        description: "Récupère le classement complet de TOUS les spots de netlinking disponibles sans se limiter aux positions 4-10. Utile pour explorer l'ensemble du catalogue de spots ou pour filtrer par catégorie/prix/plateforme spécifique. Analyse automatiquement tous les mots-clés du site et retourne les spots triés par proximité sémantique avec prix et plateformes disponibles.",
-        inputSchema: zodToJsonSchema(GetNetlinkingSpotsRankingArgsSchema),
-      },
-    ],
-  };
-});
-
-// Handler pour exécuter les outils
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
-  try {
-    const { name, arguments: args } = request.params;
-
-    switch (name) {
-      case "list_websites_by_user": {
-        const parsed = ListWebsitesByUserArgsSchema.safeParse(args);
-        if (!parsed.success) {
-          throw new Error(`Arguments invalides pour list_websites_by_user: ${parsed.error.message}`);
-        }
-        
-        const result = await callReferencimeAPI(name, parsed.data);
-        const websitesList = result.websites.map(w => 
-          `• **${w.domain}** (ID: ${w.id})${w.is_favorite ? ' ⭐' : ''} - Créé le ${new Date(w.created_date).toLocaleDateString('fr-FR')}`
-        ).join('\n');
-        
-        return {
-          content: [
-            {
-              type: "text",
-              text: `🌐 **VOS SITES WEB REFERENCIME**\n\n` +
-                    `👤 **Utilisateur ID :** ${result.user_id}\n` +
-                    `📊 **Nombre de sites :** ${result.websites_count}\n\n` +
-                    `📋 **Liste des sites :**\n${websitesList}\n\n` +
-                    `💡 **Utilisation :** Utilisez l'ID du site dans les autres outils d'analyse SEO.`
-            }
-          ]
-        };
-      }
-
-      case "list_categories_by_website": {
-        const parsed = ListCategoriesByWebsiteArgsSchema.safeParse(args);
-        if (!parsed.success) {
-          throw new Error(`Arguments invalides pour list_categories_by_website: ${parsed.error.message}`);
-        }
-        
-        const result = await callReferencimeAPI(name, parsed.data);
-        const categoriesList = result.categories.map(c => 
-          `• **${c.name}** (${c.keywords_count} mots-clés)`
-        ).join('\n');
-        
-        return {
-          content: [
-            {
-              type: "text",
-              text: `🗂️ **CATÉGORIES DE MOTS-CLÉS - SITE #${result.website_id}**\n\n` +
-                    `📊 **Nombre de catégories :** ${result.categories_count}\n\n` +
-                    `📋 **Liste des catégories :**\n${categoriesList}\n\n` +
-                    `💡 **Organisation :** Catégorisez vos mots-clés par thème pour une meilleure stratégie SEO.`
-            }
-          ]
-        };
-      }
-
-      case "list_keywords_by_website": {
-        const parsed = ListKeywordsByWebsiteArgsSchema.safeParse(args);
-        if (!parsed.success) {
-          throw new Error(`Arguments invalides pour list_keywords_by_website: ${parsed.error.message}`);
-        }
-        
-        const result = await callReferencimeAPI(name, parsed.data);
-        
-        // Grouper par catégorie pour un affichage organisé
-        const byCategory = {};
-        result.keywords.forEach(k => {
-          const catName = k.category_name || 'Non catégorisé';
-          if (!byCategory[catName]) byCategory[catName] = [];
-          byCategory[catName].push(k);
-        });
-        
-        const keywordsList = Object.entries(byCategory).map(([catName, keywords]) => {
-          const keywordsText = keywords.slice(0, 20).map(k => {
-            let line = `   • ${k.keyword}`;
-            if (result.include_metrics && k.search_volume) {
-              line += ` (Vol: ${k.search_volume.toLocaleString()})`;
-            }
-            return line;
-          }).join('\n');
-          
-          const truncated = keywords.length > 20 ? `\n   ... et ${keywords.length - 20} autres mots-clés` : '';
-          return `\n**${catName}** (${keywords.length} mots-clés):\n${keywordsText}${truncated}`;
-        }).join('\n');
-        
-        return {
-          content: [
-            {
-              type: "text",
-              text: `🔤 **MOTS-CLÉS - SITE #${result.website_id}**\n\n` +
-                    `📊 **Total mots-clés :** ${result.keywords_count}\n` +
-                    `📈 **Volumes de recherche :** ${result.include_metrics ? 'Inclus' : 'Non inclus'}\n` +
-                    `${keywordsList}\n\n` +
-                    `💡 **Astuce :** Utilisez list_keywords_by_categories_by_website pour des métriques de performance détaillées.`
-            }
-          ]
-        };
-      }
-
-      case "list_keywords_by_categories_by_website": {
-        const parsed = ListKeywordsByCategoriesByWebsiteArgsSchema.safeParse(args);
-        if (!parsed.success) {
-          throw new Error(`Arguments invalides pour list_keywords_by_categories_by_website: ${parsed.error.message}`);
-        }
-        
-        const result = await callReferencimeAPI(name, parsed.data);
-        
-        if (!result.has_gsc_data) {
-          return {
-            content: [
-              {
-                type: "text",
-                text: `📂 **MOTS-CLÉS PAR CATÉGORIES - SITE #${result.website_id}**\n\n` +
-                      `⚠️ **Données GSC non disponibles**\n\n` +
-                      `📊 **Période :** ${result.period_days} jours\n` +
-                      `📈 **Total mots-clés :** ${result.summary.total_keywords}\n` +
-                      `🗂️ **Catégories :** ${result.summary.total_categories}\n\n` +
-                      `💡 **Cause :** Pas de propriété Google Search Console associée.\n\n` +
-                      `📋 **Structure :**\n` +
-                      result.categories.map(cat => 
-                        `• **${cat.category_name}**: ${cat.keywords_count} mots-clés`
-                      ).join('\n')
-              }
-            ]
-          };
-        }
-        
-        // Formatage des catégories avec performances
-        const categoriesText = result.categories.map(category => {
-          const categoryHeader = `\n🗂️ **${(category.category_name || 'Sans nom').toUpperCase()}** (${category.keywords_count} mots-clés)\n` +
-                               `${'─'.repeat(50)}\n`;
-          
-          if (category.keywords_count === 0) {
-            return categoryHeader + `   • Aucun mot-clé\n`;
-          }
-          
-          const keywordsText = category.keywords.slice(0, 10).map(keyword => {
-            let line = `   • **${keyword.keyword}**`;
-            
-            if (result.include_performance && keyword.performance_metrics) {
-              const perf = keyword.performance_metrics;
-              if (perf.has_data) {
-                line += ` | #${perf.position || 'N/A'} | ${perf.clicks} clics | ${perf.impressions} impr`;
-                if (perf.ctr > 0) line += ` | CTR: ${(perf.ctr * 100).toFixed(1)}%`;
-              } else {
-                line += ` | Pas de données GSC`;
-              }
-            }
-            
-            if (keyword.search_volume > 0) {
-              line += ` | Vol: ${keyword.search_volume.toLocaleString()}`;
-            }
-            
-            return line;
-          }).join('\n');
-          
-          const truncated = category.keywords_count > 10 ? 
-            `\n   ... et ${category.keywords_count - 10} autres` : '';
-          
-          return categoryHeader + keywordsText + truncated + '\n';
-        }).join('');
-        
-        // Statistiques globales
-        const totalWithPosition = result.categories.flatMap(cat => 
-          cat.keywords.filter(k => k.performance_metrics?.position > 0)
-        ).length;
-        
-        const avgPosition = totalWithPosition > 0 ? 
-          result.categories.flatMap(cat => 
-            cat.keywords.filter(k => k.performance_metrics?.position > 0)
-              .map(k => k.performance_metrics.position)
-          ).reduce((sum, pos) => sum + pos, 0) / totalWithPosition : null;
-        
-        return {
-          content: [
-            {
-              type: "text",
-              text: `📂 **MOTS-CLÉS PAR CATÉGORIES - SITE #${result.website_id}**\n\n` +
-                    `📅 **Période :** ${result.period_days} jours\n` +
-                    `📊 **Métriques GSC :** ${result.include_performance ? 'Incluses' : 'Désactivées'}\n\n` +
-                    `📈 **Résumé :**\n` +
-                    `• Total mots-clés : ${result.summary.total_keywords.toLocaleString()}\n` +
-                    `• Catégories : ${result.summary.total_categories}\n` +
-                    `• Non catégorisés : ${result.summary.uncategorized_keywords}\n` +
-                    `• Avec position GSC : ${totalWithPosition}\n` +
-                    (avgPosition ? `• Position moyenne : #${avgPosition.toFixed(1)}\n` : '') +
-                    `\n${categoriesText}\n` +
-                    `📅 **MAJ :** ${new Date(result.last_updated).toLocaleString('fr-FR')}\n\n` +
-                    `💡 **Astuce :** Identifiez vos thématiques SEO les plus performantes !`
-            }
-          ]
-        };
-      }
-
-      case "get_netlinking_spots_ranking": {
-        const parsed = GetNetlinkingSpotsRankingArgsSchema.safeParse(args);
-        if (!parsed.success) {
-          throw new Error(`Arguments invalides pour get_netlinking_spots_ranking: ${parsed.error.message}`);
-        }
-        
-        const result = await callReferencimeAPI(name, parsed.data);
-        
-        if (result.total_spots_found === 0) {
-          return {
-            content: [
-              {
-                type: "text",
-                text: `🎯 **CLASSEMENT DES SPOTS DE NETLINKING - SITE #${result.website_id}**\n\n` +
-                      `⚠️ **Aucun spot trouvé**\n\n` +
-                      `📊 **Mots-clés analysés :** ${result.statistics.total_keywords_analyzed}\n\n` +
-                      `💡 **Suggestion :** Ajustez les filtres ou attendez que plus de données SERP soient collectées.`
-              }
-            ]
-          };
-        }
-        
-        // Formatage des spots
-        const spotsText = result.spots.slice(0, 15).map((spot, i) => {
-          const platforms = spot.platforms.map(p => 
-            `${p.name} (${p.price}€)`
-          ).join(', ');
-          
-          return `**${spot.rank}. ${spot.domain}**\n` +
-                 `   • 🎯 Proximité sémantique : ${spot.proximity_score}%\n` +
-                 `   • 📊 Couverture mots-clés : ${spot.keywords_coverage}%\n` +
-                 `   • 🚀 Trafic potentiel : ${spot.metrics.traffic_volume.toLocaleString()} visites/mois\n` +
-                 `   • 💰 Prix minimum : ${spot.min_price}€\n` +
-                 `   • 📍 Position moyenne : #${spot.metrics.avg_position}\n` +
-                 `   • 🔑 Mots-clés positionnés : ${spot.metrics.keywords_count}\n` +
-                 `   • 🏪 Plateformes : ${platforms || 'Aucune'}`;
-        }).join('\n\n');
-        
-        const truncated = result.spots_returned > 15 ? 
-          `\n\n... et ${result.spots_returned - 15} autres spots` : '';
-        
-        // Formatage des filtres appliqués
-        let filtersText = '';
-        if (result.filters_applied) {
-          const filters = [];
-          if (result.filters_applied.category) filters.push(`Catégorie: ${result.filters_applied.category}`);
-          if (result.filters_applied.price_range) filters.push(`Prix: ${result.filters_applied.price_range}€`);
-          if (result.filters_applied.platform_id) filters.push(`Plateforme ID: ${result.filters_applied.platform_id}`);
-          if (result.filters_applied.keywords) filters.push(`Mots-clés: ${result.filters_applied.keywords}`);
-          
-          if (filters.length > 0) {
-            filtersText = `\n🔍 **Filtres appliqués :** ${filters.join(' | ')}\n`;
-          }
-        }
-        
-        return {
-          content: [
-            {
-              type: "text",
-              text: `🎯 **CLASSEMENT DES SPOTS DE NETLINKING - SITE #${result.website_id}**\n\n` +
-                    `📊 **Résumé :**\n` +
-                    `• Spots trouvés : ${result.total_spots_found}\n` +
-                    `• Spots affichés : ${result.spots_returned}\n` +
-                    `• Prix moyen : ${result.statistics.average_price}€\n` +
-                    `• Prix médian : ${result.statistics.median_price}€\n` +
-                    `• Mots-clés analysés : ${result.statistics.total_keywords_analyzed}\n` +
-                    filtersText +
-                    `\n🏆 **Top spots par proximité sémantique :**\n\n${spotsText}${truncated}\n\n` +
-                    `💡 **Conseil :** Ces spots sont les plus pertinents pour votre stratégie de netlinking basée sur la proximité thématique avec vos mots-clés !`
-            }
-          ]
-        };
-      }
-
-      case "identify_netlinking_targets": {
-        const parsed = IdentifyNetlinkingTargetsArgsSchema.safeParse(args);
-        if (!parsed.success) {
-          throw new Error(`Arguments invalides pour identify_netlinking_targets: ${parsed.error.message}`);
-        }
-        
-        const result = await callReferencimeAPI(name, parsed.data);
-        
-        if (result.keywords_count === 0) {
-          return {
-            content: [
-              {
-                type: "text",
-                text: `🎯 **MOTS-CLÉS À CONSOLIDER - SITE #${result.website_id}**\n\n` +
-                      `⚠️ **Aucun mot-clé trouvé**\n\n` +
-                      `📊 **Filtres :** Position ${result.filters.position_range}, Volume min: ${result.filters.min_volume}\n` +
-                      `📅 **Période analysée :** ${result.analysis_period.start_date} → ${result.analysis_period.end_date}\n\n` +
-                      `💡 **Suggestion :** Ajustez les filtres (position ou volume minimum).`
-              }
-            ]
-          };
-        }
-        
-        // Fonction pour catégoriser le volume
-        const getVolumeLabel = (category) => {
-          switch(category) {
-            case 'very_high': return 'Très élevé';
-            case 'high': return 'Élevé';
-            case 'medium': return 'Moyen';
-            case 'low': return 'Faible';
-            default: return 'N/A';
-          }
-        };
-        
-        // Formatage des keywords
-        const keywordsText = result.keywords.slice(0, 15).map((kw, i) => {
-          let text = `**${i + 1}. ${kw.keyword}**\n`;
-          text += `   📍 Position actuelle : #${kw.current_position}\n`;
-          text += `   🔍 Volume de recherche : ${kw.search_volume.toLocaleString()}/mois (${getVolumeLabel(kw.volume_category)})\n`;
-          
-          if (kw.recommended_spots && kw.recommended_spots.length > 0) {
-            text += `   \n   📌 Spots pertinents disponibles :\n`;
-            kw.recommended_spots.forEach(spot => {
-              text += `   • ${spot.domain}`;
-              if (spot.proximity_score > 0) {
-                text += ` (${spot.proximity_score}% pertinence)`;
-              }
-              text += ` - ${spot.min_price}€ sur ${spot.platform}\n`;
-            });
-          } else {
-            text += `   \n   ⚠️ Aucun spot pertinent identifié\n`;
-          }
-          
-          return text;
-        }).join('\n');
-        
-        const truncated = result.keywords_count > 15 ? 
-          `\n... et ${result.keywords_count - 15} autres mots-clés` : '';
-        
-        return {
-          content: [
-            {
-              type: "text",
-              text: `🎯 **MOTS-CLÉS À CONSOLIDER - SITE #${result.website_id}**\n\n` +
-                    `📅 **Période analysée :** ${result.analysis_period.start_date} → ${result.analysis_period.end_date} (${result.analysis_period.days} jours)\n` +
-                    `📊 **Filtres :** Position ${result.filters.position_range}, Volume min: ${result.filters.min_volume}\n\n` +
-                    `📈 **${result.keywords_count} mots-clés identifiés**\n\n` +
-                    `💡 Ces keywords sont déjà bien positionnés. Des backlinks de qualité \n` +
-                    `   pourraient aider à consolider ou améliorer ces positions.\n\n` +
-                    `🔍 **KEYWORDS PAR VOLUME :**\n\n${keywordsText}${truncated}\n\n` +
-                    `---\n` +
-                    `💡 **Note :** Les positions SEO dépendent de nombreux facteurs. \n` +
-                    `Ces recommandations identifient des opportunités de netlinking \n` +
-                    `pertinentes pour vos keywords les mieux positionnés.`
-            }
-          ]
-        };
-      }
-
-      case "get_website_performance_summary": {
-        const parsed = WebsiteSummaryArgsSchema.safeParse(args);
-        if (!parsed.success) {
-          throw new Error(`Arguments invalides pour get_website_performance_summary: ${parsed.error.message}`);
-        }
-        
-        const result = await callReferencimeAPI(name, parsed.data);
-        
-        if (!result.has_data) {
-          return {
-            content: [
-              {
-                type: "text",
-                text: `🌐 **TABLEAU DE BORD SEO - SITE #${result.website_id}**\n\n` +
-                      `⚠️ **Aucune donnée disponible**\n\n` +
-                      `📊 **Période :** ${result.period_days || result.period?.days || 'N/A'} jours\n` +
-                      `📈 **Mots-clés :** ${result.overall_metrics.total_keywords}\n\n` +
-                      `💡 **Cause :** Pas de propriété GSC ou données non disponibles.`
-              }
-            ]
-          };
-        }
-        
-        const topKeywords = result.top_performing_keywords?.map(k => 
-          `• ${k.keyword} (#${k.position.toFixed(1)}, ${k.clicks} clics)`
-        ).join('\n') || 'Aucun';
-        
-        // Formatage des périodes (nouveau format API)
-        let dateInfo = '';
-        if (result.period) {
-          dateInfo = `📅 **Période :** du ${result.period.start_date} au ${result.period.end_date} (${result.period.days} jours)`;
-          if (result.compare_period) {
-            dateInfo += `\n📅 **Comparaison :** du ${result.compare_period.start_date} au ${result.compare_period.end_date}`;
+    runHttpServer({ port, host, sessionTimeoutMinutes }).catch((error) => {
+      console.error("[Referencime MCP] ❌ Erreur fatale:", error);
+      process.exit(1);
+    });
+  } else if (command === 'doctor') {
+    runDoctor().then((exitCode) => process.exit(exitCode)).catch((error) => {
+      console.error("[Referencime MCP] ❌ Erreur fatale:", error);
+      process.exit(1);
+    });
+  } else if (command === 'list-tools' || command === 'call') {
+    (command === 'call' ? runCall() : runListTools()).then((exitCode) => process.exit(exitCode)).catch((error) => {
+      console.error("[Referencime MCP] ❌ Erreur fatale:", error);
+      process.exit(1);
+    });
+  } else if (command === 'demo-server') {
+    // Serveur de fixtures autonome, à viser avec REFERENCIME_BASE_URL (tests, formation)
+    const port = Number(getCliOption('port', 4010));
+    const host = getCliOption('host', '127.0.0.1');
+    startDemoServer({ port, host, fixturesDir: getFixturesDir() }).then(({ server, url }) => {
+      console.error(`[Referencime MCP] 🧪 Serveur de démo prêt: ${url}`);
+      console.error(`[Referencime MCP]    REFERENCIME_BASE_URL=${url} REFERENCIME_API_KEY=${DEMO_API_KEY}`);
+      const shutdown = () => server.close(() => process.exit(0));
+      process.on('SIGINT', shutdown);
+      process.on('SIGTERM', shutdown);
+    }).catch((error) => {
+      console.error("[Referencime MCP] ❌ Erreur fatale:", error);
+      process.exit(1);
+    });
+  } else {
+    console.log('Usage: referencime-mcp start [--demo] [--plugins <dossier>]');
+    console.log('       referencime-mcp serve --http [--port 3000] [--host 127.0.0.1] [--session-timeout 30] [--demo]');
+    console.log('       referencime-mcp demo-server [--port 4010] [--host 127.0.0.1] [--fixtures <dossier>]');
+    console.log('       referencime-mcp doctor [--profile <nom>] [--lang en] [--skip-endpoints] [--demo]');
+    console.log('       referencime-mcp list-tools [--format markdown|json] [--plugins <dossier>]');
+    console.log('       referencime-mcp call <outil> [--<argument> <valeur>...] [--args \'{...}\'] [--format markdown|json] [--help]');
+    console.log('');
+    console.log('Configuration Claude Desktop:');
+    console.log(JSON.stringify({
+      "mcpServers": {
+        "referencime": {
+          "command": "npx",
+          "args": ["-y", "@referencime/mcp-server", "start"],
+          "env": {
+            "REFERENCIME_API_KEY": "votre_cle_api_ici"
           }
-        } else {
-          // Fallback ancien format
-          dateInfo = `📅 **Période :** ${result.period_days} jours`;
         }
-        
-        // Formatage des catégories si présentes
-        let categoriesSection = '';
-        if (result.categories && result.categories.length > 0) {
-          categoriesSection = '\n\n📂 **PERFORMANCES PAR CATÉGORIE :**\n\n';
-          result.categories.forEach((cat, index) => {
-            categoriesSection += `**${index + 1}. ${cat.category_name}** (${cat.keywords_count} mots-clés)\n`;
-            categoriesSection += `   • Position moyenne : ${cat.metrics.position.current ? '#' + cat.metrics.position.current : 'N/A'}`;
-            if (cat.metrics.position.compare && cat.metrics.position.evolution) {
-              const evol = cat.metrics.position.evolution;
-              const evolutionText = evol > 0 ? `📈 +${evol}` : evol < 0 ? `📉 ${evol}` : '➡️ =';
-              categoriesSection += ` (${evolutionText} vs période précédente)`;
-            }
-            categoriesSection += `\n   • Clics : ${cat.metrics.clicks.current}`;
-            if (cat.metrics.clicks.evolution_percent !== null) {
-              const evol = cat.metrics.clicks.evolution_percent;
-              const sign = evol >= 0 ? '+' : '';
-              categoriesSection += ` (${sign}${evol.toFixed(1)}%)`;
-            }
-            categoriesSection += `\n   • Impressions : ${cat.metrics.impressions.current.toLocaleString()}`;
-            if (cat.metrics.impressions.evolution_percent !== null) {
-              const evol = cat.metrics.impressions.evolution_percent;
-              const sign = evol >= 0 ? '+' : '';
-              categoriesSection += ` (${sign}${evol.toFixed(1)}%)`;
-            }
-            if (cat.top_keywords && cat.top_keywords.length > 0) {
-              categoriesSection += `\n   🏆 Top mots-clés : ${cat.top_keywords.slice(0, 3).map(k => k.keyword).join(', ')}`;
-            }
-            categoriesSection += '\n\n';
-          });
-        }
-        
-        // Formater les métriques avec évolutions (calculées par le backend)
-        const formatMetric = (metric) => {
-          if (typeof metric === 'number') return metric.toLocaleString();
-          if (typeof metric === 'object' && metric.current !== undefined) {
-            let text = metric.current.toLocaleString();
-            if (metric.evolution_text) {
-              text += ` (${metric.evolution_text})`;
-            }
-            return text;
-          }
-          return metric;
-        };
-        
-        return {
-          content: [
-            {
-              type: "text",
-              text: `🌐 **TABLEAU DE BORD SEO - SITE #${result.website_id}**\n\n` +
-                    `${dateInfo}\n\n` +
-                    `📊 **Métriques globales :**\n` +
-                    `• Mots-clés suivis : ${result.overall_metrics.total_keywords}\n` +
-                    `• Total clics : ${formatMetric(result.overall_metrics.total_clicks)}\n` +
-                    `• Total impressions : ${formatMetric(result.overall_metrics.total_impressions)}\n` +
-                    `• Position moyenne : ${result.overall_metrics.average_position ? (typeof result.overall_metrics.average_position === 'object' ? '#' + result.overall_metrics.average_position.current + (result.overall_metrics.average_position.evolution_text ? ' (' + result.overall_metrics.average_position.evolution_text + ')' : '') : '#' + result.overall_metrics.average_position) : 'N/A'}\n` +
-                    `• CTR moyen : ${result.overall_metrics.average_ctr ? (typeof result.overall_metrics.average_ctr === 'object' ? (result.overall_metrics.average_ctr.current * 100).toFixed(2) + '%' + (result.overall_metrics.average_ctr.evolution_text ? ' (' + result.overall_metrics.average_ctr.evolution_text + ')' : '') : (result.overall_metrics.average_ctr * 100).toFixed(2) + '%') : 'N/A'}\n\n` +
-                    `📈 **Distribution des positions :**\n` +
-                    `• Top 3 : ${result.performance_changes.position_distribution.top3} mots-clés\n` +
-                    `• Top 10 : ${result.performance_changes.position_distribution.top10} mots-clés\n` +
-                    `• Top 20 : ${result.performance_changes.position_distribution.top20} mots-clés\n` +
-                    `• Top 50 : ${result.performance_changes.position_distribution.top50} mots-clés\n` +
-                    `• Top 100 : ${result.performance_changes.position_distribution.top100} mots-clés\n\n` +
-                    `🏆 **Top performeurs :**\n${topKeywords}` +
-                    categoriesSection
-            }
-          ]
-        };
       }
-
-      default:
-        throw new Error(`Outil inconnu: ${name}`);
-    }
-  } catch (error) {
-    const errorMessage = error instanceof Error ? error.message : String(error);
-    console.error(`[Referencime MCP] Erreur: ${errorMessage}`);
-    
-    return {
-      content: [
-        {
-          type: "text",
-          text: `❌ **Erreur**: ${errorMessage}`
-        }
-      ],
-      isError: true,
-    };
-  }
-});
-
-// Lancement du serveur
-async function runServer() {
-  console.error("[Referencime MCP] 🚀 Démarrage du serveur MCP Referencime v2.0...");
-  
-  // Vérification de la clé API au démarrage
-  try {
-    getApiKey();
-    console.error("[Referencime MCP] ✅ Clé API Referencime détectée");
-  } catch (error) {
-    console.error("[Referencime MCP] ❌ REFERENCIME_API_KEY manquant !");
-    console.error("[Referencime MCP] 💡 Ajoutez votre clé API dans la configuration Claude Desktop :");
-    console.error('[Referencime MCP]    "env": { "REFERENCIME_API_KEY": "votre_cle_api" }');
-    process.exit(1);
+    }, null, 2));
   }
-
-  const transport = new StdioServerTransport();
-  await server.connect(transport);
-  
-  console.error("[Referencime MCP] ✅ Serveur MCP Referencime prêt");
-  console.error("[Referencime MCP] 🛠️  7 outils d'analyse SEO disponibles (architecture refactorisée)");
-  console.error("[Referencime MCP] 🔗 Connecté aux APIs WordPress Referencime");
 }
 
-// Point d'entrée
-if (process.argv.length > 2 && process.argv[2] === 'start') {
-  runServer().catch((error) => {
-    console.error("[Referencime MCP] ❌ Erreur fatale:", error);
-    process.exit(1);
-  });
-} else {
-  console.log('Usage: referencime-mcp start');
-  console.log('');
-  console.log('Configuration Claude Desktop:');
-  console.log(JSON.stringify({
-    "mcpServers": {
-      "referencime": {
-        "command": "npx",
-        "args": ["-y", "@referencime/mcp-server", "start"],
-        "env": {
-          "REFERENCIME_API_KEY": "votre_cle_api_ici"
-        }
-      }
-    }
-  }, null, 2));
+if (process.argv[1] && realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main(process.argv[2]);
 }
+
+// Éléments exposés aux tests (test/*.test.js)
+export {
+  callReferencimeAPI,
+  decodeCursor,
+  encodeCursor,
+  fetchAllPages,
+  fetchWithRetry,
+  getBackoffDelay,
+  paginate,
+  parseRetryAfter
+} from "./api.js";
+export { resolveWebsiteArgs } from "./args.js";
+export { getServerTranslator, resolveContext } from "./config.js";
+export { isIsoDate, resolveDateRange } from "./dates.js";
+export { crc32, toXlsx } from "./export/xlsx.js";
+export { createSessionStore } from "./http.js";
+export { createServer } from "./server.js";
+export { detectChanges, detectKeywordChanges } from "./tools/changes.js";
+export { analyzeCategoryHealth } from "./tools/health.js";
+export { compareKeywords, getKeywordPositionHistory } from "./tools/history.js";
+export { planNetlinkingBudget } from "./tools/netlinking.js";
+export { getPortfolioOverview } from "./tools/portfolio.js";
+export { normalizeDomain } from "./websites.js";
@@ -0,0 +1,240 @@
+/**
+ * Outil detect_changes
+ */
+
+import { loadConfig } from "../config.js";
+import { addDaysToDate } from "../dates.js";
+import { InvalidArgumentsError } from "../errors.js";
+import { POSITION_ROUNDING, fetchConsecutivePeriods } from "../history.js";
+import { DEFAULT_CHANGE_THRESHOLDS, DetectChangesArgsSchema, DetectChangesOutputSchema } from "../schemas.js";
+import { getSnapshotDir, listSnapshotDates, readSnapshot } from "../snapshots.js";
+import { roundTo } from "../utils.js";
+
+// Seuils : valeurs par défaut, puis change_thresholds du fichier de configuration, puis argument de l'outil
+async function getChangeThresholds(thresholds) {
+  const config = await loadConfig();
+  const resolved = { ...DEFAULT_CHANGE_THRESHOLDS, ...config.change_thresholds, ...thresholds };
+  return { ...resolved, tiers: [...new Set(resolved.tiers)].sort((a, b) => a - b) };
+}
+
+// Mouvements significatifs entre deux états { position, clicks } indexés par mot-clé
+// Positions reconstituées (mode periods) : l'écart ajouté à l'arrondi de l'API (position_error) relève d'autant
+// les seuils de position et de palier, pour ne pas signaler un changement que l'arrondi suffit à expliquer
+function getPositionMargin(before, after) {
+  const error = state => state.position_error ?? POSITION_ROUNDING;
+  return Math.max(0, roundTo(error(before) + error(after) - 2 * POSITION_ROUNDING, 2));
+}
+
+export function detectKeywordChanges(previous, current, thresholds) {
+  const changes = {
+    entered_top: [],
+    left_top: [],
+    position_gains: [],
+    position_losses: [],
+    click_drops: [],
+    new_rankings: [],
+    lost_rankings: []
+  };
+  let compared = 0;
+
+  for (const [key, before] of previous) {
+    const after = current.get(key);
+    if (!after) continue;
+    compared++;
+    const keyword = after.keyword;
+    const previousPosition = before.position ?? null;
+    const position = after.position ?? null;
+    const margin = getPositionMargin(before, after);
+
+    if (previousPosition === null && position !== null) {
+      changes.new_rankings.push({ keyword, position });
+    } else if (previousPosition !== null && position === null) {
+      changes.lost_rankings.push({ keyword, previous_position: previousPosition });
+    }
+
+    // Palier le plus exigeant franchi, dans un sens ou dans l'autre
+    const enteredTier = thresholds.tiers.find(tier => position !== null && position <= tier && (previousPosition === null || previousPosition > tier + margin));
+    if (enteredTier) {
+      changes.entered_top.push({ keyword, tier: enteredTier, previous_position: previousPosition, position });
+    }
+    const leftTier = thresholds.tiers.find(tier => previousPosition !== null && previousPosition <= tier - margin && (position === null || position > tier));
+    if (leftTier) {
+      changes.left_top.push({ keyword, tier: leftTier, previous_position: previousPosition, position });
+    }
+
+    if (previousPosition !== null && position !== null) {
+      const change = roundTo(previousPosition - position);
+      if (Math.abs(change) >= thresholds.position_change + margin) {
+        changes[change > 0 ? 'position_gains' : 'position_losses'].push({ keyword, previous_position: previousPosition, position, change });
+      }
+    }
+
+    const previousClicks = before.clicks ?? 0;
+    const clicks = after.clicks ?? 0;
+    if (previousClicks > 0 && previousClicks >= thresholds.min_clicks) {
+      const changePercent = roundTo(((clicks - previousClicks) / previousClicks) * 100);
+      if (-changePercent >= thresholds.click_drop_percent) {
+        changes.click_drops.push({ keyword, previous_clicks: previousClicks, clicks, change_percent: changePercent });
+      }
+    }
+  }
+
+  changes.entered_top.sort((a, b) => a.tier - b.tier || a.position - b.position);
+  changes.left_top.sort((a, b) => a.tier - b.tier);
+  changes.position_gains.sort((a, b) => b.change - a.change);
+  changes.position_losses.sort((a, b) => a.change - b.change);
+  changes.click_drops.sort((a, b) => a.change_percent - b.change_percent);
+  changes.new_rankings.sort((a, b) => a.position - b.position);
+  changes.lost_rankings.sort((a, b) => a.previous_position - b.previous_position);
+  return { changes, compared };
+}
+
+function toKeywordStates(entries) {
+  return new Map(entries.map(([keyword, state]) => [keyword.toLowerCase(), { keyword, ...state }]));
+}
+
+function getSummaryChanges(previous, current) {
+  if (!previous || !current) return null;
+  const percent = (before, after) => (before ? roundTo(((after - before) / before) * 100) : null);
+  return {
+    clicks: { previous: previous.clicks, current: current.clicks, change_percent: percent(previous.clicks, current.clicks) },
+    impressions: { previous: previous.impressions, current: current.impressions, change_percent: percent(previous.impressions, current.impressions) },
+    position: {
+      previous: previous.position,
+      current: current.position,
+      change: previous.position !== null && current.position !== null ? roundTo(previous.position - current.position) : null
+    }
+  };
+}
+
+async function detectChangesFromSnapshots({ website_id: websiteId, from_date: fromDate, to_date: toDate, days }, dates, context) {
+  const snapshotDir = await getSnapshotDir(context);
+  const to = toDate || dates[dates.length - 1];
+  const earlier = dates.filter(date => date < to);
+  const from = fromDate || [...earlier].reverse().find(date => date <= addDaysToDate(to, -days)) || earlier[0];
+  if (!from || !to) {
+    throw new InvalidArgumentsError('errors.notEnoughSnapshots', { id: websiteId, count: dates.length });
+  }
+
+  const [previous, current] = await Promise.all([readSnapshot(snapshotDir, websiteId, from), readSnapshot(snapshotDir, websiteId, to)]);
+  for (const [date, snapshot] of [[from, previous], [to, current]]) {
+    if (!snapshot) {
+      throw new InvalidArgumentsError('errors.snapshotNotFound', { date, available: dates.join(', ') || '-' });
+    }
+  }
+
+  const warnings = [];
+  if (previous.period_days && current.period_days && previous.period_days !== current.period_days) {
+    warnings.push('PERIOD_MISMATCH');
+  }
+  return {
+    source: 'snapshots',
+    from: { snapshot_date: from, period_days: previous.period_days ?? null },
+    to: { snapshot_date: to, period_days: current.period_days ?? null },
+    previous: toKeywordStates(Object.entries(previous.keywords)),
+    current: toKeywordStates(Object.entries(current.keywords)),
+    summary_changes: getSummaryChanges(previous.summary, current.summary),
+    warnings
+  };
+}
+
+// Deux périodes consécutives de `days` jours jusqu'à hier, pour tous les mots-clés suivis :
+// fenêtres de days et 2 × days jours, sans liste de mots-clés à transmettre.
+// Solution de repli quand il n'existe pas deux instantanés : les positions de la période précédente sont approximatives.
+async function detectChangesFromPeriods({ website_id: websiteId, days, force_refresh: forceRefresh }, context) {
+  const { period, compare_period: comparePeriod, current: currentMetrics, previous: previousMetrics } = await fetchConsecutivePeriods(websiteId, days, forceRefresh, context);
+  const toStates = metrics => toKeywordStates([...metrics.values()].map(({ keyword, ...state }) => [keyword, state]));
+  const toBound = ({ start_date, end_date, days: periodDays }) => ({ start_date, end_date, period_days: periodDays });
+  return {
+    source: 'periods',
+    from: toBound(comparePeriod),
+    to: toBound(period),
+    previous: toStates(previousMetrics),
+    current: toStates(currentMetrics),
+    summary_changes: null,
+    warnings: ['APPROXIMATE_POSITIONS']
+  };
+}
+
+export async function detectChanges(args, context) {
+  const thresholds = await getChangeThresholds(args.thresholds);
+  let source = args.source;
+  let dates = [];
+  if (source !== 'periods') {
+    dates = await listSnapshotDates(await getSnapshotDir(context), args.website_id);
+    if (source === 'auto') {
+      source = dates.length >= 2 || args.from_date || args.to_date ? 'snapshots' : 'periods';
+    }
+  }
+
+  const states = source === 'snapshots'
+    ? await detectChangesFromSnapshots(args, dates, context)
+    : await detectChangesFromPeriods(args, context);
+  const { changes, compared } = detectKeywordChanges(states.previous, states.current, thresholds);
+  return {
+    website_id: args.website_id,
+    source: states.source,
+    from: states.from,
+    to: states.to,
+    thresholds,
+    keywords_compared: compared,
+    changes_count: Object.values(changes).reduce((sum, list) => sum + list.length, 0),
+    changes,
+    summary_changes: states.summary_changes,
+    warnings: states.warnings
+  };
+}
+
+export default {
+  name: 'detect_changes',
+  description: "Détecte les changements significatifs de classement d'un site entre deux instantanés locaux (enregistrés à chaque appel de list_keywords_by_categories_by_website et get_website_performance_summary) ou, à défaut, entre deux périodes : entrées et sorties du top 3/10/20, fortes hausses et baisses de position, chutes de clics, nouveaux classements et classements perdus. Seuils configurables. En mode periods, les positions de la période précédente sont reconstituées à partir de cumuls arrondis et restent approximatives : les seuils de position sont relevés de l'écart possible.",
+  inputSchema: DetectChangesArgsSchema,
+  outputSchema: DetectChangesOutputSchema,
+  run: detectChanges,
+  format(result, i18n) {
+    const { t } = i18n;
+    const formatPosition = position => (position !== null && position !== undefined ? '#' + i18n.decimal(position) : t('common.na'));
+    const formatters = {
+      entered_top: c => t('changes.tierItem', { keyword: c.keyword, tier: c.tier, previous: formatPosition(c.previous_position), position: formatPosition(c.position) }),
+      left_top: c => t('changes.tierItem', { keyword: c.keyword, tier: c.tier, previous: formatPosition(c.previous_position), position: formatPosition(c.position) }),
+      position_gains: c => t('changes.positionItem', { keyword: c.keyword, previous: formatPosition(c.previous_position), position: formatPosition(c.position), change: i18n.decimal(Math.abs(c.change)) }),
+      position_losses: c => t('changes.positionItem', { keyword: c.keyword, previous: formatPosition(c.previous_position), position: formatPosition(c.position), change: i18n.decimal(Math.abs(c.change)) }),
+      click_drops: c => t('changes.clickDropItem', { keyword: c.keyword, previous: i18n.number(c.previous_clicks), clicks: i18n.number(c.clicks), change: i18n.evolution(c.change_percent) }),
+      new_rankings: c => t('changes.rankingItem', { keyword: c.keyword, position: formatPosition(c.position) }),
+      lost_rankings: c => t('changes.rankingItem', { keyword: c.keyword, position: formatPosition(c.previous_position) })
+    };
+    const sections = Object.entries(formatters)
+      .filter(([type]) => result.changes[type].length > 0)
+      .map(([type, format]) => `${t(`changes.section.${type}`, { count: result.changes[type].length })}\n` +
+        result.changes[type].map(format).join('\n'))
+      .join('\n\n');
+
+    const bounds = result.source === 'snapshots'
+      ? t('changes.snapshots', { from: i18n.date(result.from.snapshot_date), to: i18n.date(result.to.snapshot_date) })
+      : t('changes.periods', {
+          fromStart: i18n.date(result.from.start_date), fromEnd: i18n.date(result.from.end_date),
+          toStart: i18n.date(result.to.start_date), toEnd: i18n.date(result.to.end_date)
+        });
+    const summary = result.summary_changes
+      ? `\n${t('changes.summary', {
+          clicks: i18n.number(result.summary_changes.clicks.current ?? 0),
+          clicksChange: result.summary_changes.clicks.change_percent !== null ? i18n.evolution(result.summary_changes.clicks.change_percent) : t('common.na'),
+          impressions: i18n.number(result.summary_changes.impressions.current ?? 0),
+          impressionsChange: result.summary_changes.impressions.change_percent !== null ? i18n.evolution(result.summary_changes.impressions.change_percent) : t('common.na')
+        })}\n`
+      : '';
+
+    return `${t('changes.title', { id: result.website_id })}\n\n` +
+           `${bounds}\n` +
+           `${t('changes.compared', { count: i18n.number(result.keywords_compared) })}\n` +
+           summary +
+           result.warnings.map(warning => `\n${t(`changes.warning.${warning}`)}\n`).join('') +
+           `\n${sections || t('changes.none')}\n\n` +
+           t('changes.thresholds', {
+             tiers: result.thresholds.tiers.join('/'),
+             position: i18n.decimal(result.thresholds.position_change),
+             clicks: result.thresholds.click_drop_percent,
+             minClicks: i18n.number(result.thresholds.min_clicks)
+           });
+  }
+};
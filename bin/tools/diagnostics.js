@@ -0,0 +1,160 @@
+/**
+ * Outil referencime_diagnostics
+ * Aussi affiché par la commande doctor
+ */
+
+import { createRequire } from "node:module";
+import { callReferencimeAPI, fetchAllPages, getRetryOptions } from "../api.js";
+import { getArgsShape } from "../args.js";
+import { getAccountId, isCacheEnabled } from "../cache.js";
+import { isDemoMode } from "../config.js";
+import { CancelledError } from "../errors.js";
+import { getLogFile, getLogLevel } from "../logging.js";
+import { loadPlugins } from "../plugins.js";
+import { toolRegistry } from "../registry.js";
+import {
+  ListWebsitesByUserOutputSchema,
+  ReferencimeDiagnosticsArgsSchema,
+  ReferencimeDiagnosticsOutputSchema,
+} from "../schemas.js";
+import { SERVER_VERSION, readPackageVersion } from "../version.js";
+
+// Diagnostic : versions, API joignable, clé acceptée, temps de réponse
+export async function getVersions() {
+  let sdkEntry = null;
+  try {
+    sdkEntry = createRequire(import.meta.url).resolve('@modelcontextprotocol/sdk/server');
+  } catch (error) {
+    // SDK introuvable depuis ce module : version inconnue
+  }
+  return {
+    server: SERVER_VERSION,
+    node: process.version,
+    mcp_sdk: sdkEntry ? await readPackageVersion(sdkEntry, '@modelcontextprotocol/sdk') : null
+  };
+}
+
+// Exécution chronométrée : { status, duration_ms, value } ou { status, duration_ms, error }
+async function timeCheck(fn) {
+  const startedAt = Date.now();
+  try {
+    const value = await fn();
+    return { status: 'ok', duration_ms: Date.now() - startedAt, value };
+  } catch (error) {
+    if (error instanceof CancelledError) throw error;
+    const code = error.code || (error.name === 'TimeoutError' ? 'TIMEOUT' : 'NETWORK_ERROR');
+    return { status: 'error', duration_ms: Date.now() - startedAt, error: { code, message: error.cause?.message || error.message } };
+  }
+}
+
+export async function runDiagnostics({ include_endpoints: includeEndpoints = true }, context) {
+  await loadPlugins();
+  const checks = [];
+
+  // Toute réponse HTTP, même une erreur, prouve que l'URL est joignable
+  const baseUrl = await timeCheck(async () => {
+    const response = await fetch(context.baseURL, { signal: AbortSignal.timeout(getRetryOptions().timeoutMs) });
+    return { http_status: response.status };
+  });
+  checks.push({ name: 'base_url', status: baseUrl.status, duration_ms: baseUrl.duration_ms, ...baseUrl.value, ...(baseUrl.error ? { error: baseUrl.error } : {}) });
+
+  const apiKey = await timeCheck(() => fetchAllPages('list_websites_by_user', ListWebsitesByUserOutputSchema, { limit: 500, force_refresh: true }, context));
+  checks.push({
+    name: 'api_key',
+    status: apiKey.status,
+    duration_ms: apiKey.duration_ms,
+    ...(apiKey.value ? { websites_count: apiKey.value.websites.length } : { error: apiKey.error })
+  });
+
+  // Chaque endpoint est appelé avec ses arguments par défaut sur le site favori ; ceux qui exigent davantage sont ignorés
+  const endpoints = [];
+  if (includeEndpoints && apiKey.value) {
+    const websites = apiKey.value.websites;
+    const website = websites.find(w => w.is_favorite) || websites[0];
+    for (const tool of toolRegistry.values()) {
+      if (!tool.endpoint) continue;
+      const needsWebsite = Boolean(getArgsShape(tool.inputSchema)?.website_id);
+      const parsed = tool.inputSchema.safeParse(needsWebsite ? { website_id: website?.id, limit: 1 } : { limit: 1 });
+      if (!parsed.success || (needsWebsite && !website)) {
+        endpoints.push({ tool: tool.name, endpoint: tool.endpoint, status: 'skipped', duration_ms: null, response_bytes: null });
+        continue;
+      }
+      const call = await timeCheck(() => callReferencimeAPI(tool.name, { ...parsed.data, force_refresh: true }, context));
+      endpoints.push({
+        tool: tool.name,
+        endpoint: tool.endpoint,
+        status: call.status,
+        duration_ms: call.duration_ms,
+        response_bytes: call.value !== undefined ? Buffer.byteLength(JSON.stringify(call.value)) : null,
+        ...(call.error ? { error: call.error } : {})
+      });
+    }
+  }
+
+  const status = checks.some(check => check.status === 'error') ? 'error'
+    : endpoints.some(endpoint => endpoint.status === 'error') ? 'warning' : 'ok';
+  return {
+    status,
+    versions: await getVersions(),
+    profile: context.profile,
+    base_url: context.baseURL,
+    demo: isDemoMode(),
+    account_id: getAccountId(context.apiKey),
+    checks,
+    endpoints,
+    settings: {
+      cache: isCacheEnabled(),
+      log_level: getLogLevel(),
+      log_file: getLogLevel() ? getLogFile() : null,
+      tools: toolRegistry.size
+    }
+  };
+}
+
+export default {
+  name: 'referencime_diagnostics',
+  description: "Diagnostic de la connexion Referencime, à utiliser quand les outils échouent ou que l'utilisateur signale que Referencime ne fonctionne pas : vérifie que l'URL de l'API est joignable et que la clé API est acceptée, mesure le temps de réponse de chaque endpoint et indique les versions du serveur, de Node.js et du SDK MCP.",
+  inputSchema: ReferencimeDiagnosticsArgsSchema,
+  outputSchema: ReferencimeDiagnosticsOutputSchema,
+  run: runDiagnostics,
+  format(result, i18n) {
+    const { t } = i18n;
+    const icons = { ok: '✅', error: '❌', skipped: '⏭️' };
+    const formatDuration = ms => t('diagnostics.duration', { ms: i18n.number(ms) });
+
+    const checks = result.checks.map(check => {
+      if (check.status === 'error') {
+        return `❌ ${t(`diagnostics.check.${check.name}.error`, { code: check.error.code, message: check.error.message, duration: formatDuration(check.duration_ms) })}`;
+      }
+      return `✅ ${t(`diagnostics.check.${check.name}.ok`, {
+        status: check.http_status, count: i18n.number(check.websites_count ?? 0), duration: formatDuration(check.duration_ms)
+      })}`;
+    }).join('\n');
+
+    const endpointRows = result.endpoints.map(endpoint => {
+      const status = endpoint.status === 'error'
+        ? `❌ ${endpoint.error.code}`
+        : `${icons[endpoint.status]} ${t(`diagnostics.endpointStatus.${endpoint.status}`)}`;
+      return `| ${endpoint.tool} | \`${endpoint.endpoint}\` | ${status} | ` +
+             `${endpoint.duration_ms !== null ? formatDuration(endpoint.duration_ms) : '-'} | ` +
+             `${endpoint.response_bytes !== null ? t('diagnostics.size', { kb: i18n.decimal(endpoint.response_bytes / 1024) }) : '-'} |`;
+    }).join('\n');
+
+    const failedCheck = result.checks.find(check => check.status === 'error');
+    const { settings, versions } = result;
+    return `${t('diagnostics.title')} - ${t(`diagnostics.status.${result.status}`)}\n\n` +
+           `${t('diagnostics.versions', { server: versions.server || t('common.na'), node: versions.node, sdk: versions.mcp_sdk || t('common.na') })}\n` +
+           `${t('diagnostics.profile', { profile: result.profile, account: result.account_id })}${result.demo ? ` ${t('diagnostics.demo')}` : ''}\n` +
+           `${t('diagnostics.baseUrl', { url: result.base_url })}\n\n` +
+           `${t('diagnostics.checks')}\n${checks}` +
+           (endpointRows
+             ? `\n\n${t('diagnostics.endpoints')}\n\n${t('diagnostics.tableHeader')}\n|---|---|---|---|---|\n${endpointRows}`
+             : '') +
+           `\n\n${t('diagnostics.settings', {
+             cache: t(settings.cache ? 'diagnostics.cacheOn' : 'diagnostics.cacheOff'),
+             log: settings.log_level ? t('diagnostics.logOn', { level: settings.log_level, file: settings.log_file }) : t('diagnostics.logOff'),
+             tools: settings.tools
+           })}` +
+           (failedCheck ? `\n\n${t(`diagnostics.tip.${failedCheck.name}`)}` : '');
+  }
+};
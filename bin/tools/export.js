@@ -0,0 +1,165 @@
+/**
+ * Outil export_data
+ */
+
+import { access, mkdir, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { fetchAllPages } from "../api.js";
+import { formatArgIssues, mergeDefaults, resolveWebsiteArgs } from "../args.js";
+import { InvalidArgumentsError } from "../errors.js";
+import { toCsv } from "../export/csv.js";
+import { resolveExportPath } from "../export/paths.js";
+import { toXlsx } from "../export/xlsx.js";
+import {
+  ExportDataArgsSchema,
+  ExportDataOutputSchema,
+  GetNetlinkingSpotsRankingArgsSchema,
+  GetNetlinkingSpotsRankingOutputSchema,
+  IdentifyNetlinkingTargetsArgsSchema,
+  IdentifyNetlinkingTargetsOutputSchema,
+  ListCategoriesByWebsiteArgsSchema,
+  ListCategoriesByWebsiteOutputSchema,
+  ListKeywordsByCategoriesByWebsiteArgsSchema,
+  ListKeywordsByCategoriesByWebsiteOutputSchema,
+  ListKeywordsByWebsiteArgsSchema,
+  ListKeywordsByWebsiteOutputSchema,
+  ListWebsitesByUserArgsSchema,
+  ListWebsitesByUserOutputSchema,
+} from "../schemas.js";
+
+// Export de données : lignes à plat pour CSV/XLSX, pages suivies jusqu'au bout
+const EXPORT_PAGE_SIZE = 500;
+
+const EXPORT_SOURCES = {
+  list_keywords_by_categories_by_website: {
+    argsSchema: ListKeywordsByCategoriesByWebsiteArgsSchema,
+    outputSchema: ListKeywordsByCategoriesByWebsiteOutputSchema,
+    rows: data => data.categories.flatMap(category =>
+      category.keywords.map(keyword => ({
+        category_id: category.category_id ?? null,
+        category_name: category.category_name,
+        ...keyword
+      }))
+    )
+  },
+  get_netlinking_spots_ranking: {
+    argsSchema: GetNetlinkingSpotsRankingArgsSchema,
+    outputSchema: GetNetlinkingSpotsRankingOutputSchema,
+    rows: data => data.spots
+  },
+  identify_netlinking_targets: {
+    argsSchema: IdentifyNetlinkingTargetsArgsSchema,
+    outputSchema: IdentifyNetlinkingTargetsOutputSchema,
+    rows: data => data.keywords
+  },
+  list_keywords_by_website: {
+    argsSchema: ListKeywordsByWebsiteArgsSchema,
+    outputSchema: ListKeywordsByWebsiteOutputSchema,
+    rows: data => data.keywords
+  },
+  list_categories_by_website: {
+    argsSchema: ListCategoriesByWebsiteArgsSchema,
+    outputSchema: ListCategoriesByWebsiteOutputSchema,
+    rows: data => data.categories
+  },
+  list_websites_by_user: {
+    argsSchema: ListWebsitesByUserArgsSchema,
+    outputSchema: ListWebsitesByUserOutputSchema,
+    rows: data => data.websites
+  }
+};
+
+// Aplatit un objet : performance_metrics.position, platforms.name = "A; B", platforms.price = "60; 75"
+function flattenRecord(record, prefix = '', target = {}) {
+  for (const [key, value] of Object.entries(record)) {
+    const column = prefix ? `${prefix}.${key}` : key;
+    if (Array.isArray(value)) {
+      if (value.some(item => item && typeof item === 'object')) {
+        const flattenedItems = value.map(item => flattenRecord(item && typeof item === 'object' ? item : { value: item }));
+        const subColumns = [...new Set(flattenedItems.flatMap(item => Object.keys(item)))];
+        subColumns.forEach(subColumn => {
+          target[`${column}.${subColumn}`] = flattenedItems.map(item => item[subColumn] ?? '').join('; ');
+        });
+      } else {
+        target[column] = value.join('; ');
+      }
+    } else if (value && typeof value === 'object') {
+      flattenRecord(value, column, target);
+    } else {
+      target[column] = value;
+    }
+  }
+  return target;
+}
+
+function getColumns(rows) {
+  return [...new Set(rows.flatMap(row => Object.keys(row)))];
+}
+
+async function exportData({ source, arguments: sourceArgs, format, output_path: outputPath, max_rows: maxRows, overwrite, force_refresh: forceRefresh }, context) {
+  const exportSource = EXPORT_SOURCES[source];
+  const parsed = exportSource.argsSchema.safeParse({
+    ...await resolveWebsiteArgs(exportSource.argsSchema, mergeDefaults(context.defaults, sourceArgs), context),
+    limit: EXPORT_PAGE_SIZE,
+    force_refresh: forceRefresh
+  });
+  if (!parsed.success) {
+    throw new InvalidArgumentsError('errors.invalidArguments', { tool: source, details: formatArgIssues(parsed.error) });
+  }
+
+  const filePath = await resolveExportPath(outputPath, format);
+  if (!overwrite) {
+    const exists = await access(filePath).then(() => true, () => false);
+    if (exists) {
+      throw new InvalidArgumentsError('errors.exportExists', { path: filePath });
+    }
+  }
+
+  const data = await fetchAllPages(source, exportSource.outputSchema, parsed.data, context);
+  const allRecords = exportSource.rows(data);
+  const records = maxRows ? allRecords.slice(0, maxRows) : allRecords;
+  const rows = records.map(record => flattenRecord(record));
+  const columns = getColumns(rows);
+
+  let content;
+  switch (format) {
+    case 'json':
+      content = JSON.stringify(records, null, 2);
+      break;
+    case 'xlsx':
+      content = toXlsx(rows, columns);
+      break;
+    default:
+      // BOM UTF-8 pour qu'Excel affiche correctement les accents
+      content = '\ufeff' + toCsv(rows, columns);
+  }
+
+  await mkdir(path.dirname(filePath), { recursive: true });
+  await writeFile(filePath, content);
+
+  return {
+    source,
+    format,
+    file_path: filePath,
+    row_count: records.length,
+    columns,
+    truncated: records.length < allRecords.length
+  };
+}
+
+export default {
+  name: 'export_data',
+  description: "Exporte les données complètes d'un outil (mots-clés par catégories, spots de netlinking, cibles de netlinking...) dans un fichier CSV, XLSX ou JSON. Suit automatiquement la pagination et aplatit les champs imbriqués (performance_metrics, platforms). Retourne le chemin du fichier et le nombre de lignes.",
+  inputSchema: ExportDataArgsSchema,
+  outputSchema: ExportDataOutputSchema,
+  run: exportData,
+  format(result, i18n) {
+    const { t } = i18n;
+    return `${t('export.title', { format: result.format.toUpperCase() })}\n\n` +
+           `${t('export.file', { path: result.file_path })}\n` +
+           `${t('export.source', { source: result.source })}\n` +
+           t('export.rows', { count: i18n.number(result.row_count) }) +
+           (result.truncated ? t('export.truncated') : '') + `\n` +
+           t('export.columns', { count: i18n.number(result.columns.length) });
+  }
+};
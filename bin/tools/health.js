@@ -0,0 +1,264 @@
+/**
+ * Outil analyze_category_health
+ */
+
+import { fetchAllPages } from "../api.js";
+import { addDaysToDate } from "../dates.js";
+import { CancelledError } from "../errors.js";
+import { MAX_WINDOW_DAYS, fetchKeywordWindow } from "../history.js";
+import {
+  AnalyzeCategoryHealthArgsSchema,
+  AnalyzeCategoryHealthOutputSchema,
+  ListKeywordsByCategoriesByWebsiteOutputSchema,
+} from "../schemas.js";
+import { getSnapshotDir, listSnapshotDates, readSnapshot } from "../snapshots.js";
+import { roundTo } from "../utils.js";
+
+// Santé des catégories : CTR moyen attendu par position organique (positions 1 à 10)
+const EXPECTED_CTR_BY_POSITION = [0.28, 0.15, 0.1, 0.07, 0.05, 0.04, 0.03, 0.025, 0.02, 0.018];
+
+function getExpectedCtr(position) {
+  if (position === null) return 0;
+  if (position <= 10) return EXPECTED_CTR_BY_POSITION[Math.max(0, Math.round(position) - 1)];
+  return position <= 20 ? 0.01 : 0.003;
+}
+
+// Score sur 100 : 40 % part du top 10, 30 % CTR réel / CTR attendu (plafonné à 1), 30 % visibilité pondérée par le volume
+function scoreCategory(category) {
+  const keywords = category.keywords.map(k => ({
+    keyword: k.keyword,
+    search_volume: k.search_volume ?? null,
+    position: k.performance_metrics?.has_data && k.performance_metrics.position > 0 ? k.performance_metrics.position : null,
+    clicks: k.performance_metrics?.clicks ?? 0,
+    impressions: k.performance_metrics?.impressions ?? 0
+  }));
+  const ranked = keywords.filter(k => k.position !== null);
+  const expectedClicks = ranked.reduce((sum, k) => sum + k.impressions * getExpectedCtr(k.position), 0);
+  const withVolume = keywords.filter(k => k.search_volume > 0);
+  const maxVisibility = withVolume.reduce((sum, k) => sum + k.search_volume * getExpectedCtr(1), 0);
+
+  const top10Share = keywords.length > 0 ? keywords.filter(k => k.position !== null && k.position <= 10).length / keywords.length : 0;
+  const ctrRatio = expectedClicks > 0 ? ranked.reduce((sum, k) => sum + k.clicks, 0) / expectedClicks : null;
+  const visibility = maxVisibility > 0
+    ? withVolume.reduce((sum, k) => sum + k.search_volume * getExpectedCtr(k.position), 0) / maxVisibility
+    : null;
+
+  return {
+    category_id: category.category_id ?? null,
+    category_name: category.category_name,
+    keywords_count: keywords.length,
+    keywords_with_data: ranked.length,
+    top10_share: roundTo(top10Share, 3),
+    ctr_ratio: ctrRatio === null ? null : roundTo(ctrRatio, 2),
+    visibility: visibility === null ? null : roundTo(visibility, 3),
+    score: Math.round(100 * (0.4 * top10Share + 0.3 * Math.min(ctrRatio ?? 0, 1) + 0.3 * (visibility ?? 0))),
+    // Mots-clés à plus fort volume hors du top 10
+    weak_keywords: keywords
+      .filter(k => k.position === null || k.position > 10)
+      .sort((a, b) => (b.search_volume ?? 0) - (a.search_volume ?? 0))
+      .slice(0, 3)
+      .map(({ keyword, position, search_volume }) => ({ keyword, position, search_volume }))
+  };
+}
+
+// Quasi-doublons : mêmes mots significatifs, sans accents, mots vides ni pluriels
+const KEYWORD_STOPWORDS = new Set(['de', 'du', 'des', 'la', 'le', 'les', 'l', 'd', 'un', 'une', 'en', 'pour', 'sur', 'a', 'au', 'aux', 'et', 'the', 'of', 'for', 'in', 'on', 'and', 'to']);
+
+function getKeywordTokens(keyword) {
+  return new Set(keyword.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(token => token && !KEYWORD_STOPWORDS.has(token))
+    .map(token => (token.length > 3 ? token.replace(/[sx]$/, '') : token)));
+}
+
+function getKeywordSimilarity(a, b) {
+  const tokensA = getKeywordTokens(a);
+  const tokensB = getKeywordTokens(b);
+  const shared = [...tokensA].filter(token => tokensB.has(token)).length;
+  const total = new Set([...tokensA, ...tokensB]).size;
+  return total > 0 ? shared / total : 0;
+}
+
+// Nombre de fois où les deux mots-clés échangent la meilleure position d'un relevé au suivant
+function countLeadChanges(readings, keyA, keyB) {
+  let leader = null;
+  let changes = 0;
+  for (const positions of readings) {
+    const [a, b] = [positions.get(keyA) ?? null, positions.get(keyB) ?? null];
+    if (a === null || b === null || a === b) continue;
+    const current = a < b ? 'a' : 'b';
+    if (leader && current !== leader) changes++;
+    leader = current;
+  }
+  return changes;
+}
+
+function toPositionReading(entries) {
+  return new Map(entries.map(([keyword, metrics]) => [keyword.toLowerCase(), metrics.position ?? null]));
+}
+
+// Relevés de position successifs, du plus ancien au plus récent, chacun sur une fenêtre entière telle que l'API
+// la renvoie (aucune différence de fenêtres) : instantanés locaux de même durée pris pendant la période, sinon
+// la fenêtre de 2 × days jours, dont la tête diffère de celle des days derniers jours si elle a changé entre-temps
+async function getPositionReadings(websiteId, days, current, forceRefresh, context) {
+  const snapshotDir = await getSnapshotDir(context);
+  const today = new Date().toISOString().slice(0, 10);
+  const dates = (await listSnapshotDates(snapshotDir, websiteId)).filter(date => date >= addDaysToDate(today, -days) && date < today);
+  const snapshots = (await Promise.all(dates.map(date => readSnapshot(snapshotDir, websiteId, date))))
+    .filter(snapshot => snapshot?.period_days === days);
+  if (snapshots.length > 0) {
+    return { source: 'snapshots', readings: [...snapshots.map(snapshot => toPositionReading(Object.entries(snapshot.keywords))), current] };
+  }
+  if (2 * days > MAX_WINDOW_DAYS) {
+    return null;
+  }
+  const longer = await fetchKeywordWindow(websiteId, 2 * days, forceRefresh, context);
+  return { source: 'windows', readings: [toPositionReading([...longer.values()].map(metrics => [metrics.keyword, metrics])), current] };
+}
+
+// Une catégorie peut être répartie sur plusieurs pages : ses mots-clés sont regroupés
+export function mergeCategoryPages(pages) {
+  const categories = new Map();
+  for (const category of pages) {
+    const key = category.category_id ?? category.category_name ?? '';
+    const merged = categories.get(key) || { ...category, keywords: [] };
+    merged.keywords.push(...category.keywords);
+    categories.set(key, merged);
+  }
+  return [...categories.values()];
+}
+
+export async function analyzeCategoryHealth({ website_id: websiteId, days, min_similarity: minSimilarity, force_refresh: forceRefresh }, context) {
+  const result = await fetchAllPages('list_keywords_by_categories_by_website', ListKeywordsByCategoriesByWebsiteOutputSchema, {
+    website_id: websiteId, include_performance: true, days, limit: 500, force_refresh: forceRefresh
+  }, context);
+  const analysis = {
+    website_id: websiteId,
+    has_gsc_data: result.has_gsc_data,
+    period_days: result.period_days ?? days,
+    min_similarity: minSimilarity,
+    categories: [],
+    cannibalization: [],
+    position_swing: { status: 'skipped', source: null, readings: 0, skipped_reason: 'NO_GSC_DATA' },
+    warnings: []
+  };
+  if (!result.has_gsc_data) return analysis;
+
+  const categories = mergeCategoryPages(result.categories);
+  analysis.categories = categories
+    .filter(category => category.keywords.length > 0)
+    .map(scoreCategory)
+    .sort((a, b) => a.score - b.score)
+    .map((category, index) => ({ rank: index + 1, ...category }));
+
+  // Paires candidates : quasi-doublons d'une même catégorie, tous deux positionnés
+  const pairs = [];
+  for (const category of categories) {
+    const ranked = category.keywords.filter(k => k.performance_metrics?.has_data && k.performance_metrics.position > 0);
+    for (let i = 0; i < ranked.length; i++) {
+      for (let j = i + 1; j < ranked.length; j++) {
+        const similarity = getKeywordSimilarity(ranked[i].keyword, ranked[j].keyword);
+        if (similarity >= minSimilarity) {
+          pairs.push({ category_name: category.category_name, a: ranked[i], b: ranked[j], similarity });
+        }
+      }
+    }
+  }
+  if (pairs.length === 0) {
+    analysis.position_swing.skipped_reason = 'NO_CANDIDATE_PAIRS';
+    return analysis;
+  }
+
+  // Signal secondaire : sans relevés antérieurs (fenêtre indisponible), l'analyse se poursuit avec les clics seuls
+  const current = toPositionReading(categories.flatMap(category => category.keywords).map(keyword => [keyword.keyword, {
+    position: keyword.performance_metrics?.has_data && keyword.performance_metrics.position > 0 ? keyword.performance_metrics.position : null
+  }]));
+  let history = null;
+  try {
+    history = await getPositionReadings(websiteId, analysis.period_days, current, forceRefresh, context);
+    analysis.position_swing = history
+      ? { status: 'checked', source: history.source, readings: history.readings.length, skipped_reason: null }
+      : { ...analysis.position_swing, skipped_reason: 'PERIOD_TOO_LONG' };
+  } catch (error) {
+    if (error instanceof CancelledError) throw error;
+    console.error(`[Referencime MCP] ⚠️ Alternance de positions non vérifiée pour le site #${websiteId}: ${error.message}`);
+    analysis.position_swing.skipped_reason = 'UNAVAILABLE';
+  }
+  if (!history) {
+    analysis.warnings.push(analysis.position_swing.skipped_reason === 'PERIOD_TOO_LONG' ? 'POSITION_SWING_PERIOD_TOO_LONG' : 'POSITION_SWING_UNAVAILABLE');
+  }
+  // Deux relevés : une inversion suffit ; davantage : au moins deux, aller et retour
+  const minLeadChanges = history ? Math.min(2, history.readings.length - 1) : null;
+
+  for (const { category_name, a, b, similarity } of pairs) {
+    const clicks = [a.performance_metrics.clicks ?? 0, b.performance_metrics.clicks ?? 0];
+    const totalClicks = clicks[0] + clicks[1];
+    const leadChanges = history ? countLeadChanges(history.readings, a.keyword.toLowerCase(), b.keyword.toLowerCase()) : null;
+    const signals = [];
+    if (totalClicks > 0 && Math.min(...clicks) / totalClicks >= 0.25) signals.push('split_clicks');
+    if (leadChanges !== null && leadChanges >= minLeadChanges) signals.push('position_swing');
+    if (signals.length === 0) continue;
+    analysis.cannibalization.push({
+      category_name,
+      keywords: [a.keyword, b.keyword],
+      similarity: roundTo(similarity, 2),
+      positions: [a.performance_metrics.position, b.performance_metrics.position],
+      clicks,
+      lead_changes: leadChanges,
+      signals
+    });
+  }
+  analysis.cannibalization.sort((x, y) => y.signals.length - x.signals.length || (y.clicks[0] + y.clicks[1]) - (x.clicks[0] + x.clicks[1]));
+  return analysis;
+}
+
+export default {
+  name: 'analyze_category_health',
+  description: "Analyse la santé SEO de chaque catégorie de mots-clés d'un site : part des mots-clés dans le top 10, CTR réel comparé au CTR attendu pour la position, visibilité pondérée par le volume de recherche, puis classe les catégories de la plus fragile à la plus solide. Signale aussi la cannibalisation probable : quasi-doublons d'une même catégorie qui se partagent les clics ou alternent de position (d'un instantané local au suivant, ou entre les fenêtres de days et 2 × days jours ; position_swing indique si la vérification a eu lieu).",
+  inputSchema: AnalyzeCategoryHealthArgsSchema,
+  outputSchema: AnalyzeCategoryHealthOutputSchema,
+  run: analyzeCategoryHealth,
+  format(result, i18n) {
+    const { t } = i18n;
+    if (!result.has_gsc_data) {
+      return `${t('health.title', { id: result.website_id })}\n\n${t('health.noGsc')}`;
+    }
+
+    const categoriesText = result.categories.map(cat => {
+      const weak = cat.weak_keywords.map(k =>
+        `${k.keyword} (${k.position !== null ? '#' + i18n.decimal(k.position) : t('common.na')})`
+      ).join(', ');
+      return `${t('health.category', { rank: cat.rank, name: cat.category_name || t('common.uncategorized'), score: cat.score, count: i18n.number(cat.keywords_count) })}\n` +
+             `${t('health.top10', { share: i18n.percent(cat.top10_share, 0) })}\n` +
+             `${t('health.ctr', { ratio: cat.ctr_ratio !== null ? i18n.percent(cat.ctr_ratio, 0) : t('common.na') })}\n` +
+             `${t('health.visibility', { visibility: cat.visibility !== null ? i18n.percent(cat.visibility) : t('common.na') })}` +
+             (weak ? `\n${t('health.weakKeywords', { keywords: weak })}` : '');
+    }).join('\n\n');
+
+    const cannibalizationText = result.cannibalization.length > 0
+      ? `${t('health.cannibalization', { count: result.cannibalization.length })}\n` +
+        result.cannibalization.map(pair => {
+          const signals = pair.signals.map(signal => signal === 'split_clicks'
+            ? t('health.signal.split_clicks', { first: i18n.number(pair.clicks[0]), second: i18n.number(pair.clicks[1]) })
+            : t('health.signal.position_swing', { count: pair.lead_changes })
+          ).join(', ');
+          return t('health.pair', {
+            first: pair.keywords[0], second: pair.keywords[1],
+            firstPosition: i18n.decimal(pair.positions[0]), secondPosition: i18n.decimal(pair.positions[1]),
+            category: pair.category_name || t('common.uncategorized'), signals
+          });
+        }).join('\n') +
+        `\n${t('health.cannibalizationTip')}`
+      : t('health.noCannibalization');
+
+    return `${t('health.title', { id: result.website_id })}\n\n` +
+           `${t('health.period', { days: result.period_days })}\n\n` +
+           `${t('health.ranking')}\n\n${categoriesText}\n\n` +
+           `${cannibalizationText}\n\n` +
+           (result.position_swing.status === 'checked'
+             ? `${t(`health.swing.${result.position_swing.source}`, { count: result.position_swing.readings, days: result.period_days, longer: result.period_days * 2 })}\n\n`
+             : '') +
+           result.warnings.map(warning => `${t(`health.warning.${warning}`)}\n\n`).join('') +
+           t('health.legend');
+  }
+};
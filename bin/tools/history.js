@@ -0,0 +1,173 @@
+/**
+ * Outils get_keyword_position_history et compare_keywords
+ */
+
+import { fetchAllPages } from "../api.js";
+import { addDaysToDate, getLatestDataDate, getRangeDays } from "../dates.js";
+import { InvalidArgumentsError } from "../errors.js";
+import {
+  MAX_SERIES_POINTS,
+  fetchConsecutivePeriods,
+  fetchKeywordSeries,
+  getHistoryStats,
+  getMetricDeltas,
+  getSeriesRanges,
+  renderSparkline,
+} from "../history.js";
+import {
+  CompareKeywordsArgsSchema,
+  CompareKeywordsOutputSchema,
+  KeywordPositionHistoryArgsSchema,
+  KeywordPositionHistoryOutputSchema,
+  ListKeywordsByWebsiteOutputSchema,
+} from "../schemas.js";
+
+export async function getKeywordPositionHistory({ website_id: websiteId, keywords, days, start_date: startDate, end_date: endDate, granularity, force_refresh: forceRefresh }, context) {
+  const end = endDate || getLatestDataDate();
+  const start = startDate || addDaysToDate(end, 1 - days);
+  const period = { start_date: start, end_date: end, days: getRangeDays(start, end) };
+  const points = getSeriesRanges(period, granularity).length;
+  if (points > MAX_SERIES_POINTS) {
+    throw new InvalidArgumentsError('errors.seriesTooLong', { points, max: MAX_SERIES_POINTS });
+  }
+
+  const history = await fetchKeywordSeries(websiteId, period, granularity, forceRefresh, context);
+  return {
+    website_id: websiteId,
+    granularity,
+    period,
+    keywords: [...new Set(keywords)].map(name => {
+      // Mot-clé non suivi : série sans donnée
+      const { keyword, series } = history.keywords.get(name.toLowerCase()) ||
+        { keyword: name, series: history.dates.map(date => ({ date, position: null, position_error: null, approximate: false, clicks: 0, impressions: 0 })) };
+      return { keyword, series, stats: getHistoryStats(series) };
+    })
+  };
+}
+
+// Comparaison de mots-clés : volumes et catégories de la liste suivie, métriques issues des fenêtres glissantes
+export async function compareKeywords({ website_id: websiteId, keywords, days, force_refresh: forceRefresh }, context) {
+  const requested = [...new Set(keywords)];
+
+  const tracked = await fetchAllPages('list_keywords_by_website', ListKeywordsByWebsiteOutputSchema, {
+    website_id: websiteId, include_metrics: true, limit: 500, force_refresh: forceRefresh
+  }, context);
+  const trackedByName = new Map(tracked.keywords.map(k => [k.keyword.toLowerCase(), k]));
+  const { period, compare_period: comparePeriod, current: currentMetrics, previous: compareMetrics } = await fetchConsecutivePeriods(websiteId, days, forceRefresh, context);
+
+  const emptyMetrics = { position: null, position_error: null, approximate: false, clicks: 0, impressions: 0, ctr: null };
+  const withoutKeyword = ({ keyword, ...metrics }) => metrics;
+  return {
+    website_id: websiteId,
+    period,
+    compare_period: comparePeriod,
+    keywords: requested.map(keyword => {
+      const trackedKeyword = trackedByName.get(keyword.toLowerCase());
+      if (!trackedKeyword) {
+        return { keyword, tracked: false, category_name: null, search_volume: null, current: null, compare: null, deltas: null };
+      }
+      const key = trackedKeyword.keyword.toLowerCase();
+      const current = withoutKeyword(currentMetrics.get(key) || emptyMetrics);
+      const compare = withoutKeyword(compareMetrics.get(key) || emptyMetrics);
+      return {
+        keyword: trackedKeyword.keyword,
+        tracked: true,
+        category_name: trackedKeyword.category_name ?? null,
+        search_volume: trackedKeyword.search_volume ?? null,
+        current,
+        compare,
+        deltas: getMetricDeltas(current, compare)
+      };
+    }),
+    untracked_keywords: requested.filter(keyword => !trackedByName.has(keyword.toLowerCase()))
+  };
+}
+
+export default [
+  {
+    name: 'get_keyword_position_history',
+    description: "Historique des positions d'un ou plusieurs mots-clés sur une période (ex. les 30 derniers jours) : série hebdomadaire ou mensuelle de position, clics et impressions GSC, avec sparkline, positions min/max, tendance et volatilité. À utiliser quand l'utilisateur demande l'évolution des positions d'un mot-clé. Les positions sont reconstituées à partir de cumuls arrondis par l'API et restent approximatives : les points trop imprécis sont marqués approximate et exclus des statistiques.",
+    inputSchema: KeywordPositionHistoryArgsSchema,
+    outputSchema: KeywordPositionHistoryOutputSchema,
+    run: getKeywordPositionHistory,
+    format(result, i18n) {
+      const { t } = i18n;
+      const formatPosition = position => (position === null ? t('common.na') : '#' + i18n.decimal(position));
+      const formatPoint = point => (point.approximate ? `~${formatPosition(point.position)}` : formatPosition(point.position));
+
+      const keywordsText = result.keywords.map((kw, index) => {
+        const { stats } = kw;
+        let text = `**${index + 1}. ${kw.keyword}**\n`;
+        if (kw.series.every(point => point.position === null)) {
+          return text + t('history.noData');
+        }
+        text += `   ${renderSparkline(kw.series, stats)}\n`;
+        if (stats.min_position === null) {
+          text += `${t('history.allApproximate')}\n`;
+        } else {
+          text += t('history.position', { first: formatPosition(stats.first_position), last: formatPosition(stats.last_position) });
+          if (stats.trend_change !== null) {
+            text += t(`history.trend.${stats.trend}`, { change: i18n.decimal(Math.abs(stats.trend_change)) });
+          }
+          text += `\n${t('history.range', {
+            min: formatPosition(stats.min_position),
+            max: formatPosition(stats.max_position),
+            average: formatPosition(stats.average_position),
+            volatility: i18n.decimal(stats.volatility)
+          })}\n`;
+        }
+        text += t('history.traffic', { clicks: i18n.number(stats.total_clicks), impressions: i18n.number(stats.total_impressions) });
+        text += `\n\n${t(`history.tableHeader.${result.granularity}`)}\n|---|---|---|---|\n` + kw.series.map(point =>
+          `| ${i18n.date(point.date)} | ${formatPoint(point)} | ${i18n.number(point.clicks)} | ${i18n.number(point.impressions)} |`
+        ).join('\n');
+        return text;
+      }).join('\n\n');
+
+      return `${t('history.title', { id: result.website_id })}\n\n` +
+             `${t('history.period', {
+               start: i18n.date(result.period.start_date),
+               end: i18n.date(result.period.end_date),
+               granularity: t(`history.granularity.${result.granularity}`)
+             })}\n\n` +
+             `${keywordsText}\n\n` +
+             t('history.legend');
+    }
+  },
+  {
+    name: 'compare_keywords',
+    description: "Compare côte à côte plusieurs mots-clés d'un site dans un seul tableau : position, clics, impressions, CTR, volume de recherche et catégorie sur les `days` derniers jours, avec les écarts par rapport aux `days` jours précédents. La position de la période précédente est déduite de deux cumuls arrondis par l'API et reste approximative (écart possible dans position_error). Signale clairement les mots-clés qui ne sont pas suivis dans Referencime.",
+    inputSchema: CompareKeywordsArgsSchema,
+    outputSchema: CompareKeywordsOutputSchema,
+    run: compareKeywords,
+    format(result, i18n) {
+      const { t } = i18n;
+      const formatDelta = (value, format) => {
+        if (value === null || value === 0) return '';
+        return ` (${value > 0 ? '▲' : '▼'} ${format(Math.abs(value))})`;
+      };
+
+      const rows = result.keywords.map(kw => {
+        if (!kw.tracked) {
+          return `| ${kw.keyword} | ${t('compare.untracked')} | - | - | - | - | - |`;
+        }
+        const { current, compare, deltas } = kw;
+        const formatPositionDelta = value => `${compare.approximate ? '~' : ''}${i18n.decimal(value)}`;
+        return `| **${kw.keyword}** | ${kw.category_name || t('common.uncategorized')} | ` +
+               `${kw.search_volume !== null ? i18n.number(kw.search_volume) : t('common.na')} | ` +
+               `${current.position !== null ? '#' + i18n.decimal(current.position) : t('common.na')}${formatDelta(deltas.position, formatPositionDelta)} | ` +
+               `${i18n.number(current.clicks)}${formatDelta(deltas.clicks, i18n.number)} | ` +
+               `${i18n.number(current.impressions)}${formatDelta(deltas.impressions, i18n.number)} | ` +
+               `${current.ctr !== null ? i18n.percent(current.ctr) : t('common.na')}${formatDelta(deltas.ctr, value => i18n.decimal(value * 100) + ' pt')} |`;
+      }).join('\n');
+
+      return `${t('compare.title', { id: result.website_id })}\n\n` +
+             `${t('compare.period', { start: i18n.date(result.period.start_date), end: i18n.date(result.period.end_date) })}\n` +
+             `${t('compare.comparePeriod', { start: i18n.date(result.compare_period.start_date), end: i18n.date(result.compare_period.end_date) })}\n\n` +
+             `${t('compare.tableHeader')}\n|---|---|---|---|---|---|---|\n${rows}` +
+             (result.untracked_keywords.length > 0
+               ? `\n\n${t('compare.untrackedWarning', { keywords: result.untracked_keywords.join(', ') })}`
+               : '') +
+             `\n\n${t('compare.legend')}`;
+    }
+  }
+];
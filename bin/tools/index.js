@@ -0,0 +1,25 @@
+/**
+ * Outils intégrés
+ * Chaque module exporte par défaut ses définitions d'outils, comme un plugin ;
+ * elles sont enregistrées au chargement, dans l'ordre de la liste des outils
+ */
+
+import { registerToolModule } from "../registry.js";
+import websites from "./websites.js";
+import keywords from "./keywords.js";
+import performance from "./performance.js";
+import netlinking from "./netlinking.js";
+import history from "./history.js";
+import changes from "./changes.js";
+import health from "./health.js";
+import portfolio from "./portfolio.js";
+import report from "./report.js";
+import shortlist from "./shortlist.js";
+import exportData from "./export.js";
+import diagnostics from "./diagnostics.js";
+
+const TOOLS = [websites, keywords, performance, netlinking, history, changes, health, portfolio, report, shortlist, exportData, diagnostics];
+
+for (const tools of TOOLS) {
+  await registerToolModule(tools, 'builtin');
+}
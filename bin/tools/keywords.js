@@ -0,0 +1,139 @@
+/**
+ * Outils list_keywords_by_website et list_keywords_by_categories_by_website
+ */
+
+import { formatPagination, getKeywordsByCategoriesItems, paginateKeywordsByCategories } from "../api.js";
+import {
+  ListKeywordsByCategoriesByWebsiteArgsSchema,
+  ListKeywordsByCategoriesByWebsiteOutputSchema,
+  ListKeywordsByWebsiteArgsSchema,
+  ListKeywordsByWebsiteOutputSchema,
+} from "../schemas.js";
+
+export default [
+  {
+    name: 'list_keywords_by_website',
+    description: "Liste tous les mots-clés suivis pour un site web avec leur catégorie et optionnellement leurs volumes de recherche Google Ads.",
+    inputSchema: ListKeywordsByWebsiteArgsSchema,
+    outputSchema: ListKeywordsByWebsiteOutputSchema,
+    endpoint: '/ai/list-keywords-by-website',
+    cacheTtl: 1800,
+    list: { key: 'keywords', total: r => r.keywords_count },
+    format(result, i18n) {
+      const { t } = i18n;
+      // Grouper par catégorie pour un affichage organisé
+      const byCategory = {};
+      result.keywords.forEach(k => {
+        const catName = k.category_name || t('common.uncategorized');
+        if (!byCategory[catName]) byCategory[catName] = [];
+        byCategory[catName].push(k);
+      });
+
+      const keywordsList = Object.entries(byCategory).map(([catName, keywords]) => {
+        const keywordsText = keywords.map(k => {
+          let line = `   • ${k.keyword}`;
+          if (result.include_metrics && k.search_volume) {
+            line += t('keywords.volume', { volume: i18n.number(k.search_volume) });
+          }
+          return line;
+        }).join('\n');
+
+        return `\n${t('keywords.group', { category: catName, count: i18n.number(keywords.length) })}\n${keywordsText}`;
+      }).join('\n');
+
+      return `${t('keywords.title', { id: result.website_id })}\n\n` +
+             `${t('keywords.total', { count: i18n.number(result.keywords_count) })}\n` +
+             `${t('keywords.volumes', { status: t(result.include_metrics ? 'keywords.included' : 'keywords.notIncluded') })}\n` +
+             `${keywordsList}` +
+             formatPagination(result.pagination, 'keywords', i18n) + `\n\n` +
+             t('keywords.tip');
+    }
+  },
+  {
+    name: 'list_keywords_by_categories_by_website',
+    description: "Récupère tous les mots-clés d'un site web organisés par catégories avec métriques de performance GSC (positions, clics, impressions, CTR) et analyse thématique SEO complète.",
+    inputSchema: ListKeywordsByCategoriesByWebsiteArgsSchema,
+    outputSchema: ListKeywordsByCategoriesByWebsiteOutputSchema,
+    endpoint: '/ai/list-keywords-by-categories-by-website',
+    cacheTtl: 600,
+    list: { key: 'categories', items: getKeywordsByCategoriesItems, paginate: paginateKeywordsByCategories },
+    snapshot: true,
+    format(result, i18n) {
+      const { t } = i18n;
+      if (!result.has_gsc_data) {
+        return `${t('keywordsByCategories.title', { id: result.website_id })}\n\n` +
+               `${t('keywordsByCategories.noGsc')}\n\n` +
+               `${t('keywordsByCategories.period', { days: result.period_days })}\n` +
+               `${t('keywordsByCategories.totalKeywords', { count: i18n.number(result.summary.total_keywords) })}\n` +
+               `${t('keywordsByCategories.totalCategories', { count: i18n.number(result.summary.total_categories) })}\n\n` +
+               `${t('keywordsByCategories.noGscCause')}\n\n` +
+               `${t('keywordsByCategories.structure')}\n` +
+               result.categories.map(cat => 
+                 t('keywordsByCategories.structureItem', { name: cat.category_name, count: i18n.number(cat.keywords_count) })
+               ).join('\n');
+      }
+
+      // Formatage des catégories avec performances
+      const categoriesText = result.categories.map(category => {
+        const categoryName = (category.category_name || t('common.unnamed')).toLocaleUpperCase(i18n.locale);
+        const categoryHeader = `\n${t('keywordsByCategories.categoryHeader', { name: categoryName, count: i18n.number(category.keywords_count) })}\n` +
+                             `${'─'.repeat(50)}\n`;
+
+        if (category.keywords_count === 0) {
+          return categoryHeader + `${t('keywordsByCategories.noKeyword')}\n`;
+        }
+
+        const keywordsText = category.keywords.map(keyword => {
+          let line = `   • **${keyword.keyword}**`;
+
+          if (result.include_performance && keyword.performance_metrics) {
+            const perf = keyword.performance_metrics;
+            if (perf.has_data) {
+              line += t('keywordsByCategories.metrics', {
+                position: perf.position ? i18n.number(perf.position) : t('common.na'),
+                clicks: i18n.number(perf.clicks),
+                impressions: i18n.number(perf.impressions)
+              });
+              if (perf.ctr > 0) line += t('keywordsByCategories.ctr', { ctr: i18n.percent(perf.ctr) });
+            } else {
+              line += t('keywordsByCategories.noGscData');
+            }
+          }
+
+          if (keyword.search_volume > 0) {
+            line += t('keywordsByCategories.volume', { volume: i18n.number(keyword.search_volume) });
+          }
+
+          return line;
+        }).join('\n');
+
+        return categoryHeader + keywordsText + '\n';
+      }).join('');
+
+      // Statistiques globales
+      const totalWithPosition = result.categories.flatMap(cat => 
+        cat.keywords.filter(k => k.performance_metrics?.position > 0)
+      ).length;
+
+      const avgPosition = totalWithPosition > 0 ? 
+        result.categories.flatMap(cat => 
+          cat.keywords.filter(k => k.performance_metrics?.position > 0)
+            .map(k => k.performance_metrics.position)
+        ).reduce((sum, pos) => sum + pos, 0) / totalWithPosition : null;
+
+      return `${t('keywordsByCategories.title', { id: result.website_id })}\n\n` +
+             `${t('keywordsByCategories.periodHeader', { days: result.period_days })}\n` +
+             `${t('keywordsByCategories.gscMetrics', { status: t(result.include_performance ? 'keywordsByCategories.included' : 'keywordsByCategories.disabled') })}\n\n` +
+             `${t('keywordsByCategories.summary')}\n` +
+             `${t('keywordsByCategories.summaryTotal', { count: i18n.number(result.summary.total_keywords) })}\n` +
+             `${t('keywordsByCategories.summaryCategories', { count: i18n.number(result.summary.total_categories) })}\n` +
+             `${t('keywordsByCategories.summaryUncategorized', { count: i18n.number(result.summary.uncategorized_keywords) })}\n` +
+             `${t('keywordsByCategories.summaryWithPosition', { count: i18n.number(totalWithPosition) })}\n` +
+             (avgPosition ? `${t('keywordsByCategories.summaryAvgPosition', { position: i18n.decimal(avgPosition) })}\n` : '') +
+             `\n${categoriesText}` +
+             formatPagination(result.pagination, 'keywords', i18n) + `\n\n` +
+             `${t('keywordsByCategories.updated', { date: i18n.dateTime(result.last_updated) })}\n\n` +
+             t('keywordsByCategories.tip');
+    }
+  }
+];
@@ -0,0 +1,339 @@
+/**
+ * Outils identify_netlinking_targets, get_netlinking_spots_ranking et plan_netlinking_budget
+ */
+
+import { fetchAllPages, formatPagination } from "../api.js";
+import {
+  GetNetlinkingSpotsRankingArgsSchema,
+  GetNetlinkingSpotsRankingOutputSchema,
+  IdentifyNetlinkingTargetsArgsSchema,
+  IdentifyNetlinkingTargetsOutputSchema,
+  PlanNetlinkingBudgetArgsSchema,
+  PlanNetlinkingBudgetOutputSchema,
+} from "../schemas.js";
+import { roundTo } from "../utils.js";
+
+// Plan de netlinking : valeur d'un mot-clé selon son volume et sa distance au top 3
+function getKeywordOpportunity(keyword) {
+  const distance = Math.max(0, keyword.current_position - 3);
+  return Math.log10(1 + keyword.search_volume) / (1 + distance / 10);
+}
+
+// Spots candidats, un par domaine : plateforme la moins chère du classement, mots-clés recommandés des cibles
+function getNetlinkingCandidates(ranking, targets) {
+  const candidates = new Map();
+  const getCandidate = (domain, defaults) => {
+    const key = domain.toLowerCase();
+    if (!candidates.has(key)) candidates.set(key, { domain, ...defaults, keywords: new Map() });
+    return candidates.get(key);
+  };
+
+  for (const spot of ranking.spots) {
+    const cheapest = [...spot.platforms].sort((a, b) => a.price - b.price)[0];
+    if (!cheapest) continue;
+    getCandidate(spot.domain, {
+      platform: cheapest.name,
+      price: cheapest.price,
+      proximity_score: spot.proximity_score
+    });
+  }
+  for (const keyword of targets.keywords) {
+    for (const spot of keyword.recommended_spots) {
+      const candidate = getCandidate(spot.domain, {
+        platform: spot.platform,
+        price: spot.min_price,
+        proximity_score: spot.proximity_score
+      });
+      candidate.keywords.set(keyword.keyword, spot.proximity_score);
+    }
+  }
+  return [...candidates.values()];
+}
+
+// Raisons d'exclusion d'un spot, du cas le plus facile à débloquer (un peu plus de budget) au plus difficile
+const UNCOVERED_REASONS = ['budget_exhausted', 'keyword_cap_reached', 'over_domain_cap', 'over_budget'];
+
+// Sélection gloutonne : à chaque tour, le spot abordable qui apporte le plus de valeur par euro.
+// Un mot-clé déjà ciblé ne compte plus qu'à moitié, et plus du tout une fois max_links_per_keyword atteint.
+export async function planNetlinkingBudget(args, context) {
+  const {
+    website_id: websiteId, budget, max_price_per_domain: maxPricePerDomain = null,
+    max_links_per_keyword: maxLinksPerKeyword = null, force_refresh: forceRefresh
+  } = args;
+  const [ranking, targets] = await Promise.all([
+    fetchAllPages('get_netlinking_spots_ranking', GetNetlinkingSpotsRankingOutputSchema, {
+      website_id: websiteId, category_id: args.category_id, max_price: budget,
+      sort_by: 'semantic_proximity', limit: 100, force_refresh: forceRefresh
+    }, context),
+    fetchAllPages('identify_netlinking_targets', IdentifyNetlinkingTargetsOutputSchema, {
+      website_id: websiteId, min_position: args.min_position, max_position: args.max_position,
+      min_volume: args.min_volume, spots_per_keyword: args.spots_per_keyword, limit: 100, force_refresh: forceRefresh
+    }, context)
+  ]);
+
+  const keywords = new Map(targets.keywords.map(k => [k.keyword, { ...k, opportunity: getKeywordOpportunity(k), links: 0 }]));
+  const isCapped = keyword => maxLinksPerKeyword !== null && keywords.get(keyword).links >= maxLinksPerKeyword;
+  const getValue = candidate => {
+    let value = candidate.proximity_score / 100;
+    for (const [keyword, proximity] of candidate.keywords) {
+      if (isCapped(keyword)) continue;
+      const { opportunity, links } = keywords.get(keyword);
+      value += opportunity * (proximity / 100) * (links === 0 ? 1 : 0.5);
+    }
+    return value;
+  };
+
+  const excluded = [];
+  let pool = [];
+  for (const candidate of getNetlinkingCandidates(ranking, targets)) {
+    if (maxPricePerDomain !== null && candidate.price > maxPricePerDomain) {
+      excluded.push({ domain: candidate.domain, price: candidate.price, reason: 'over_domain_cap' });
+    } else if (candidate.price > budget) {
+      excluded.push({ domain: candidate.domain, price: candidate.price, reason: 'over_budget' });
+    } else {
+      pool.push(candidate);
+    }
+  }
+
+  const selected = [];
+  let remaining = budget;
+  while (pool.length > 0) {
+    // Les spots dont tous les mots-clés ont atteint leur plafond sont écartés
+    const saturated = pool.filter(c => c.keywords.size > 0 && [...c.keywords.keys()].every(isCapped));
+    for (const candidate of saturated) {
+      excluded.push({ domain: candidate.domain, price: candidate.price, reason: 'keyword_cap_reached' });
+    }
+    pool = pool.filter(c => !saturated.includes(c));
+
+    const affordable = pool.filter(c => c.price <= remaining);
+    if (affordable.length === 0) break;
+    const [best] = affordable
+      .map(candidate => ({ candidate, value: getValue(candidate) }))
+      .sort((a, b) => b.value / Math.max(b.candidate.price, 1) - a.value / Math.max(a.candidate.price, 1) || b.value - a.value);
+
+    const covered = [...best.candidate.keywords.keys()].filter(keyword => !isCapped(keyword));
+    for (const keyword of covered) keywords.get(keyword).links++;
+    selected.push({
+      domain: best.candidate.domain,
+      platform: best.candidate.platform,
+      price: best.candidate.price,
+      proximity_score: best.candidate.proximity_score,
+      score: roundTo(best.value, 2),
+      keywords: covered
+    });
+    remaining -= best.candidate.price;
+    pool = pool.filter(c => c !== best.candidate);
+  }
+  for (const candidate of pool) {
+    excluded.push({ domain: candidate.domain, price: candidate.price, reason: 'budget_exhausted' });
+  }
+
+  const platforms = new Map();
+  for (const spot of selected) {
+    const platform = platforms.get(spot.platform) || { platform: spot.platform, spots: 0, cost: 0 };
+    platform.spots++;
+    platform.cost += spot.price;
+    platforms.set(spot.platform, platform);
+  }
+
+  // Raison de non-couverture : aucun spot recommandé, sinon l'exclusion de ses spots la plus proche d'un achat
+  const excludedByDomain = new Map(excluded.map(e => [e.domain.toLowerCase(), e.reason]));
+  const getUncoveredReason = keyword => {
+    const reasons = new Set(keyword.recommended_spots.map(s => excludedByDomain.get(s.domain.toLowerCase())));
+    return UNCOVERED_REASONS.find(reason => reasons.has(reason)) || 'no_spot';
+  };
+  const toKeyword = ({ keyword, current_position, search_volume }) => ({ keyword, current_position, search_volume });
+
+  return {
+    website_id: websiteId,
+    budget,
+    total_cost: roundTo(budget - remaining, 2),
+    remaining_budget: roundTo(remaining, 2),
+    constraints: { max_price_per_domain: maxPricePerDomain, max_links_per_keyword: maxLinksPerKeyword },
+    spots: selected,
+    platforms: [...platforms.values()].sort((a, b) => b.cost - a.cost),
+    keywords_covered: [...keywords.values()].filter(k => k.links > 0)
+      .map(k => ({ ...toKeyword(k), links: k.links })),
+    keywords_uncovered: [...keywords.values()].filter(k => k.links === 0)
+      .map(k => ({ ...toKeyword(k), reason: getUncoveredReason(k) })),
+    excluded_spots: excluded.sort((a, b) => a.price - b.price)
+  };
+}
+
+export default [
+  {
+    name: 'identify_netlinking_targets',
+    description: "🎯 OUTIL PRIORITAIRE pour stratégie netlinking : Identifie automatiquement vos mots-clés en position 4-10 avec fort volume et leurs spots pertinents. À utiliser quand l'utilisateur demande d'améliorer son netlinking, d'optimiser ses backlinks, de trouver des opportunités SEO rapides, ou de cibler des mots-clés pour des backlinks. Retourne keywords + positions + volumes + spots recommandés sans projections spéculatives. Approche factuelle sans garantie de gain.",
+    inputSchema: IdentifyNetlinkingTargetsArgsSchema,
+    outputSchema: IdentifyNetlinkingTargetsOutputSchema,
+    endpoint: '/ai/identify-netlinking-targets',
+    cacheTtl: 1800,
+    list: { key: 'keywords', total: r => r.keywords_count },
+    format(result, i18n) {
+      const { t } = i18n;
+      const filtersLine = t('targets.filters', { range: result.filters.position_range, volume: i18n.number(result.filters.min_volume) });
+
+      if (result.keywords_count === 0) {
+        return `${t('targets.title', { id: result.website_id })}\n\n` +
+               `${t('targets.none')}\n\n` +
+               `${filtersLine}\n` +
+               `${t('targets.period', { start: i18n.date(result.analysis_period.start_date), end: i18n.date(result.analysis_period.end_date) })}\n\n` +
+               t('targets.noneSuggestion');
+      }
+
+      // Fonction pour catégoriser le volume
+      const getVolumeLabel = (category) => {
+        switch(category) {
+          case 'very_high':
+          case 'high':
+          case 'medium':
+          case 'low':
+            return t(`targets.volume.${category}`);
+          default: return t('common.na');
+        }
+      };
+
+      // Formatage des keywords
+      const keywordsText = result.keywords.map((kw, i) => {
+        let text = `**${result.pagination.offset + i + 1}. ${kw.keyword}**\n`;
+        text += `${t('targets.position', { position: i18n.number(kw.current_position) })}\n`;
+        text += `${t('targets.searchVolume', { volume: i18n.number(kw.search_volume), label: getVolumeLabel(kw.volume_category) })}\n`;
+
+        if (kw.recommended_spots && kw.recommended_spots.length > 0) {
+          text += `   \n${t('targets.spotsHeader')}\n`;
+          kw.recommended_spots.forEach(spot => {
+            text += `   • ${spot.domain}`;
+            if (spot.proximity_score > 0) {
+              text += t('targets.spotRelevance', { score: i18n.number(spot.proximity_score) });
+            }
+            text += `${t('targets.spotPrice', { price: i18n.currency(spot.min_price), platform: spot.platform })}\n`;
+          });
+        } else {
+          text += `   \n${t('targets.noSpot')}\n`;
+        }
+
+        return text;
+      }).join('\n');
+
+      return `${t('targets.title', { id: result.website_id })}\n\n` +
+             `${t('targets.periodWithDays', { start: i18n.date(result.analysis_period.start_date), end: i18n.date(result.analysis_period.end_date), days: result.analysis_period.days })}\n` +
+             `${filtersLine}\n\n` +
+             `${t('targets.identified', { count: i18n.number(result.keywords_count) })}\n\n` +
+             `${t('targets.intro')}\n\n` +
+             `${t('targets.byVolume')}\n\n${keywordsText}` +
+             formatPagination(result.pagination, 'keywords', i18n) + `\n\n` +
+             `---\n` +
+             t('targets.note');
+    }
+  },
+  {
+    name: 'get_netlinking_spots_ranking',
+    description: "Récupère le classement complet de TOUS les spots de netlinking disponibles sans se limiter aux positions 4-10. Utile pour explorer l'ensemble du catalogue de spots ou pour filtrer par catégorie/prix/plateforme spécifique. Analyse automatiquement tous les mots-clés du site et retourne les spots triés par proximité sémantique avec prix et plateformes disponibles.",
+    inputSchema: GetNetlinkingSpotsRankingArgsSchema,
+    outputSchema: GetNetlinkingSpotsRankingOutputSchema,
+    endpoint: '/ai/get-netlinking-spots-ranking',
+    cacheTtl: 1800,
+    list: { key: 'spots', total: r => r.total_spots_found },
+    format(result, i18n) {
+      const { t } = i18n;
+      if (result.total_spots_found === 0) {
+        return `${t('spots.title', { id: result.website_id })}\n\n` +
+               `${t('spots.none')}\n\n` +
+               `${t('spots.keywordsAnalyzed', { count: i18n.number(result.statistics.total_keywords_analyzed) })}\n\n` +
+               t('spots.noneSuggestion');
+      }
+
+      // Formatage des spots
+      const spotsText = result.spots.map((spot, i) => {
+        const platforms = spot.platforms.map(p => 
+          t('spots.platform', { name: p.name, price: i18n.currency(p.price) })
+        ).join(', ');
+
+        return `**${spot.rank}. ${spot.domain}**\n` +
+               `${t('spots.proximity', { score: i18n.number(spot.proximity_score) })}\n` +
+               `${t('spots.coverage', { coverage: i18n.number(spot.keywords_coverage) })}\n` +
+               `${t('spots.traffic', { traffic: i18n.number(spot.metrics.traffic_volume) })}\n` +
+               `${t('spots.minPrice', { price: i18n.currency(spot.min_price) })}\n` +
+               `${t('spots.avgPosition', { position: i18n.number(spot.metrics.avg_position) })}\n` +
+               `${t('spots.keywordsCount', { count: i18n.number(spot.metrics.keywords_count) })}\n` +
+               t('spots.platforms', { platforms: platforms || t('common.noneFeminine') });
+      }).join('\n\n');
+
+      // Formatage des filtres appliqués
+      let filtersText = '';
+      if (result.filters_applied) {
+        const filters = [];
+        if (result.filters_applied.category) filters.push(t('spots.filterCategory', { value: result.filters_applied.category }));
+        if (result.filters_applied.price_range) filters.push(t('spots.filterPrice', { value: result.filters_applied.price_range }));
+        if (result.filters_applied.platform_id) filters.push(t('spots.filterPlatform', { value: result.filters_applied.platform_id }));
+        if (result.filters_applied.keywords) filters.push(t('spots.filterKeywords', { value: result.filters_applied.keywords }));
+
+        if (filters.length > 0) {
+          filtersText = `\n${t('spots.filters', { filters: filters.join(' | ') })}\n`;
+        }
+      }
+
+      return `${t('spots.title', { id: result.website_id })}\n\n` +
+             `${t('spots.summary')}\n` +
+             `${t('spots.found', { count: i18n.number(result.total_spots_found) })}\n` +
+             `${t('spots.shown', { count: i18n.number(result.spots.length) })}\n` +
+             `${t('spots.averagePrice', { price: i18n.currency(result.statistics.average_price) })}\n` +
+             `${t('spots.medianPrice', { price: i18n.currency(result.statistics.median_price) })}\n` +
+             `${t('spots.analyzed', { count: i18n.number(result.statistics.total_keywords_analyzed) })}\n` +
+             filtersText +
+             `\n${t('spots.top')}\n\n${spotsText}` +
+             formatPagination(result.pagination, 'spots', i18n) + `\n\n` +
+             t('spots.tip');
+    }
+  },
+  {
+    name: 'plan_netlinking_budget',
+    description: "Construit un plan d'achat de liens pour un site dans la limite d'un budget : sélectionne les spots qui maximisent la proximité sémantique et la couverture des mots-clés à consolider, sans jamais acheter deux fois le même domaine. Plafonds optionnels par domaine et par mot-clé. Retourne les coûts par plateforme, les mots-clés couverts et les spots ou mots-clés écartés avec leur raison.",
+    inputSchema: PlanNetlinkingBudgetArgsSchema,
+    outputSchema: PlanNetlinkingBudgetOutputSchema,
+    run: planNetlinkingBudget,
+    format(result, i18n) {
+      const { t } = i18n;
+      const constraints = [
+        result.constraints.max_price_per_domain !== null ? t('budget.domainCap', { price: i18n.currency(result.constraints.max_price_per_domain) }) : null,
+        result.constraints.max_links_per_keyword !== null ? t('budget.keywordCap', { count: result.constraints.max_links_per_keyword }) : null
+      ].filter(Boolean);
+
+      const planText = result.spots.length > 0
+        ? `${t('budget.tableHeader')}\n|---|---|---|---|---|\n` +
+          result.spots.map(spot =>
+            `| **${spot.domain}** | ${spot.platform} | ${i18n.currency(spot.price)} | ${spot.proximity_score}% | ${spot.keywords.join(', ') || t('common.none')} |`
+          ).join('\n') +
+          `\n\n${t('budget.platforms')}\n` +
+          result.platforms.map(p => t('budget.platformItem', { platform: p.platform, count: p.spots, cost: i18n.currency(p.cost) })).join('\n')
+        : t('budget.empty');
+      const coveredText = result.keywords_covered.length > 0
+        ? `\n\n${t('budget.covered', { count: result.keywords_covered.length })}\n` +
+          result.keywords_covered.map(k => t('budget.coveredItem', {
+            keyword: k.keyword, position: i18n.decimal(k.current_position), volume: i18n.number(k.search_volume), links: k.links
+          })).join('\n')
+        : '';
+      const uncoveredText = result.keywords_uncovered.length > 0
+        ? `\n\n${t('budget.uncovered', { count: result.keywords_uncovered.length })}\n` +
+          result.keywords_uncovered.map(k => t('budget.uncoveredItem', {
+            keyword: k.keyword, position: i18n.decimal(k.current_position), reason: t(`budget.reason.${k.reason}`)
+          })).join('\n')
+        : '';
+      const excludedText = result.excluded_spots.length > 0
+        ? `\n\n${t('budget.excluded', { count: result.excluded_spots.length })}\n` +
+          result.excluded_spots.map(e => t('budget.excludedItem', {
+            domain: e.domain, price: i18n.currency(e.price), reason: t(`budget.reason.${e.reason}`)
+          })).join('\n')
+        : '';
+
+      return `${t('budget.title', { id: result.website_id })}\n\n` +
+             `${t('budget.summary', { cost: i18n.currency(result.total_cost), budget: i18n.currency(result.budget), remaining: i18n.currency(result.remaining_budget) })}\n` +
+             (constraints.length > 0 ? `${t('budget.constraints', { constraints: constraints.join(' · ') })}\n` : '') +
+             `\n${planText}` +
+             coveredText +
+             uncoveredText +
+             excludedText +
+             `\n\n${t('budget.tip')}`;
+    }
+  }
+];
@@ -0,0 +1,98 @@
+/**
+ * Outil get_website_performance_summary
+ */
+
+import { WebsiteSummaryArgsSchema, WebsiteSummaryOutputSchema } from "../schemas.js";
+
+export default {
+  name: 'get_website_performance_summary',
+  description: "Tableau de bord complet des performances SEO d'un site web : métriques globales GSC, distribution des positions et mots-clés les plus performants.",
+  inputSchema: WebsiteSummaryArgsSchema,
+  outputSchema: WebsiteSummaryOutputSchema,
+  endpoint: '/ai/get-website-performance-summary',
+  cacheTtl: 600,
+  snapshot: true,
+  format(result, i18n) {
+    const { t } = i18n;
+    if (!result.has_data) {
+      return `${t('summary.title', { id: result.website_id })}\n\n` +
+             `${t('summary.noData')}\n\n` +
+             `${t('summary.noDataPeriod', { days: result.period_days || result.period?.days || t('common.na') })}\n` +
+             `${t('summary.noDataKeywords', { count: i18n.number(result.overall_metrics.total_keywords) })}\n\n` +
+             t('summary.noDataCause');
+    }
+
+    const topKeywords = result.top_performing_keywords?.map(k => 
+      t('summary.topKeyword', { keyword: k.keyword, position: i18n.decimal(k.position), clicks: i18n.number(k.clicks) })
+    ).join('\n') || t('common.none');
+
+    // Formatage des périodes (nouveau format API)
+    let dateInfo = '';
+    if (result.period) {
+      dateInfo = t('summary.period', { start: i18n.date(result.period.start_date), end: i18n.date(result.period.end_date), days: result.period.days });
+      if (result.compare_period) {
+        dateInfo += `\n${t('summary.comparePeriod', { start: i18n.date(result.compare_period.start_date), end: i18n.date(result.compare_period.end_date) })}`;
+      }
+    } else {
+      // Fallback ancien format
+      dateInfo = t('summary.periodDays', { days: result.period_days });
+    }
+
+    // Formatage des catégories si présentes
+    let categoriesSection = '';
+    if (result.categories && result.categories.length > 0) {
+      categoriesSection = `\n\n${t('summary.categoriesHeader')}\n\n`;
+      result.categories.forEach((cat, index) => {
+        categoriesSection += `${t('summary.categoryTitle', { index: index + 1, name: cat.category_name, count: i18n.number(cat.keywords_count) })}\n`;
+        categoriesSection += t('summary.categoryPosition', { position: cat.metrics.position.current ? '#' + i18n.number(cat.metrics.position.current) : t('common.na') });
+        if (cat.metrics.position.compare && cat.metrics.position.evolution) {
+          const evol = cat.metrics.position.evolution;
+          const evolutionText = evol > 0 ? `📈 +${i18n.number(evol)}` : evol < 0 ? `📉 ${i18n.number(evol)}` : '➡️ =';
+          categoriesSection += t('summary.categoryPositionEvolution', { evolution: evolutionText });
+        }
+        categoriesSection += `\n${t('summary.categoryClicks', { clicks: i18n.number(cat.metrics.clicks.current) })}`;
+        if (cat.metrics.clicks.evolution_percent !== null) {
+          categoriesSection += ` (${i18n.evolution(cat.metrics.clicks.evolution_percent)})`;
+        }
+        categoriesSection += `\n${t('summary.categoryImpressions', { impressions: i18n.number(cat.metrics.impressions.current) })}`;
+        if (cat.metrics.impressions.evolution_percent !== null) {
+          categoriesSection += ` (${i18n.evolution(cat.metrics.impressions.evolution_percent)})`;
+        }
+        if (cat.top_keywords && cat.top_keywords.length > 0) {
+          categoriesSection += `\n${t('summary.categoryTopKeywords', { keywords: cat.top_keywords.slice(0, 3).map(k => k.keyword).join(', ') })}`;
+        }
+        categoriesSection += '\n\n';
+      });
+    }
+
+    // Formater les métriques avec évolutions (calculées par le backend)
+    const formatMetric = (metric, formatValue = i18n.number) => {
+      if (typeof metric === 'number') return formatValue(metric);
+      if (typeof metric === 'object' && metric.current !== undefined) {
+        let text = formatValue(metric.current);
+        if (metric.evolution_text) {
+          text += ` (${metric.evolution_text})`;
+        }
+        return text;
+      }
+      return metric;
+    };
+    const metrics = result.overall_metrics;
+    const distribution = result.performance_changes.position_distribution;
+
+    return `${t('summary.title', { id: result.website_id })}\n\n` +
+           `${dateInfo}\n\n` +
+           `${t('summary.globalMetrics')}\n` +
+           `${t('summary.trackedKeywords', { count: i18n.number(metrics.total_keywords) })}\n` +
+           `${t('summary.totalClicks', { value: formatMetric(metrics.total_clicks) })}\n` +
+           `${t('summary.totalImpressions', { value: formatMetric(metrics.total_impressions) })}\n` +
+           `${t('summary.averagePosition', { value: metrics.average_position ? formatMetric(metrics.average_position, value => '#' + i18n.number(value)) : t('common.na') })}\n` +
+           `${t('summary.averageCtr', { value: metrics.average_ctr ? formatMetric(metrics.average_ctr, value => i18n.percent(value, 2)) : t('common.na') })}\n\n` +
+           `${t('summary.distribution')}\n` +
+           [3, 10, 20, 50, 100].map(top =>
+             t('summary.distributionItem', { top, count: i18n.number(distribution[`top${top}`]) })
+           ).join('\n') + `\n\n` +
+           `${t('summary.topPerformers')}\n${topKeywords}` +
+           categoriesSection;
+  }
+};
@@ -0,0 +1,203 @@
+/**
+ * Outil get_portfolio_overview
+ */
+
+import { fetchToolResult } from "../api.js";
+import { loadConfig } from "../config.js";
+import { CancelledError } from "../errors.js";
+import { getTool } from "../registry.js";
+import {
+  GetPortfolioOverviewArgsSchema,
+  GetPortfolioOverviewOutputSchema,
+  WebsiteSummaryArgsSchema,
+} from "../schemas.js";
+import { mapWithConcurrency, roundTo } from "../utils.js";
+import { getAccountWebsites } from "../websites.js";
+
+// Vue d'ensemble du portefeuille : résumé de chaque site du compte, interrogés en parallèle par lots
+const DEFAULT_PORTFOLIO_CONCURRENCY = 4;
+
+// Valeurs courante et de comparaison d'une métrique du résumé (nombre seul pour l'ancien format)
+export function getSummaryMetric(metric) {
+  if (typeof metric === 'number') return { current: metric, compare: null };
+  if (!metric) return { current: null, compare: null };
+  return { current: metric.current, compare: metric.compare ?? null };
+}
+
+export function getChangePercent(current, compare) {
+  return compare ? roundTo(((current - compare) / compare) * 100, 1) : null;
+}
+
+function toPortfolioRow(website, summary) {
+  const row = {
+    rank: null, website_id: website.id, domain: website.domain, status: summary.has_data ? 'ok' : 'no_data',
+    keywords: summary.overall_metrics.total_keywords, clicks: null, clicks_change: null, clicks_change_percent: null,
+    impressions: null, impressions_change: null, impressions_change_percent: null, average_position: null, position_change: null, top10: null
+  };
+  if (!summary.has_data) return row;
+
+  const clicks = getSummaryMetric(summary.overall_metrics.total_clicks);
+  const impressions = getSummaryMetric(summary.overall_metrics.total_impressions);
+  const position = getSummaryMetric(summary.overall_metrics.average_position);
+  return {
+    ...row,
+    clicks: clicks.current ?? 0,
+    clicks_change: clicks.compare !== null ? clicks.current - clicks.compare : null,
+    clicks_change_percent: clicks.compare !== null ? getChangePercent(clicks.current, clicks.compare) : null,
+    impressions: impressions.current ?? 0,
+    impressions_change: impressions.compare !== null ? impressions.current - impressions.compare : null,
+    impressions_change_percent: impressions.compare !== null ? getChangePercent(impressions.current, impressions.compare) : null,
+    average_position: position.current,
+    // Positif : positions gagnées
+    position_change: position.current !== null && position.compare !== null ? roundTo(position.compare - position.current, 1) : null,
+    top10: summary.performance_changes?.position_distribution.top10 ?? null
+  };
+}
+
+// Critères de classement des sites avec données
+const PORTFOLIO_SORTS = {
+  clicks: (a, b) => b.clicks - a.clicks,
+  clicks_change: (a, b) => (b.clicks_change ?? -Infinity) - (a.clicks_change ?? -Infinity),
+  impressions: (a, b) => b.impressions - a.impressions,
+  position: (a, b) => (a.average_position ?? Infinity) - (b.average_position ?? Infinity),
+  top10: (a, b) => (b.top10 ?? -1) - (a.top10 ?? -1)
+};
+
+function getPortfolioTotals(rows) {
+  const ok = rows.filter(row => row.status === 'ok');
+  const sum = values => values.reduce((total, value) => total + value, 0);
+  const clicks = sum(ok.map(row => row.clicks));
+  const impressions = sum(ok.map(row => row.impressions));
+  // Évolution calculée sur les seuls sites disposant d'une période de comparaison
+  const getTotalChangePercent = (metric) => {
+    const compared = ok.filter(row => row[`${metric}_change`] !== null);
+    if (compared.length === 0) return null;
+    const current = sum(compared.map(row => row[metric]));
+    return getChangePercent(current, current - sum(compared.map(row => row[`${metric}_change`])));
+  };
+  const positioned = ok.filter(row => row.average_position !== null && row.impressions > 0);
+  const positionWeight = sum(positioned.map(row => row.impressions));
+  return {
+    websites_ok: ok.length,
+    websites_no_data: rows.filter(row => row.status === 'no_data').length,
+    websites_failed: rows.filter(row => row.status === 'error').length,
+    clicks,
+    clicks_change_percent: getTotalChangePercent('clicks'),
+    impressions,
+    impressions_change_percent: getTotalChangePercent('impressions'),
+    // Position moyenne pondérée par les impressions de chaque site
+    average_position: positionWeight > 0
+      ? roundTo(sum(positioned.map(row => row.average_position * row.impressions)) / positionWeight, 1)
+      : null,
+    top10: sum(ok.map(row => row.top10 ?? 0))
+  };
+}
+
+export async function getPortfolioOverview({ sort_by: sortBy, concurrency, force_refresh: forceRefresh, ...periodArgs }, context) {
+  const config = await loadConfig();
+  const limit = concurrency ?? config.portfolio_concurrency ?? DEFAULT_PORTFOLIO_CONCURRENCY;
+  const websites = await getAccountWebsites(context);
+  const summaryTool = getTool('get_website_performance_summary');
+
+  // Un site en échec n'interrompt pas la vue d'ensemble : il est signalé dans le tableau
+  let period = null;
+  const rows = await mapWithConcurrency(websites, limit, async website => {
+    try {
+      const summary = await fetchToolResult(summaryTool, WebsiteSummaryArgsSchema.parse({
+        website_id: website.id, ...periodArgs, force_refresh: forceRefresh
+      }), context);
+      period = period || summary.period || null;
+      return toPortfolioRow(website, summary);
+    } catch (error) {
+      if (error instanceof CancelledError) throw error;
+      console.error(`[Referencime MCP] ⚠️ Résumé indisponible pour ${website.domain} (#${website.id}): ${error.message}`);
+      return {
+        ...toPortfolioRow(website, { has_data: false, overall_metrics: { total_keywords: null } }),
+        status: 'error',
+        error: { code: error.code || 'INTERNAL_ERROR', message: error.message }
+      };
+    }
+  });
+
+  const ranked = rows.filter(row => row.status === 'ok').sort(PORTFOLIO_SORTS[sortBy]);
+  ranked.forEach((row, index) => { row.rank = index + 1; });
+  const movers = ranked
+    .filter(row => row.clicks_change !== null && row.clicks_change !== 0)
+    .map(({ website_id, domain, clicks, clicks_change, clicks_change_percent }) => ({ website_id, domain, clicks, clicks_change, clicks_change_percent }));
+
+  return {
+    period,
+    sort_by: sortBy,
+    concurrency: limit,
+    websites_count: websites.length,
+    totals: getPortfolioTotals(rows),
+    websites: [
+      ...ranked,
+      ...rows.filter(row => row.status === 'no_data'),
+      ...rows.filter(row => row.status === 'error')
+    ],
+    winners: movers.filter(row => row.clicks_change > 0).sort((a, b) => b.clicks_change - a.clicks_change).slice(0, 3),
+    losers: movers.filter(row => row.clicks_change < 0).sort((a, b) => a.clicks_change - b.clicks_change).slice(0, 3)
+  };
+}
+
+export default {
+  name: 'get_portfolio_overview',
+  description: "Vue d'ensemble de tous les sites du compte (agences, portefeuilles) : clics, impressions, position moyenne et mots-clés dans le top 10 de chaque site avec leur évolution par rapport à la période précédente, classement des sites, totaux du portefeuille, plus fortes progressions et plus forts reculs. Les sites sont interrogés en parallèle ; un site en échec est signalé sans bloquer les autres.",
+  inputSchema: GetPortfolioOverviewArgsSchema,
+  outputSchema: GetPortfolioOverviewOutputSchema,
+  run: getPortfolioOverview,
+  format(result, i18n) {
+    const { t } = i18n;
+    if (result.websites_count === 0) {
+      return `${t('portfolio.title', { count: 0 })}\n\n${t('portfolio.empty')}`;
+    }
+    const formatDelta = (value, format) => {
+      if (value === null || value === 0) return '';
+      return ` (${value > 0 ? '▲' : '▼'} ${format(Math.abs(value))})`;
+    };
+    const formatPercentDelta = value => formatDelta(value, v => i18n.percent(v / 100));
+
+    const rows = result.websites.map(site => {
+      if (site.status !== 'ok') {
+        const status = site.status === 'error' ? t('portfolio.failed', { code: site.error.code }) : t('portfolio.noData');
+        return `| - | ${site.domain} | ${status} | - | - | - |`;
+      }
+      return `| ${site.rank} | **${site.domain}** | ` +
+             `${i18n.number(site.clicks)}${formatPercentDelta(site.clicks_change_percent)} | ` +
+             `${i18n.number(site.impressions)}${formatPercentDelta(site.impressions_change_percent)} | ` +
+             `${site.average_position !== null ? '#' + i18n.decimal(site.average_position) : t('common.na')}${formatDelta(site.position_change, i18n.decimal)} | ` +
+             `${site.top10 !== null ? i18n.number(site.top10) : t('common.na')} |`;
+    }).join('\n');
+
+    const { totals } = result;
+    const formatChange = value => (value !== null ? ` (${i18n.evolution(value)})` : '');
+    const formatMovers = movers => movers.map(mover => t('portfolio.moverItem', {
+      domain: mover.domain,
+      id: mover.website_id,
+      change: `${mover.clicks_change > 0 ? '+' : ''}${i18n.number(mover.clicks_change)}`,
+      percent: mover.clicks_change_percent !== null ? i18n.evolution(mover.clicks_change_percent) : t('common.na')
+    })).join('\n') || t('common.noneFeminine');
+    const failures = result.websites.filter(site => site.status === 'error');
+
+    return `${t('portfolio.title', { count: i18n.number(result.websites_count) })}\n\n` +
+           (result.period
+             ? `${t('portfolio.period', { start: i18n.date(result.period.start_date), end: i18n.date(result.period.end_date), days: result.period.days })}\n\n`
+             : '') +
+           `${t('portfolio.totals')}\n` +
+           `${t('portfolio.totalClicks', { clicks: i18n.number(totals.clicks), change: formatChange(totals.clicks_change_percent) })}\n` +
+           `${t('portfolio.totalImpressions', { impressions: i18n.number(totals.impressions), change: formatChange(totals.impressions_change_percent) })}\n` +
+           `${t('portfolio.totalPosition', { position: totals.average_position !== null ? '#' + i18n.decimal(totals.average_position) : t('common.na') })}\n` +
+           `${t('portfolio.totalTop10', { count: i18n.number(totals.top10) })}\n` +
+           `${t('portfolio.coverage', { ok: totals.websites_ok, noData: totals.websites_no_data, failed: totals.websites_failed })}\n\n` +
+           `${t('portfolio.ranking', { sortBy: t(`portfolio.sort.${result.sort_by}`) })}\n\n` +
+           `${t('portfolio.tableHeader')}\n|---|---|---|---|---|---|\n${rows}\n\n` +
+           `${t('portfolio.winners')}\n${formatMovers(result.winners)}\n\n` +
+           `${t('portfolio.losers')}\n${formatMovers(result.losers)}` +
+           (failures.length > 0
+             ? `\n\n${t('portfolio.failures', { count: failures.length })}\n` +
+               failures.map(site => t('portfolio.failureItem', { domain: site.domain, id: site.website_id, message: site.error.message })).join('\n')
+             : '') +
+           `\n\n${t('portfolio.legend')}`;
+  }
+};
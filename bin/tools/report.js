@@ -0,0 +1,413 @@
+/**
+ * Outil generate_seo_report
+ */
+
+import { access, mkdir, readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { fetchAllPages, fetchToolResult } from "../api.js";
+import { loadConfig } from "../config.js";
+import { formatIsoDate, getRangeDays } from "../dates.js";
+import { InvalidArgumentsError } from "../errors.js";
+import { resolveExportPath } from "../export/paths.js";
+import { escapeXml } from "../export/xlsx.js";
+import { createTranslator, resolveLocale } from "../i18n.js";
+import { getTool } from "../registry.js";
+import {
+  GenerateSeoReportArgsSchema,
+  GenerateSeoReportOutputSchema,
+  IdentifyNetlinkingTargetsArgsSchema,
+  ListKeywordsByCategoriesByWebsiteOutputSchema,
+  SUMMARY_PERIOD_DAYS,
+  WebsiteSummaryArgsSchema,
+} from "../schemas.js";
+import { expandHome, roundTo } from "../utils.js";
+import { getAccountWebsites, normalizeDomain } from "../websites.js";
+import { mergeCategoryPages } from "./health.js";
+import { getChangePercent, getSummaryMetric } from "./portfolio.js";
+
+// Rapport SEO (generate_seo_report) : résumé de performance, mots-clés par catégorie et cibles netlinking réunis dans un fichier autonome
+const REPORT_EXTENSIONS = { html: 'html', markdown: 'md' };
+const REPORT_LOGO_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.svg': 'image/svg+xml'
+};
+
+// Logo intégré en data URI pour que le fichier reste autonome ; une URL est conservée telle quelle
+async function loadReportLogo(logo) {
+  if (!logo) return null;
+  if (/^(https?|data):/i.test(logo)) return logo;
+  const filePath = path.resolve(expandHome(logo));
+  try {
+    const mimeType = REPORT_LOGO_TYPES[path.extname(filePath).toLowerCase()];
+    if (!mimeType) {
+      throw new Error(`format non pris en charge (${Object.keys(REPORT_LOGO_TYPES).join(', ')})`);
+    }
+    return `data:${mimeType};base64,${(await readFile(filePath)).toString('base64')}`;
+  } catch (error) {
+    // Un logo illisible n'empêche pas la génération du rapport
+    console.error(`[Referencime MCP] ⚠️ Logo du rapport ignoré (${filePath}): ${error.message}`);
+    return null;
+  }
+}
+
+// Indicateurs clés : valeur de la période, de la période précédente et écart (en points de position, en ratio pour le CTR)
+function getReportKpis(metrics) {
+  return [
+    ['clicks', metrics.total_clicks],
+    ['impressions', metrics.total_impressions],
+    ['position', metrics.average_position],
+    ['ctr', metrics.average_ctr]
+  ].map(([metric, value]) => {
+    const { current, compare } = getSummaryMetric(value);
+    const compared = typeof current === 'number' && compare !== null;
+    return {
+      metric,
+      current: current ?? null,
+      previous: compare,
+      change: compared ? roundTo(current - compare, metric === 'ctr' ? 4 : 1) : null,
+      change_percent: compared && (metric === 'clicks' || metric === 'impressions') ? getChangePercent(current, compare) : null
+    };
+  });
+}
+
+// Tableau des catégories calculé sur les mots-clés suivis ; l'évolution des clics vient du résumé quand il la fournit
+function getReportCategories(pages, summaryCategories = []) {
+  const sum = values => values.reduce((total, value) => total + value, 0);
+  return mergeCategoryPages(pages).map(category => {
+    const measured = category.keywords.filter(keyword => keyword.performance_metrics?.has_data);
+    const positions = measured.map(keyword => keyword.performance_metrics.position).filter(position => typeof position === 'number');
+    const best = [...measured].sort((a, b) => (b.performance_metrics.clicks ?? 0) - (a.performance_metrics.clicks ?? 0))[0];
+    const summaryCategory = summaryCategories.find(item => item.category_name === category.category_name);
+    return {
+      category_name: category.category_name ?? null,
+      keywords_count: category.keywords.length,
+      top10: positions.filter(position => position <= 10).length,
+      average_position: positions.length > 0 ? roundTo(sum(positions) / positions.length, 1) : null,
+      clicks: sum(measured.map(keyword => keyword.performance_metrics.clicks ?? 0)),
+      clicks_change_percent: summaryCategory?.metrics.clicks.evolution_percent ?? null,
+      impressions: sum(measured.map(keyword => keyword.performance_metrics.impressions ?? 0)),
+      top_keyword: best && (best.performance_metrics.clicks ?? 0) > 0 ? best.keyword : null
+    };
+  }).sort((a, b) => b.clicks - a.clicks || b.keywords_count - a.keywords_count);
+}
+
+// Histogramme SVG de la distribution des positions : intégré tel quel au HTML, en data URI au Markdown
+function renderPositionChart(distribution, i18n) {
+  const width = 560;
+  const baseline = 200;
+  const maxBarHeight = 160;
+  const barWidth = 64;
+  const buckets = [3, 10, 20, 50, 100].map(top => ({ label: i18n.t('report.chartLabel', { top }), value: distribution[`top${top}`] }));
+  const max = Math.max(1, ...buckets.map(bucket => bucket.value));
+  const bars = buckets.map((bucket, index) => {
+    const x = 36 + index * 104;
+    const barHeight = Math.round((bucket.value / max) * maxBarHeight);
+    return `<rect x="${x}" y="${baseline - barHeight}" width="${barWidth}" height="${barHeight}" rx="4" fill="#2563eb"/>` +
+           `<text x="${x + barWidth / 2}" y="${baseline - barHeight - 6}" text-anchor="middle" fill="#1f2937">${escapeXml(i18n.number(bucket.value))}</text>` +
+           `<text x="${x + barWidth / 2}" y="${baseline + 20}" text-anchor="middle" fill="#6b7280">${escapeXml(bucket.label)}</text>`;
+  }).join('');
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="240" viewBox="0 0 ${width} 240" role="img" aria-label="${escapeXml(i18n.t('report.chartTitle'))}" font-family="Helvetica, Arial, sans-serif" font-size="13">` +
+         `<line x1="24" y1="${baseline}" x2="${width - 24}" y2="${baseline}" stroke="#d1d5db"/>${bars}</svg>`;
+}
+
+function getExecutiveSummary(report, i18n) {
+  const { t } = i18n;
+  const items = [];
+  const kpi = metric => report.kpis.find(item => item.metric === metric);
+  if (!report.has_data) {
+    items.push(t('report.exec.noData', { count: i18n.number(report.keywords_count) }));
+  } else {
+    const clicks = kpi('clicks');
+    const position = kpi('position');
+    items.push(t('report.exec.traffic', { clicks: i18n.number(clicks.current ?? 0), impressions: i18n.number(kpi('impressions').current ?? 0) }) +
+               (clicks.change_percent !== null ? t('report.exec.trafficChange', { change: i18n.evolution(clicks.change_percent) }) : ''));
+    if (position.current !== null) {
+      items.push(t('report.exec.position', { position: '#' + i18n.decimal(position.current) }) +
+                 (position.change ? t(position.change < 0 ? 'report.exec.positionGained' : 'report.exec.positionLost', { value: i18n.decimal(Math.abs(position.change)) }) : ''));
+    }
+    if (report.position_distribution) {
+      items.push(t('report.exec.top10', { count: i18n.number(report.position_distribution.top10), total: i18n.number(report.keywords_count) }));
+    }
+  }
+  const bestCategory = report.categories.find(category => category.clicks > 0);
+  if (bestCategory) {
+    items.push(t('report.exec.bestCategory', { name: bestCategory.category_name || t('common.uncategorized'), clicks: i18n.number(bestCategory.clicks) }));
+  }
+  const [firstTarget] = report.netlinking.keywords;
+  items.push(firstTarget
+    ? t('report.exec.netlinking', { count: i18n.number(report.netlinking.total), range: report.netlinking.position_range, keyword: firstTarget.keyword, volume: i18n.number(firstTarget.search_volume) })
+    : t('report.exec.noNetlinking', { range: report.netlinking.position_range }));
+  return items;
+}
+
+// Contenu du rapport indépendant du format : en-tête, puis sections de listes, tableaux et graphiques
+function buildReportDocument(report, i18n) {
+  const { t } = i18n;
+  const na = t('common.na');
+  const formatPosition = value => (value !== null ? '#' + i18n.decimal(value) : na);
+  const formatKpiValue = (metric, value) => {
+    if (value === null) return na;
+    if (metric === 'position') return formatPosition(value);
+    if (metric === 'ctr') return i18n.percent(value, 2);
+    return i18n.number(value);
+  };
+  const formatKpiChange = ({ metric, change, change_percent: changePercent }) => {
+    if (change === null) return na;
+    const sign = change > 0 ? '+' : '';
+    // Position : une baisse de la valeur est un gain de places
+    if (metric === 'position') return change === 0 ? '=' : `${change < 0 ? '▲' : '▼'} ${i18n.decimal(Math.abs(change))}`;
+    if (metric === 'ctr') return t('report.points', { value: `${sign}${i18n.decimal(change * 100, 2)}` });
+    return `${sign}${i18n.number(change)}${changePercent !== null ? ` (${i18n.evolution(changePercent)})` : ''}`;
+  };
+
+  const sections = [{ title: t('report.section.summary'), items: getExecutiveSummary(report, i18n) }];
+  if (report.has_data) {
+    sections.push({
+      title: t('report.section.kpis'),
+      table: {
+        columns: [{ label: t('report.col.metric') }, { label: t('report.col.current'), numeric: true }, { label: t('report.col.previous'), numeric: true }, { label: t('report.col.change'), numeric: true }],
+        rows: report.kpis.map(kpi => [t(`report.kpi.${kpi.metric}`), formatKpiValue(kpi.metric, kpi.current), formatKpiValue(kpi.metric, kpi.previous), formatKpiChange(kpi)])
+      }
+    });
+  }
+  if (report.position_distribution) {
+    sections.push({ title: t('report.section.distribution'), chart: renderPositionChart(report.position_distribution, i18n), chartTitle: t('report.chartTitle') });
+  }
+  sections.push(report.categories.length > 0
+    ? {
+        title: t('report.section.categories'),
+        table: {
+          columns: [{ label: t('report.col.category') }, { label: t('report.col.keywords'), numeric: true }, { label: t('report.col.top10'), numeric: true }, { label: t('report.col.position'), numeric: true }, { label: t('report.col.clicks'), numeric: true }, { label: t('report.col.impressions'), numeric: true }, { label: t('report.col.topKeyword') }],
+          rows: report.categories.map(category => [
+            category.category_name || t('common.uncategorized'),
+            i18n.number(category.keywords_count),
+            i18n.number(category.top10),
+            formatPosition(category.average_position),
+            `${i18n.number(category.clicks)}${category.clicks_change_percent !== null ? ` (${i18n.evolution(category.clicks_change_percent)})` : ''}`,
+            i18n.number(category.impressions),
+            category.top_keyword || '-'
+          ])
+        }
+      }
+    : { title: t('report.section.categories'), items: [t('report.noCategories')] });
+  const { netlinking } = report;
+  sections.push(netlinking.keywords.length > 0
+    ? {
+        title: t('report.section.netlinking'),
+        intro: t('report.netlinkingIntro', { range: netlinking.position_range, volume: i18n.number(netlinking.min_volume) }),
+        table: {
+          columns: [{ label: '#' }, { label: t('report.col.keyword') }, { label: t('report.col.position'), numeric: true }, { label: t('report.col.volume'), numeric: true }, { label: t('report.col.spots') }],
+          rows: netlinking.keywords.map((keyword, index) => [
+            String(index + 1), keyword.keyword, formatPosition(keyword.current_position), i18n.number(keyword.search_volume), keyword.spots.join(', ') || '-'
+          ])
+        }
+      }
+    : { title: t('report.section.netlinking'), items: [t('report.exec.noNetlinking', { range: netlinking.position_range })] });
+
+  const meta = [];
+  if (report.agency_name) meta.push({ label: t('report.meta.agency'), value: report.agency_name });
+  if (report.period) {
+    meta.push({ label: t('report.meta.period'), value: t('report.meta.range', { start: i18n.date(report.period.start_date), end: i18n.date(report.period.end_date) }) });
+  }
+  if (report.compare_period) {
+    meta.push({ label: t('report.meta.comparePeriod'), value: t('report.meta.range', { start: i18n.date(report.compare_period.start_date), end: i18n.date(report.compare_period.end_date) }) });
+  }
+  meta.push({ label: t('report.meta.generated'), value: i18n.date(new Date()) });
+
+  return {
+    title: t('report.title', { site: report.domain || `#${report.website_id}` }),
+    logo: report.logo,
+    logoAlt: report.agency_name || 'logo',
+    meta,
+    sections,
+    footer: report.agency_name ? t('report.footerAgency', { agency: report.agency_name }) : t('report.footer')
+  };
+}
+
+export function escapeMarkdownCell(value) {
+  return String(value).replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+}
+
+function renderReportMarkdown(reportDocument) {
+  const lines = [];
+  if (reportDocument.logo) lines.push(`![${reportDocument.logoAlt}](${reportDocument.logo})`, '');
+  lines.push(`# ${reportDocument.title}`, '', reportDocument.meta.map(({ label, value }) => `**${label}** ${value}`).join('  \n'));
+  for (const section of reportDocument.sections) {
+    lines.push('', `## ${section.title}`, '');
+    if (section.intro) lines.push(section.intro, '');
+    if (section.items) lines.push(...section.items.map(item => `- ${item}`));
+    if (section.table) {
+      lines.push(
+        `| ${section.table.columns.map(column => escapeMarkdownCell(column.label)).join(' | ')} |`,
+        `|${section.table.columns.map(column => (column.numeric ? '---:' : '---')).join('|')}|`,
+        ...section.table.rows.map(row => `| ${row.map(escapeMarkdownCell).join(' | ')} |`)
+      );
+    }
+    if (section.chart) {
+      lines.push(`![${section.chartTitle}](data:image/svg+xml;base64,${Buffer.from(section.chart).toString('base64')})`);
+    }
+  }
+  lines.push('', '---', '', `_${reportDocument.footer}_`, '');
+  return lines.join('\n');
+}
+
+const REPORT_CSS = [
+  'body{margin:0;background:#f3f4f6;color:#1f2937;font:15px/1.5 Helvetica,Arial,sans-serif}',
+  'main{max-width:960px;margin:32px auto;padding:32px 40px;background:#fff;border-radius:8px}',
+  'header{border-bottom:3px solid #2563eb;margin-bottom:24px;padding-bottom:16px}',
+  '.logo{max-height:64px;max-width:240px;margin-bottom:12px}',
+  'h1{margin:0 0 8px;font-size:26px}h2{margin:32px 0 12px;font-size:20px;color:#1e3a8a}',
+  '.meta{margin:2px 0;color:#4b5563}',
+  'table{width:100%;border-collapse:collapse;font-size:14px}',
+  'th,td{padding:6px 10px;border-bottom:1px solid #e5e7eb;text-align:left}th{background:#eff6ff}',
+  '.num{text-align:right;white-space:nowrap}',
+  'footer{margin-top:40px;color:#6b7280;font-size:13px}',
+  '@media print{body{background:#fff}main{margin:0;max-width:none}}'
+].join('\n');
+
+function renderReportHtml(reportDocument, i18n) {
+  const cell = (tag, column, value) => `<${tag}${column.numeric ? ' class="num"' : ''}>${escapeXml(value)}</${tag}>`;
+  const sections = reportDocument.sections.map(section => [
+    '<section>',
+    `<h2>${escapeXml(section.title)}</h2>`,
+    section.intro ? `<p>${escapeXml(section.intro)}</p>` : '',
+    section.items ? `<ul>${section.items.map(item => `<li>${escapeXml(item)}</li>`).join('')}</ul>` : '',
+    section.table
+      ? `<table><thead><tr>${section.table.columns.map(column => cell('th', column, column.label)).join('')}</tr></thead>` +
+        `<tbody>${section.table.rows.map(row => `<tr>${row.map((value, index) => cell('td', section.table.columns[index], value)).join('')}</tr>`).join('\n')}</tbody></table>`
+      : '',
+    section.chart || '',
+    '</section>'
+  ].filter(Boolean).join('\n'));
+
+  return [
+    '<!DOCTYPE html>',
+    `<html lang="${escapeXml(i18n.language)}">`,
+    '<head>',
+    '<meta charset="utf-8">',
+    '<meta name="viewport" content="width=device-width, initial-scale=1">',
+    `<title>${escapeXml(reportDocument.title)}</title>`,
+    `<style>\n${REPORT_CSS}\n</style>`,
+    '</head>',
+    '<body>',
+    '<main>',
+    '<header>',
+    reportDocument.logo ? `<img class="logo" src="${escapeXml(reportDocument.logo)}" alt="${escapeXml(reportDocument.logoAlt)}">` : '',
+    `<h1>${escapeXml(reportDocument.title)}</h1>`,
+    ...reportDocument.meta.map(({ label, value }) => `<p class="meta"><strong>${escapeXml(label)}</strong> ${escapeXml(value)}</p>`),
+    '</header>',
+    ...sections,
+    `<footer>${escapeXml(reportDocument.footer)}</footer>`,
+    '</main>',
+    '</body>',
+    '</html>',
+    ''
+  ].filter(Boolean).join('\n');
+}
+
+async function generateSeoReport({ website_id: websiteId, format, output_path: outputPath, netlinking_limit: netlinkingLimit, overwrite, force_refresh: forceRefresh, profile, lang, ...periodArgs }, context) {
+  const config = await loadConfig();
+  const websites = await getAccountWebsites(context);
+  const domain = websites.find(website => website.id === websiteId)?.domain ?? null;
+
+  // Fichier vérifié avant les appels à l'API, comme pour export_data
+  const defaultName = `rapport-seo-${domain ? normalizeDomain(domain).replace(/[^a-z0-9.-]+/g, '-') : websiteId}-${formatIsoDate(new Date())}.${REPORT_EXTENSIONS[format]}`;
+  const filePath = await resolveExportPath(outputPath || defaultName, REPORT_EXTENSIONS[format]);
+  if (!overwrite) {
+    const exists = await access(filePath).then(() => true, () => false);
+    if (exists) {
+      throw new InvalidArgumentsError('errors.exportExists', { path: filePath });
+    }
+  }
+
+  // Les trois appels que les consultants enchaînaient à la main
+  const summary = await fetchToolResult(getTool('get_website_performance_summary'), WebsiteSummaryArgsSchema.parse({
+    website_id: websiteId, ...periodArgs, force_refresh: forceRefresh
+  }), context);
+  const days = Math.min(480, summary.period?.days ?? summary.period_days ?? SUMMARY_PERIOD_DAYS[periodArgs.period]);
+  const keywords = await fetchAllPages('list_keywords_by_categories_by_website', ListKeywordsByCategoriesByWebsiteOutputSchema, {
+    website_id: websiteId, include_performance: true, days, limit: 500, force_refresh: forceRefresh
+  }, context);
+  const targets = await fetchToolResult(getTool('identify_netlinking_targets'), IdentifyNetlinkingTargetsArgsSchema.parse({
+    website_id: websiteId, limit: netlinkingLimit, force_refresh: forceRefresh
+  }), context);
+
+  const distribution = summary.has_data ? summary.performance_changes?.position_distribution : null;
+  const report = {
+    website_id: websiteId,
+    domain,
+    format,
+    file_path: filePath,
+    agency_name: config.report?.agency_name ?? null,
+    has_data: summary.has_data,
+    period: summary.period ?? null,
+    compare_period: summary.compare_period ?? null,
+    keywords_count: summary.overall_metrics.total_keywords,
+    kpis: summary.has_data ? getReportKpis(summary.overall_metrics) : [],
+    position_distribution: distribution
+      ? { top3: distribution.top3, top10: distribution.top10, top20: distribution.top20, top50: distribution.top50, top100: distribution.top100 }
+      : null,
+    categories: getReportCategories(keywords.categories, summary.categories),
+    netlinking: {
+      position_range: targets.filters.position_range,
+      min_volume: targets.filters.min_volume,
+      total: targets.keywords_count,
+      keywords: targets.keywords.map(keyword => ({
+        keyword: keyword.keyword,
+        current_position: keyword.current_position,
+        search_volume: keyword.search_volume,
+        spots: keyword.recommended_spots.map(spot => spot.domain)
+      }))
+    }
+  };
+
+  // Rapport rédigé dans la langue de l'appel
+  const i18n = createTranslator(resolveLocale(lang, context.locale));
+  const reportDocument = buildReportDocument({ ...report, logo: await loadReportLogo(config.report?.agency_logo) }, i18n);
+  const content = format === 'markdown' ? renderReportMarkdown(reportDocument) : renderReportHtml(reportDocument, i18n);
+  await mkdir(path.dirname(filePath), { recursive: true });
+  await writeFile(filePath, content);
+  return { ...report, bytes: Buffer.byteLength(content) };
+}
+
+export default {
+  name: 'generate_seo_report',
+  description: "Génère le rapport SEO d'un site pour une période dans un fichier HTML autonome ou Markdown, prêt à envoyer à un client : synthèse, indicateurs clés comparés à la période précédente, graphique de distribution des positions, tableau des catégories et recommandations de netlinking. Enchaîne get_website_performance_summary, list_keywords_by_categories_by_website et identify_netlinking_targets ; le nom et le logo de l'agence viennent de la section report du fichier de configuration. Retourne le chemin du fichier.",
+  inputSchema: GenerateSeoReportArgsSchema,
+  outputSchema: GenerateSeoReportOutputSchema,
+  run: generateSeoReport,
+  format(result, i18n) {
+    const { t } = i18n;
+    const kpi = metric => result.kpis.find(item => item.metric === metric);
+    const formatChange = item => (item?.change_percent !== null && item?.change_percent !== undefined ? ` (${i18n.evolution(item.change_percent)})` : '');
+    // Sections effectivement présentes dans le fichier
+    const sections = [
+      t('report.section.summary'),
+      ...(result.has_data ? [t('report.section.kpis')] : []),
+      ...(result.position_distribution ? [t('report.section.distribution')] : []),
+      `${t('report.section.categories')} (${i18n.number(result.categories.length)})`,
+      `${t('report.section.netlinking')} (${i18n.number(result.netlinking.keywords.length)})`
+    ];
+    return `${t('report.done', { site: result.domain || `#${result.website_id}` })}\n\n` +
+           `${t('export.file', { path: result.file_path })}\n` +
+           `${t('report.fileFormat', { format: result.format === 'html' ? 'HTML' : 'Markdown', size: i18n.decimal(result.bytes / 1024) })}\n` +
+           (result.period
+             ? `${t('summary.period', { start: i18n.date(result.period.start_date), end: i18n.date(result.period.end_date), days: result.period.days ?? getRangeDays(result.period.start_date, result.period.end_date) })}\n`
+             : '') +
+           (result.agency_name ? `${t('report.agency', { agency: result.agency_name })}\n` : '') +
+           '\n' +
+           (result.has_data
+             ? `${t('report.kpisLine', {
+                 clicks: i18n.number(kpi('clicks').current ?? 0) + formatChange(kpi('clicks')),
+                 impressions: i18n.number(kpi('impressions').current ?? 0) + formatChange(kpi('impressions')),
+                 position: kpi('position').current !== null ? '#' + i18n.decimal(kpi('position').current) : t('common.na')
+               })}\n`
+             : `⚠️ ${t('report.exec.noData', { count: i18n.number(result.keywords_count) })}\n`) +
+           `${t('report.contents', { sections: sections.join(' · ') })}\n\n` +
+           t(result.format === 'html' ? 'report.openHtml' : 'report.openMarkdown');
+  }
+};
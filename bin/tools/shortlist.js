@@ -0,0 +1,373 @@
+/**
+ * Outils shortlist_add, shortlist_remove, shortlist_list et shortlist_refresh
+ */
+
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { z } from "zod";
+import { MAX_PAGES, callPaginatedTool, fetchToolResult } from "../api.js";
+import { formatArgIssues } from "../args.js";
+import { getAccountId } from "../cache.js";
+import { loadConfig } from "../config.js";
+import { ReferencimeError } from "../errors.js";
+import { getTool } from "../registry.js";
+import {
+  GetNetlinkingSpotsRankingArgsSchema,
+  GetNetlinkingSpotsRankingOutputSchema,
+  IdentifyNetlinkingTargetsArgsSchema,
+  SHORTLIST_STATUSES,
+  ShortlistAddArgsSchema,
+  ShortlistAddOutputSchema,
+  ShortlistListArgsSchema,
+  ShortlistListOutputSchema,
+  ShortlistRefreshArgsSchema,
+  ShortlistRefreshOutputSchema,
+  ShortlistRemoveArgsSchema,
+  ShortlistRemoveOutputSchema,
+  ShortlistSpotOutputSchema,
+} from "../schemas.js";
+import { expandHome, roundTo } from "../utils.js";
+import { normalizeDomain } from "../websites.js";
+import { getChangePercent } from "./portfolio.js";
+import { escapeMarkdownCell } from "./report.js";
+
+// Shortlist de spots : un fichier JSON par site, isolé par compte comme les instantanés
+const ShortlistFileSchema = z.object({
+  website_id: z.number(),
+  spots: z.array(ShortlistSpotOutputSchema)
+}).passthrough();
+
+// Lecture-modification-écriture en file par fichier : deux appels simultanés ne s'écrasent pas
+const shortlistWrites = new Map();
+
+async function getShortlistPath(websiteId, context) {
+  const config = await loadConfig();
+  const baseDir = path.resolve(expandHome(process.env.REFERENCIME_SHORTLIST_DIR || config.shortlist_dir || '~/.referencime/shortlists'));
+  return path.join(baseDir, getAccountId(context.apiKey), `website-${websiteId}.json`);
+}
+
+async function readShortlist(filePath, websiteId) {
+  let content;
+  try {
+    content = await readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return { website_id: websiteId, spots: [] };
+    throw error;
+  }
+  try {
+    return ShortlistFileSchema.parse(JSON.parse(content));
+  } catch (error) {
+    const details = error instanceof z.ZodError ? formatArgIssues(error) : error.message;
+    throw new ReferencimeError('errors.shortlistInvalid', { params: { path: filePath, details }, code: 'SHORTLIST_ERROR' });
+  }
+}
+
+function updateShortlist(filePath, websiteId, update) {
+  const previous = shortlistWrites.get(filePath) || Promise.resolve();
+  const next = previous.catch(() => {}).then(async () => {
+    const shortlist = await readShortlist(filePath, websiteId);
+    const result = update(shortlist);
+    await mkdir(path.dirname(filePath), { recursive: true });
+    await writeFile(filePath, JSON.stringify({ ...shortlist, updated_at: new Date().toISOString() }, null, 2));
+    return result;
+  });
+  shortlistWrites.set(filePath, next);
+  next.catch(() => {}).finally(() => {
+    if (shortlistWrites.get(filePath) === next) shortlistWrites.delete(filePath);
+  });
+  return next;
+}
+
+function findShortlistSpot(shortlist, domain) {
+  return shortlist.spots.find(spot => normalizeDomain(spot.domain) === domain);
+}
+
+// Parcourt le classement des spots jusqu'à trouver tous les domaines demandés
+async function findRankedSpots(domains, args, context) {
+  const wanted = new Set(domains.map(normalizeDomain));
+  const found = new Map();
+  let cursor;
+  for (let page = 0; page < MAX_PAGES; page++) {
+    const result = await callPaginatedTool('get_netlinking_spots_ranking', GetNetlinkingSpotsRankingOutputSchema, { ...args, cursor }, context);
+    for (const spot of result.spots) {
+      const domain = normalizeDomain(spot.domain);
+      if (wanted.has(domain) && !found.has(domain)) found.set(domain, spot);
+    }
+    cursor = result.next_cursor;
+    if (!cursor || found.size === wanted.size) break;
+  }
+  return found;
+}
+
+// Mots-clés pour lesquels chaque spot est recommandé (identify_netlinking_targets)
+async function getTargetKeywordsBySpot(websiteId, forceRefresh, context) {
+  const targets = await fetchToolResult(getTool('identify_netlinking_targets'), IdentifyNetlinkingTargetsArgsSchema.parse({
+    website_id: websiteId,
+    limit: 100,
+    spots_per_keyword: 20,
+    force_refresh: forceRefresh
+  }), context);
+  const keywordsBySpot = new Map();
+  for (const keyword of targets.keywords) {
+    for (const spot of keyword.recommended_spots) {
+      const domain = normalizeDomain(spot.domain);
+      if (!keywordsBySpot.has(domain)) keywordsBySpot.set(domain, []);
+      if (!keywordsBySpot.get(domain).includes(keyword.keyword)) keywordsBySpot.get(domain).push(keyword.keyword);
+    }
+  }
+  return keywordsBySpot;
+}
+
+function toShortlistPlatforms(spot) {
+  return spot.platforms.map(platform => ({ name: platform.name, price: platform.price }));
+}
+
+// Un spot déjà présent est mis à jour (statut, notes, mots-clés) sans toucher à son prix d'ajout
+async function addToShortlist({ website_id: websiteId, domains, status, notes, keywords, force_refresh: forceRefresh }, context) {
+  const filePath = await getShortlistPath(websiteId, context);
+  const requested = new Map(domains.map(domain => [normalizeDomain(domain), domain]));
+  const current = await readShortlist(filePath, websiteId);
+  const newDomains = [...requested.keys()].filter(domain => !findShortlistSpot(current, domain));
+
+  const ranked = newDomains.length > 0
+    ? await findRankedSpots(newDomains, GetNetlinkingSpotsRankingArgsSchema.parse({ website_id: websiteId, limit: 100, keywords, force_refresh: forceRefresh }), context)
+    : new Map();
+  const keywordsBySpot = !keywords && ranked.size > 0 ? await getTargetKeywordsBySpot(websiteId, forceRefresh, context) : null;
+
+  return updateShortlist(filePath, websiteId, shortlist => {
+    const now = new Date().toISOString();
+    const added = [];
+    const updated = [];
+    const notFound = [];
+    for (const [domain, input] of requested) {
+      const existing = findShortlistSpot(shortlist, domain);
+      if (existing) {
+        if (status) existing.status = status;
+        if (notes !== undefined) existing.notes = notes;
+        if (keywords) existing.keywords = keywords;
+        existing.updated_at = now;
+        updated.push(existing);
+        continue;
+      }
+      const spot = ranked.get(domain);
+      if (!spot) {
+        notFound.push(input);
+        continue;
+      }
+      const entry = {
+        domain: spot.domain,
+        platforms: toShortlistPlatforms(spot),
+        price: spot.min_price,
+        proximity_score: spot.proximity_score,
+        keywords: keywords || keywordsBySpot?.get(domain) || [],
+        status: status || 'to_contact',
+        notes: notes || '',
+        added_at: now,
+        updated_at: now,
+        last_price: spot.min_price,
+        last_checked_at: now,
+        available: true
+      };
+      shortlist.spots.push(entry);
+      added.push(entry);
+    }
+    return { website_id: websiteId, added, updated, not_found: notFound, total: shortlist.spots.length };
+  });
+}
+
+async function removeFromShortlist({ website_id: websiteId, domains }, context) {
+  const filePath = await getShortlistPath(websiteId, context);
+  const requested = new Map(domains.map(domain => [normalizeDomain(domain), domain]));
+  return updateShortlist(filePath, websiteId, shortlist => {
+    const removed = shortlist.spots.filter(spot => requested.has(normalizeDomain(spot.domain)));
+    shortlist.spots = shortlist.spots.filter(spot => !requested.has(normalizeDomain(spot.domain)));
+    const removedDomains = new Set(removed.map(spot => normalizeDomain(spot.domain)));
+    return {
+      website_id: websiteId,
+      removed: removed.map(spot => spot.domain),
+      not_found: [...requested].filter(([domain]) => !removedDomains.has(domain)).map(([, input]) => input),
+      total: shortlist.spots.length
+    };
+  });
+}
+
+// Lecture locale uniquement : les prix affichés sont ceux du dernier shortlist_refresh
+async function listShortlist({ website_id: websiteId, status }, context) {
+  const shortlist = await readShortlist(await getShortlistPath(websiteId, context), websiteId);
+  const spots = status ? shortlist.spots.filter(spot => spot.status === status) : shortlist.spots;
+  const checkedDates = shortlist.spots.map(spot => spot.last_checked_at).filter(Boolean).sort();
+  return {
+    website_id: websiteId,
+    status: status ?? null,
+    total: spots.length,
+    by_status: Object.fromEntries(SHORTLIST_STATUSES.map(value => [value, shortlist.spots.filter(spot => spot.status === value).length])),
+    total_price: roundTo(spots.filter(spot => spot.available).reduce((sum, spot) => sum + (spot.last_price ?? spot.price), 0), 2),
+    last_checked_at: checkedDates.at(-1) ?? null,
+    spots
+  };
+}
+
+// Le classement est toujours relu sans cache : les prix comparés doivent être ceux du jour
+async function refreshShortlist({ website_id: websiteId }, context) {
+  const filePath = await getShortlistPath(websiteId, context);
+  const current = await readShortlist(filePath, websiteId);
+  const checkedAt = new Date().toISOString();
+  if (current.spots.length === 0) {
+    return { website_id: websiteId, checked_at: checkedAt, checked: 0, price_changes: [], unavailable: [], available_again: [], unchanged: 0 };
+  }
+
+  const checkedDomains = new Set(current.spots.map(spot => normalizeDomain(spot.domain)));
+  const ranked = await findRankedSpots([...checkedDomains], GetNetlinkingSpotsRankingArgsSchema.parse({ website_id: websiteId, limit: 100, force_refresh: true }), context);
+
+  return updateShortlist(filePath, websiteId, shortlist => {
+    const priceChanges = [];
+    const unavailable = [];
+    const availableAgain = [];
+    let unchanged = 0;
+    // Les spots ajoutés pendant la relecture du classement seront vérifiés au prochain appel
+    for (const entry of shortlist.spots.filter(spot => checkedDomains.has(normalizeDomain(spot.domain)))) {
+      const spot = ranked.get(normalizeDomain(entry.domain));
+      entry.last_checked_at = checkedAt;
+      if (!spot) {
+        entry.available = false;
+        unavailable.push(entry.domain);
+        continue;
+      }
+      if (!entry.available) availableAgain.push(entry.domain);
+      const previousPrice = entry.last_price ?? entry.price;
+      if (spot.min_price !== previousPrice) {
+        priceChanges.push({
+          domain: entry.domain,
+          previous_price: previousPrice,
+          price: spot.min_price,
+          change: roundTo(spot.min_price - previousPrice, 2),
+          change_percent: getChangePercent(spot.min_price, previousPrice),
+          price_at_add: entry.price
+        });
+      } else {
+        unchanged++;
+      }
+      Object.assign(entry, { platforms: toShortlistPlatforms(spot), proximity_score: spot.proximity_score, last_price: spot.min_price, available: true });
+    }
+    return {
+      website_id: websiteId,
+      checked_at: checkedAt,
+      checked: checkedDomains.size,
+      price_changes: priceChanges,
+      unavailable,
+      available_again: availableAgain,
+      unchanged
+    };
+  });
+}
+
+export default [
+  {
+    name: 'shortlist_add',
+    description: "Ajoute des spots de netlinking à la shortlist locale d'un site : domaine, plateformes, prix au moment de l'ajout, score de proximité, mots-clés visés, notes libres et statut de suivi (to_contact, ordered, published). Les spots sont recherchés dans get_netlinking_spots_ranking. Pour un spot déjà présent, met à jour son statut, ses notes ou ses mots-clés.",
+    inputSchema: ShortlistAddArgsSchema,
+    outputSchema: ShortlistAddOutputSchema,
+    run: addToShortlist,
+    format(result, i18n) {
+      const { t } = i18n;
+      const lines = [t('shortlist.title', { id: result.website_id })];
+      if (result.added.length > 0) {
+        lines.push('', t('shortlist.added', { count: i18n.number(result.added.length) }));
+        lines.push(...result.added.map(spot => t('shortlist.addedItem', {
+          domain: spot.domain,
+          price: i18n.currency(spot.price),
+          platforms: spot.platforms.map(platform => platform.name).join(', ') || t('common.noneFeminine'),
+          score: i18n.number(spot.proximity_score),
+          status: t(`shortlist.status.${spot.status}`)
+        }) + (spot.keywords.length > 0 ? `\n  ${t('shortlist.keywords', { keywords: spot.keywords.join(', ') })}` : '')));
+      }
+      if (result.updated.length > 0) {
+        lines.push('', t('shortlist.updated', { count: i18n.number(result.updated.length) }));
+        lines.push(...result.updated.map(spot => t('shortlist.updatedItem', { domain: spot.domain, status: t(`shortlist.status.${spot.status}`) }) +
+          (spot.notes ? `\n  ${t('shortlist.notes', { notes: spot.notes })}` : '')));
+      }
+      if (result.not_found.length > 0) {
+        lines.push('', t('shortlist.notFound', { count: i18n.number(result.not_found.length), domains: result.not_found.join(', ') }), t('shortlist.notFoundHint'));
+      }
+      lines.push('', t('shortlist.total', { count: i18n.number(result.total) }));
+      return lines.join('\n');
+    }
+  },
+  {
+    name: 'shortlist_remove',
+    description: "Retire un ou plusieurs spots de la shortlist locale de netlinking d'un site.",
+    inputSchema: ShortlistRemoveArgsSchema,
+    outputSchema: ShortlistRemoveOutputSchema,
+    run: removeFromShortlist,
+    format(result, i18n) {
+      const { t } = i18n;
+      const lines = [t('shortlist.title', { id: result.website_id }), ''];
+      if (result.removed.length > 0) lines.push(t('shortlist.removed', { count: i18n.number(result.removed.length), domains: result.removed.join(', ') }));
+      if (result.not_found.length > 0) lines.push(t('shortlist.notInShortlist', { count: i18n.number(result.not_found.length), domains: result.not_found.join(', ') }));
+      lines.push('', t('shortlist.total', { count: i18n.number(result.total) }));
+      return lines.join('\n');
+    }
+  },
+  {
+    name: 'shortlist_list',
+    description: "Affiche la shortlist locale de spots de netlinking d'un site avec statut, prix (à l'ajout et dernier connu), score de proximité, mots-clés visés et notes, éventuellement filtrée par statut. Aucun appel à l'API : utiliser shortlist_refresh pour actualiser les prix.",
+    inputSchema: ShortlistListArgsSchema,
+    outputSchema: ShortlistListOutputSchema,
+    run: listShortlist,
+    format(result, i18n) {
+      const { t } = i18n;
+      const header = t('shortlist.listTitle', { id: result.website_id });
+      if (result.total === 0) {
+        return `${header}\n\n` + (result.status ? t('shortlist.emptyStatus', { status: t(`shortlist.status.${result.status}`) }) : t('shortlist.empty'));
+      }
+      const rows = result.spots.map(spot => {
+        const lastPrice = spot.last_price ?? spot.price;
+        const price = lastPrice !== spot.price
+          ? t('shortlist.priceSinceAdd', { price: i18n.currency(lastPrice), added: i18n.currency(spot.price) })
+          : i18n.currency(spot.price);
+        return `| ${escapeMarkdownCell(spot.domain)} | ${t(`shortlist.status.${spot.status}`)} | ${spot.available ? price : t('shortlist.unavailable')} | ` +
+               `${i18n.number(spot.proximity_score)} | ${escapeMarkdownCell(spot.keywords.join(', ') || '-')} | ${escapeMarkdownCell(spot.notes || '-')} |`;
+      });
+      return `${header}\n\n` +
+             `${t('shortlist.summary', {
+               count: i18n.number(result.total),
+               to_contact: i18n.number(result.by_status.to_contact),
+               ordered: i18n.number(result.by_status.ordered),
+               published: i18n.number(result.by_status.published),
+               price: i18n.currency(result.total_price)
+             })}\n\n` +
+             `${t('shortlist.tableHeader')}\n|---|---|---:|---:|---|---|\n${rows.join('\n')}\n\n` +
+             (result.last_checked_at ? `${t('shortlist.lastChecked', { date: i18n.dateTime(result.last_checked_at) })}\n` : '') +
+             t('shortlist.refreshHint');
+    }
+  },
+  {
+    name: 'shortlist_refresh',
+    description: "Relit le classement des spots de netlinking (sans cache) pour les spots de la shortlist d'un site : met à jour prix et plateformes, signale les changements de prix depuis la dernière vérification et les spots qui ne sont plus disponibles.",
+    inputSchema: ShortlistRefreshArgsSchema,
+    outputSchema: ShortlistRefreshOutputSchema,
+    run: refreshShortlist,
+    format(result, i18n) {
+      const { t } = i18n;
+      const header = t('shortlist.refreshTitle', { id: result.website_id });
+      if (result.checked === 0) return `${header}\n\n${t('shortlist.empty')}`;
+      const lines = [header, '', t('shortlist.checked', { count: i18n.number(result.checked), date: i18n.dateTime(result.checked_at) }), ''];
+      if (result.price_changes.length > 0) {
+        lines.push(t('shortlist.priceChanges', { count: i18n.number(result.price_changes.length) }));
+        lines.push(...result.price_changes.map(change => t('shortlist.priceChange', {
+          icon: change.change > 0 ? '📈' : '📉',
+          domain: change.domain,
+          previous: i18n.currency(change.previous_price),
+          price: i18n.currency(change.price),
+          change: change.change_percent !== null ? i18n.evolution(change.change_percent) : i18n.currency(change.change)
+        }) + (change.price_at_add !== change.previous_price ? t('shortlist.sinceAdd', { price: i18n.currency(change.price_at_add) }) : '')));
+      } else {
+        lines.push(t('shortlist.noPriceChange'));
+      }
+      if (result.unavailable.length > 0) lines.push('', t('shortlist.unavailableList', { count: i18n.number(result.unavailable.length), domains: result.unavailable.join(', ') }));
+      if (result.available_again.length > 0) lines.push('', t('shortlist.availableAgain', { count: i18n.number(result.available_again.length), domains: result.available_again.join(', ') }));
+      lines.push('', t('shortlist.unchanged', { count: i18n.number(result.unchanged) }));
+      return lines.join('\n');
+    }
+  }
+];
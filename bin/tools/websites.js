@@ -0,0 +1,57 @@
+/**
+ * Outils list_websites_by_user et list_categories_by_website
+ */
+
+import { formatPagination } from "../api.js";
+import {
+  ListCategoriesByWebsiteArgsSchema,
+  ListCategoriesByWebsiteOutputSchema,
+  ListWebsitesByUserArgsSchema,
+  ListWebsitesByUserOutputSchema,
+} from "../schemas.js";
+
+export default [
+  {
+    name: 'list_websites_by_user',
+    description: "Liste tous les sites web auxquels l'utilisateur a accès dans son compte Referencime avec leurs IDs, noms de domaine et dates de création.",
+    inputSchema: ListWebsitesByUserArgsSchema,
+    outputSchema: ListWebsitesByUserOutputSchema,
+    endpoint: '/ai/list-websites-by-user',
+    cacheTtl: 3600,
+    list: { key: 'websites', total: r => r.websites_count },
+    format(result, i18n) {
+      const { t } = i18n;
+      const websitesList = result.websites.map(w => 
+        t('websites.item', { domain: w.domain, id: w.id, favorite: w.is_favorite ? ' ⭐' : '', date: i18n.date(w.created_date) })
+      ).join('\n');
+
+      return `${t('websites.title')}\n\n` +
+             `${t('websites.userId', { id: result.user_id })}\n` +
+             `${t('websites.count', { count: i18n.number(result.websites_count) })}\n\n` +
+             `${t('websites.list')}\n${websitesList}` +
+             formatPagination(result.pagination, 'websites', i18n) + `\n\n` +
+             t('websites.usage');
+    }
+  },
+  {
+    name: 'list_categories_by_website',
+    description: "Liste toutes les catégories de mots-clés d'un site web avec le nombre de mots-clés dans chaque catégorie pour une organisation thématique SEO.",
+    inputSchema: ListCategoriesByWebsiteArgsSchema,
+    outputSchema: ListCategoriesByWebsiteOutputSchema,
+    endpoint: '/ai/list-categories-by-website',
+    cacheTtl: 1800,
+    list: { key: 'categories', total: r => r.categories_count },
+    format(result, i18n) {
+      const { t } = i18n;
+      const categoriesList = result.categories.map(c => 
+        t('categories.item', { name: c.name, count: i18n.number(c.keywords_count) })
+      ).join('\n');
+
+      return `${t('categories.title', { id: result.website_id })}\n\n` +
+             `${t('categories.count', { count: i18n.number(result.categories_count) })}\n\n` +
+             `${t('categories.list')}\n${categoriesList}` +
+             formatPagination(result.pagination, 'categories', i18n) + `\n\n` +
+             t('categories.tip');
+    }
+  }
+];
@@ -0,0 +1,29 @@
+/**
+ * Utilitaires communs
+ */
+
+import os from "node:os";
+import path from "node:path";
+
+export function expandHome(filePath) {
+  return filePath.startsWith('~') ? path.join(os.homedir(), filePath.slice(1)) : filePath;
+}
+
+export function roundTo(value, digits = 1) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+// Au plus `limit` appels simultanés, résultats dans l'ordre des éléments
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
@@ -0,0 +1,26 @@
+/**
+ * Version du serveur
+ */
+
+import { readFile } from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+// package.json le plus proche portant ce nom, en remontant depuis fromFile
+export async function readPackageVersion(fromFile, packageName) {
+  let dir = path.dirname(fromFile);
+  for (;;) {
+    try {
+      const pkg = JSON.parse(await readFile(path.join(dir, 'package.json'), 'utf8'));
+      if (pkg.name === packageName) return pkg.version;
+    } catch (error) {
+      // Pas de package.json lisible à ce niveau : on remonte
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+// Version annoncée aux clients MCP, dans le diagnostic et au démarrage : celle du package.json installé
+export const SERVER_VERSION = await readPackageVersion(fileURLToPath(import.meta.url), '@referencime/mcp-server');
@@ -0,0 +1,86 @@
+/**
+ * Sites du compte
+ * Résolution d'un domaine ou du site favori en website_id
+ */
+
+import { fetchAllPages } from "./api.js";
+import { InvalidArgumentsError } from "./errors.js";
+import { ListWebsitesByUserArgsSchema, ListWebsitesByUserOutputSchema } from "./schemas.js";
+
+// Résolution du site ciblé : domaine (website) ou site favori convertis en website_id
+export async function getAccountWebsites(context) {
+  const { websites } = await fetchAllPages('list_websites_by_user', ListWebsitesByUserOutputSchema, { limit: 500 }, context);
+  return websites;
+}
+
+// Domaine comparable : sans schéma, www, port, chemin ni point final
+export function normalizeDomain(value) {
+  return String(value).trim().toLowerCase()
+    .replace(/^[a-z][a-z0-9+.-]*:\/\//, '')
+    .replace(/[/?#].*$/, '')
+    .replace(/:\d+$/, '')
+    .replace(/\.$/, '')
+    .replace(/^www\./, '');
+}
+
+// Distance de Levenshtein, pour proposer les domaines proches d'une saisie erronée
+function getEditDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function getCloseWebsites(domain, websites) {
+  const maxDistance = Math.max(2, Math.floor(domain.length / 3));
+  return websites
+    .map(website => {
+      const candidate = normalizeDomain(website.domain);
+      const label = candidate.split('.')[0];
+      const related = candidate.includes(domain) || (label.length >= 4 && domain.includes(label));
+      return { website, distance: getEditDistance(domain, candidate), related };
+    })
+    .filter(({ distance, related }) => related || distance <= maxDistance)
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, 3)
+    .map(({ website }) => website);
+}
+
+function formatWebsiteList(websites) {
+  if (websites.length === 0) return '-';
+  const items = websites.slice(0, 10).map(website => `${website.domain} (#${website.id})`);
+  return items.join(', ') + (websites.length > 10 ? ', …' : '');
+}
+
+export async function resolveWebsiteId(website, context) {
+  const websites = await getAccountWebsites(context);
+  if (website === undefined) {
+    // Sans site précisé : site favori, ou seul site du compte
+    const fallback = websites.find(w => w.is_favorite) || (websites.length === 1 ? websites[0] : null);
+    if (!fallback) {
+      throw new InvalidArgumentsError('errors.websiteRequired', { sites: formatWebsiteList(websites) });
+    }
+    return fallback.id;
+  }
+
+  const domain = normalizeDomain(website);
+  const match = websites.find(w => normalizeDomain(w.domain) === domain || String(w.id) === domain);
+  if (match) {
+    return match.id;
+  }
+  const closeWebsites = getCloseWebsites(domain, websites);
+  throw new InvalidArgumentsError(closeWebsites.length > 0 ? 'errors.websiteNotFound' : 'errors.websiteNotFoundNoMatch', {
+    website,
+    sites: formatWebsiteList(closeWebsites.length > 0 ? closeWebsites : websites)
+  });
+}
+
+export async function listWebsites(context) {
+  const args = ListWebsitesByUserArgsSchema.parse({ limit: 500 });
+  return fetchAllPages('list_websites_by_user', ListWebsitesByUserOutputSchema, args, context);
+}
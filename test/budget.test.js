@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { API_CONTEXT, apiResponse, loadServer, mockApi } from './helpers.js';
+
+const { planNetlinkingBudget } = await loadServer();
+const defaults = { min_position: 4, max_position: 10, min_volume: 100 };
+
+// [mot-clé, position, volume, [[domaine, prix, proximité]]]
+function mockNetlinkingApi(targets) {
+  return mockApi(endpoint => apiResponse(endpoint === '/ai/get-netlinking-spots-ranking'
+      ? { website_id: 1, total_spots_found: 0, statistics: { total_keywords_analyzed: targets.length }, spots: [] }
+      : {
+        website_id: 1,
+        keywords_count: targets.length,
+        filters: { position_range: '4-10', min_volume: 100 },
+        analysis_period: { start_date: '2026-09-19', end_date: '2026-10-18', days: 30 },
+        keywords: targets.map(([keyword, position, volume, spots]) => ({
+          keyword,
+          current_position: position,
+          search_volume: volume,
+          recommended_spots: spots.map(([domain, price, proximity]) => ({ domain, min_price: price, proximity_score: proximity, platform: 'Paper Club' }))
+        }))
+      }));
+}
+
+const reasonsOf = plan => Object.fromEntries(plan.keywords_uncovered.map(k => [k.keyword, k.reason]));
+
+test('le plan respecte le budget et n\'achète chaque domaine qu\'une fois', async () => {
+  mockNetlinkingApi([
+    ['escalier bois', 5, 1000, [['maison-bois.fr', 100, 90]]],
+    ['escalier chêne', 6, 900, [['maison-bois.fr', 100, 85], ['blog-deco.fr', 60, 70]]],
+    ['dressing', 8, 700, [['blog-deco.fr', 60, 60]]]
+  ]);
+  const plan = await planNetlinkingBudget({ website_id: 1, budget: 200, ...defaults }, API_CONTEXT);
+
+  assert.deepEqual(plan.spots.map(spot => spot.domain).sort(), ['blog-deco.fr', 'maison-bois.fr']);
+  assert.equal(plan.total_cost, 160);
+  assert.equal(plan.remaining_budget, 40);
+  assert.deepEqual(plan.keywords_uncovered, []);
+  assert.deepEqual(plan.keywords_covered.map(k => [k.keyword, k.links]), [['escalier bois', 1], ['escalier chêne', 2], ['dressing', 1]]);
+});
+
+test('un mot-clé non couvert indique la raison réelle de l\'exclusion de ses spots', async () => {
+  mockNetlinkingApi([
+    ['escalier bois', 5, 1000, [['maison-bois.fr', 100, 90]]],
+    ['cuisine', 6, 800, [['blog-deco.fr', 120, 50]]],
+    ['parquet', 7, 500, [['grand-media.fr', 300, 95]]],
+    ['placard', 9, 400, []],
+    ['dressing', 8, 600, [['blog-deco.fr', 120, 45], ['grand-media.fr', 300, 80]]]
+  ]);
+  const plan = await planNetlinkingBudget({ website_id: 1, budget: 200, ...defaults }, API_CONTEXT);
+
+  assert.deepEqual(plan.spots.map(spot => spot.domain), ['maison-bois.fr']);
+  assert.deepEqual(reasonsOf(plan), {
+    cuisine: 'budget_exhausted',
+    parquet: 'over_budget',
+    placard: 'no_spot',
+    // Un peu plus de budget suffirait : budget_exhausted l'emporte sur over_budget
+    dressing: 'budget_exhausted'
+  });
+  assert.deepEqual(plan.excluded_spots.map(spot => [spot.domain, spot.reason]), [
+    ['blog-deco.fr', 'budget_exhausted'],
+    ['grand-media.fr', 'over_budget']
+  ]);
+});
+
+test('plafonds par domaine et par mot-clé', async () => {
+  mockNetlinkingApi([
+    ['escalier bois', 5, 1000, [['maison-bois.fr', 100, 90], ['blog-deco.fr', 90, 80]]],
+    ['cuisine', 6, 800, [['grand-media.fr', 180, 95]]]
+  ]);
+  const plan = await planNetlinkingBudget({
+    website_id: 1, budget: 1000, max_price_per_domain: 150, max_links_per_keyword: 1, ...defaults
+  }, API_CONTEXT);
+
+  assert.equal(plan.spots.length, 1);
+  assert.deepEqual(plan.keywords_covered.map(k => [k.keyword, k.links]), [['escalier bois', 1]]);
+  assert.deepEqual(reasonsOf(plan), { cuisine: 'over_domain_cap' });
+  assert.deepEqual(plan.excluded_spots.map(spot => spot.reason).sort(), ['keyword_cap_reached', 'over_domain_cap']);
+  assert.deepEqual(plan.constraints, { max_price_per_domain: 150, max_links_per_keyword: 1 });
+});
@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { API_CONTEXT, apiResponse, createTempDir, loadServer, mockApi } from './helpers.js';
+
+const cacheDir = await createTempDir();
+const { callReferencimeAPI } = await loadServer({ REFERENCIME_CACHE: 'on', REFERENCIME_CACHE_DIR: cacheDir });
+
+// Deux comptes sur la même API
+const ACCOUNT_A = API_CONTEXT;
+const ACCOUNT_B = { ...API_CONTEXT, apiKey: 'sk-b' };
+
+let served = 0;
+const mockWebsites = () => mockApi(() => apiResponse({ user_id: 1, websites_count: 1, websites: [{ id: 1, domain: `site-${++served}.fr` }] }));
+
+// Horloge avancée le temps d'un appel
+async function later(seconds, fn) {
+  const now = Date.now;
+  Date.now = () => now() + seconds * 1000;
+  try {
+    return await fn();
+  } finally {
+    Date.now = now;
+  }
+}
+
+test('une réponse est servie depuis le cache, quel que soit l\'ordre des arguments', async () => {
+  const requests = mockWebsites();
+  const first = await callReferencimeAPI('list_categories_by_website', { website_id: 1, extra: 'a' }, ACCOUNT_A);
+  const second = await callReferencimeAPI('list_categories_by_website', { extra: 'a', website_id: 1 }, ACCOUNT_A);
+  assert.deepEqual(second, first);
+  assert.equal(requests.length, 1);
+
+  // Autre compte ou force_refresh : nouvelle requête
+  await callReferencimeAPI('list_categories_by_website', { website_id: 1, extra: 'a' }, ACCOUNT_B);
+  await callReferencimeAPI('list_categories_by_website', { website_id: 1, extra: 'a', force_refresh: true }, ACCOUNT_A);
+  assert.equal(requests.length, 3);
+  assert.ok(requests.every(request => !('force_refresh' in request)));
+});
+
+test('une entrée expire selon la durée de vie de l\'outil', async () => {
+  const requests = mockWebsites();
+  await callReferencimeAPI('get_website_performance_summary', { website_id: 2 }, ACCOUNT_A);
+  await later(599, () => callReferencimeAPI('get_website_performance_summary', { website_id: 2 }, ACCOUNT_A));
+  assert.equal(requests.length, 1);
+  await later(601, () => callReferencimeAPI('get_website_performance_summary', { website_id: 2 }, ACCOUNT_A));
+  assert.equal(requests.length, 2);
+});
+
+test('le stockage disque survit au rechargement du module, sauf entrée expirée', async () => {
+  const requests = mockWebsites();
+  const stored = await callReferencimeAPI('list_websites_by_user', { marker: 'disk' }, ACCOUNT_A);
+  assert.equal(requests.length, 1);
+
+  // Nouvelle instance du module de cache : cache mémoire vide, entrée relue sur disque
+  const fresh = await import(`../bin/cache.js?instance=${Date.now()}`);
+  const key = fresh.getCacheKey('list_websites_by_user', { marker: 'disk' }, ACCOUNT_A);
+  assert.deepEqual(await fresh.readCache(key), stored);
+
+  const files = await readdir(cacheDir);
+  for (const file of files) {
+    const entry = JSON.parse(await readFile(path.join(cacheDir, file), 'utf8'));
+    await writeFile(path.join(cacheDir, file), JSON.stringify({ ...entry, expires_at: Date.now() - 1 }));
+  }
+  const other = await import(`../bin/cache.js?instance=${Date.now() + 1}`);
+  assert.equal(await other.readCache(key), undefined);
+});
+
+test('REFERENCIME_CACHE=off interroge toujours l\'API', async () => {
+  const requests = mockWebsites();
+  process.env.REFERENCIME_CACHE = 'off';
+  try {
+    await callReferencimeAPI('list_categories_by_website', { website_id: 9 }, ACCOUNT_A);
+    await callReferencimeAPI('list_categories_by_website', { website_id: 9 }, ACCOUNT_A);
+  } finally {
+    process.env.REFERENCIME_CACHE = 'on';
+  }
+  assert.equal(requests.length, 2);
+});
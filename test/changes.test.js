@@ -0,0 +1,112 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import { API_CONTEXT, apiResponse, createTempDir, loadServer, mockApi } from './helpers.js';
+
+const thresholds = { tiers: [3, 10, 20], position_change: 5, click_drop_percent: 30, min_clicks: 10 };
+const { detectChanges, detectKeywordChanges } = await loadServer(
+  { REFERENCIME_SNAPSHOT_DIR: path.join(await createTempDir(), 'snapshots') },
+  { config: { change_thresholds: { min_clicks: 5 } } }
+);
+
+const states = entries => new Map(entries.map(([keyword, position, clicks]) => [keyword.toLowerCase(), { keyword, position, clicks }]));
+
+test('les paliers franchis retiennent le plus exigeant, dans les deux sens', () => {
+  const { changes, compared } = detectKeywordChanges(
+    states([['escalier bois', 12, 0], ['dressing', 2, 0], ['cuisine', 8, 0]]),
+    states([['escalier bois', 2.5, 0], ['dressing', 15, 0], ['cuisine', 9, 0]]),
+    thresholds
+  );
+  assert.equal(compared, 3);
+  assert.deepEqual(changes.entered_top, [{ keyword: 'escalier bois', tier: 3, previous_position: 12, position: 2.5 }]);
+  assert.deepEqual(changes.left_top, [{ keyword: 'dressing', tier: 3, previous_position: 2, position: 15 }]);
+  assert.deepEqual(changes.position_gains.map(change => [change.keyword, change.change]), [['escalier bois', 9.5]]);
+  assert.deepEqual(changes.position_losses.map(change => [change.keyword, change.change]), [['dressing', -13]]);
+});
+
+test('classements gagnés ou perdus et mots-clés absents d\'un des deux états', () => {
+  const { changes, compared } = detectKeywordChanges(
+    states([['parquet', null, 0], ['placard', 7, 0], ['ancien', 4, 0]]),
+    states([['parquet', 18, 0], ['placard', null, 0], ['nouveau', 1, 0]]),
+    thresholds
+  );
+  assert.equal(compared, 2);
+  assert.deepEqual(changes.new_rankings, [{ keyword: 'parquet', position: 18 }]);
+  assert.deepEqual(changes.lost_rankings, [{ keyword: 'placard', previous_position: 7 }]);
+  assert.deepEqual(changes.entered_top, [{ keyword: 'parquet', tier: 20, previous_position: null, position: 18 }]);
+  assert.deepEqual(changes.left_top, [{ keyword: 'placard', tier: 10, previous_position: 7, position: null }]);
+});
+
+test('une chute de clics n\'est signalée qu\'au-delà du seuil et du minimum de clics', () => {
+  const { changes } = detectKeywordChanges(
+    states([['a', 5, 40], ['b', 5, 40], ['c', 5, 8]]),
+    states([['a', 5, 20], ['b', 5, 30], ['c', 5, 0]]),
+    thresholds
+  );
+  assert.deepEqual(changes.click_drops, [{ keyword: 'a', previous_clicks: 40, clicks: 20, change_percent: -50 }]);
+});
+
+// Fenêtres renvoyées par l'API selon days : [mot-clé, position, clics, impressions]
+function mockWindows(windows) {
+  return mockApi((endpoint, { days }) => {
+    const keywords = windows[days].map(([keyword, position, clicks, impressions]) => ({
+      keyword, performance_metrics: { has_data: true, position, clicks, impressions }
+    }));
+    return apiResponse({
+      website_id: 1,
+      has_gsc_data: true,
+      summary: { total_keywords: keywords.length, total_categories: 1 },
+      categories: [{ category_id: 1, category_name: 'Menuiserie', keywords_count: keywords.length, keywords }]
+    });
+  });
+}
+
+test('en mode periods, toutes les métriques viennent de deux fenêtres sans liste de mots-clés', async () => {
+  // Fenêtre de 7 jours : période courante ; fenêtre de 14 jours : les deux périodes
+  const windows = {
+    7: [['escalier bois', 2, 30, 300], ['dressing', 14, 2, 100]],
+    14: [['escalier bois', 5, 80, 600], ['dressing', 9, 14, 200]]
+  };
+  const requests = mockWindows(windows);
+
+  const result = await detectChanges({ website_id: 1, source: 'auto', days: 7 }, API_CONTEXT);
+  assert.equal(result.source, 'periods');
+  assert.deepEqual(requests.map(request => [request.endpoint, request.days]).sort((a, b) => a[1] - b[1]), [
+    ['/ai/list-keywords-by-categories-by-website', 7],
+    ['/ai/list-keywords-by-categories-by-website', 14]
+  ]);
+  assert.ok(requests.every(request => request.keywords === undefined));
+  assert.equal(result.thresholds.min_clicks, 5);
+  assert.equal(result.keywords_compared, 2);
+  // Période précédente : escalier bois en position (5 × 600 - 2 × 300) / 300 = 8, 50 clics
+  assert.deepEqual(result.changes.entered_top, [{ keyword: 'escalier bois', tier: 3, previous_position: 8, position: 2 }]);
+  assert.deepEqual(result.changes.click_drops, [
+    { keyword: 'dressing', previous_clicks: 12, clicks: 2, change_percent: -83.3 },
+    { keyword: 'escalier bois', previous_clicks: 50, clicks: 30, change_percent: -40 }
+  ]);
+  assert.deepEqual(result.changes.left_top, [{ keyword: 'dressing', tier: 10, previous_position: 4, position: 14 }]);
+  assert.deepEqual(result.warnings, ['APPROXIMATE_POSITIONS']);
+});
+
+test('en mode periods, un changement de position que l\'arrondi de l\'API suffit à expliquer n\'est pas signalé', async () => {
+  // escalier bois : 1 000 impressions en position 4 sur 7 jours, 20 de plus la semaine précédente en position 6,6.
+  // La fenêtre de 14 jours vaut (4 × 1 000 + 6,6 × 20) / 1 020 = 4,05, arrondie à 4,1 par l'API : la
+  // différence donne une position précédente de 9,1 (gain apparent de 5,1 au lieu de 2,6), à ± 5 près.
+  // dressing : période précédente bien représentée, en position 8 à ± 0,15 près
+  mockWindows({
+    7: [['escalier bois', 4, 10, 1000], ['dressing', 2, 30, 300]],
+    14: [['escalier bois', 4.1, 10, 1020], ['dressing', 5, 80, 600]]
+  });
+
+  const result = await detectChanges({ website_id: 1, source: 'periods', days: 7 }, API_CONTEXT);
+  assert.deepEqual(result.changes.position_gains, [{ keyword: 'dressing', previous_position: 8, position: 2, change: 6 }]);
+  assert.deepEqual(result.changes.entered_top.map(change => [change.keyword, change.tier]), [['dressing', 3]]);
+
+  // Sans écart annoncé (instantanés), le même gain de 5,1 serait signalé
+  const { changes } = detectKeywordChanges(
+    states([['escalier bois', 9.1, 0]]),
+    states([['escalier bois', 4, 0]]),
+    thresholds
+  );
+  assert.deepEqual(changes.position_gains.map(change => [change.keyword, change.change]), [['escalier bois', 5.1]]);
+});
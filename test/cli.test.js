@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { mkdir } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createTempDir } from './helpers.js';
+
+const serverPath = fileURLToPath(new URL('../bin/start.js', import.meta.url));
+const dir = await createTempDir();
+
+// Commande call en mode démo, isolée de la configuration et du cache de l'utilisateur
+function runCall(...args) {
+  return spawnSync(process.execPath, [serverPath, 'call', ...args, '--demo'], {
+    encoding: 'utf8',
+    timeout: 60000,
+    env: {
+      ...process.env,
+      HOME: dir,
+      REFERENCIME_CONFIG: undefined,
+      REFERENCIME_CACHE: 'off',
+      REFERENCIME_SNAPSHOTS: 'off',
+      REFERENCIME_LOCALE: 'fr'
+    }
+  });
+}
+
+test('les options globales comme --fixtures ne sont pas prises pour des arguments de l\'outil', async () => {
+  const fixturesDir = path.join(dir, 'fixtures');
+  await mkdir(fixturesDir);
+  const result = runCall('list_websites_by_user', '--fixtures', fixturesDir, '--format', 'json');
+  assert.equal(result.status, 0, result.stderr);
+  assert.ok(Array.isArray(JSON.parse(result.stdout).websites));
+});
+
+test('une erreur de l\'outil donne un code de sortie non nul', () => {
+  const notFound = runCall('get_website_performance_summary', '--website-id', '999');
+  assert.equal(notFound.status, 5);
+  assert.match(notFound.stderr, /NOT_FOUND/);
+
+  const unknownOption = runCall('list_websites_by_user', '--inconnue', '1');
+  assert.equal(unknownOption.status, 2);
+  assert.match(unknownOption.stderr, /--inconnue/);
+});
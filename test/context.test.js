@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadServer } from './helpers.js';
+
+delete process.env.REFERENCIME_BASE_URL;
+delete process.env.REFERENCIME_PROFILE;
+const { resolveContext } = await loadServer({
+  TEST_AGENCE_KEY: 'sk-agence',
+  TEST_CLIENT_B_KEY: 'sk-client-b',
+  TEST_STAGING_KEY: 'sk-staging'
+}, {
+  config: {
+    default_profile: 'agence',
+    serve_profiles: ['client-b'],
+    profiles: {
+      agence: { api_key: { env: 'TEST_AGENCE_KEY' } },
+      'client-b': { api_key: { env: 'TEST_CLIENT_B_KEY' } },
+      staging: { base_url: 'https://staging.example.com/api/', api_key: { env: 'TEST_STAGING_KEY' } }
+    }
+  }
+});
+
+test('en local, l\'argument profile choisit le profil et sa clé', async () => {
+  const context = await resolveContext('staging');
+  assert.equal(context.profile, 'staging');
+  assert.equal(context.baseURL, 'https://staging.example.com/api');
+  assert.equal(context.apiKey, 'sk-staging');
+});
+
+test('en mode HTTP, un profil hors de serve_profiles est refusé', async () => {
+  await assert.rejects(resolveContext('staging', { token: 'sk-session' }), { code: 'PROFILE_NOT_ALLOWED' });
+  await assert.rejects(resolveContext('inexistant', { token: 'sk-session' }), { code: 'PROFILE_NOT_ALLOWED' });
+});
+
+test('en mode HTTP, un profil autorisé garde la clé de la session', async () => {
+  const context = await resolveContext('client-b', { token: 'sk-session' });
+  assert.equal(context.profile, 'client-b');
+  assert.equal(context.apiKey, 'sk-session');
+});
+
+test('en mode HTTP, sans argument profile, le profil du serveur est utilisé', async () => {
+  const context = await resolveContext(undefined, { token: 'sk-session' });
+  assert.equal(context.profile, 'agence');
+  assert.equal(context.apiKey, 'sk-session');
+});
+
+test('le base_url d\'un profil l\'emporte sur REFERENCIME_BASE_URL', async () => {
+  process.env.REFERENCIME_BASE_URL = 'http://127.0.0.1:4010/';
+  try {
+    assert.equal((await resolveContext('staging')).baseURL, 'https://staging.example.com/api');
+    // Profil sans base_url : la variable d'environnement s'applique
+    assert.equal((await resolveContext('client-b')).baseURL, 'http://127.0.0.1:4010');
+  } finally {
+    delete process.env.REFERENCIME_BASE_URL;
+  }
+  assert.equal((await resolveContext('client-b')).baseURL, 'https://referencime.fr/wp-json/easy-links/v1');
+});
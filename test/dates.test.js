@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadServer } from './helpers.js';
+
+const { isIsoDate, resolveDateRange } = await loadServer();
+
+const range = (start_date, end_date) => ({ start_date, end_date });
+
+test('isIsoDate refuse les formats approximatifs et les jours absents du calendrier', () => {
+  assert.equal(isIsoDate('2024-02-29'), true);
+  assert.equal(isIsoDate('2025-02-29'), false);
+  assert.equal(isIsoDate('2025-04-31'), false);
+  assert.equal(isIsoDate('2025-2-3'), false);
+  assert.equal(isIsoDate('2025-02-03T00:00:00Z'), false);
+  assert.equal(isIsoDate(20250203), false);
+});
+
+test('les périodes relatives se résolvent par rapport au jour donné, jusqu\'à hier', () => {
+  // Mercredi 7 janvier 2026
+  const today = '2026-01-07';
+  assert.deepEqual(resolveDateRange('yesterday', today), range('2026-01-06', '2026-01-06'));
+  assert.deepEqual(resolveDateRange('last_7_days', today), range('2025-12-31', '2026-01-06'));
+  assert.deepEqual(resolveDateRange('last_week', today), range('2025-12-29', '2026-01-04'));
+  assert.deepEqual(resolveDateRange('last_month', today), range('2025-12-01', '2025-12-31'));
+  assert.deepEqual(resolveDateRange('last_quarter', today), range('2025-10-01', '2025-12-31'));
+  assert.deepEqual(resolveDateRange('this_month', today), range('2026-01-01', '2026-01-06'));
+  assert.deepEqual(resolveDateRange('ytd', today), range('2026-01-01', '2026-01-06'));
+  assert.deepEqual(resolveDateRange('last_year', today), range('2025-01-01', '2025-12-31'));
+});
+
+test('années bissextiles, lundis et premiers jours de période', () => {
+  assert.deepEqual(resolveDateRange('last_30_days', '2024-03-01'), range('2024-01-31', '2024-02-29'));
+  assert.deepEqual(resolveDateRange('last_month', '2024-03-15'), range('2024-02-01', '2024-02-29'));
+  // Un lundi, la semaine précédente est celle qui vient de se terminer
+  assert.deepEqual(resolveDateRange('last_week', '2026-01-05'), range('2025-12-29', '2026-01-04'));
+  // Période commencée aujourd'hui : réduite à son premier jour
+  assert.deepEqual(resolveDateRange('this_month', '2026-02-01'), range('2026-02-01', '2026-02-01'));
+  assert.deepEqual(resolveDateRange('ytd', '2026-01-01'), range('2026-01-01', '2026-01-01'));
+});
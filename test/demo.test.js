@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdir, readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { DEMO_API_KEY, startDemoServer } from '../bin/demo.js';
+import { apiResponse, connectClient, createTempDir, loadServer, mockApi } from './helpers.js';
+
+const { createServer } = await loadServer();
+const client = await connectClient(createServer());
+
+// Le serveur de fixtures est interrogé avec le vrai fetch, même pendant un faux appel à l'API
+const realFetch = globalThis.fetch;
+
+// Même requête que l'outil list_websites_by_user (pagination par défaut)
+const websitesRequest = { limit: 100, offset: 0 };
+
+async function postDemo(url, endpoint, body) {
+  const response = await realFetch(`${url}${endpoint}`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${DEMO_API_KEY}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, payload: await response.json() };
+}
+
+test('le mode démo répond sans clé API ni réseau avec les données intégrées', async () => {
+  process.env.REFERENCIME_DEMO = '1';
+  try {
+    const result = await client.callTool({ name: 'list_websites_by_user', arguments: {} });
+    assert.equal(result.isError, undefined);
+    assert.ok(result.structuredContent.websites.length > 0);
+  } finally {
+    delete process.env.REFERENCIME_DEMO;
+  }
+});
+
+test('une réponse enregistrée est écrite sans la clé API ni les champs sensibles, puis rejouée', async () => {
+  const recordDir = await createTempDir();
+  const websites = { user_id: 3, websites_count: 1, websites: [{ id: 5, domain: 'enregistre.fr', note: 'clé sk-test', api_token: 'tok-123' }] };
+  const requests = mockApi(() => apiResponse(websites));
+  process.env.REFERENCIME_RECORD_DIR = recordDir;
+  try {
+    await client.callTool({ name: 'list_websites_by_user', arguments: {} });
+  } finally {
+    delete process.env.REFERENCIME_RECORD_DIR;
+  }
+  assert.deepEqual(requests.map(({ endpoint, ...body }) => body), [websitesRequest]);
+
+  const [file] = await readdir(path.join(recordDir, 'list-websites-by-user'));
+  const text = await readFile(path.join(recordDir, 'list-websites-by-user', file), 'utf8');
+  assert.doesNotMatch(text, /sk-test|tok-123/);
+  const fixture = JSON.parse(text);
+  assert.equal(fixture.response.data.websites[0].api_token, '***');
+  assert.equal(fixture.response.data.websites[0].note, 'clé ***');
+
+  // Le serveur de fixtures rejoue la réponse pour la même requête, les données intégrées sinon
+  const { server, url } = await startDemoServer({ fixturesDir: recordDir });
+  try {
+    const replayed = await postDemo(url, '/ai/list-websites-by-user', websitesRequest);
+    assert.deepEqual(replayed.payload, fixture.response);
+    const builtIn = await postDemo(url, '/ai/list-websites-by-user', { limit: 10, offset: 0 });
+    assert.notEqual(builtIn.payload.data.user_id, 3);
+  } finally {
+    server.close();
+  }
+});
+
+test('le serveur de fixtures exige une clé et signale un site inconnu', async () => {
+  const { server, url } = await startDemoServer();
+  try {
+    const anonymous = await fetch(`${url}/ai/list-websites-by-user`, { method: 'POST', body: '{}' });
+    assert.equal(anonymous.status, 401);
+    const unknown = await postDemo(url, '/ai/list-categories-by-website', { website_id: 999999 });
+    assert.equal(unknown.status, 404);
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import { mkdir, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { API_CONTEXT, apiResponse, createTempDir, loadServer, mockApi } from './helpers.js';
+
+const snapshotRoot = path.join(await createTempDir(), 'snapshots');
+const { analyzeCategoryHealth } = await loadServer({ REFERENCIME_SNAPSHOT_DIR: snapshotRoot });
+
+const PAIR = ['escalier bois', 'escaliers bois'];
+
+// Fenêtres renvoyées par l'API selon days : positions et clics des deux quasi-doublons
+function mockWindows(windows) {
+  return mockApi((endpoint, { days }) => {
+    if (!windows[days]) {
+      return new Response(JSON.stringify({ success: false, error: 'Fenêtre indisponible' }), { status: 400 });
+    }
+    const keywords = windows[days].map(([position, clicks, impressions], index) => ({
+      keyword: PAIR[index], performance_metrics: { has_data: true, position, clicks, impressions }
+    }));
+    return apiResponse({
+      website_id: 1,
+      has_gsc_data: true,
+      period_days: days,
+      summary: { total_keywords: 2, total_categories: 1 },
+      categories: [{ category_id: 1, category_name: 'Menuiserie', keywords_count: 2, keywords }]
+    });
+  });
+}
+
+const pairSummary = result => result.cannibalization.map(pair => [pair.keywords, pair.clicks, pair.lead_changes, pair.signals]);
+
+test('sans positions antérieures, l\'analyse aboutit avec les clics partagés et signale la vérification sautée', async () => {
+  // Seule la fenêtre de la période analysée répond : la fenêtre double échoue
+  mockWindows({ 30: [[4, 30, 600], [6, 20, 500]] });
+
+  const result = await analyzeCategoryHealth({ website_id: 1, days: 30, min_similarity: 0.5 }, API_CONTEXT);
+  assert.deepEqual(result.warnings, ['POSITION_SWING_UNAVAILABLE']);
+  assert.deepEqual(result.position_swing, { status: 'skipped', source: null, readings: 0, skipped_reason: 'UNAVAILABLE' });
+  assert.equal(result.categories.length, 1);
+  assert.deepEqual(pairSummary(result), [[PAIR, [30, 20], null, ['split_clicks']]]);
+});
+
+test('l\'alternance compare deux fenêtres entières telles que l\'API les renvoie, sans soustraction', async () => {
+  // La fenêtre de 60 jours place encore le pluriel devant : la tête a changé sur les 30 derniers jours
+  const requests = mockWindows({ 30: [[4, 30, 600], [6, 20, 500]], 60: [[7.1, 40, 1000], [5.2, 50, 1100]] });
+
+  const result = await analyzeCategoryHealth({ website_id: 1, days: 30, min_similarity: 0.5 }, API_CONTEXT);
+  assert.deepEqual(requests.map(request => request.days), [30, 60]);
+  assert.deepEqual(result.warnings, []);
+  assert.deepEqual(result.position_swing, { status: 'checked', source: 'windows', readings: 2, skipped_reason: null });
+  assert.deepEqual(pairSummary(result), [[PAIR, [30, 20], 1, ['split_clicks', 'position_swing']]]);
+});
+
+test('une période de plus de 240 jours sans instantané saute la vérification sans demander la fenêtre double', async () => {
+  const requests = mockWindows({ 300: [[4, 30, 600], [6, 20, 500]] });
+
+  const result = await analyzeCategoryHealth({ website_id: 1, days: 300, min_similarity: 0.5 }, API_CONTEXT);
+  assert.deepEqual(requests.map(request => request.days), [300]);
+  assert.deepEqual(result.warnings, ['POSITION_SWING_PERIOD_TOO_LONG']);
+  assert.deepEqual(result.position_swing, { status: 'skipped', source: null, readings: 0, skipped_reason: 'PERIOD_TOO_LONG' });
+});
+
+test('les instantanés locaux de même durée priment sur la fenêtre double', async () => {
+  const websiteDir = path.join(snapshotRoot, createHash('sha256').update(API_CONTEXT.apiKey).digest('hex').slice(0, 16), 'website-2');
+  await mkdir(websiteDir, { recursive: true });
+  const today = new Date();
+  const daysAgo = n => new Date(today.getTime() - n * 86400000).toISOString().slice(0, 10);
+  // Le pluriel passe devant puis cède la place : deux inversions avant la fenêtre courante
+  const snapshots = [[daysAgo(20), 30, [4, 6]], [daysAgo(10), 30, [7, 5]], [daysAgo(5), 7, [9, 1]]];
+  for (const [date, periodDays, [positionA, positionB]] of snapshots) {
+    await writeFile(path.join(websiteDir, `${date}.json`), JSON.stringify({
+      website_id: 2,
+      date,
+      period_days: periodDays,
+      keywords: {
+        'Escalier bois': { category_name: 'Menuiserie', search_volume: null, position: positionA, clicks: 10, impressions: 100 },
+        'Escaliers bois': { category_name: 'Menuiserie', search_volume: null, position: positionB, clicks: 10, impressions: 100 }
+      }
+    }));
+  }
+  const requests = mockWindows({ 30: [[3, 30, 600], [8, 5, 500]] });
+
+  const result = await analyzeCategoryHealth({ website_id: 2, days: 30, min_similarity: 0.5 }, API_CONTEXT);
+  assert.deepEqual(requests.map(request => request.days), [30]);
+  // L'instantané sur 7 jours n'a pas la durée analysée : il est écarté
+  assert.deepEqual(result.position_swing, { status: 'checked', source: 'snapshots', readings: 3, skipped_reason: null });
+  assert.deepEqual(pairSummary(result), [[PAIR, [30, 5], 2, ['position_swing']]]);
+});
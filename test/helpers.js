@@ -0,0 +1,61 @@
+// Outils partagés des tests : faux fetch de l'API Referencime et client MCP en mémoire
+import { after, afterEach } from 'node:test';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+
+const originalFetch = globalThis.fetch;
+
+// Contexte d'appel direct de callReferencimeAPI : fausse API et clé de test
+export const API_CONTEXT = { baseURL: 'http://api.test', apiKey: 'sk-test' };
+
+// Le vrai fetch est rétabli après chaque test du fichier qui importe ce module
+afterEach(() => {
+  globalThis.fetch = originalFetch;
+});
+
+// Réponse de l'API au format { success, data }
+export function apiResponse(data, status = 200) {
+  return new Response(JSON.stringify({ success: status < 400, data }), { status });
+}
+
+// Faux fetch : handler(endpoint, body) renvoie une Response ; les requêtes reçues sont conservées
+export function mockApi(handler) {
+  const requests = [];
+  globalThis.fetch = async (url, init = {}) => {
+    const endpoint = new URL(url).pathname;
+    const body = init.body ? JSON.parse(init.body) : {};
+    requests.push({ endpoint, ...body });
+    return handler(endpoint, body, init);
+  };
+  return requests;
+}
+
+// Dossier temporaire supprimé à la fin du fichier de tests
+export async function createTempDir() {
+  const dir = await mkdtemp(path.join(os.tmpdir(), 'referencime-test-'));
+  after(() => rm(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// Module du serveur importé après la préparation de l'environnement
+// config : contenu du fichier de configuration, lu une seule fois par processus (donc écrit avant l'import)
+export async function loadServer(env = {}, { config } = {}) {
+  Object.assign(process.env, { REFERENCIME_API_KEY: 'sk-test', REFERENCIME_CACHE: 'off' }, env);
+  if (config) {
+    const configPath = path.join(await createTempDir(), 'config.json');
+    await writeFile(configPath, JSON.stringify(config));
+    process.env.REFERENCIME_CONFIG = configPath;
+  }
+  return import('../bin/start.js');
+}
+
+// Client MCP relié au serveur par un transport en mémoire
+export async function connectClient(server) {
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  const client = new Client({ name: 'referencime-tests', version: '1.0.0' });
+  await Promise.all([server.connect(serverTransport), client.connect(clientTransport)]);
+  return client;
+}
@@ -0,0 +1,192 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { API_CONTEXT, apiResponse, loadServer, mockApi } from './helpers.js';
+
+const { compareKeywords, getKeywordPositionHistory } = await loadServer();
+
+function addDays(date, days) {
+  const result = new Date(`${date}T00:00:00Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().slice(0, 10);
+}
+
+const yesterday = addDays(new Date().toISOString().slice(0, 10), -1);
+
+// Données quotidiennes de référence, ago = nombre de jours avant hier
+const DAILY = {
+  'escalier bois': ago => ({ clicks: ago % 5, impressions: 10 + (ago % 7), position: 3 + (ago % 4) }),
+  'dressing sur mesure': ago => (ago % 3 === 0 ? { clicks: 0, impressions: 0, position: null } : { clicks: 1, impressions: 4, position: 12 })
+};
+
+// Cumul de référence sur des jours consécutifs, position pondérée par les impressions
+function sumDays(keyword, fromAgo, count) {
+  const points = Array.from({ length: count }, (_, i) => DAILY[keyword](fromAgo + i));
+  const impressions = points.reduce((sum, p) => sum + p.impressions, 0);
+  return {
+    clicks: points.reduce((sum, p) => sum + p.clicks, 0),
+    impressions,
+    position: impressions > 0 ? points.reduce((sum, p) => sum + p.position * p.impressions, 0) / impressions : null
+  };
+}
+
+// Faux endpoints : list-keywords-by-website (liste suivie) et list-keywords-by-categories-by-website
+// (cumul des `days` derniers jours jusqu'à hier) ; digits : arrondi des positions, comme l'API (au dixième)
+function mockWindowsApi({ digits } = {}) {
+  const round = value => (digits === undefined || value === null ? value : Math.round(value * 10 ** digits) / 10 ** digits);
+  return mockApi((endpoint, { days, website_id: websiteId }) => {
+    if (endpoint.endsWith('/list-keywords-by-website')) {
+      const keywords = Object.keys(DAILY).map(keyword => ({ keyword, category_name: 'Menuiserie', search_volume: 100 }));
+      return apiResponse({ website_id: websiteId, keywords_count: keywords.length, include_metrics: true, keywords });
+    }
+    const keywords = Object.keys(DAILY).map(keyword => {
+      const metrics = sumDays(keyword, 0, days);
+      return {
+        keyword,
+        search_volume: 100,
+        performance_metrics: metrics.impressions > 0 ? { has_data: true, ...metrics, position: round(metrics.position) } : { has_data: false }
+      };
+    });
+    return apiResponse({
+      website_id: websiteId,
+      has_gsc_data: true,
+      period_days: days,
+      summary: { total_keywords: keywords.length, total_categories: 1 },
+      categories: [{ category_id: 1, category_name: 'Menuiserie', keywords_count: keywords.length, keywords }]
+    });
+  });
+}
+
+const requestedDays = requests => requests
+  .filter(request => request.endpoint.endsWith('/list-keywords-by-categories-by-website'))
+  .map(request => request.days);
+
+const daysBetween = (from, to) => Math.round((Date.parse(to) - Date.parse(from)) / 86400000);
+
+// Valeurs exactes de chaque point : cumul des jours de sa semaine (ou de son mois) compris dans la période
+function getTruth(keyword, series, start, end) {
+  return series.map((point, index) => {
+    const from = point.date < start ? start : point.date;
+    const next = series[index + 1]?.date;
+    const to = next ? addDays(next, -1) : end;
+    return sumDays(keyword, daysBetween(to, yesterday), daysBetween(from, to) + 1);
+  });
+}
+
+test('la série hebdomadaire est la différence de fenêtres glissantes, une par semaine', async () => {
+  const requests = mockWindowsApi();
+  const start = addDays(yesterday, -40);
+  const result = await getKeywordPositionHistory({
+    website_id: 1, keywords: ['Escalier bois'], start_date: start, end_date: yesterday, granularity: 'week'
+  }, API_CONTEXT);
+  const [keyword] = result.keywords;
+
+  assert.equal(keyword.keyword, 'escalier bois');
+  // Une fenêtre par semaine, la fenêtre vide du lendemain de la période n'est pas demandée
+  assert.equal(requestedDays(requests).length, keyword.series.length);
+  assert.ok(keyword.series.every(point => new Date(`${point.date}T00:00:00Z`).getUTCDay() === 1));
+  getTruth('escalier bois', keyword.series, start, yesterday).forEach((truth, index) => {
+    const point = keyword.series[index];
+    assert.equal(point.clicks, truth.clicks);
+    assert.equal(point.impressions, truth.impressions);
+    assert.equal(point.position, Math.round(truth.position * 10) / 10);
+  });
+  assert.equal(keyword.stats.total_clicks, sumDays('escalier bois', 0, 41).clicks);
+});
+
+test('avec des positions arrondies par l\'API, l\'écart possible de chaque point est borné et les points trop imprécis sont signalés', async () => {
+  mockWindowsApi({ digits: 1 });
+  const start = addDays(yesterday, -167);
+  const result = await getKeywordPositionHistory({
+    website_id: 1, keywords: ['escalier bois'], start_date: start, end_date: yesterday, granularity: 'week'
+  }, API_CONTEXT);
+  const { series, stats } = result.keywords[0];
+  const truth = getTruth('escalier bois', series, start, yesterday);
+
+  series.forEach((point, index) => {
+    // Écart réel dans la borne annoncée (plus l'arrondi au dixième du résultat)
+    assert.ok(Math.abs(point.position - truth[index].position) <= point.position_error + 0.05, `${point.date} : ${point.position} contre ${truth[index].position}`);
+    assert.equal(point.approximate, point.position_error > 0.5);
+    // Clics et impressions restent exacts
+    assert.equal(point.impressions, truth[index].impressions);
+  });
+  // Les semaines anciennes pèsent peu face au cumul : l'arrondi y domine ; la dernière est une fenêtre entière
+  assert.equal(series[0].approximate, true);
+  assert.equal(series.at(-1).approximate, false);
+  assert.ok(series.at(-1).position_error <= 0.05);
+  // Statistiques calculées sur les seuls points fiables
+  const reliable = series.filter(point => !point.approximate).map(point => point.position);
+  assert.equal(stats.first_position, reliable[0]);
+  assert.equal(stats.min_position, Math.min(...reliable));
+});
+
+test('la série mensuelle couvre de longues périodes avec une fenêtre par mois', async () => {
+  const requests = mockWindowsApi();
+  const start = addDays(yesterday, -300);
+  const result = await getKeywordPositionHistory({
+    website_id: 1, keywords: ['dressing sur mesure'], start_date: start, end_date: yesterday, granularity: 'month'
+  }, API_CONTEXT);
+  const { series } = result.keywords[0];
+
+  assert.equal(requestedDays(requests).length, series.length);
+  assert.ok(series.length >= 10 && series.length <= 12);
+  assert.ok(series.every(point => point.date.endsWith('-01')));
+  assert.equal(series.reduce((sum, point) => sum + point.impressions, 0), sumDays('dressing sur mesure', 0, 301).impressions);
+});
+
+test('un mot-clé non suivi a une série vide', async () => {
+  mockWindowsApi();
+  const result = await getKeywordPositionHistory({ website_id: 1, keywords: ['parquet'], start_date: addDays(yesterday, -1), end_date: yesterday, granularity: 'month' }, API_CONTEXT);
+  assert.deepEqual(result.keywords[0].series.at(-1), { date: `${yesterday.slice(0, 7)}-01`, position: null, position_error: null, approximate: false, clicks: 0, impressions: 0 });
+  assert.equal(result.keywords[0].stats.trend, 'unknown');
+});
+
+test('une période hors des 480 derniers jours ou une série de plus de 26 points est refusée', async () => {
+  const requests = mockWindowsApi();
+  await assert.rejects(
+    getKeywordPositionHistory({ website_id: 1, keywords: ['escalier bois'], start_date: addDays(yesterday, -480), end_date: addDays(yesterday, -470), granularity: 'week' }, API_CONTEXT),
+    { code: 'INVALID_ARGUMENTS', messageKey: 'errors.periodOutOfWindow' }
+  );
+  await assert.rejects(
+    getKeywordPositionHistory({ website_id: 1, keywords: ['escalier bois'], days: 240, granularity: 'week' }, API_CONTEXT),
+    { code: 'INVALID_ARGUMENTS', messageKey: 'errors.seriesTooLong' }
+  );
+  assert.deepEqual(requests, []);
+});
+
+test('compare_keywords compare les derniers jours aux précédents avec deux fenêtres et une seule soustraction', async () => {
+  const requests = mockWindowsApi({ digits: 1 });
+  const result = await compareKeywords({ website_id: 1, keywords: ['Escalier bois', 'parquet'], days: 7 }, API_CONTEXT);
+
+  assert.deepEqual(result.period, { start_date: addDays(yesterday, -6), end_date: yesterday, days: 7 });
+  assert.deepEqual(result.compare_period, { start_date: addDays(yesterday, -13), end_date: addDays(yesterday, -7), days: 7 });
+  assert.deepEqual(requestedDays(requests).sort((a, b) => a - b), [7, 14]);
+
+  const [escalier, parquet] = result.keywords;
+  const current = sumDays('escalier bois', 0, 7);
+  const compare = sumDays('escalier bois', 7, 7);
+  assert.equal(escalier.tracked, true);
+  // Période courante : la fenêtre de 7 jours telle que l'API l'arrondit
+  assert.equal(escalier.current.position, Math.round(current.position * 10) / 10);
+  assert.equal(escalier.current.clicks, current.clicks);
+  // Période précédente : clics et impressions exacts, position à position_error près
+  assert.equal(escalier.compare.clicks, compare.clicks);
+  assert.equal(escalier.compare.impressions, compare.impressions);
+  assert.ok(Math.abs(escalier.compare.position - compare.position) <= escalier.compare.position_error + 0.05);
+  assert.ok(escalier.compare.position_error <= 0.2);
+  assert.equal(escalier.compare.approximate, false);
+  assert.equal(escalier.deltas.clicks, current.clicks - compare.clicks);
+  assert.equal(escalier.deltas.position, Math.round((escalier.compare.position - escalier.current.position) * 10000) / 10000);
+  assert.equal(parquet.tracked, false);
+  assert.deepEqual(result.untracked_keywords, ['parquet']);
+});
+
+test('compare_keywords borne l\'écart dû aux arrondis sur toutes les durées', async () => {
+  for (const days of [1, 30, 240]) {
+    mockWindowsApi({ digits: 1 });
+    const result = await compareKeywords({ website_id: 1, keywords: ['escalier bois'], days }, API_CONTEXT);
+    const { compare } = result.keywords[0];
+    const truth = sumDays('escalier bois', days, days);
+    assert.ok(Math.abs(compare.position - truth.position) <= compare.position_error + 0.05, `${days} jours : ${compare.position} contre ${truth.position}`);
+    assert.equal(compare.impressions, truth.impressions);
+  }
+});
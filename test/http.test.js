@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import { loadServer } from './helpers.js';
+
+const { createSessionStore } = await loadServer();
+
+// Horloge manuelle et transport qui, comme le SDK, appelle onclose à la fermeture
+function setup() {
+  const clock = { now: 0 };
+  const sessions = createSessionStore({ idleTimeoutMs: 1000, now: () => clock.now });
+  const openSession = id => {
+    const transport = { closed: false, async close() { this.closed = true; sessions.delete(id); } };
+    sessions.add(id, transport, `sk-${id}`);
+    return transport;
+  };
+  return { clock, sessions, openSession };
+}
+
+test('une session inactive au-delà du délai est fermée et sa clé oubliée', async () => {
+  const { clock, sessions, openSession } = setup();
+  const idle = openSession('a');
+  const active = openSession('b');
+
+  clock.now = 900;
+  const res = new EventEmitter();
+  sessions.track(sessions.get('b'), res);
+  res.emit('close');
+
+  clock.now = 1000;
+  assert.equal(await sessions.sweep(), 1);
+  assert.equal(idle.closed, true);
+  assert.equal(sessions.get('a'), undefined);
+  assert.equal(active.closed, false);
+  assert.equal(sessions.size, 1);
+});
+
+test('une requête en cours (flux SSE) empêche l\'expiration jusqu\'à sa fin', async () => {
+  const { clock, sessions, openSession } = setup();
+  const transport = openSession('a');
+  const stream = new EventEmitter();
+  sessions.track(sessions.get('a'), stream);
+
+  clock.now = 5000;
+  assert.equal(await sessions.sweep(), 0);
+  stream.emit('close');
+  clock.now = 5999;
+  assert.equal(await sessions.sweep(), 0);
+  clock.now = 6000;
+  assert.equal(await sessions.sweep(), 1);
+  assert.equal(transport.closed, true);
+});
+
+test('closeAll ferme toutes les sessions à l\'arrêt', async () => {
+  const { sessions, openSession } = setup();
+  const transports = [openSession('a'), openSession('b')];
+  await sessions.closeAll();
+  assert.deepEqual(transports.map(transport => transport.closed), [true, true]);
+  assert.equal(sessions.size, 0);
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MESSAGES } from '../bin/messages.js';
+import { connectClient, loadServer } from './helpers.js';
+
+// Profil par défaut en anglais : ressources et prompts suivent sa locale faute d'argument lang
+delete process.env.REFERENCIME_PROFILE;
+delete process.env.REFERENCIME_LOCALE;
+const { createServer, getServerTranslator } = await loadServer({}, {
+  config: {
+    default_profile: 'agency',
+    profiles: { agency: { locale: 'en-GB', api_key: { env: 'REFERENCIME_API_KEY' } } }
+  }
+});
+const client = await connectClient(createServer());
+
+test('le catalogue a les mêmes clés en français et en anglais', () => {
+  assert.deepEqual(Object.keys(MESSAGES.en).sort(), Object.keys(MESSAGES.fr).sort());
+});
+
+test('les prompts sont listés dans la locale du profil', async () => {
+  const { prompts } = await client.listPrompts();
+  const review = prompts.find(prompt => prompt.name === 'monthly_seo_review');
+  assert.equal(review.title, 'Monthly SEO review');
+  assert.deepEqual(review.arguments.map(arg => arg.name), ['website_id', 'month', 'lang']);
+  assert.equal(review.arguments[0].description, 'Website ID in Referencime');
+  assert.ok(prompts.every(prompt => prompt.arguments.every(arg => !('messageKey' in arg))));
+});
+
+test('l\'argument lang d\'un prompt prime sur la locale du profil', async () => {
+  const { description, messages } = await client.getPrompt({ name: 'netlinking_plan', arguments: { website_id: '12', budget: '500', lang: 'fr' } });
+  assert.match(description, /^Plan d'achat de liens/);
+  assert.match(messages[0].content.text, /^Construis un plan de netlinking pour le site #12 avec un budget total de 500€/);
+
+  const english = await client.getPrompt({ name: 'monthly_seo_review', arguments: { website_id: '12', month: '2026-03' } });
+  assert.match(english.messages[0].content.text, /for 2026-03\./);
+  assert.match(english.messages[0].content.text, /compare_start_date=2026-02-01 and compare_end_date=2026-02-28/);
+});
+
+test('les erreurs de prompt sont traduites', async () => {
+  await assert.rejects(client.getPrompt({ name: 'monthly_seo_review', arguments: { website_id: '12', month: '2026-13' } }), /Invalid month: 2026-13/);
+  await assert.rejects(client.getPrompt({ name: 'netlinking_plan', arguments: { website_id: '12', lang: 'fr' } }), /Argument budget invalide: \(manquant\)/);
+  await assert.rejects(client.getPrompt({ name: 'weekly', arguments: {} }), /Unknown prompt: weekly/);
+});
+
+test('les modèles de ressources sont traduits sans exposer leur clé de message', async () => {
+  const { resourceTemplates } = await client.listResourceTemplates();
+  assert.deepEqual(resourceTemplates[0], {
+    uriTemplate: 'referencime://websites{?format}',
+    name: 'websites',
+    mimeType: 'application/json',
+    title: 'Referencime websites',
+    description: 'Websites of the account (format=json or csv)'
+  });
+});
+
+test('le traducteur du serveur est créé une fois par locale', async () => {
+  const translator = await getServerTranslator();
+  assert.equal(translator.locale, 'en-GB');
+  assert.equal(await getServerTranslator(), translator);
+  assert.equal(await getServerTranslator('fr'), await getServerTranslator('fr-FR'));
+  assert.notEqual(await getServerTranslator('fr'), translator);
+});
@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { apiResponse, connectClient, createTempDir, loadServer, mockApi } from './helpers.js';
+
+const API_KEY = 'sk-live-4f9c2b7e1a';
+const logFile = path.join(await createTempDir(), 'referencime-mcp.log');
+const { createServer } = await loadServer({ REFERENCIME_API_KEY: API_KEY, REFERENCIME_LOG: 'debug', REFERENCIME_LOG_FILE: logFile });
+const client = await connectClient(createServer());
+
+// Les lignes sont écrites en file, après la réponse : attente de la ligne tool_call de l'appel
+async function readLogLines(tool) {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const lines = (await readFile(logFile, 'utf8').catch(() => '')).split('\n').filter(Boolean).map(line => JSON.parse(line));
+    if (lines.some(line => line.event === 'tool_call' && line.tool === tool)) return lines;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error(`Aucune ligne tool_call pour ${tool} dans ${logFile}`);
+}
+
+test('la clé API n\'apparaît jamais dans le journal JSON, même renvoyée par l\'API', async () => {
+  mockApi((endpoint, body, init) => {
+    if (endpoint.endsWith('/list-websites-by-user')) {
+      return apiResponse({ user_id: 1, websites_count: 1, websites: [{ id: 1, domain: 'atelier-menuiserie.fr', is_favorite: true }] });
+    }
+    // Erreur qui recopie la clé reçue dans son message
+    const key = init.headers.Authorization.replace(/^Bearer /, '');
+    return new Response(JSON.stringify({ success: false, message: `Clé ${key} sans accès au site` }), { status: 403, statusText: 'Forbidden' });
+  });
+
+  const result = await client.callTool({ name: 'list_categories_by_website', arguments: { website_id: 1 } });
+  assert.equal(result.isError, true);
+
+  const lines = await readLogLines('list_categories_by_website');
+  assert.ok(!(await readFile(logFile, 'utf8')).includes(API_KEY));
+  const failure = lines.find(line => line.event === 'api_call' && line.status === 403);
+  assert.match(failure.message, /Clé \*\*\* sans accès au site/);
+  assert.ok(lines.every(line => typeof line.time === 'string' && ['error', 'info', 'debug'].includes(line.level)));
+  assert.equal(lines.find(line => line.event === 'tool_call').code, 'FORBIDDEN');
+});
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { z } from 'zod';
+import { API_CONTEXT, apiResponse, loadServer, mockApi } from './helpers.js';
+
+const { decodeCursor, encodeCursor, fetchAllPages, paginate } = await loadServer();
+const websites = Array.from({ length: 12 }, (_, i) => ({ id: i + 1, domain: `site-${i + 1}.fr` }));
+
+// Faux endpoint list-websites-by-user : offset et limit respectés ou non
+function mockWebsitesApi({ honorsOffset, honorsLimit }) {
+  return mockApi((endpoint, { offset = 0, limit }) => {
+    const start = honorsOffset ? offset : 0;
+    const page = honorsLimit ? websites.slice(start, start + limit) : websites.slice(start);
+    return apiResponse({ user_id: 1, websites_count: websites.length, websites: page });
+  });
+}
+
+test('le curseur encode l\'offset et l\'empreinte du premier élément', () => {
+  assert.deepEqual(decodeCursor(undefined), { offset: 0, first: null });
+  assert.deepEqual(decodeCursor(encodeCursor(40)), { offset: 40, first: null });
+  assert.deepEqual(decodeCursor(encodeCursor(40, 'abc123')), { offset: 40, first: 'abc123' });
+  assert.throws(() => decodeCursor('pas-un-curseur'), { code: 'INVALID_ARGUMENTS' });
+  assert.throws(() => decodeCursor(encodeCursor(-1)), { code: 'INVALID_ARGUMENTS' });
+});
+
+test('une page servie par l\'API est conservée telle quelle', () => {
+  const { items, pagination } = paginate([5, 6, 7], 4, 3, 10);
+  assert.deepEqual(items, [5, 6, 7]);
+  assert.equal(pagination.total, 10);
+  assert.equal(decodeCursor(pagination.next_cursor).offset, 7);
+});
+
+test('une liste complète renvoyée malgré limit est découpée localement', () => {
+  const all = Array.from({ length: 10 }, (_, i) => i);
+  const { items, pagination } = paginate(all, 8, 3);
+  assert.deepEqual(items, [8, 9]);
+  assert.equal(pagination.total, 10);
+  assert.equal(pagination.next_cursor, null);
+});
+
+test('une liste relue depuis le début est toujours découpée, même plus courte que limit', () => {
+  const { items, pagination } = paginate([0, 1, 2, 3], 3, 3, 4, { fromStart: true });
+  assert.deepEqual(items, [3]);
+  assert.equal(pagination.next_cursor, null);
+  const beyond = paginate([0, 1, 2], 3, 3, 0, { fromStart: true });
+  assert.deepEqual(beyond.items, []);
+  assert.equal(beyond.pagination.next_cursor, null);
+});
+
+for (const [label, behavior] of [
+  ['respecte offset et limit', { honorsOffset: true, honorsLimit: true }],
+  ['ignore offset mais plafonne à limit', { honorsOffset: false, honorsLimit: true }],
+  ['ignore offset et limit', { honorsOffset: false, honorsLimit: false }]
+]) {
+  test(`tous les éléments sont parcourus une seule fois quand l'API ${label}`, async () => {
+    const requests = mockWebsitesApi(behavior);
+    const result = await fetchAllPages('list_websites_by_user', z.any(), { limit: 5 }, API_CONTEXT);
+    assert.deepEqual(result.websites.map(w => w.id), websites.map(w => w.id));
+    assert.ok(requests.length <= 6, `${requests.length} requêtes`);
+  });
+}
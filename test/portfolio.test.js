@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { API_CONTEXT, apiResponse, loadServer, mockApi } from './helpers.js';
+
+const { getPortfolioOverview } = await loadServer();
+
+const period = { start_date: '2026-09-18', end_date: '2026-10-17', days: 30 };
+const evolution = (current, compare) => ({ current, compare });
+
+// Résumé de chaque site : format avec comparaison, ancien format (nombres seuls), sans données ou en échec
+const SUMMARIES = {
+  1: { has_data: true, period, overall_metrics: { total_keywords: 12, total_clicks: evolution(100, 80), total_impressions: evolution(1000, 900), average_position: evolution(5, 6) }, top10: 4 },
+  2: { has_data: true, period_days: 30, overall_metrics: { total_keywords: 20, total_clicks: 300, total_impressions: 2000, average_position: 8 }, top10: 2 },
+  3: null,
+  4: { has_data: false, period, overall_metrics: { total_keywords: 3 } },
+  5: { has_data: true, period, overall_metrics: { total_keywords: 8, total_clicks: evolution(50, 70), total_impressions: evolution(500, 400), average_position: evolution(10, 9) }, top10: 1 }
+};
+
+const websites = [
+  { id: 1, domain: 'alpha.fr' },
+  { id: 2, domain: 'beta.fr' },
+  { id: 3, domain: 'gamma.fr' },
+  { id: 4, domain: 'delta.fr' },
+  { id: 5, domain: 'epsilon.fr' }
+];
+
+function mockPortfolioApi() {
+  const state = { inFlight: 0, maxInFlight: 0 };
+  mockApi(async (endpoint, { website_id: websiteId }) => {
+    if (endpoint.endsWith('/list-websites-by-user')) {
+      return apiResponse({ user_id: 1, websites_count: websites.length, websites });
+    }
+    state.inFlight += 1;
+    state.maxInFlight = Math.max(state.maxInFlight, state.inFlight);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    state.inFlight -= 1;
+    const summary = SUMMARIES[websiteId];
+    if (!summary) {
+      return new Response(JSON.stringify({ success: false, message: 'Accès refusé' }), { status: 403, statusText: 'Forbidden' });
+    }
+    const { top10, ...data } = summary;
+    return apiResponse({
+      website_id: websiteId,
+      ...data,
+      ...(top10 !== undefined ? { performance_changes: { position_distribution: { top3: 0, top10, top20: top10, top50: top10, top100: top10 } } } : {})
+    });
+  });
+  return state;
+}
+
+test('les sites sont classés, un site en échec est signalé sans interrompre la vue d\'ensemble', async () => {
+  const state = mockPortfolioApi();
+  const result = await getPortfolioOverview({ period: '30days', sort_by: 'clicks', concurrency: 2 }, API_CONTEXT);
+
+  assert.equal(state.maxInFlight, 2);
+  assert.deepEqual(result.period, period);
+  assert.deepEqual(result.websites.map(row => [row.domain, row.status, row.rank]), [
+    ['beta.fr', 'ok', 1],
+    ['alpha.fr', 'ok', 2],
+    ['epsilon.fr', 'ok', 3],
+    ['delta.fr', 'no_data', null],
+    ['gamma.fr', 'error', null]
+  ]);
+  assert.equal(result.websites[4].error.code, 'FORBIDDEN');
+  // Ancien format : pas de période de comparaison, donc pas d'évolution
+  assert.equal(result.websites[0].clicks_change, null);
+  assert.deepEqual(
+    [result.websites[1].clicks_change, result.websites[1].clicks_change_percent, result.websites[1].position_change],
+    [20, 25, 1]
+  );
+});
+
+test('les totaux pondèrent la position par les impressions et n\'évoluent que sur les sites comparés', async () => {
+  mockPortfolioApi();
+  const { totals, winners, losers } = await getPortfolioOverview({ period: '30days', sort_by: 'position', concurrency: 4 }, API_CONTEXT);
+
+  assert.deepEqual(totals, {
+    websites_ok: 3,
+    websites_no_data: 1,
+    websites_failed: 1,
+    clicks: 450,
+    // alpha.fr et epsilon.fr : 150 clics contre 150
+    clicks_change_percent: 0,
+    impressions: 3500,
+    // 1 500 impressions contre 1 300
+    impressions_change_percent: 15.4,
+    // (5 × 1 000 + 8 × 2 000 + 10 × 500) / 3 500
+    average_position: 7.4,
+    top10: 7
+  });
+  assert.deepEqual(winners.map(row => [row.domain, row.clicks_change]), [['alpha.fr', 20]]);
+  assert.deepEqual(losers.map(row => [row.domain, row.clicks_change, row.clicks_change_percent]), [['epsilon.fr', -20, -28.6]]);
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { apiResponse, connectClient, loadServer, mockApi } from './helpers.js';
+
+const { createServer } = await loadServer({ REFERENCIME_RETRY_BASE_MS: '1', REFERENCIME_MAX_RETRIES: '1' });
+const client = await connectClient(createServer());
+
+const websites = { user_id: 7, websites_count: 1, websites: [{ id: 1, domain: 'atelier-menuiserie.fr', is_favorite: true }] };
+
+test('un appel muni d\'un progressToken reçoit la progression des requêtes et des tentatives', async () => {
+  let attempts = 0;
+  mockApi(() => (attempts++ === 0
+    ? new Response(JSON.stringify({ success: false, message: 'indisponible' }), { status: 503 })
+    : apiResponse(websites)));
+  const notifications = [];
+  const result = await client.callTool({ name: 'list_websites_by_user', arguments: {} }, undefined, {
+    onprogress: notification => notifications.push(notification)
+  });
+
+  assert.equal(result.isError, undefined);
+  assert.deepEqual(notifications.map(({ progress }) => progress), [1, 2, 3]);
+  assert.match(notifications[0].message, /Interrogation de l'API Referencime \(list_websites_by_user\)/);
+  assert.match(notifications[1].message, /échec \(SERVER_ERROR\), nouvelle tentative/);
+  assert.match(notifications[2].message, /tentative 2\/2/);
+});
+
+test('l\'annulation par le client interrompt la requête HTTP en cours', async () => {
+  let fetchSignal;
+  let started;
+  const fetchStarted = new Promise(resolve => { started = resolve; });
+  mockApi((endpoint, body, init) => new Promise((resolve, reject) => {
+    fetchSignal = init.signal;
+    const pending = setTimeout(() => resolve(apiResponse(websites)), 5000);
+    init.signal.addEventListener('abort', () => {
+      clearTimeout(pending);
+      reject(init.signal.reason);
+    });
+    started();
+  }));
+  const controller = new AbortController();
+  const call = client.callTool({ name: 'list_websites_by_user', arguments: {} }, undefined, { signal: controller.signal });
+  await fetchStarted;
+  controller.abort('abandon');
+
+  await assert.rejects(call);
+  // La notification notifications/cancelled parvient au serveur de façon asynchrone
+  for (let attempt = 0; attempt < 100 && !fetchSignal.aborted; attempt++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  assert.equal(fetchSignal.aborted, true);
+});
@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { connectClient, loadServer } from './helpers.js';
+
+const { createServer } = await loadServer();
+const client = await connectClient(createServer());
+
+const promptText = async (name, args) => (await client.getPrompt({ name, arguments: args })).messages[0].content.text;
+
+test('les trois workflows SEO sont proposés avec leurs arguments', async () => {
+  const { prompts } = await client.listPrompts();
+  assert.deepEqual(prompts.map(prompt => prompt.name), ['monthly_seo_review', 'netlinking_plan', 'underperforming_categories']);
+  const plan = prompts.find(prompt => prompt.name === 'netlinking_plan');
+  assert.deepEqual(plan.arguments.filter(arg => arg.required).map(arg => arg.name), ['website_id', 'budget']);
+});
+
+test('la revue mensuelle compare le mois demandé au précédent, même en janvier', async () => {
+  const text = await promptText('monthly_seo_review', { website_id: '12', month: '2025-01' });
+  assert.match(text, /site #12 pour le mois 2025-01/);
+  assert.match(text, /start_date=2025-01-01, end_date=2025-01-31/);
+  assert.match(text, /compare_start_date=2024-12-01 et compare_end_date=2024-12-31/);
+});
+
+test('le plan de netlinking reprend le budget et la catégorie', async () => {
+  const text = await promptText('netlinking_plan', { website_id: '12', budget: '450', category_id: '3' });
+  assert.match(text, /budget total de 450€/);
+  assert.match(text, /max_price=450, category_id="3"/);
+});
+
+test('un argument invalide ou un prompt inconnu est refusé', async () => {
+  await assert.rejects(client.getPrompt({ name: 'monthly_seo_review', arguments: { website_id: '12', month: '2025-13' } }), /Mois invalide/);
+  await assert.rejects(client.getPrompt({ name: 'netlinking_plan', arguments: { website_id: '12', budget: '-5' } }), /Argument budget invalide/);
+  await assert.rejects(client.getPrompt({ name: 'audit', arguments: {} }), /Prompt inconnu/);
+});
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { getDemoResponse } from '../bin/demo.js';
+import { connectClient, createTempDir, loadServer, mockApi } from './helpers.js';
+
+const exportDir = await createTempDir();
+const { createServer } = await loadServer({ REFERENCIME_EXPORT_DIR: exportDir }, {
+  config: { report: { agency_name: 'Agence <Lumière> & "Fils"' } }
+});
+const client = await connectClient(createServer());
+
+// Données de démo dont un nom de catégorie et un mot-clé contiennent du HTML
+function mockReportApi() {
+  mockApi((endpoint, body) => {
+    const { status, payload } = getDemoResponse(endpoint.slice(endpoint.indexOf('/ai/')), body);
+    if (endpoint.endsWith('/list-keywords-by-categories-by-website')) {
+      payload.data.categories[0].category_name = '<script>alert(1)</script>';
+    }
+    if (endpoint.endsWith('/identify-netlinking-targets')) {
+      payload.data.keywords[0].keyword = 'escalier <img src=x onerror=alert(1)>';
+    }
+    return new Response(JSON.stringify(payload), { status });
+  });
+}
+
+test('le rapport HTML échappe les textes venus de l\'API et de la configuration', async () => {
+  mockReportApi();
+  const result = await client.callTool({ name: 'generate_seo_report', arguments: { website_id: 1, output_path: 'rapport.html' } });
+  assert.equal(result.isError, undefined, result.content?.[0]?.text);
+
+  const html = await readFile(result.structuredContent.file_path, 'utf8');
+  assert.ok(!html.includes('<script>'));
+  assert.ok(!html.includes('<img src=x'));
+  assert.ok(html.includes('&lt;script&gt;alert(1)&lt;/script&gt;'));
+  assert.ok(html.includes('escalier &lt;img src=x onerror=alert(1)&gt;'));
+  assert.ok(html.includes('Agence &lt;Lumière&gt; &amp; &quot;Fils&quot;'));
+});
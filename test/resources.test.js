@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { apiResponse, connectClient, loadServer, mockApi } from './helpers.js';
+
+const { createServer } = await loadServer();
+const client = await connectClient(createServer());
+
+const websites = {
+  user_id: 7,
+  websites_count: 1,
+  websites: [{ id: 12, domain: 'atelier-menuiserie.fr', is_favorite: false, created_date: '2024-03-01' }]
+};
+
+const categories = {
+  website_id: 12,
+  categories_count: 2,
+  categories: [
+    { id: 1, name: 'Escaliers', keywords_count: 4 },
+    { id: 2, name: 'Portes "sur mesure", bois', keywords_count: 1 }
+  ]
+};
+
+function mockReferencime() {
+  return mockApi(endpoint => apiResponse(endpoint.endsWith('/ai/list-websites-by-user') ? websites : categories));
+}
+
+test('chaque site expose ses catégories et ses mots-clés comme ressources', async () => {
+  mockReferencime();
+  const { resources } = await client.listResources();
+  assert.deepEqual(resources.map(resource => resource.uri), [
+    'referencime://websites',
+    'referencime://website/12/categories',
+    'referencime://website/12/keywords'
+  ]);
+});
+
+test('une ressource est lue en JSON par défaut', async () => {
+  const requests = mockReferencime();
+  const { contents } = await client.readResource({ uri: 'referencime://website/12/categories' });
+  assert.equal(contents[0].mimeType, 'application/json');
+  assert.deepEqual(JSON.parse(contents[0].text), categories);
+  assert.equal(requests.at(-1).website_id, 12);
+});
+
+test('format=csv échappe les guillemets et les séparateurs', async () => {
+  mockReferencime();
+  const { contents } = await client.readResource({ uri: 'referencime://website/12/categories?format=csv' });
+  assert.equal(contents[0].mimeType, 'text/csv');
+  assert.equal(contents[0].text, 'id,name,keywords_count\n1,Escaliers,4\n2,"Portes ""sur mesure"", bois",1\n');
+});
+
+test('une URI inconnue ou un format non géré est refusé', async () => {
+  await assert.rejects(client.readResource({ uri: 'referencime://website/abc/categories' }), /Ressource inconnue/);
+  await assert.rejects(client.readResource({ uri: 'referencime://websites?format=xml' }), /Ressource inconnue/);
+});
+
+test('une erreur de l\'API devient une erreur JSON-RPC avec son code', async () => {
+  mockApi(() => apiResponse(null, 401));
+  await assert.rejects(client.readResource({ uri: 'referencime://websites' }), /\[INVALID_API_KEY\]/);
+});
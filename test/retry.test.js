@@ -0,0 +1,137 @@
+import { afterEach, beforeEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadServer } from './helpers.js';
+
+const { fetchWithRetry, getBackoffDelay, parseRetryAfter } = await loadServer();
+const originalEnv = { ...process.env };
+let calls;
+
+// Réponses successives du faux fetch : Response, erreur levée ou fonction (url, init)
+function mockFetch(...responses) {
+  calls = 0;
+  globalThis.fetch = async (url, init) => {
+    const response = responses[Math.min(calls++, responses.length - 1)];
+    if (response instanceof Error) throw response;
+    return typeof response === 'function' ? response(url, init) : response.clone();
+  };
+}
+
+const json = (status, body, headers = {}) => new Response(JSON.stringify(body), { status, headers: { 'content-type': 'application/json', ...headers } });
+
+beforeEach(() => {
+  process.env.REFERENCIME_RETRY_BASE_MS = '1';
+  process.env.REFERENCIME_MAX_RETRIES = '2';
+  process.env.REFERENCIME_TIMEOUT_MS = '1000';
+});
+
+afterEach(() => {
+  process.env = { ...originalEnv };
+});
+
+test('une erreur serveur transitoire est rejouée puis la réponse est renvoyée', async () => {
+  mockFetch(json(503, { message: 'indisponible' }), json(200, { ok: true }));
+  assert.deepEqual(await fetchWithRetry('http://api.test/ai/x', {}, 'list_websites_by_user'), { ok: true });
+  assert.equal(calls, 2);
+});
+
+test('les tentatives s\'arrêtent après REFERENCIME_MAX_RETRIES', async () => {
+  mockFetch(json(500, {}));
+  await assert.rejects(fetchWithRetry('http://api.test/ai/x', {}, 'list_websites_by_user'), { code: 'SERVER_ERROR', status: 500 });
+  assert.equal(calls, 3);
+});
+
+test('une clé refusée n\'est jamais rejouée', async () => {
+  mockFetch(json(401, { message: 'clé invalide' }));
+  await assert.rejects(fetchWithRetry('http://api.test/ai/x', {}, 'list_websites_by_user'), { code: 'INVALID_API_KEY' });
+  assert.equal(calls, 1);
+});
+
+test('un Retry-After supérieur à l\'attente maximale arrête les tentatives', async () => {
+  mockFetch(json(429, {}, { 'retry-after': '120' }), json(200, { ok: true }));
+  await assert.rejects(fetchWithRetry('http://api.test/ai/x', {}, 'list_websites_by_user'), { code: 'RATE_LIMITED' });
+  assert.equal(calls, 1);
+});
+
+test('un Retry-After court est respecté avant la nouvelle tentative', async () => {
+  mockFetch(json(429, {}, { 'retry-after': '0' }), json(200, { ok: true }));
+  assert.deepEqual(await fetchWithRetry('http://api.test/ai/x', {}, 'list_websites_by_user'), { ok: true });
+  assert.equal(calls, 2);
+});
+
+test('une erreur réseau est rejouée, puis signalée en NETWORK_ERROR', async () => {
+  mockFetch(new TypeError('fetch failed'));
+  await assert.rejects(fetchWithRetry('http://api.test/ai/x', {}, 'list_websites_by_user'), { code: 'NETWORK_ERROR' });
+  assert.equal(calls, 3);
+});
+
+test('le délai maximal interrompt la requête en TIMEOUT', async () => {
+  process.env.REFERENCIME_TIMEOUT_MS = '20';
+  process.env.REFERENCIME_MAX_RETRIES = '0';
+  // Requête sans réponse : seul l'abandon la termine (la minuterie garde le processus actif comme une vraie socket)
+  mockFetch((url, init) => new Promise((resolve, reject) => {
+    const pending = setTimeout(resolve, 5000);
+    init.signal.addEventListener('abort', () => {
+      clearTimeout(pending);
+      reject(init.signal.reason);
+    });
+  }));
+  await assert.rejects(fetchWithRetry('http://api.test/ai/x', {}, 'list_websites_by_user'), { code: 'TIMEOUT' });
+});
+
+test('l\'annulation interrompt la requête en cours en CANCELLED, sans nouvelle tentative', async () => {
+  const controller = new AbortController();
+  let fetchSignal;
+  mockFetch((url, init) => new Promise((resolve, reject) => {
+    fetchSignal = init.signal;
+    const pending = setTimeout(resolve, 5000);
+    init.signal.addEventListener('abort', () => {
+      clearTimeout(pending);
+      reject(init.signal.reason);
+    });
+    controller.abort();
+  }));
+  await assert.rejects(fetchWithRetry('http://api.test/ai/x', {}, 'list_websites_by_user', { signal: controller.signal }), { code: 'CANCELLED' });
+  assert.equal(fetchSignal.aborted, true);
+  assert.equal(calls, 1);
+});
+
+test('un appel déjà annulé ne lance aucune requête et l\'attente entre tentatives est interrompue', async () => {
+  mockFetch(json(200, { ok: true }));
+  await assert.rejects(fetchWithRetry('http://api.test/ai/x', {}, 'list_websites_by_user', { signal: AbortSignal.abort() }), { code: 'CANCELLED' });
+  assert.equal(calls, 0);
+
+  process.env.REFERENCIME_RETRY_BASE_MS = '5000';
+  const controller = new AbortController();
+  mockFetch(json(503, {}), json(200, { ok: true }));
+  const pending = fetchWithRetry('http://api.test/ai/x', {}, 'list_websites_by_user', {
+    signal: controller.signal,
+    progress: key => key === 'progress.retryWait' && controller.abort()
+  });
+  await assert.rejects(pending, { code: 'CANCELLED' });
+  assert.equal(calls, 1);
+});
+
+test('une réponse illisible est signalée sans nouvelle tentative', async () => {
+  mockFetch(new Response('<html>', { status: 200 }));
+  await assert.rejects(fetchWithRetry('http://api.test/ai/x', {}, 'list_websites_by_user'), { code: 'INVALID_RESPONSE' });
+  assert.equal(calls, 1);
+});
+
+test('le backoff est plafonné et croît avec les tentatives', () => {
+  const options = { baseDelayMs: 500, maxDelayMs: 10000 };
+  for (let attempt = 0; attempt < 8; attempt++) {
+    for (let i = 0; i < 50; i++) {
+      const delay = getBackoffDelay(attempt, options);
+      assert.ok(delay >= 0 && delay <= Math.min(10000, 500 * 2 ** attempt), `tentative ${attempt} : ${delay} ms`);
+    }
+  }
+});
+
+test('Retry-After accepte des secondes ou une date HTTP', () => {
+  assert.equal(parseRetryAfter('3'), 3000);
+  assert.equal(parseRetryAfter(null), null);
+  assert.equal(parseRetryAfter('bientôt'), null);
+  const inTenSeconds = new Date(Date.now() + 10000).toUTCString();
+  const delay = parseRetryAfter(inTenSeconds);
+  assert.ok(delay > 8000 && delay <= 10000, `${delay} ms`);
+});
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getDemoResponse } from '../bin/demo.js';
+import { connectClient, createTempDir, loadServer, mockApi } from './helpers.js';
+
+const { createServer } = await loadServer({ REFERENCIME_SHORTLIST_DIR: await createTempDir() });
+const client = await connectClient(createServer());
+
+// Classement de démo où certains spots changent de prix (domaine → prix) ou disparaissent (null)
+function mockSpotPrices(prices = {}) {
+  mockApi((endpoint, body) => {
+    const { status, payload } = getDemoResponse(endpoint.slice(endpoint.indexOf('/ai/')), body);
+    if (endpoint.endsWith('/get-netlinking-spots-ranking')) {
+      payload.data.spots = payload.data.spots
+        .filter(spot => prices[spot.domain] !== null)
+        .map(spot => (prices[spot.domain] === undefined ? spot : {
+          ...spot,
+          min_price: prices[spot.domain],
+          platforms: spot.platforms.map((platform, index) => (index === 0 ? { ...platform, price: prices[spot.domain] } : platform))
+        }));
+    }
+    return new Response(JSON.stringify(payload), { status });
+  });
+}
+
+async function callShortlist(name, args) {
+  const result = await client.callTool({ name, arguments: { website_id: 1, ...args } });
+  assert.equal(result.isError, undefined, result.content?.[0]?.text);
+  return result.structuredContent;
+}
+
+test('shortlist_refresh compare les prix au dernier relevé et suit les spots disparus', async () => {
+  mockSpotPrices();
+  const added = await callShortlist('shortlist_add', { domains: ['maison-bois-magazine.fr', 'https://www.blog-renovation.fr/', 'deco-interieur.net'] });
+  assert.deepEqual(added.added.map(spot => [spot.domain, spot.price, spot.status]), [
+    ['maison-bois-magazine.fr', 180, 'to_contact'],
+    ['blog-renovation.fr', 95, 'to_contact'],
+    ['deco-interieur.net', 350, 'to_contact']
+  ]);
+
+  mockSpotPrices({ 'maison-bois-magazine.fr': 150, 'blog-renovation.fr': null });
+  const first = await callShortlist('shortlist_refresh', {});
+  assert.deepEqual(first.price_changes, [
+    { domain: 'maison-bois-magazine.fr', previous_price: 180, price: 150, change: -30, change_percent: -16.7, price_at_add: 180 }
+  ]);
+  assert.deepEqual(first.unavailable, ['blog-renovation.fr']);
+  assert.equal(first.unchanged, 1);
+
+  // Le prix de référence est le dernier relevé, le prix d'ajout reste conservé
+  mockSpotPrices({ 'maison-bois-magazine.fr': 165 });
+  const second = await callShortlist('shortlist_refresh', {});
+  assert.deepEqual(second.price_changes, [
+    { domain: 'maison-bois-magazine.fr', previous_price: 150, price: 165, change: 15, change_percent: 10, price_at_add: 180 }
+  ]);
+  assert.deepEqual(second.available_again, ['blog-renovation.fr']);
+  assert.equal(second.unchanged, 2);
+
+  const list = await callShortlist('shortlist_list', {});
+  const spot = list.spots.find(item => item.domain === 'maison-bois-magazine.fr');
+  assert.deepEqual([spot.price, spot.last_price, spot.available], [180, 165, true]);
+  assert.equal(list.last_checked_at, second.checked_at);
+});
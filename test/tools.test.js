@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { apiResponse, connectClient, loadServer, mockApi } from './helpers.js';
+
+const { createServer } = await loadServer();
+const client = await connectClient(createServer());
+
+const websites = {
+  user_id: 7,
+  websites_count: 1,
+  websites: [{ id: 1, domain: 'atelier-menuiserie.fr', is_favorite: true, created_date: '2024-03-01', plan: 'pro' }]
+};
+
+test('chaque outil déclare un schéma de sortie objet', async () => {
+  const { tools } = await client.listTools();
+  assert.ok(tools.some(tool => tool.name === 'list_websites_by_user'));
+  for (const tool of tools) {
+    assert.equal(tool.outputSchema?.type, 'object', tool.name);
+  }
+});
+
+test('le résultat validé est renvoyé en structuredContent, champs supplémentaires compris', async () => {
+  const requests = mockApi(() => apiResponse(websites));
+  const result = await client.callTool({ name: 'list_websites_by_user', arguments: {} });
+
+  assert.equal(result.isError, undefined);
+  assert.deepEqual(result.structuredContent, {
+    ...websites,
+    pagination: { offset: 0, limit: 100, returned: 1, total: 1, next_cursor: null },
+    next_cursor: null
+  });
+  assert.match(result.content[0].text, /atelier-menuiserie\.fr/);
+  assert.deepEqual(requests.map(request => request.endpoint), ['/wp-json/easy-links/v1/ai/list-websites-by-user']);
+});
+
+test('une réponse non conforme au schéma devient une erreur sans structuredContent', async () => {
+  mockApi(() => apiResponse({ user_id: 7, websites: 'aucun' }));
+  const result = await client.callTool({ name: 'list_websites_by_user', arguments: {} });
+
+  assert.equal(result.isError, true);
+  assert.equal(result.structuredContent, undefined);
+  assert.match(result.content[0].text, /Réponse API inattendue pour list_websites_by_user/);
+});
+
+test('le serveur annonce la version du package.json', async () => {
+  const { version } = JSON.parse(await readFile(new URL('../package.json', import.meta.url), 'utf8'));
+  assert.equal(client.getServerVersion().version, version);
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { z } from 'zod';
+import { API_CONTEXT, apiResponse, loadServer, mockApi } from './helpers.js';
+
+const { normalizeDomain, resolveWebsiteArgs } = await loadServer();
+const schema = z.object({ website_id: z.number().optional(), keywords: z.array(z.string()).optional() });
+
+function mockWebsitesApi(websites) {
+  return mockApi(() => apiResponse({ user_id: 1, websites_count: websites.length, websites }));
+}
+
+const account = [
+  { id: 1, domain: 'https://www.atelier-menuiserie.fr/' },
+  { id: 2, domain: 'boutique-bois.com', is_favorite: true },
+  { id: 3, domain: 'blog.exemple.org' }
+];
+
+test('normalizeDomain retire schéma, www, port, chemin et point final', () => {
+  assert.equal(normalizeDomain('https://www.Atelier-Menuiserie.fr:8443/contact?ref=1'), 'atelier-menuiserie.fr');
+  assert.equal(normalizeDomain(' WWW.boutique-bois.com. '), 'boutique-bois.com');
+  assert.equal(normalizeDomain('blog.exemple.org#haut'), 'blog.exemple.org');
+});
+
+test('un domaine saisi librement désigne le site du compte correspondant', async () => {
+  mockWebsitesApi(account);
+  assert.deepEqual(await resolveWebsiteArgs(schema, { website: 'http://atelier-menuiserie.fr/blog', keywords: ['escalier'] }, API_CONTEXT),
+    { website_id: 1, keywords: ['escalier'] });
+  assert.deepEqual(await resolveWebsiteArgs(schema, { website: '3' }, API_CONTEXT), { website_id: 3 });
+});
+
+test('sans site précisé, le site favori est retenu ; website_id explicite prioritaire sans appel', async () => {
+  const requests = mockWebsitesApi(account);
+  assert.deepEqual(await resolveWebsiteArgs(schema, {}, API_CONTEXT), { website_id: 2 });
+  assert.equal(requests.length, 1);
+  assert.deepEqual(await resolveWebsiteArgs(schema, { website_id: 7, website: 'boutique-bois.com' }, API_CONTEXT), { website_id: 7 });
+  assert.equal(requests.length, 1);
+});
+
+test('un domaine inconnu propose les sites proches, l\'absence de favori liste les sites', async () => {
+  mockWebsitesApi(account);
+  await assert.rejects(resolveWebsiteArgs(schema, { website: 'atelier-menuserie.fr' }, API_CONTEXT), error => {
+    assert.equal(error.code, 'INVALID_ARGUMENTS');
+    assert.equal(error.messageKey, 'errors.websiteNotFound');
+    assert.equal(error.params.sites, 'https://www.atelier-menuiserie.fr/ (#1)');
+    return true;
+  });
+
+  mockWebsitesApi(account.map(({ is_favorite, ...website }) => website));
+  await assert.rejects(resolveWebsiteArgs(schema, {}, API_CONTEXT), error => {
+    assert.equal(error.messageKey, 'errors.websiteRequired');
+    assert.match(error.params.sites, /boutique-bois\.com \(#2\)/);
+    return true;
+  });
+});
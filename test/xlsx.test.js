@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadServer } from './helpers.js';
+
+const { crc32, toXlsx } = await loadServer();
+
+// Lecture de l'archive par son répertoire central, en contrôlant les en-têtes locaux
+function readZip(buffer) {
+  const end = buffer.length - 22;
+  assert.equal(buffer.readUInt32LE(end), 0x06054b50);
+  const count = buffer.readUInt16LE(end + 10);
+  let position = buffer.readUInt32LE(end + 16);
+  const files = new Map();
+  for (let i = 0; i < count; i++) {
+    assert.equal(buffer.readUInt32LE(position), 0x02014b50);
+    const checksum = buffer.readUInt32LE(position + 16);
+    const size = buffer.readUInt32LE(position + 20);
+    const nameLength = buffer.readUInt16LE(position + 28);
+    const offset = buffer.readUInt32LE(position + 42);
+    const name = buffer.toString('utf8', position + 46, position + 46 + nameLength);
+
+    assert.equal(buffer.readUInt32LE(offset), 0x04034b50);
+    assert.equal(buffer.readUInt32LE(offset + 14), checksum);
+    const dataStart = offset + 30 + buffer.readUInt16LE(offset + 26);
+    const data = buffer.subarray(dataStart, dataStart + size);
+    assert.equal(crc32(data), checksum, name);
+    files.set(name, data.toString('utf8'));
+    position += 46 + nameLength;
+  }
+  return files;
+}
+
+test('crc32 donne la valeur de contrôle standard', () => {
+  assert.equal(crc32(Buffer.from('123456789')), 0xcbf43926);
+  assert.equal(crc32(Buffer.alloc(0)), 0);
+});
+
+test('le classeur est une archive ZIP complète dont les parties se référencent', () => {
+  const files = readZip(toXlsx([{ keyword: 'escalier' }], ['keyword']));
+  assert.deepEqual([...files.keys()], [
+    '[Content_Types].xml', '_rels/.rels', 'xl/workbook.xml', 'xl/_rels/workbook.xml.rels', 'xl/worksheets/sheet1.xml'
+  ]);
+  assert.match(files.get('_rels/.rels'), /Target="xl\/workbook.xml"/);
+  assert.match(files.get('xl/_rels/workbook.xml.rels'), /Target="worksheets\/sheet1.xml"/);
+});
+
+test('cellules typées : nombres, booléens, texte échappé et vides omis', () => {
+  const rows = [
+    { keyword: 'escalier <bois> & "chêne"', position: 4.5, has_data: true },
+    { keyword: 'dressing\u0007', position: null, has_data: false }
+  ];
+  const sheet = readZip(toXlsx(rows, ['keyword', 'position', 'has_data'])).get('xl/worksheets/sheet1.xml');
+  const sheetData = sheet.match(/<sheetData>(.*)<\/sheetData>/)[1];
+  assert.equal(sheetData,
+    '<row r="1">' +
+      '<c r="A1" t="inlineStr"><is><t xml:space="preserve">keyword</t></is></c>' +
+      '<c r="B1" t="inlineStr"><is><t xml:space="preserve">position</t></is></c>' +
+      '<c r="C1" t="inlineStr"><is><t xml:space="preserve">has_data</t></is></c>' +
+    '</row>' +
+    '<row r="2">' +
+      '<c r="A2" t="inlineStr"><is><t xml:space="preserve">escalier &lt;bois&gt; &amp; &quot;chêne&quot;</t></is></c>' +
+      '<c r="B2"><v>4.5</v></c>' +
+      '<c r="C2" t="b"><v>1</v></c>' +
+    '</row>' +
+    '<row r="3">' +
+      '<c r="A3" t="inlineStr"><is><t xml:space="preserve">dressing</t></is></c>' +
+      '<c r="C3" t="b"><v>0</v></c>' +
+    '</row>');
+});
+
+test('au-delà de 26 colonnes, les références passent à AA, AB...', () => {
+  const columns = Array.from({ length: 28 }, (_, i) => `c${i + 1}`);
+  const sheet = readZip(toXlsx([], columns)).get('xl/worksheets/sheet1.xml');
+  assert.deepEqual(sheet.match(/r="[A-Z]+1"/g).slice(24), ['r="Y1"', 'r="Z1"', 'r="AA1"', 'r="AB1"']);
+});